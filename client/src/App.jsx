@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
-import api from './api';
-import { Calendar, Clock, MapPin, User, Plus, Trash2, Check, X, RefreshCw, Settings as SettingsIcon, LogOut, Link2 } from 'lucide-react';
+import api, { ACCOUNT_RESET_EVENT, getSelectedAccountId, setSelectedAccountId } from './api';
+import { Calendar, Clock, MapPin, User, Plus, Trash2, Check, X, RefreshCw, Settings as SettingsIcon, LogOut, Link2, Users } from 'lucide-react';
 import ClassBrowser from './components/ClassBrowser';
 import TrackedClasses from './components/TrackedClasses';
 import SignupLogs from './components/SignupLogs';
+import SchedulerDashboard from './components/SchedulerDashboard';
 import Settings from './components/Settings';
 import Setup from './components/Setup';
 import Login from './components/Login';
@@ -25,14 +26,36 @@ function App() {
     const params = new URLSearchParams(window.location.search);
     return params.get('book') || null;
   });
+  // Links from a family member's calendar feed act for that person
+  const [linkClientId] = useState(() => new URLSearchParams(window.location.search).get('client'));
+  // Links from another YMCA account's feed switch to that account first
+  const [accountId, setAccountId] = useState(() => {
+    const linkAccountId = new URLSearchParams(window.location.search).get('account');
+    if (linkAccountId) {
+      setSelectedAccountId(linkAccountId);
+    }
+    return getSelectedAccountId();
+  });
+  const [accounts, setAccounts] = useState([]);
 
   useEffect(() => {
     checkAuth();
   }, []);
 
+  // The server refused a removed account; show the first one instead
+  useEffect(() => {
+    const handleAccountReset = () => {
+      switchAccount(null);
+      fetchAccounts();
+    };
+    window.addEventListener(ACCOUNT_RESET_EVENT, handleAccountReset);
+    return () => window.removeEventListener(ACCOUNT_RESET_EVENT, handleAccountReset);
+  }, []);
+
   useEffect(() => {
     if (authState.authenticated) {
       fetchStatus();
+      fetchAccounts();
       const interval = setInterval(fetchStatus, 30000);
       return () => clearInterval(interval);
     }
@@ -68,6 +91,26 @@ function App() {
     }
   };
 
+  const fetchAccounts = async () => {
+    try {
+      const response = await api.get('/api/accounts');
+      setAccounts(response.data);
+      // A removed account falls back to the first one
+      if (accountId && !response.data.some(account => String(account.id) === String(accountId))) {
+        switchAccount(null);
+      }
+    } catch (error) {
+      console.error('Failed to fetch YMCA accounts:', error);
+    }
+  };
+
+  const switchAccount = (nextAccountId) => {
+    setSelectedAccountId(nextAccountId);
+    setAccountId(nextAccountId);
+    setStatus(null);
+    fetchStatus();
+  };
+
   const handleSetupComplete = () => {
     setAuthState({ ...authState, setupRequired: false });
   };
@@ -130,6 +173,7 @@ function App() {
     return (
       <CancelClass
         occurrenceId={cancelOccurrenceId}
+        clientId={linkClientId}
         onDone={() => {
           setCancelOccurrenceId(null);
           window.history.replaceState({}, '', window.location.pathname);
@@ -142,6 +186,7 @@ function App() {
     return (
       <BookClass
         occurrenceId={bookOccurrenceId}
+        clientId={linkClientId}
         onDone={() => {
           setBookOccurrenceId(null);
           window.history.replaceState({}, '', window.location.pathname);
@@ -168,10 +213,27 @@ function App() {
               </div>
             </div>
             <div className="flex items-center space-x-2 sm:space-x-4">
+              {accounts.length > 1 && (
+                <label className="flex items-center space-x-2" title="YMCA account">
+                  <Users className="hidden sm:block w-4 h-4 text-gray-500" />
+                  <select
+                    value={status?.account?.id ?? accountId ?? ''}
+                    onChange={(e) => switchAccount(e.target.value)}
+                    className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-transparent"
+                  >
+                    {accounts.map(account => (
+                      <option key={account.id} value={account.id}>{account.name}</option>
+                    ))}
+                  </select>
+                </label>
+              )}
               {authState.user && (
                 <div className="hidden md:flex items-center space-x-2 px-3 py-1.5 bg-gray-100 rounded-lg">
                   <User className="w-4 h-4 text-gray-600" />
                   <span className="text-sm font-medium text-gray-700">{authState.user.username}</span>
+                  {authState.user.role && authState.user.role !== 'admin' && (
+                    <span className="text-xs text-gray-500">{authState.user.role}</span>
+                  )}
                 </div>
               )}
               {status?.authenticated && status?.user ? (
@@ -202,7 +264,7 @@ function App() {
                   <span className="hidden sm:inline text-sm text-gray-600">YMCA Not Connected</span>
                 </div>
               )}
-              {!status?.authenticated && (
+              {!status?.authenticated && authState.user?.role !== 'read-only' && (
                 <button
                   onClick={handleLogin}
                   disabled={loading}
@@ -269,6 +331,16 @@ function App() {
               >
                 Booked Classes
               </button>
+              <button
+                onClick={() => setActiveTab('scheduler')}
+                className={`py-3 sm:py-4 px-1 border-b-2 font-medium text-xs sm:text-sm ${
+                  activeTab === 'scheduler'
+                    ? 'border-primary text-primary'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                Scheduler
+              </button>
               <button
                 onClick={() => setActiveTab('settings')}
                 className={`py-3 sm:py-4 px-1 border-b-2 font-medium text-xs sm:text-sm flex items-center space-x-2 ${
@@ -284,10 +356,22 @@ function App() {
           </div>
         </div>
 
-        {activeTab === 'browse' && <ClassBrowser authenticated={status?.authenticated} onNavigateToTracked={() => setActiveTab('tracked')} />}
-        {activeTab === 'tracked' && <TrackedClasses />}
-        {activeTab === 'logs' && <SignupLogs />}
-        {activeTab === 'settings' && <Settings />}
+        {/* Switching accounts remounts the tab so it reloads that account's data */}
+        <div key={accountId || 'default'}>
+          {activeTab === 'browse' && <ClassBrowser authenticated={status?.authenticated} onNavigateToTracked={() => setActiveTab('tracked')} />}
+          {activeTab === 'tracked' && <TrackedClasses />}
+          {activeTab === 'logs' && <SignupLogs />}
+          {activeTab === 'scheduler' && <SchedulerDashboard />}
+          {activeTab === 'settings' && (
+            <Settings
+              accounts={accounts}
+              account={status?.account}
+              onAccountsChange={fetchAccounts}
+              role={authState.user?.role}
+              username={authState.user?.username}
+            />
+          )}
+        </div>
       </div>
     </div>
     </ConfirmProvider>
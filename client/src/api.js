@@ -1,5 +1,7 @@
 import axios from 'axios';
 
+const ACCOUNT_STORAGE_KEY = 'ymcaAccountId';
+
 const api = axios.create({
   baseURL: import.meta.env.DEV ? '' : window.location.origin,
   headers: {
@@ -7,4 +9,37 @@ const api = axios.create({
   }
 });
 
+// The YMCA account picked in the header; the server falls back to the first
+// account when none is picked
+export const ACCOUNT_RESET_EVENT = 'ymca-account-reset';
+
+export const getSelectedAccountId = () => localStorage.getItem(ACCOUNT_STORAGE_KEY);
+
+export const setSelectedAccountId = (accountId) => {
+  if (accountId) {
+    localStorage.setItem(ACCOUNT_STORAGE_KEY, String(accountId));
+  } else {
+    localStorage.removeItem(ACCOUNT_STORAGE_KEY);
+  }
+};
+
+api.interceptors.request.use((config) => {
+  const accountId = getSelectedAccountId();
+  if (accountId) {
+    config.headers['X-YMCA-Account'] = accountId;
+  }
+  return config;
+});
+
+// The picked account was removed: forget it so later requests use the first
+// account, and let the app reset its switcher. The failed request isn't
+// retried, since it was meant for the removed account.
+api.interceptors.response.use(undefined, (error) => {
+  if (error.response?.status === 404 && error.response.data?.unknownAccount) {
+    setSelectedAccountId(null);
+    window.dispatchEvent(new Event(ACCOUNT_RESET_EVENT));
+  }
+  return Promise.reject(error);
+});
+
 export default api;
@@ -0,0 +1,218 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import { KeyRound, Plus, Copy, Trash2, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useConfirm } from './ConfirmDialog';
+
+// Scopes are the user roles; a token can't be scoped above its owner
+const TOKEN_SCOPES = [
+  { value: 'read-only', label: 'Read-only', description: 'See classes, bookings and history' },
+  { value: 'booker', label: 'Book', description: 'Also book, cancel and manage tracked classes' },
+  { value: 'admin', label: 'Admin', description: 'Everything the app can do, including settings' }
+];
+
+const EMPTY_TOKEN_FORM = { name: '', scope: 'read-only' };
+
+function formatTimestamp(value) {
+  return value ? new Date(`${value}Z`).toLocaleString() : null;
+}
+
+// Personal tokens for scripts, Shortcuts and home automation
+function ApiTokens({ role = 'read-only' }) {
+  const { confirm } = useConfirm();
+  const [tokens, setTokens] = useState([]);
+  const [form, setForm] = useState(null);
+  const [newToken, setNewToken] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const allowedScopes = TOKEN_SCOPES.slice(0, TOKEN_SCOPES.findIndex(scope => scope.value === role) + 1);
+
+  useEffect(() => {
+    fetchTokens();
+  }, []);
+
+  const fetchTokens = async () => {
+    try {
+      const response = await api.get('/api/tokens');
+      setTokens(response.data);
+    } catch (error) {
+      console.error('Failed to fetch API tokens:', error);
+    }
+  };
+
+  const createToken = async () => {
+    try {
+      setSaving(true);
+      const response = await api.post('/api/tokens', form);
+      setNewToken(response.data);
+      setForm(null);
+      fetchTokens();
+    } catch (error) {
+      console.error('Failed to create API token:', error);
+      toast.error('Failed to create token: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const revokeToken = async (token) => {
+    const confirmed = await confirm(`Revoke "${token.name}"? Anything using it stops working straight away.`, {
+      title: 'Revoke Token',
+      confirmText: 'Revoke'
+    });
+    if (!confirmed) return;
+
+    try {
+      await api.delete(`/api/tokens/${token.id}`);
+      if (newToken?.id === token.id) {
+        setNewToken(null);
+      }
+      fetchTokens();
+    } catch (error) {
+      console.error('Failed to revoke API token:', error);
+      toast.error('Failed to revoke token: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const copyNewToken = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken.token);
+      toast.success('Token copied');
+    } catch (error) {
+      toast.error('Copy failed; select the token and copy it manually');
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <div className="flex items-center space-x-2">
+            <KeyRound className="w-5 h-5 text-gray-700" />
+            <h3 className="text-lg font-semibold text-gray-900">API Tokens</h3>
+          </div>
+          <p className="text-sm text-gray-500 mt-1">
+            Let scripts, iOS Shortcuts or Home Assistant call the API as you, with an <code className="font-mono">Authorization: Bearer</code> header
+          </p>
+        </div>
+        {!form && (
+          <button
+            onClick={() => setForm(EMPTY_TOKEN_FORM)}
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 flex items-center space-x-2"
+          >
+            <Plus className="w-4 h-4" />
+            <span>New Token</span>
+          </button>
+        )}
+      </div>
+      <div className="p-6 space-y-3">
+        {newToken && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 space-y-3">
+            <p className="text-sm text-yellow-800">
+              Copy "{newToken.name}" now. It won't be shown again.
+            </p>
+            <div className="font-mono text-sm text-gray-900 break-all">{newToken.token}</div>
+            <div className="flex space-x-2">
+              <button
+                onClick={copyNewToken}
+                className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm flex items-center space-x-1"
+              >
+                <Copy className="w-4 h-4" />
+                <span>Copy</span>
+              </button>
+              <button
+                onClick={() => setNewToken(null)}
+                className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+              >
+                Done
+              </button>
+            </div>
+          </div>
+        )}
+
+        {tokens.length === 0 && !form && (
+          <p className="text-sm text-gray-500">No tokens yet.</p>
+        )}
+
+        {tokens.map(token => (
+          <div key={token.id} className="p-3 rounded-lg border border-gray-200 flex items-center justify-between">
+            <div className="min-w-0">
+              <div className="font-medium text-gray-900">
+                {token.name}
+                <span className="ml-2 text-xs font-normal text-gray-500">
+                  {TOKEN_SCOPES.find(scope => scope.value === token.scope)?.label || token.scope}
+                </span>
+              </div>
+              <div className="text-xs text-gray-500 truncate">
+                <span className="font-mono">{token.token_prefix}…</span>
+                {' · '}Created {formatTimestamp(token.created_at)}
+                {' · '}{token.last_used_at ? `Last used ${formatTimestamp(token.last_used_at)}` : 'Never used'}
+              </div>
+            </div>
+            <button
+              onClick={() => revokeToken(token)}
+              className="p-2 text-red-500 hover:text-red-700 hover:bg-red-50 rounded-lg"
+              title="Revoke token"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+
+        {form && (
+          <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div>
+              <label htmlFor="apiTokenName" className="block text-sm font-medium text-gray-700 mb-2">
+                Name
+              </label>
+              <input
+                id="apiTokenName"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Home Assistant"
+                className="w-full md:w-64 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                autoComplete="off"
+              />
+            </div>
+            <div className="space-y-2">
+              {allowedScopes.map(scope => (
+                <label key={scope.value} className="flex items-start space-x-2 text-sm">
+                  <input
+                    type="radio"
+                    name="apiTokenScope"
+                    checked={form.scope === scope.value}
+                    onChange={() => setForm({ ...form, scope: scope.value })}
+                    className="mt-0.5"
+                  />
+                  <span>
+                    <span className="font-medium text-gray-900">{scope.label}</span>
+                    <span className="text-gray-500"> - {scope.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button
+                onClick={() => setForm(null)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={createToken}
+                disabled={saving || !form.name.trim()}
+                className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+              >
+                {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <KeyRound className="w-4 h-4" />}
+                <span>Create Token</span>
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default ApiTokens;
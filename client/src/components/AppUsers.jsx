@@ -0,0 +1,206 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import { UserCog, Plus, Save, Trash2, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useConfirm } from './ConfirmDialog';
+
+export const USER_ROLES = [
+  { value: 'admin', label: 'Admin', description: 'Everything, including settings, YMCA accounts and users' },
+  { value: 'booker', label: 'Booker', description: 'Book, cancel and manage tracked classes' },
+  { value: 'read-only', label: 'Read-only', description: 'See classes, bookings and history' }
+];
+
+const EMPTY_USER_FORM = { username: '', password: '', role: 'booker' };
+
+// People who can log in to this app, not YMCA members
+function AppUsers({ currentUsername }) {
+  const { confirm } = useConfirm();
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchUsers();
+  }, []);
+
+  const fetchUsers = async () => {
+    try {
+      const response = await api.get('/api/users');
+      setUsers(response.data);
+    } catch (error) {
+      console.error('Failed to fetch users:', error);
+    }
+  };
+
+  const saveUser = async () => {
+    try {
+      setSaving(true);
+      await api.post('/api/users', form);
+      toast.success(`Added ${form.username}`);
+      setForm(null);
+      fetchUsers();
+    } catch (error) {
+      console.error('Failed to add user:', error);
+      toast.error('Failed to add user: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changeRole = async (user, role) => {
+    try {
+      await api.put(`/api/users/${user.id}`, { role });
+      fetchUsers();
+    } catch (error) {
+      console.error('Failed to update user:', error);
+      toast.error('Failed to change role: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const deleteUser = async (user) => {
+    const confirmed = await confirm(`Remove ${user.username}? They will be logged out.`, {
+      title: 'Remove User',
+      confirmText: 'Remove'
+    });
+    if (!confirmed) return;
+
+    try {
+      await api.delete(`/api/users/${user.id}`);
+      fetchUsers();
+    } catch (error) {
+      console.error('Failed to delete user:', error);
+      toast.error('Failed to remove user: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <div className="flex items-center space-x-2">
+            <UserCog className="w-5 h-5 text-gray-700" />
+            <h3 className="text-lg font-semibold text-gray-900">Users</h3>
+          </div>
+          <p className="text-sm text-gray-500 mt-1">
+            Who can log in to this app and what they can do
+          </p>
+        </div>
+        {!form && (
+          <button
+            onClick={() => setForm(EMPTY_USER_FORM)}
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 flex items-center space-x-2"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add User</span>
+          </button>
+        )}
+      </div>
+      <div className="p-6 space-y-3">
+        {users.map(user => (
+          <div key={user.id} className="p-3 rounded-lg border border-gray-200 flex items-center justify-between">
+            <div className="min-w-0">
+              <div className="font-medium text-gray-900">
+                {user.username}
+                {user.username === currentUsername && (
+                  <span className="ml-2 text-xs font-normal text-gray-500">(you)</span>
+                )}
+              </div>
+              <div className="text-xs text-gray-500">
+                {user.last_login ? `Last login ${new Date(`${user.last_login}Z`).toLocaleString()}` : 'Never logged in'}
+              </div>
+            </div>
+            <div className="flex items-center space-x-1">
+              <select
+                value={user.role}
+                onChange={(e) => changeRole(user, e.target.value)}
+                className="px-2 py-1.5 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-primary focus:border-transparent"
+              >
+                {USER_ROLES.map(role => (
+                  <option key={role.value} value={role.value}>{role.label}</option>
+                ))}
+              </select>
+              {user.username !== currentUsername && (
+                <button
+                  onClick={() => deleteUser(user)}
+                  className="p-2 text-red-500 hover:text-red-700 hover:bg-red-50 rounded-lg"
+                  title="Remove user"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+
+        {form && (
+          <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="appUserName" className="block text-sm font-medium text-gray-700 mb-2">
+                  Username
+                </label>
+                <input
+                  id="appUserName"
+                  type="text"
+                  value={form.username}
+                  onChange={(e) => setForm({ ...form, username: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                  autoComplete="off"
+                />
+              </div>
+              <div>
+                <label htmlFor="appUserPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                  Password
+                </label>
+                <input
+                  id="appUserPassword"
+                  type="password"
+                  value={form.password}
+                  onChange={(e) => setForm({ ...form, password: e.target.value })}
+                  placeholder="At least 8 characters"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                  autoComplete="new-password"
+                />
+              </div>
+            </div>
+            <div className="space-y-2">
+              {USER_ROLES.map(role => (
+                <label key={role.value} className="flex items-start space-x-2 text-sm">
+                  <input
+                    type="radio"
+                    name="appUserRole"
+                    checked={form.role === role.value}
+                    onChange={() => setForm({ ...form, role: role.value })}
+                    className="mt-0.5"
+                  />
+                  <span>
+                    <span className="font-medium text-gray-900">{role.label}</span>
+                    <span className="text-gray-500"> - {role.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button
+                onClick={() => setForm(null)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={saveUser}
+                disabled={saving || form.username.trim().length < 3 || form.password.length < 8}
+                className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+              >
+                {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                <span>Add User</span>
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AppUsers;
@@ -0,0 +1,200 @@
+import React, { useState } from 'react';
+import api from '../api';
+import { CalendarOff, Plus, Save, Trash2, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useConfirm } from './ConfirmDialog';
+
+const EMPTY_BLACKOUT_FORM = { startDate: '', endDate: '', reason: '', trackedClassId: '' };
+
+export const formatBlackoutRange = (blackout) => (
+  blackout.start_date === blackout.end_date
+    ? blackout.start_date
+    : `${blackout.start_date} – ${blackout.end_date}`
+);
+
+function BlackoutDates({ blackouts, trackedClasses, getRuleTitle, onChange }) {
+  const { confirm } = useConfirm();
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const trackedById = new Map(trackedClasses.map(tracked => [tracked.id, tracked]));
+
+  const describeScope = (blackout) => {
+    if (blackout.tracked_class_id === null) {
+      return 'All tracked classes';
+    }
+    const tracked = trackedById.get(blackout.tracked_class_id);
+    return tracked ? getRuleTitle(tracked) : `Tracked class #${blackout.tracked_class_id}`;
+  };
+
+  const saveBlackout = async () => {
+    try {
+      setSaving(true);
+      await api.post('/api/blackouts', {
+        startDate: form.startDate,
+        endDate: form.endDate || form.startDate,
+        reason: form.reason,
+        trackedClassId: form.trackedClassId ? Number(form.trackedClassId) : null
+      });
+      toast.success('Blackout dates saved');
+      setForm(null);
+      onChange();
+    } catch (error) {
+      console.error('Failed to save blackout dates:', error);
+      toast.error('Failed to save blackout dates: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteBlackout = async (blackout) => {
+    const confirmed = await confirm(`Remove the blackout for ${formatBlackoutRange(blackout)}? Auto-signup resumes for those days.`, {
+      title: 'Remove Blackout',
+      confirmText: 'Remove'
+    });
+    if (!confirmed) return;
+
+    try {
+      await api.delete(`/api/blackouts/${blackout.id}`);
+      onChange();
+    } catch (error) {
+      console.error('Failed to delete blackout dates:', error);
+      toast.error('Failed to delete blackout dates: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Blackout Dates</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Pause auto-signup for a trip, for every tracked class or just one
+          </p>
+        </div>
+        {!form && (
+          <button
+            onClick={() => setForm(EMPTY_BLACKOUT_FORM)}
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 flex items-center space-x-2"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add Dates</span>
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        {blackouts.length === 0 && !form && (
+          <p className="text-sm text-gray-500">No upcoming blackout dates.</p>
+        )}
+
+        {blackouts.map(blackout => (
+          <div key={blackout.id} className="flex items-start justify-between p-3 rounded-lg border border-gray-200">
+            <div className="flex items-start space-x-2">
+              <CalendarOff className="w-4 h-4 text-gray-500 mt-0.5" />
+              <div>
+                <div className="font-medium text-gray-900">
+                  {formatBlackoutRange(blackout)}
+                  {blackout.reason && <span className="text-gray-500 font-normal"> · {blackout.reason}</span>}
+                </div>
+                <div className="text-sm text-gray-600">{describeScope(blackout)}</div>
+              </div>
+            </div>
+            <button
+              onClick={() => deleteBlackout(blackout)}
+              className="p-2 text-red-500 hover:text-red-700 hover:bg-red-50 rounded-lg"
+              title="Remove blackout"
+            >
+              <Trash2 className="w-4 h-4" />
+            </button>
+          </div>
+        ))}
+
+        {form && (
+          <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="blackoutStart" className="block text-sm font-medium text-gray-700 mb-2">
+                  From
+                </label>
+                <input
+                  id="blackoutStart"
+                  type="date"
+                  value={form.startDate}
+                  onChange={(e) => setForm({ ...form, startDate: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                />
+              </div>
+              <div>
+                <label htmlFor="blackoutEnd" className="block text-sm font-medium text-gray-700 mb-2">
+                  Through
+                </label>
+                <input
+                  id="blackoutEnd"
+                  type="date"
+                  value={form.endDate}
+                  min={form.startDate || undefined}
+                  onChange={(e) => setForm({ ...form, endDate: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                />
+              </div>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="blackoutScope" className="block text-sm font-medium text-gray-700 mb-2">
+                  Applies to
+                </label>
+                <select
+                  id="blackoutScope"
+                  value={form.trackedClassId}
+                  onChange={(e) => setForm({ ...form, trackedClassId: e.target.value })}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                >
+                  <option value="">All tracked classes</option>
+                  {trackedClasses.map(tracked => (
+                    <option key={tracked.id} value={tracked.id}>
+                      {getRuleTitle(tracked)} · {(tracked.days_of_week || []).map(day => day.slice(0, 3)).join('/')}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label htmlFor="blackoutReason" className="block text-sm font-medium text-gray-700 mb-2">
+                  Reason (optional)
+                </label>
+                <input
+                  id="blackoutReason"
+                  type="text"
+                  value={form.reason}
+                  onChange={(e) => setForm({ ...form, reason: e.target.value })}
+                  placeholder="Beach trip"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                />
+              </div>
+            </div>
+
+            <div className="flex justify-end space-x-2">
+              <button
+                onClick={() => setForm(null)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={saveBlackout}
+                disabled={saving || !form.startDate}
+                className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+              >
+                {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                <span>Save Dates</span>
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BlackoutDates;
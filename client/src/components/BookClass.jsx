@@ -3,7 +3,7 @@ import api from '../api';
 import * as classActions from '../services/classActions';
 import { Calendar, Clock, MapPin, User, Users, CheckCircle, XCircle, RefreshCw, AlertCircle, ArrowLeft, Info } from 'lucide-react';
 
-function BookClass({ occurrenceId, onDone }) {
+function BookClass({ occurrenceId, clientId = null, onDone }) {
   const [classData, setClassData] = useState(null);
   const [loading, setLoading] = useState(true);
   const [booking, setBooking] = useState(false);
@@ -35,7 +35,7 @@ function BookClass({ occurrenceId, onDone }) {
   const handleSignup = async () => {
     setBooking(true);
     try {
-      await classActions.signupForClass(occurrenceId, classData.lock_version);
+      await classActions.signupForClass(occurrenceId, classData.lock_version, clientId);
       setResult('signup-success');
     } catch (error) {
       console.error('Signup failed:', error);
@@ -49,7 +49,7 @@ function BookClass({ occurrenceId, onDone }) {
   const handleJoinWaitlist = async () => {
     setBooking(true);
     try {
-      await classActions.joinWaitlist(occurrenceId);
+      await classActions.joinWaitlist(occurrenceId, clientId);
       setResult('waitlist-success');
     } catch (error) {
       console.error('Join waitlist failed:', error);
@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import { CalendarClock, Plus, Save, Trash2, RefreshCw, AlertCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useConfirm } from './ConfirmDialog';
+
+const EMPTY_CALENDAR_FORM = { name: '', source: '' };
+
+function BusyCalendars() {
+  const { confirm } = useConfirm();
+  const [calendars, setCalendars] = useState([]);
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [refreshingId, setRefreshingId] = useState(null);
+
+  useEffect(() => {
+    fetchCalendars();
+  }, []);
+
+  const fetchCalendars = async () => {
+    try {
+      const response = await api.get('/api/busy-calendars');
+      setCalendars(response.data);
+    } catch (error) {
+      console.error('Failed to fetch busy calendars:', error);
+    }
+  };
+
+  const saveCalendar = async () => {
+    try {
+      setSaving(true);
+      const response = await api.post('/api/busy-calendars', form);
+      toast.success(`Added "${form.name}" (${response.data.eventCount} events)`);
+      setForm(null);
+      fetchCalendars();
+    } catch (error) {
+      console.error('Failed to add busy calendar:', error);
+      toast.error('Failed to add calendar: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const refreshCalendar = async (calendar) => {
+    try {
+      setRefreshingId(calendar.id);
+      const response = await api.post(`/api/busy-calendars/${calendar.id}/refresh`);
+      toast.success(`Reloaded "${calendar.name}" (${response.data.eventCount} events)`);
+    } catch (error) {
+      console.error('Failed to refresh busy calendar:', error);
+      toast.error('Failed to reload calendar: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setRefreshingId(null);
+      fetchCalendars();
+    }
+  };
+
+  const toggleCalendar = async (calendar) => {
+    try {
+      await api.put(`/api/busy-calendars/${calendar.id}`, { enabled: !calendar.enabled });
+      fetchCalendars();
+    } catch (error) {
+      console.error('Failed to update busy calendar:', error);
+      toast.error('Failed to update calendar: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const deleteCalendar = async (calendar) => {
+    const confirmed = await confirm(`Stop avoiding busy time on "${calendar.name}"?`, {
+      title: 'Remove Calendar',
+      confirmText: 'Remove'
+    });
+    if (!confirmed) return;
+
+    try {
+      await api.delete(`/api/busy-calendars/${calendar.id}`);
+      fetchCalendars();
+    } catch (error) {
+      console.error('Failed to delete busy calendar:', error);
+      toast.error('Failed to remove calendar: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900">Busy Calendars</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Skip auto-signup for this YMCA account's classes that overlap events on its member's calendars (an ICS link or file)
+          </p>
+        </div>
+        {!form && (
+          <button
+            onClick={() => setForm(EMPTY_CALENDAR_FORM)}
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 flex items-center space-x-2"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add Calendar</span>
+          </button>
+        )}
+      </div>
+      <div className="p-6 space-y-3">
+        {calendars.length === 0 && !form && (
+          <p className="text-sm text-gray-500">No calendars added.</p>
+        )}
+
+        {calendars.map(calendar => (
+          <div key={calendar.id} className="p-3 rounded-lg border border-gray-200">
+            <div className="flex items-start justify-between">
+              <div className="flex items-start space-x-2 min-w-0">
+                <CalendarClock className="w-4 h-4 text-gray-500 mt-0.5 flex-shrink-0" />
+                <div className="min-w-0">
+                  <div className="font-medium text-gray-900">{calendar.name}</div>
+                  <div className="text-xs text-gray-500 truncate">{calendar.source}</div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {calendar.last_synced_at
+                      ? `${calendar.event_count ?? 0} events · read ${new Date(`${calendar.last_synced_at}Z`).toLocaleString()}`
+                      : 'Not read yet'}
+                  </div>
+                  {calendar.last_error && (
+                    <div className="flex items-center text-xs text-red-600 mt-1">
+                      <AlertCircle className="w-3 h-3 mr-1" />
+                      <span>{calendar.last_error}</span>
+                    </div>
+                  )}
+                </div>
+              </div>
+              <div className="flex items-center space-x-1">
+                <label className="flex items-center space-x-1 text-sm text-gray-600 mr-2">
+                  <input
+                    type="checkbox"
+                    checked={calendar.enabled === 1}
+                    onChange={() => toggleCalendar(calendar)}
+                  />
+                  <span>On</span>
+                </label>
+                <button
+                  onClick={() => refreshCalendar(calendar)}
+                  disabled={refreshingId === calendar.id}
+                  className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-50 rounded-lg disabled:opacity-50"
+                  title="Reload now"
+                >
+                  <RefreshCw className={`w-4 h-4 ${refreshingId === calendar.id ? 'animate-spin' : ''}`} />
+                </button>
+                <button
+                  onClick={() => deleteCalendar(calendar)}
+                  className="p-2 text-red-500 hover:text-red-700 hover:bg-red-50 rounded-lg"
+                  title="Remove calendar"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          </div>
+        ))}
+
+        {form && (
+          <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div>
+              <label htmlFor="busyCalendarName" className="block text-sm font-medium text-gray-700 mb-2">
+                Name
+              </label>
+              <input
+                id="busyCalendarName"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Work"
+                className="w-full md:w-64 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label htmlFor="busyCalendarSource" className="block text-sm font-medium text-gray-700 mb-2">
+                ICS URL or file path
+              </label>
+              <input
+                id="busyCalendarSource"
+                type="text"
+                value={form.source}
+                onChange={(e) => setForm({ ...form, source: e.target.value })}
+                placeholder="https://calendar.example.com/private/basic.ics"
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                A secret iCal address from your calendar app, or the name of an .ics file in the server's data/calendars folder
+              </p>
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button
+                onClick={() => setForm(null)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={saveCalendar}
+                disabled={saving || !form.name.trim() || !form.source.trim()}
+                className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+              >
+                {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                <span>Add Calendar</span>
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default BusyCalendars;
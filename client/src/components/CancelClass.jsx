@@ -3,7 +3,7 @@ import api from '../api';
 import * as classActions from '../services/classActions';
 import { Calendar, Clock, MapPin, User, CheckCircle, XCircle, RefreshCw, AlertCircle, ArrowLeft } from 'lucide-react';
 
-function CancelClass({ occurrenceId, onDone }) {
+function CancelClass({ occurrenceId, clientId = null, onDone }) {
   const [booking, setBooking] = useState(null);
   const [loading, setLoading] = useState(true);
   const [cancelling, setCancelling] = useState(false);
@@ -18,7 +18,7 @@ function CancelClass({ occurrenceId, onDone }) {
     setLoading(true);
     try {
       const response = await api.get('/api/my-bookings', {
-        params: { includeActiveOnly: false }
+        params: { includeActiveOnly: false, ...(clientId ? { clientId } : {}) }
       });
       const bookings = response.data?.data || [];
       const found = bookings.find(b => String(b.id) === String(occurrenceId));
@@ -41,9 +41,9 @@ function CancelClass({ occurrenceId, onDone }) {
     try {
       const isWaitlisted = booking.is_waited && !booking.is_joined;
       if (isWaitlisted) {
-        await classActions.leaveWaitlist(occurrenceId);
+        await classActions.leaveWaitlist(occurrenceId, clientId);
       } else {
-        await classActions.cancelBooking(occurrenceId);
+        await classActions.cancelBooking(occurrenceId, clientId);
       }
       setResult('success');
     } catch (error) {
@@ -1,11 +1,12 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import api from '../api';
-import { Calendar, Clock, MapPin, User, Plus, RefreshCw, Search, CheckCircle, UserX, ExternalLink, ListOrdered } from 'lucide-react';
+import { Calendar, Clock, MapPin, User, Plus, RefreshCw, Search, CheckCircle, UserX, ExternalLink, ListOrdered, Eye, EyeOff } from 'lucide-react';
 import Fuse from 'fuse.js';
 import TrackClassModal from './TrackClassModal';
 import toast from 'react-hot-toast';
 import { useConfirm } from './ConfirmDialog';
 import * as classActions from '../services/classActions';
+import PersonPicker, { useLinkedClients, getPersonName } from './PersonPicker';
 
 function ClassBrowser({ authenticated, onNavigateToTracked }) {
   const { confirm } = useConfirm();
@@ -15,9 +16,14 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
   const [searchQuery, setSearchQuery] = useState('');
   const [trackingClass, setTrackingClass] = useState(null);
   const [cancellingClass, setCancellingClass] = useState(null);
+  const [spotWatches, setSpotWatches] = useState({});
   const [isSearchMode, setIsSearchMode] = useState(false);
   const [hasMore, setHasMore] = useState(true);
   const [offset, setOffset] = useState(0);
+  // Linked family member the page books for; null is the account holder
+  const [bookingFor, setBookingFor] = useState(null);
+  const linkedClients = useLinkedClients();
+  const forPerson = bookingFor ? ` for ${getPersonName(linkedClients, bookingFor)}` : '';
   const [filters, setFilters] = useState({
     startDate: new Date().toISOString().split('T')[0],
     endDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0]
@@ -26,8 +32,9 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
   useEffect(() => {
     if (authenticated) {
       fetchClasses();
+      fetchSpotWatches();
     }
-  }, [authenticated]);
+  }, [authenticated, bookingFor]);
   
   useEffect(() => {
     const handleScroll = () => {
@@ -55,7 +62,7 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
     }
     
     try {
-      const params = { ...filters };
+      const params = { ...filters, ...(bookingFor ? { clientId: bookingFor } : {}) };
       
       // OPTIMIZATION: Load limited classes initially for fast page load
       // When searching, fetch full month for comprehensive search
@@ -96,7 +103,7 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
     
     setLoadingMore(true);
     try {
-      const params = { ...filters, limit: 50, offset };
+      const params = { ...filters, limit: 50, offset, ...(bookingFor ? { clientId: bookingFor } : {}) };
       console.log(`📄 Loading more classes (offset: ${offset})`);
       
       const response = await api.get('/api/classes', { params });
@@ -119,12 +126,50 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
     }
   };
 
+  // Active spot watches keyed by occurrence id
+  const fetchSpotWatches = async () => {
+    try {
+      const response = await api.get('/api/spot-watches', { params: { status: 'watching' } });
+      setSpotWatches(Object.fromEntries((response.data || []).map(watch => [watch.occurrence_id, watch])));
+    } catch (error) {
+      console.error('Failed to fetch spot watches:', error);
+    }
+  };
+
+  // Full class with no room left on the waitlist either. Spot watches book the
+  // account holder only.
+  const canWatchForSpot = (classItem) =>
+    !bookingFor && classItem.fullGroup && !classItem.isJoined && !classItem.isWaited &&
+    !classItem.canSignup && !classItem.canJoinWaitlist;
+
+  const watchForSpot = async (classItem) => {
+    try {
+      await api.post('/api/spot-watches', { occurrenceId: classItem.id });
+      toast.success(`Watching ${classItem.serviceName}; you'll be signed up when a spot opens`);
+      fetchSpotWatches();
+    } catch (error) {
+      console.error('Failed to watch class:', error);
+      toast.error('Failed to watch class: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const stopWatching = async (watch) => {
+    try {
+      await api.delete(`/api/spot-watches/${watch.id}`);
+      toast.success(`Stopped watching ${watch.service_name}`);
+      fetchSpotWatches();
+    } catch (error) {
+      console.error('Failed to stop watching:', error);
+      toast.error('Failed to stop watching: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
   const handleTrackSuccess = () => {
     fetchClasses();
   };
 
   const signupNow = async (classId) => {
-    const confirmed = await confirm('Sign up for this class now?', {
+    const confirmed = await confirm(`Sign up${forPerson} for this class now?`, {
       title: 'Confirm Signup',
       confirmText: 'Sign Up'
     });
@@ -132,7 +177,7 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
 
     try {
       const classData = classes.find(c => c.id === classId);
-      await classActions.signupForClass(classId, classData?.lock_version);
+      await classActions.signupForClass(classId, classData?.lock_version, bookingFor);
       toast.success('Successfully signed up for class!');
       fetchClasses();
     } catch (error) {
@@ -142,14 +187,14 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
   };
 
   const signupWaitlist = async (classId) => {
-    const confirmed = await confirm('Join the waitlist for this class?', {
+    const confirmed = await confirm(`Join the waitlist${forPerson} for this class?`, {
       title: 'Join Waitlist',
       confirmText: 'Join Waitlist'
     });
     if (!confirmed) return;
 
     try {
-      await classActions.joinWaitlist(classId);
+      await classActions.joinWaitlist(classId, bookingFor);
       toast.success('Successfully joined the waitlist!');
       fetchClasses();
     } catch (error) {
@@ -159,7 +204,7 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
   };
 
   const cancelClass = async (classId, serviceName) => {
-    const confirmed = await confirm(`Cancel your enrollment in ${serviceName}?`, {
+    const confirmed = await confirm(`Cancel ${bookingFor ? `${getPersonName(linkedClients, bookingFor)}'s` : 'your'} enrollment in ${serviceName}?`, {
       title: 'Cancel Enrollment',
       confirmText: 'Cancel Enrollment'
     });
@@ -167,7 +212,7 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
 
     setCancellingClass(classId);
     try {
-      await classActions.cancelBooking(classId);
+      await classActions.cancelBooking(classId, bookingFor);
       toast.success('Successfully cancelled class!');
       fetchClasses();
     } catch (error) {
@@ -179,7 +224,7 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
   };
 
   const leaveWaitlist = async (classId, serviceName) => {
-    const confirmed = await confirm(`Leave the waitlist for ${serviceName}?`, {
+    const confirmed = await confirm(`Leave the waitlist for ${serviceName}${forPerson}?`, {
       title: 'Leave Waitlist',
       confirmText: 'Leave Waitlist'
     });
@@ -187,7 +232,7 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
 
     setCancellingClass(classId);
     try {
-      await classActions.leaveWaitlist(classId);
+      await classActions.leaveWaitlist(classId, bookingFor);
       toast.success('Successfully left the waitlist!');
       fetchClasses();
     } catch (error) {
@@ -340,14 +385,17 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
       <div className="bg-white rounded-lg shadow p-6">
         <div className="flex items-center justify-between mb-4">
           <h2 className="text-lg font-semibold text-gray-900">Available Classes</h2>
-          <button
-            onClick={fetchClasses}
-            disabled={loading}
-            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center space-x-2"
-          >
-            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
-            <span>Refresh</span>
-          </button>
+          <div className="flex items-center space-x-4">
+            <PersonPicker clients={linkedClients} value={bookingFor} onChange={setBookingFor} />
+            <button
+              onClick={fetchClasses}
+              disabled={loading}
+              className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center space-x-2"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              <span>Refresh</span>
+            </button>
+          </div>
         </div>
 
         <div className="mb-4">
@@ -577,6 +625,23 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
                   >
                     <span>Sign Up for Waitlist</span>
                   </button>
+                ) : !bookingFor && spotWatches[String(classItem.id)] ? (
+                  <button
+                    onClick={() => stopWatching(spotWatches[String(classItem.id)])}
+                    className="flex-1 px-4 py-2 bg-blue-100 text-blue-700 rounded-lg hover:bg-blue-200 flex items-center justify-center space-x-2"
+                    title="Signs up or joins the waitlist as soon as a slot frees up"
+                  >
+                    <EyeOff className="w-4 h-4" />
+                    <span>Watching · Stop</span>
+                  </button>
+                ) : canWatchForSpot(classItem) ? (
+                  <button
+                    onClick={() => watchForSpot(classItem)}
+                    className="flex-1 px-4 py-2 bg-gray-700 text-white rounded-lg hover:bg-gray-800 flex items-center justify-center space-x-2"
+                  >
+                    <Eye className="w-4 h-4" />
+                    <span>Watch for a Spot</span>
+                  </button>
                 ) : null}
               </div>
             </div>
@@ -612,6 +677,13 @@ function ClassBrowser({ authenticated, onNavigateToTracked }) {
       {trackingClass && (
         <TrackClassModal
           classItem={trackingClass}
+          relatedClasses={classes.filter(cls => String(cls.serviceId) === String(trackingClass.serviceId))}
+          locationOptions={[...new Map(
+            classes
+              .filter(cls => cls.locationName)
+              .map(cls => [cls.locationName, { id: cls.locationId ? String(cls.locationId) : null, name: cls.locationName }])
+          ).values()]}
+          defaultClientId={bookingFor}
           onClose={() => setTrackingClass(null)}
           onSuccess={handleTrackSuccess}
         />
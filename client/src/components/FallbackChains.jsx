@@ -0,0 +1,233 @@
+import React, { useState } from 'react';
+import api from '../api';
+import { Link2, Plus, Save, Trash2, RefreshCw, ArrowRight } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useConfirm } from './ConfirmDialog';
+
+const EMPTY_CHAIN_FORM = { name: '', trackedClassIds: [], leaveWaitlist: false, upgradeWaitlist: true };
+
+function FallbackChains({ chains, trackedClasses, getRuleTitle, onChange }) {
+  const { confirm } = useConfirm();
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const trackedById = new Map(trackedClasses.map(tracked => [tracked.id, tracked]));
+  const chainedIds = new Set(chains.flatMap(chain => chain.tracked_class_ids));
+
+  const describeClass = (id) => {
+    const tracked = trackedById.get(id);
+    if (!tracked) {
+      return `#${id}`;
+    }
+    const time = tracked.start_time || tracked.time_range_start;
+    return `${getRuleTitle(tracked)} · ${(tracked.days_of_week || []).map(day => day.slice(0, 3)).join('/')}${time ? ` ${time}` : ''} · ${tracked.location_group_name || tracked.location_name}`;
+  };
+
+  const toggleClass = (id) => {
+    setForm(prev => ({
+      ...prev,
+      trackedClassIds: prev.trackedClassIds.includes(id)
+        ? prev.trackedClassIds.filter(existing => existing !== id)
+        : [...prev.trackedClassIds, id]
+    }));
+  };
+
+  const saveChain = async () => {
+    try {
+      setSaving(true);
+      await api.post('/api/fallback-chains', form);
+      toast.success(`Fallback chain "${form.name}" saved`);
+      setForm(null);
+      onChange();
+    } catch (error) {
+      console.error('Failed to save fallback chain:', error);
+      toast.error('Failed to save fallback chain: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteChain = async (chain) => {
+    const confirmed = await confirm(`Delete the fallback chain "${chain.name}"? Its classes stay tracked.`, {
+      title: 'Delete Fallback Chain',
+      confirmText: 'Delete'
+    });
+    if (!confirmed) return;
+
+    try {
+      await api.delete(`/api/fallback-chains/${chain.id}`);
+      onChange();
+    } catch (error) {
+      console.error('Failed to delete fallback chain:', error);
+      toast.error('Failed to delete fallback chain: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const updateChain = async (chain, updates) => {
+    try {
+      await api.put(`/api/fallback-chains/${chain.id}`, updates);
+      onChange();
+    } catch (error) {
+      console.error('Failed to update fallback chain:', error);
+      toast.error('Failed to update fallback chain: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const availableClasses = trackedClasses.filter(tracked => !chainedIds.has(tracked.id));
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Fallback Chains</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            If a class is full with a full waitlist, book the next class in its chain for the same day instead
+          </p>
+        </div>
+        {!form && (
+          <button
+            onClick={() => setForm(EMPTY_CHAIN_FORM)}
+            disabled={availableClasses.length < 2}
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+          >
+            <Plus className="w-4 h-4" />
+            <span>New Chain</span>
+          </button>
+        )}
+      </div>
+
+      <div className="space-y-3">
+        {chains.length === 0 && !form && (
+          <p className="text-sm text-gray-500">No fallback chains yet.</p>
+        )}
+
+        {chains.map(chain => (
+          <div key={chain.id} className="p-3 rounded-lg border border-gray-200">
+            <div className="flex items-start justify-between">
+              <div className="flex items-center space-x-2">
+                <Link2 className="w-4 h-4 text-gray-500" />
+                <span className="font-medium text-gray-900">{chain.name}</span>
+              </div>
+              <button
+                onClick={() => deleteChain(chain)}
+                className="p-2 text-red-500 hover:text-red-700 hover:bg-red-50 rounded-lg"
+                title="Delete chain"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="flex flex-wrap items-center gap-1 text-sm text-gray-700 mt-1">
+              {chain.tracked_class_ids.map((id, index) => (
+                <React.Fragment key={id}>
+                  {index > 0 && <ArrowRight className="w-3 h-3 text-gray-400" />}
+                  <span className="px-2 py-0.5 bg-gray-100 rounded">{describeClass(id)}</span>
+                </React.Fragment>
+              ))}
+            </div>
+            <label className="flex items-center space-x-2 mt-2 text-sm text-gray-600">
+              <input
+                type="checkbox"
+                checked={chain.leave_waitlist === 1}
+                onChange={() => updateChain(chain, { leaveWaitlist: !chain.leave_waitlist })}
+              />
+              <span>Leave the waitlist of an earlier class once a fallback is booked</span>
+            </label>
+            {!chain.leave_waitlist && (
+              <label className="flex items-center space-x-2 mt-1 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={chain.upgrade_waitlist === 1}
+                  onChange={() => updateChain(chain, { upgradeWaitlist: !chain.upgrade_waitlist })}
+                />
+                <span>Cancel the fallback if the earlier class's waitlist clears</span>
+              </label>
+            )}
+          </div>
+        ))}
+
+        {form && (
+          <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div>
+              <label htmlFor="chainName" className="block text-sm font-medium text-gray-700 mb-2">
+                Chain Name
+              </label>
+              <input
+                id="chainName"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Weeknight cardio"
+                className="w-full md:w-64 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+            </div>
+
+            <div>
+              <div className="block text-sm font-medium text-gray-700 mb-2">Classes, in priority order</div>
+              <div className="space-y-2">
+                {availableClasses.map(tracked => {
+                  const position = form.trackedClassIds.indexOf(tracked.id);
+                  return (
+                    <button
+                      key={tracked.id}
+                      type="button"
+                      onClick={() => toggleClass(tracked.id)}
+                      className={`w-full text-left px-3 py-2 rounded-lg text-sm border ${
+                        position !== -1
+                          ? 'bg-blue-50 text-blue-800 border-blue-300'
+                          : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                      }`}
+                    >
+                      {position !== -1 && <span className="font-semibold mr-2">{position + 1}.</span>}
+                      {describeClass(tracked.id)}
+                    </button>
+                  );
+                })}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                Click classes in the order to try them; a class can only be in one chain
+              </p>
+            </div>
+
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={form.leaveWaitlist}
+                onChange={(e) => setForm({ ...form, leaveWaitlist: e.target.checked })}
+              />
+              <span>Leave the waitlist of an earlier class once a fallback is booked</span>
+            </label>
+            {!form.leaveWaitlist && (
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.upgradeWaitlist}
+                  onChange={(e) => setForm({ ...form, upgradeWaitlist: e.target.checked })}
+                />
+                <span>Cancel the fallback if the earlier class's waitlist clears</span>
+              </label>
+            )}
+
+            <div className="flex justify-end space-x-2">
+              <button
+                onClick={() => setForm(null)}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={saveChain}
+                disabled={saving || !form.name.trim() || form.trackedClassIds.length < 2}
+                className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+              >
+                {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                <span>Save Chain</span>
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default FallbackChains;
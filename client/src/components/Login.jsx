@@ -1,11 +1,14 @@
 import React, { useState } from 'react';
-import { Lock, User, AlertCircle, Calendar } from 'lucide-react';
+import { Lock, User, AlertCircle, Calendar, ShieldCheck } from 'lucide-react';
 
 function Login({ onLoginSuccess }) {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set once the password is accepted for a user with two-factor on
+  const [needsCode, setNeedsCode] = useState(false);
+  const [code, setCode] = useState('');
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -26,6 +29,11 @@ function Login({ onLoginSuccess }) {
         throw new Error(data.error || 'Login failed');
       }
 
+      if (data.twoFactorRequired) {
+        setNeedsCode(true);
+        return;
+      }
+
       onLoginSuccess(data.user);
     } catch (err) {
       setError(err.message);
@@ -34,6 +42,49 @@ function Login({ onLoginSuccess }) {
     }
   };
 
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const response = await fetch('/api/auth/user-login/verify', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        credentials: 'include',
+        body: JSON.stringify({ code })
+      });
+
+      const data = await response.json();
+
+      if (!response.ok) {
+        if (data.restart) {
+          startOver();
+        }
+        throw new Error(data.error || 'Verification failed');
+      }
+
+      onLoginSuccess(data.user);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const startOver = () => {
+    setNeedsCode(false);
+    setCode('');
+    setPassword('');
+  };
+
+  const errorBanner = error && (
+    <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start space-x-3">
+      <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
+      <p className="text-sm text-red-700">{error}</p>
+    </div>
+  );
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-blue-50 to-blue-100 flex items-center justify-center p-4">
       <div className="max-w-md w-full">
@@ -46,13 +97,53 @@ function Login({ onLoginSuccess }) {
             <p className="text-gray-600">Sign in to manage your class registrations</p>
           </div>
 
-          <form onSubmit={handleSubmit} className="space-y-6">
-            {error && (
-              <div className="bg-red-50 border border-red-200 rounded-lg p-4 flex items-start space-x-3">
-                <AlertCircle className="w-5 h-5 text-red-500 flex-shrink-0 mt-0.5" />
-                <p className="text-sm text-red-700">{error}</p>
+          {needsCode ? (
+          <form onSubmit={handleVerify} className="space-y-6">
+            {errorBanner}
+
+            <div>
+              <label htmlFor="twoFactorCode" className="block text-sm font-medium text-gray-700 mb-2">
+                Authentication Code
+              </label>
+              <div className="relative">
+                <ShieldCheck className="absolute left-3 top-1/2 transform -translate-y-1/2 w-5 h-5 text-gray-400" />
+                <input
+                  id="twoFactorCode"
+                  type="text"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  className="w-full pl-10 pr-4 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-primary tracking-widest"
+                  placeholder="123456"
+                  required
+                  autoFocus
+                  autoComplete="one-time-code"
+                  autoCapitalize="none"
+                  autoCorrect="off"
+                />
               </div>
-            )}
+              <p className="text-xs text-gray-500 mt-2">
+                Enter the 6-digit code from your authenticator app. Lost your device? Enter one of your recovery codes instead.
+              </p>
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading || !code.trim()}
+              className="w-full bg-primary text-white py-3 rounded-lg font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+            <button
+              type="button"
+              onClick={startOver}
+              className="w-full text-sm text-gray-600 hover:text-gray-900"
+            >
+              Back to sign in
+            </button>
+          </form>
+          ) : (
+          <form onSubmit={handleSubmit} className="space-y-6">
+            {errorBanner}
 
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -103,6 +194,7 @@ function Login({ onLoginSuccess }) {
               {loading ? 'Signing in...' : 'Sign In'}
             </button>
           </form>
+          )}
         </div>
       </div>
     </div>
@@ -0,0 +1,52 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import { Users } from 'lucide-react';
+
+// Everyone on the YMCA account: the account holder first, then linked family
+// members. Only worth showing a picker when there is more than one.
+export const useLinkedClients = () => {
+  const [clients, setClients] = useState([]);
+
+  useEffect(() => {
+    api.get('/api/linked-clients')
+      .then(response => setClients(response.data))
+      .catch(error => console.error('Failed to fetch linked clients:', error));
+  }, []);
+
+  return clients;
+};
+
+// Display name for a booking target; '' or null is the account holder
+export const getPersonName = (clients, clientId) => {
+  if (!clientId) {
+    const self = clients.find(client => client.is_self);
+    return self ? `${self.name} (me)` : 'Me';
+  }
+  return clients.find(client => client.client_id === String(clientId))?.name || 'Family member';
+};
+
+function PersonPicker({ clients, value, onChange, label = 'Book for' }) {
+  if (clients.length < 2) {
+    return null;
+  }
+
+  return (
+    <label className="flex items-center space-x-2 text-sm text-gray-700">
+      <Users className="w-4 h-4 text-gray-500" />
+      <span className="font-medium">{label}</span>
+      <select
+        value={value || ''}
+        onChange={(e) => onChange(e.target.value || null)}
+        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+      >
+        {clients.map(client => (
+          <option key={client.client_id} value={client.is_self ? '' : client.client_id}>
+            {client.is_self ? `${client.name} (me)` : client.name}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+export default PersonPicker;
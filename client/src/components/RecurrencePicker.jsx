@@ -0,0 +1,99 @@
+import React from 'react';
+
+const WEEKS_OF_MONTH = [
+  { value: 1, label: '1st' },
+  { value: 2, label: '2nd' },
+  { value: 3, label: '3rd' },
+  { value: 4, label: '4th' },
+  { value: 5, label: '5th' },
+  { value: -1, label: 'Last' }
+];
+
+export const describeRecurrence = (recurrence) => {
+  if (!recurrence) {
+    return 'Every week';
+  }
+  if (recurrence.frequency === 'weekly') {
+    return recurrence.interval === 2 ? 'Every other week' : `Every ${recurrence.interval} weeks`;
+  }
+  const labels = WEEKS_OF_MONTH
+    .filter(week => recurrence.weeksOfMonth.includes(week.value))
+    .map(week => week.label.toLowerCase());
+  return `${labels.join(', ')} of the month`.replace(/^./, letter => letter.toUpperCase());
+};
+
+// Week of the month (1-5) a YYYY-MM-DD day falls in
+export const getWeekOfMonth = (dayKey) => Math.ceil(Number(dayKey.slice(8, 10)) / 7);
+
+function RecurrencePicker({ value, anchorDate, onChange }) {
+  const mode = !value ? 'weekly-1' : value.frequency === 'weekly' ? `weekly-${value.interval}` : 'monthly';
+
+  const setMode = (nextMode) => {
+    if (nextMode === 'weekly-1') {
+      onChange(null);
+    } else if (nextMode === 'monthly') {
+      onChange({ frequency: 'monthly', weeksOfMonth: [getWeekOfMonth(anchorDate)] });
+    } else {
+      onChange({
+        frequency: 'weekly',
+        interval: Number(nextMode.split('-')[1]),
+        anchorDate: value?.frequency === 'weekly' ? value.anchorDate : anchorDate
+      });
+    }
+  };
+
+  const toggleWeek = (week) => {
+    const weeksOfMonth = value.weeksOfMonth.includes(week)
+      ? value.weeksOfMonth.filter(w => w !== week)
+      : [...value.weeksOfMonth, week];
+    onChange({ ...value, weeksOfMonth });
+  };
+
+  return (
+    <div className="space-y-2">
+      <select
+        value={mode}
+        onChange={(e) => setMode(e.target.value)}
+        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+      >
+        <option value="weekly-1">Every week</option>
+        <option value="weekly-2">Every other week</option>
+        <option value="weekly-3">Every 3 weeks</option>
+        <option value="weekly-4">Every 4 weeks</option>
+        <option value="monthly">Certain weeks of the month</option>
+      </select>
+
+      {value?.frequency === 'weekly' && (
+        <p className="text-xs text-gray-500">
+          Counting from the week of {value.anchorDate}
+        </p>
+      )}
+
+      {value?.frequency === 'monthly' && (
+        <div>
+          <div className="flex flex-wrap gap-2">
+            {WEEKS_OF_MONTH.map(week => (
+              <button
+                key={week.value}
+                type="button"
+                onClick={() => toggleWeek(week.value)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium border ${
+                  value.weeksOfMonth.includes(week.value)
+                    ? 'bg-primary text-white border-primary'
+                    : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {week.label}
+              </button>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            e.g. 1st for the first Saturday of each month when Saturday is selected
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default RecurrencePicker;
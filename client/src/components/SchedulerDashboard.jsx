@@ -0,0 +1,381 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import { Activity, AlertCircle, CheckCircle, ChevronDown, ChevronRight, Clock, FlaskConical, Play, RefreshCw, Timer, X, XCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const DECISION_STYLES = {
+  waiting: 'bg-blue-50 text-blue-700 border-blue-200',
+  attempted: 'bg-green-50 text-green-700 border-green-200',
+  would_attempt: 'bg-purple-50 text-purple-700 border-purple-200',
+  already_joined: 'bg-gray-50 text-gray-700 border-gray-200',
+  already_waitlisted: 'bg-yellow-50 text-yellow-700 border-yellow-200',
+  already_booked: 'bg-gray-50 text-gray-700 border-gray-200',
+  day_booked: 'bg-gray-50 text-gray-700 border-gray-200',
+  preferred_pending: 'bg-blue-50 text-blue-700 border-blue-200',
+  fallback_idle: 'bg-gray-50 text-gray-500 border-gray-200',
+  chain_pending: 'bg-blue-50 text-blue-700 border-blue-200',
+  chain_booked: 'bg-gray-50 text-gray-700 border-gray-200',
+  left_waitlist: 'bg-yellow-50 text-yellow-700 border-yellow-200',
+  conflict: 'bg-orange-50 text-orange-700 border-orange-200',
+  conflict_replaced: 'bg-yellow-50 text-yellow-700 border-yellow-200',
+  quota: 'bg-orange-50 text-orange-700 border-orange-200',
+  blackout: 'bg-amber-50 text-amber-700 border-amber-200',
+  busy: 'bg-amber-50 text-amber-700 border-amber-200',
+  limit_reached: 'bg-gray-50 text-gray-600 border-gray-200',
+  user_cancelled: 'bg-gray-50 text-gray-700 border-gray-200',
+  class_started: 'bg-gray-50 text-gray-500 border-gray-200',
+  full: 'bg-red-50 text-red-700 border-red-200',
+  no_match: 'bg-orange-50 text-orange-700 border-orange-200'
+};
+
+const DECISION_LABELS = {
+  waiting: 'Waiting',
+  attempted: 'Attempted',
+  would_attempt: 'Would book',
+  already_joined: 'Already joined',
+  already_waitlisted: 'On waitlist',
+  already_booked: 'Already booked',
+  day_booked: 'Day booked',
+  preferred_pending: 'Holding for preferred',
+  fallback_idle: 'Fallback not needed',
+  chain_pending: 'Holding for first choice',
+  chain_booked: 'Chain booked',
+  left_waitlist: 'Left waitlist',
+  conflict: 'Conflict',
+  conflict_replaced: 'Replaced by priority',
+  quota: 'Over limit',
+  blackout: 'Blacked out',
+  busy: 'Busy',
+  limit_reached: 'Count reached',
+  user_cancelled: 'Cancelled by you',
+  class_started: 'Started',
+  full: 'Full',
+  no_match: 'No match'
+};
+
+const FETCH_MODE_LABELS = {
+  fetched: 'Fetched from YMCA',
+  cached: 'Used cached classes',
+  skipped: 'No fetch needed'
+};
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return '—';
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  });
+};
+
+function RunDecisions({ decisions }) {
+  if (decisions.length === 0) {
+    return <p className="text-sm text-gray-500">No tracked classes needed a decision in this run.</p>;
+  }
+
+  return decisions.map((decision, index) => (
+    <div key={index} className="flex items-start space-x-3 text-sm">
+      <span className={`px-2 py-0.5 text-xs font-medium rounded border whitespace-nowrap ${DECISION_STYLES[decision.decision] || DECISION_STYLES.class_started}`}>
+        {DECISION_LABELS[decision.decision] || decision.decision}
+      </span>
+      <div>
+        <p className="text-gray-900">
+          {decision.serviceName}
+          {decision.classTime && (
+            <span className="text-gray-500"> • {formatDateTime(decision.classTime)}</span>
+          )}
+        </p>
+        <p className="text-gray-500">
+          {decision.detail}
+          {decision.signupTime && decision.decision === 'waiting' && ` (opens ${formatDateTime(decision.signupTime)})`}
+        </p>
+      </div>
+    </div>
+  ));
+}
+
+function SchedulerDashboard() {
+  const [status, setStatus] = useState(null);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [expandedRunId, setExpandedRunId] = useState(null);
+  const [trackedClasses, setTrackedClasses] = useState([]);
+  const [dryRunTarget, setDryRunTarget] = useState('');
+  const [runInProgress, setRunInProgress] = useState(null);
+  const [dryRunResult, setDryRunResult] = useState(null);
+
+  useEffect(() => {
+    fetchData();
+    fetchTrackedClasses();
+    const interval = setInterval(fetchData, 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const fetchTrackedClasses = async () => {
+    try {
+      const response = await api.get('/api/tracked-classes');
+      setTrackedClasses(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch tracked classes:', error);
+    }
+  };
+
+  const fetchData = async () => {
+    setLoading(true);
+    try {
+      const [statusResponse, runsResponse] = await Promise.all([
+        api.get('/api/scheduler/status'),
+        api.get('/api/scheduler/runs', { params: { limit: 50 } })
+      ]);
+      setStatus(statusResponse.data);
+      setRuns(runsResponse.data || []);
+    } catch (error) {
+      console.error('Failed to fetch scheduler status:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const runNow = async () => {
+    setRunInProgress('run');
+    try {
+      const response = await api.post('/api/scheduler/run', { dryRun: false });
+      const run = response.data.run;
+      if (!run) {
+        toast.error('Scheduler run was skipped');
+      } else if (run.status === 'error') {
+        toast.error('Scheduler run failed: ' + run.errorMessage);
+      } else {
+        toast.success(`Scheduler run complete: ${run.classesEvaluated} class(es) evaluated`);
+      }
+      await fetchData();
+    } catch (error) {
+      console.error('Failed to run scheduler:', error);
+      toast.error('Failed to run scheduler: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setRunInProgress(null);
+    }
+  };
+
+  const dryRun = async () => {
+    setRunInProgress('dryRun');
+    setDryRunResult(null);
+    try {
+      const response = await api.post('/api/scheduler/run', {
+        dryRun: true,
+        trackedClassId: dryRunTarget ? parseInt(dryRunTarget, 10) : null
+      });
+      setDryRunResult(response.data.run);
+    } catch (error) {
+      console.error('Failed to dry run scheduler:', error);
+      toast.error('Dry run failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setRunInProgress(null);
+    }
+  };
+
+  const formatDuration = (run) => {
+    if (!run.startedAt || !run.finishedAt) return '';
+    const ms = new Date(run.finishedAt) - new Date(run.startedAt);
+    return ms < 1000 ? `${ms}ms` : `${(ms / 1000).toFixed(1)}s`;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow p-6">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-lg font-semibold text-gray-900">Scheduler</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              What the auto-signup scheduler did recently and what it will do next
+            </p>
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={runNow}
+              disabled={runInProgress !== null || status?.running}
+              className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50 flex items-center space-x-2"
+            >
+              {runInProgress === 'run' ? (
+                <RefreshCw className="w-4 h-4 animate-spin" />
+              ) : (
+                <Play className="w-4 h-4" />
+              )}
+              <span>Run now</span>
+            </button>
+            <button
+              onClick={fetchData}
+              disabled={loading}
+              className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center space-x-2"
+            >
+              <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+              <span>Refresh</span>
+            </button>
+          </div>
+        </div>
+
+        {status && (
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-blue-800">Next run</span>
+                <Clock className="w-5 h-5 text-blue-600" />
+              </div>
+              <p className="text-lg font-bold text-blue-900 mt-2">
+                {status.running ? 'Running now' : formatDateTime(status.nextRunAt)}
+              </p>
+              <p className="text-xs text-blue-700 mt-1">Every {status.checkIntervalMinutes} minute(s)</p>
+            </div>
+            <div className="bg-green-50 border border-green-200 rounded-lg p-4">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-green-800">Next booking window</span>
+                <Timer className="w-5 h-5 text-green-600" />
+              </div>
+              {status.nextBookingWindow ? (
+                <>
+                  <p className="text-lg font-bold text-green-900 mt-2">
+                    {formatDateTime(status.nextBookingWindow.signupTime)}
+                  </p>
+                  <p className="text-xs text-green-700 mt-1">
+                    {status.nextBookingWindow.serviceName}
+                    {status.nextBookingWindow.estimated ? ' (estimated)' : ''}
+                  </p>
+                </>
+              ) : (
+                <p className="text-lg font-bold text-green-900 mt-2">None upcoming</p>
+              )}
+              {status.armedTimers?.length > 0 && (
+                <p className="text-xs text-green-700 mt-1">
+                  {status.armedTimers.length} precision timer(s) armed
+                </p>
+              )}
+            </div>
+            <div className={`rounded-lg p-4 border ${status.lastError ? 'bg-red-50 border-red-200' : 'bg-gray-50 border-gray-200'}`}>
+              <div className="flex items-center justify-between">
+                <span className={`text-sm font-medium ${status.lastError ? 'text-red-800' : 'text-gray-700'}`}>Last error</span>
+                <AlertCircle className={`w-5 h-5 ${status.lastError ? 'text-red-600' : 'text-gray-400'}`} />
+              </div>
+              {status.lastError ? (
+                <>
+                  <p className="text-sm font-semibold text-red-900 mt-2 break-words">{status.lastError.message}</p>
+                  <p className="text-xs text-red-700 mt-1">{formatDateTime(status.lastError.at)}</p>
+                </>
+              ) : (
+                <p className="text-lg font-bold text-gray-700 mt-2">None</p>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6">
+        <h3 className="text-lg font-semibold text-gray-900">Dry run</h3>
+        <p className="text-sm text-gray-500 mt-1">
+          Walk the scheduler's decisions against the live schedule without booking anything
+        </p>
+        <div className="flex flex-col sm:flex-row gap-2 mt-4">
+          <select
+            value={dryRunTarget}
+            onChange={(e) => setDryRunTarget(e.target.value)}
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+          >
+            <option value="">All auto-signup classes</option>
+            {trackedClasses.map((tracked) => (
+              <option key={tracked.id} value={tracked.id}>
+                {tracked.service_name} • {(tracked.days_of_week || []).join(', ')} {tracked.start_time}
+                {tracked.auto_signup === 1 ? '' : ' (manual only)'}
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={dryRun}
+            disabled={runInProgress !== null}
+            className="px-4 py-2 bg-purple-100 text-purple-800 rounded-lg hover:bg-purple-200 disabled:opacity-50 flex items-center justify-center space-x-2"
+          >
+            {runInProgress === 'dryRun' ? (
+              <RefreshCw className="w-4 h-4 animate-spin" />
+            ) : (
+              <FlaskConical className="w-4 h-4" />
+            )}
+            <span>Dry run</span>
+          </button>
+        </div>
+        {dryRunResult && (
+          <div className="mt-4 border border-purple-200 bg-purple-50 rounded-lg p-4">
+            <div className="flex items-center justify-between mb-3">
+              <p className="text-sm font-medium text-purple-900">
+                {dryRunResult.classesEvaluated} class(es) evaluated • nothing was booked
+              </p>
+              <button
+                onClick={() => setDryRunResult(null)}
+                className="text-purple-400 hover:text-purple-600"
+              >
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="space-y-2">
+              <RunDecisions decisions={dryRunResult.decisions} />
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="p-6 border-b">
+          <h3 className="text-lg font-semibold text-gray-900">Recent runs</h3>
+        </div>
+        {runs.length === 0 ? (
+          <div className="text-center py-12">
+            <Activity className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+            <p className="text-gray-500">No scheduler runs recorded yet</p>
+          </div>
+        ) : (
+          <ul className="divide-y">
+            {runs.map((run) => {
+              const expanded = expandedRunId === run.id;
+              return (
+                <li key={run.id}>
+                  <button
+                    onClick={() => setExpandedRunId(expanded ? null : run.id)}
+                    className="w-full px-6 py-3 flex items-center justify-between text-left hover:bg-gray-50"
+                  >
+                    <div className="flex items-center space-x-3">
+                      {expanded ? (
+                        <ChevronDown className="w-4 h-4 text-gray-400" />
+                      ) : (
+                        <ChevronRight className="w-4 h-4 text-gray-400" />
+                      )}
+                      {run.status === 'error' ? (
+                        <XCircle className="w-5 h-5 text-red-500" />
+                      ) : (
+                        <CheckCircle className="w-5 h-5 text-green-500" />
+                      )}
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{formatDateTime(run.startedAt)}</p>
+                        <p className="text-xs text-gray-500">
+                          {run.status === 'error'
+                            ? run.errorMessage
+                            : `${FETCH_MODE_LABELS[run.fetchMode] || run.fetchMode} • ${run.classesEvaluated} class(es) evaluated`}
+                        </p>
+                      </div>
+                    </div>
+                    <span className="text-xs text-gray-400">{formatDuration(run)}</span>
+                  </button>
+                  {expanded && (
+                    <div className="px-6 pb-4 pl-16 space-y-2">
+                      <RunDecisions decisions={run.decisions} />
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default SchedulerDashboard;
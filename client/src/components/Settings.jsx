@@ -1,31 +1,36 @@
 import React, { useState, useEffect } from 'react';
 import api from '../api';
-import { Save, RefreshCw, AlertCircle, Eye, EyeOff, Key, Calendar, Copy, ExternalLink } from 'lucide-react';
+import { Save, RefreshCw, AlertCircle, Eye, EyeOff, Key, Calendar, Copy, ExternalLink, MapPin, Trash2, Pencil, Plus } from 'lucide-react';
 import toast from 'react-hot-toast';
+import { useConfirm } from './ConfirmDialog';
+import BusyCalendars from './BusyCalendars';
+import YmcaAccounts from './YmcaAccounts';
+import AppUsers from './AppUsers';
+import TwoFactorSettings from './TwoFactorSettings';
+import ApiTokens from './ApiTokens';
+import PersonPicker, { useLinkedClients } from './PersonPicker';
 
-const LOCATIONS = [
-  { id: 1, name: 'Downtown Durham YMCA' },
-  { id: 7, name: 'Lakewood YMCA' },
-  { id: 9, name: 'YMCA at American Tobacco' },
-  { id: 12, name: 'Hope Valley Farms YMCA' },
-  { id: 14, name: 'A.E. Finley YMCA' },
-  { id: 15, name: 'Alexander Family YMCA' },
-  { id: 16, name: 'Chapel Hill-Carrboro YMCA' },
-  { id: 17, name: 'Chatham Park YMCA' },
-  { id: 18, name: 'East Triangle YMCA' },
-  { id: 19, name: 'Ingram Family YMCA' },
-  { id: 20, name: 'Kerr Family YMCA' },
-  { id: 21, name: 'Kraft Family YMCA' },
-  { id: 22, name: 'Northwest Cary YMCA' },
-  { id: 23, name: 'Poole Family YMCA' },
-  { id: 24, name: 'Poyner YMCA' },
-  { id: 25, name: 'Southeast Raleigh YMCA' },
-  { id: 26, name: 'Taylor Family YMCA' },
-  { id: 27, name: 'Knightdale Station YMCA' },
-  { id: 28, name: 'YMCA at Meadowmont' },
+const EMPTY_GROUP_FORM = { name: '', locations: [], bookingOrder: 'preferred' };
+
+const CONFLICT_POLICIES = [
+  { value: 'skip', label: 'Skip', description: "Don't book a class that clashes with one you're already booked into" },
+  { value: 'priority', label: 'Prefer higher priority', description: 'Book it anyway and cancel the clashing class if that one belongs to a lower-priority tracked class' },
+  { value: 'allow', label: 'Allow', description: 'Book regardless of conflicts' }
+];
+
+const BOOKING_LIMITS = [
+  { key: 'perDay', label: 'Per Day', description: 'Most classes booked on any one day' },
+  { key: 'perWeek', label: 'Per Week', description: 'Most classes booked Monday through Sunday' },
+  { key: 'perCategoryPerWeek', label: 'Per Category, Per Week', description: 'Most classes of one category (e.g. Yoga) in a week' }
+];
+
+const BOOKING_ORDERS = [
+  { value: 'preferred', label: 'Preferred order', description: 'Book the first location in the list that has a matching class that day' },
+  { value: 'first', label: 'First available', description: 'Book whichever matching class opens first, at any location in the group' }
 ];
 
-function Settings() {
+function Settings({ accounts = [], account = null, onAccountsChange = () => {}, role = 'admin', username = null }) {
+  const isAdmin = role === 'admin';
   const [settings, setSettings] = useState(null);
   const [credentials, setCredentials] = useState({ email: '', password: '' });
   const [credentialsStatus, setCredentialsStatus] = useState(null);
@@ -37,11 +42,99 @@ function Settings() {
   const [hasChanges, setHasChanges] = useState(false);
   const [hasCredentialChanges, setHasCredentialChanges] = useState(false);
   const [calendarToken, setCalendarToken] = useState(null);
+  // Each person on the account has their own feed; null is the account holder's
+  const [calendarPerson, setCalendarPerson] = useState(null);
+  const linkedClients = useLinkedClients();
+  const calendarFeedParams = new URLSearchParams({
+    ...(accounts.length > 1 && account ? { account: String(account.id) } : {}),
+    ...(calendarPerson ? { client: calendarPerson } : {})
+  }).toString();
+  const calendarFeedPath = `/cal/${calendarToken}.ics${calendarFeedParams ? `?${calendarFeedParams}` : ''}`;
+  const [locations, setLocations] = useState([]);
+  const [locationsError, setLocationsError] = useState(null);
+  const [locationGroups, setLocationGroups] = useState([]);
+  const [groupForm, setGroupForm] = useState(null);
+  const [editingGroupId, setEditingGroupId] = useState(null);
+  const [savingGroup, setSavingGroup] = useState(false);
+  const { confirm } = useConfirm();
 
   useEffect(() => {
     loadSettings();
+    loadLocations();
   }, []);
 
+  // Locations come from YMCA, so a failure here shouldn't block the rest of the page
+  const loadLocations = async () => {
+    try {
+      setLocationsError(null);
+      const [locationsResponse, groupsResponse] = await Promise.all([
+        api.get('/api/locations'),
+        api.get('/api/location-groups')
+      ]);
+      setLocations(locationsResponse.data);
+      setLocationGroups(groupsResponse.data);
+    } catch (err) {
+      console.error('Failed to load locations:', err);
+      setLocationsError(err.response?.data?.error || err.message);
+    }
+  };
+
+  const startGroupForm = (group = null) => {
+    setEditingGroupId(group?.id || null);
+    setGroupForm(group
+      ? { name: group.name, locations: group.locations, bookingOrder: group.booking_order }
+      : EMPTY_GROUP_FORM);
+  };
+
+  const toggleGroupLocation = (location) => {
+    setGroupForm(prev => {
+      const selected = prev.locations.some(l => String(l.id) === String(location.id));
+      return {
+        ...prev,
+        locations: selected
+          ? prev.locations.filter(l => String(l.id) !== String(location.id))
+          : [...prev.locations, { id: String(location.id), name: location.name }]
+      };
+    });
+  };
+
+  const handleSaveGroup = async () => {
+    try {
+      setSavingGroup(true);
+      if (editingGroupId) {
+        await api.put(`/api/location-groups/${editingGroupId}`, groupForm);
+      } else {
+        await api.post('/api/location-groups', groupForm);
+      }
+      toast.success(`Location group "${groupForm.name}" saved`);
+      setGroupForm(null);
+      setEditingGroupId(null);
+      await loadLocations();
+    } catch (err) {
+      console.error('Failed to save location group:', err);
+      toast.error('Failed to save location group: ' + (err.response?.data?.error || err.message));
+    } finally {
+      setSavingGroup(false);
+    }
+  };
+
+  const handleDeleteGroup = async (group) => {
+    const confirmed = await confirm(`Delete the location group "${group.name}"?`, {
+      title: 'Delete Location Group',
+      confirmText: 'Delete'
+    });
+    if (!confirmed) return;
+
+    try {
+      await api.delete(`/api/location-groups/${group.id}`);
+      toast.success('Location group deleted');
+      await loadLocations();
+    } catch (err) {
+      console.error('Failed to delete location group:', err);
+      toast.error('Failed to delete location group: ' + (err.response?.data?.error || err.message));
+    }
+  };
+
   const loadSettings = async () => {
     try {
       setLoading(true);
@@ -95,6 +188,7 @@ function Settings() {
       setHasCredentialChanges(false);
       setCredentials({ email: '', password: '' });
       await loadSettings();
+      onAccountsChange();
     } catch (err) {
       console.error('Failed to save credentials:', err);
       setError('Failed to save credentials. Please try again.');
@@ -110,6 +204,7 @@ function Settings() {
       const parts = path.split('.');
       let current = newSettings;
       for (let i = 0; i < parts.length - 1; i++) {
+        current[parts[i]] = { ...(current[parts[i]] || {}) };
         current = current[parts[i]];
       }
       current[parts[parts.length - 1]] = value;
@@ -163,6 +258,100 @@ function Settings() {
     );
   }
 
+  const calendarSubscription = (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-6 border-b border-gray-200">
+        <div className="flex items-center space-x-2">
+          <Calendar className="w-5 h-5 text-gray-700" />
+          <h3 className="text-lg font-semibold text-gray-900">Calendar Subscription</h3>
+        </div>
+        <p className="text-sm text-gray-500 mt-1">
+          Subscribe to your booked classes in any calendar app
+        </p>
+      </div>
+      <div className="p-6 space-y-4">
+        {calendarToken && (
+          <>
+            <PersonPicker
+              clients={linkedClients}
+              value={calendarPerson}
+              onChange={setCalendarPerson}
+              label="Feed for"
+            />
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Subscription URL
+              </label>
+              <div className="flex space-x-2">
+                <input
+                  type="text"
+                  readOnly
+                  value={`${window.location.origin}${calendarFeedPath}`}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 text-sm text-gray-700 font-mono"
+                />
+                <button
+                  onClick={() => {
+                    navigator.clipboard.writeText(`${window.location.origin}${calendarFeedPath}`);
+                    toast.success('URL copied to clipboard');
+                  }}
+                  className="px-3 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 flex items-center space-x-1"
+                >
+                  <Copy className="w-4 h-4" />
+                  <span>Copy</span>
+                </button>
+              </div>
+            </div>
+            <div className="text-sm text-gray-600 space-y-2">
+              <div className="flex flex-wrap gap-2">
+                <a
+                  href={`webcal://${window.location.host}${calendarFeedPath}`}
+                  className="inline-flex items-center space-x-2 px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 hover:border-gray-400 transition-colors"
+                >
+                  <Calendar className="w-4 h-4 text-gray-500" />
+                  <span>Subscribe in Apple Calendar</span>
+                </a>
+                <a
+                  href={`https://www.google.com/calendar/render?cid=${encodeURIComponent(`webcal://${window.location.host}${calendarFeedPath}`)}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center space-x-2 px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 hover:border-gray-400 transition-colors"
+                >
+                  <svg className="w-4 h-4" viewBox="0 0 24 24">
+                    <path fill="#4285F4" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92a5.06 5.06 0 0 1-2.2 3.32v2.77h3.57c2.08-1.92 3.27-4.74 3.27-8.1z"/>
+                    <path fill="#34A853" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
+                    <path fill="#FBBC05" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"/>
+                    <path fill="#EA4335" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"/>
+                  </svg>
+                  <span>Add to Google Calendar</span>
+                  <ExternalLink className="w-3.5 h-3.5 text-gray-400" />
+                </a>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+
+  // Only admins change settings; everyone can subscribe to the calendar and
+  // manage their own two-factor login and API tokens
+  if (!isAdmin) {
+    return (
+      <div className="space-y-6">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900">Settings</h2>
+          <p className="text-sm text-gray-500 mt-1">Only admins can change settings</p>
+        </div>
+
+        <TwoFactorSettings />
+
+        <ApiTokens role={role} />
+
+        {calendarSubscription}
+      </div>
+    );
+  }
+
   return (
     <div className="space-y-6">
       <div>
@@ -170,11 +359,21 @@ function Settings() {
         <p className="text-sm text-gray-500 mt-1">Configure your YMCA auto-signup preferences</p>
       </div>
 
+      <AppUsers currentUsername={username} />
+
+      <TwoFactorSettings />
+
+      <ApiTokens role={role} />
+
+      <YmcaAccounts accounts={accounts} currentAccountId={account?.id} onChange={onAccountsChange} />
+
       <div className="bg-white rounded-lg shadow-sm border border-gray-200">
         <div className="p-6 border-b border-gray-200">
           <div className="flex items-center space-x-2">
             <Key className="w-5 h-5 text-gray-700" />
-            <h3 className="text-lg font-semibold text-gray-900">YMCA Credentials</h3>
+            <h3 className="text-lg font-semibold text-gray-900">
+              YMCA Credentials{accounts.length > 1 && account ? ` for ${account.name}` : ''}
+            </h3>
           </div>
           <p className="text-sm text-gray-500 mt-1">
             {credentialsStatus?.configured 
@@ -247,72 +446,7 @@ function Settings() {
         </div>
       </div>
 
-      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
-        <div className="p-6 border-b border-gray-200">
-          <div className="flex items-center space-x-2">
-            <Calendar className="w-5 h-5 text-gray-700" />
-            <h3 className="text-lg font-semibold text-gray-900">Calendar Subscription</h3>
-          </div>
-          <p className="text-sm text-gray-500 mt-1">
-            Subscribe to your booked classes in any calendar app
-          </p>
-        </div>
-        <div className="p-6 space-y-4">
-          {calendarToken && (
-            <>
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Subscription URL
-                </label>
-                <div className="flex space-x-2">
-                  <input
-                    type="text"
-                    readOnly
-                    value={`${window.location.origin}/cal/${calendarToken}.ics`}
-                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg bg-gray-50 text-sm text-gray-700 font-mono"
-                  />
-                  <button
-                    onClick={() => {
-                      navigator.clipboard.writeText(`${window.location.origin}/cal/${calendarToken}.ics`);
-                      toast.success('URL copied to clipboard');
-                    }}
-                    className="px-3 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 flex items-center space-x-1"
-                  >
-                    <Copy className="w-4 h-4" />
-                    <span>Copy</span>
-                  </button>
-                </div>
-              </div>
-              <div className="text-sm text-gray-600 space-y-2">
-                <div className="flex flex-wrap gap-2">
-                  <a
-                    href={`webcal://${window.location.host}/cal/${calendarToken}.ics`}
-                    className="inline-flex items-center space-x-2 px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 hover:border-gray-400 transition-colors"
-                  >
-                    <Calendar className="w-4 h-4 text-gray-500" />
-                    <span>Subscribe in Apple Calendar</span>
-                  </a>
-                  <a
-                    href={`https://www.google.com/calendar/render?cid=webcal://${window.location.host}/cal/${calendarToken}.ics`}
-                    target="_blank"
-                    rel="noopener noreferrer"
-                    className="inline-flex items-center space-x-2 px-3 py-2 bg-white border border-gray-300 rounded-lg text-sm font-medium text-gray-700 hover:bg-gray-50 hover:border-gray-400 transition-colors"
-                  >
-                    <svg className="w-4 h-4" viewBox="0 0 24 24">
-                      <path fill="#4285F4" d="M22.56 12.25c0-.78-.07-1.53-.2-2.25H12v4.26h5.92a5.06 5.06 0 0 1-2.2 3.32v2.77h3.57c2.08-1.92 3.27-4.74 3.27-8.1z"/>
-                      <path fill="#34A853" d="M12 23c2.97 0 5.46-.98 7.28-2.66l-3.57-2.77c-.98.66-2.23 1.06-3.71 1.06-2.86 0-5.29-1.93-6.16-4.53H2.18v2.84C3.99 20.53 7.7 23 12 23z"/>
-                      <path fill="#FBBC05" d="M5.84 14.09c-.22-.66-.35-1.36-.35-2.09s.13-1.43.35-2.09V7.07H2.18C1.43 8.55 1 10.22 1 12s.43 3.45 1.18 4.93l2.85-2.22.81-.62z"/>
-                      <path fill="#EA4335" d="M12 5.38c1.62 0 3.06.56 4.21 1.64l3.15-3.15C17.45 2.09 14.97 1 12 1 7.7 1 3.99 3.47 2.18 7.07l3.66 2.84c.87-2.6 3.3-4.53 6.16-4.53z"/>
-                    </svg>
-                    <span>Add to Google Calendar</span>
-                    <ExternalLink className="w-3.5 h-3.5 text-gray-400" />
-                  </a>
-                </div>
-              </div>
-            </>
-          )}
-        </div>
-      </div>
+      {calendarSubscription}
 
       <div className="bg-white rounded-lg shadow-sm border border-gray-200">
         <div className="p-6 border-b border-gray-200 flex items-center justify-between">
@@ -341,8 +475,17 @@ function Settings() {
           </button>
         </div>
         <div className="p-6">
+          {locationsError && (
+            <div className="mb-4 bg-red-50 border border-red-200 rounded-lg p-3 flex items-start space-x-2 text-sm text-red-700">
+              <AlertCircle className="w-4 h-4 flex-shrink-0 mt-0.5" />
+              <span>
+                Couldn't load locations from YMCA: {locationsError}.{' '}
+                <button onClick={loadLocations} className="font-medium underline">Try again</button>
+              </span>
+            </div>
+          )}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-3">
-            {LOCATIONS.map(location => (
+            {locations.map(location => (
               <label
                 key={location.id}
                 className="flex items-center space-x-3 p-3 rounded-lg border border-gray-200 hover:bg-gray-50 cursor-pointer transition-colors"
@@ -365,6 +508,143 @@ function Settings() {
         </div>
       </div>
 
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Location Groups</h3>
+            <p className="text-sm text-gray-500 mt-1">
+              Name a set of locations (e.g. "Downtown") so a tracked class can book at any of them.
+            </p>
+          </div>
+          {!groupForm && (
+            <button
+              onClick={() => startGroupForm()}
+              disabled={locations.length === 0}
+              className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+            >
+              <Plus className="w-4 h-4" />
+              <span>New Group</span>
+            </button>
+          )}
+        </div>
+        <div className="p-6 space-y-4">
+          {locationGroups.length === 0 && !groupForm && (
+            <p className="text-sm text-gray-500">No location groups yet.</p>
+          )}
+
+          {locationGroups.map(group => (
+            <div key={group.id} className="flex items-start justify-between p-3 rounded-lg border border-gray-200">
+              <div>
+                <div className="flex items-center space-x-2">
+                  <MapPin className="w-4 h-4 text-gray-500" />
+                  <span className="font-medium text-gray-900">{group.name}</span>
+                  <span className="px-2 py-0.5 bg-gray-100 text-gray-600 text-xs rounded">
+                    {BOOKING_ORDERS.find(order => order.value === group.booking_order)?.label}
+                  </span>
+                </div>
+                <p className="text-sm text-gray-600 mt-1">
+                  {group.locations.map((location, index) => `${index + 1}. ${location.name || location.id}`).join('  ')}
+                </p>
+              </div>
+              <div className="flex items-center space-x-1">
+                <button
+                  onClick={() => startGroupForm(group)}
+                  className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg"
+                  title="Edit group"
+                >
+                  <Pencil className="w-4 h-4" />
+                </button>
+                <button
+                  onClick={() => handleDeleteGroup(group)}
+                  className="p-2 text-red-500 hover:text-red-700 hover:bg-red-50 rounded-lg"
+                  title="Delete group"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+
+          {groupForm && (
+            <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+              <div>
+                <label htmlFor="groupName" className="block text-sm font-medium text-gray-700 mb-2">
+                  Group Name
+                </label>
+                <input
+                  id="groupName"
+                  type="text"
+                  value={groupForm.name}
+                  onChange={(e) => setGroupForm({ ...groupForm, name: e.target.value })}
+                  placeholder="Downtown"
+                  className="w-full md:w-64 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                />
+              </div>
+
+              <div>
+                <div className="block text-sm font-medium text-gray-700 mb-2">Locations</div>
+                <div className="flex flex-wrap gap-2">
+                  {locations.map(location => {
+                    const position = groupForm.locations.findIndex(l => String(l.id) === String(location.id));
+                    return (
+                      <button
+                        key={location.id}
+                        type="button"
+                        onClick={() => toggleGroupLocation(location)}
+                        className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                          position !== -1
+                            ? 'bg-primary text-white border-primary'
+                            : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                        }`}
+                      >
+                        {position !== -1 && `${position + 1}. `}{location.name}
+                      </button>
+                    );
+                  })}
+                </div>
+                <p className="text-xs text-gray-500 mt-1">Click locations in the order you prefer them</p>
+              </div>
+
+              <div>
+                <label htmlFor="groupOrder" className="block text-sm font-medium text-gray-700 mb-2">
+                  Booking Order
+                </label>
+                <select
+                  id="groupOrder"
+                  value={groupForm.bookingOrder}
+                  onChange={(e) => setGroupForm({ ...groupForm, bookingOrder: e.target.value })}
+                  className="w-full md:w-64 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                >
+                  {BOOKING_ORDERS.map(order => (
+                    <option key={order.value} value={order.value}>{order.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">
+                  {BOOKING_ORDERS.find(order => order.value === groupForm.bookingOrder)?.description}
+                </p>
+              </div>
+
+              <div className="flex justify-end space-x-2">
+                <button
+                  onClick={() => { setGroupForm(null); setEditingGroupId(null); }}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+                <button
+                  onClick={handleSaveGroup}
+                  disabled={savingGroup || !groupForm.name.trim() || groupForm.locations.length === 0}
+                  className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                >
+                  {savingGroup ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                  <span>Save Group</span>
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+
       <div className="bg-white rounded-lg shadow-sm border border-gray-200">
         <div className="p-6 border-b border-gray-200">
           <h3 className="text-lg font-semibold text-gray-900">Scheduler Settings</h3>
@@ -386,7 +666,7 @@ function Settings() {
               onChange={(e) => updateField('scheduler.checkIntervalMinutes', parseInt(e.target.value, 10))}
               className="w-full md:w-64 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
             />
-            <p className="text-xs text-gray-500 mt-1">How often to check for new classes to auto-signup (default: 5 minutes)</p>
+            <p className="text-xs text-gray-500 mt-1">How often to check for new classes to auto-signup (default: 5 minutes). Applies immediately after saving.</p>
           </div>
 
           <div>
@@ -407,6 +687,83 @@ function Settings() {
         </div>
       </div>
 
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="p-6 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">Schedule Conflicts</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Keep auto-signup from booking classes that overlap, or that leave too little time to get between locations
+          </p>
+        </div>
+        <div className="p-6 space-y-6">
+          <div>
+            <label htmlFor="travelBuffer" className="block text-sm font-medium text-gray-700 mb-2">
+              Travel Buffer (minutes)
+            </label>
+            <input
+              id="travelBuffer"
+              type="number"
+              min="0"
+              max="180"
+              value={settings?.conflicts?.travelBufferMinutes ?? 15}
+              onChange={(e) => updateField('conflicts.travelBufferMinutes', parseInt(e.target.value, 10))}
+              className="w-full md:w-64 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+            />
+            <p className="text-xs text-gray-500 mt-1">Minimum gap between classes at different locations (default: 15 minutes)</p>
+          </div>
+
+          <div>
+            <div className="block text-sm font-medium text-gray-700 mb-2">When a booking would conflict</div>
+            <div className="space-y-2">
+              {CONFLICT_POLICIES.map(policy => (
+                <label key={policy.value} className="flex items-start space-x-2 text-sm">
+                  <input
+                    type="radio"
+                    name="conflictPolicy"
+                    className="mt-1"
+                    checked={(settings?.conflicts?.policy || 'skip') === policy.value}
+                    onChange={() => updateField('conflicts.policy', policy.value)}
+                  />
+                  <span>
+                    <span className="font-medium text-gray-900">{policy.label}</span>
+                    <span className="text-gray-500"> - {policy.description}</span>
+                  </span>
+                </label>
+              ))}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <BusyCalendars />
+
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+        <div className="p-6 border-b border-gray-200">
+          <h3 className="text-lg font-semibold text-gray-900">Booking Limits</h3>
+          <p className="text-sm text-gray-500 mt-1">
+            Cap how many classes auto-signup books, counting everything you're already booked into. Higher-priority tracked classes get the remaining slots first. Use 0 for no limit.
+          </p>
+        </div>
+        <div className="p-6 grid grid-cols-1 md:grid-cols-3 gap-6">
+          {BOOKING_LIMITS.map(limit => (
+            <div key={limit.key}>
+              <label htmlFor={`quota-${limit.key}`} className="block text-sm font-medium text-gray-700 mb-2">
+                {limit.label}
+              </label>
+              <input
+                id={`quota-${limit.key}`}
+                type="number"
+                min="0"
+                max="50"
+                value={settings?.quotas?.[limit.key] ?? 0}
+                onChange={(e) => updateField(`quotas.${limit.key}`, parseInt(e.target.value, 10) || 0)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+              <p className="text-xs text-gray-500 mt-1">{limit.description}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
       <div className="bg-white rounded-lg shadow-sm border border-gray-200">
         <div className="p-6 border-b border-gray-200">
           <h3 className="text-lg font-semibold text-gray-900">Class Fetch Settings</h3>
@@ -1,9 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import api from '../api';
 import * as classActions from '../services/classActions';
-import { Calendar, Clock, MapPin, User, CheckCircle, XCircle, RefreshCw, AlertCircle, Trash2, ListChecks, LogOut } from 'lucide-react';
+import { Calendar, Clock, MapPin, User, CheckCircle, XCircle, RefreshCw, AlertCircle, Trash2, ListChecks, LogOut, Link2 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { useConfirm } from './ConfirmDialog';
+import { useLinkedClients } from './PersonPicker';
 
 function SignupLogs() {
   const { confirm } = useConfirm();
@@ -11,12 +12,19 @@ function SignupLogs() {
   const [loading, setLoading] = useState(false);
   const [actionInProgress, setActionInProgress] = useState(null);
   const [filter, setFilter] = useState('all');
+  const [instructorNotices, setInstructorNotices] = useState({});
+  const [waitlistLinks, setWaitlistLinks] = useState([]);
+  // Whose bookings are shown: null is the account holder, otherwise a linked
+  // family member's client id
+  const [person, setPerson] = useState(null);
+  const linkedClients = useLinkedClients();
 
   useEffect(() => {
+    setBookings([]);
     fetchBookings();
     const interval = setInterval(fetchBookings, 30000);
     return () => clearInterval(interval);
-  }, []);
+  }, [person]);
 
   const fetchBookings = async () => {
     setLoading(true);
@@ -25,10 +33,13 @@ function SignupLogs() {
       const response = await api.get('/api/my-bookings', {
         params: {
           includeActiveOnly: false,
-          startDate: today
+          startDate: today,
+          ...(person ? { clientId: person } : {})
         }
       });
       setBookings(response.data?.data || []);
+      fetchInstructorNotices();
+      fetchWaitlistLinks();
     } catch (error) {
       console.error('Failed to fetch bookings:', error);
     } finally {
@@ -36,6 +47,46 @@ function SignupLogs() {
     }
   };
 
+  // Instructor changes flagged for review by a tracked class's substitute policy
+  const fetchInstructorNotices = async () => {
+    try {
+      const response = await api.get('/api/signup-logs', {
+        params: { status: 'substitute_notice', clientId: person || 'self' }
+      });
+      const notices = {};
+      (response.data || []).forEach((log) => {
+        if (!notices[log.occurrence_id]) {
+          notices[log.occurrence_id] = log.error_message;
+        }
+      });
+      setInstructorNotices(notices);
+    } catch (error) {
+      console.error('Failed to fetch instructor change notices:', error);
+    }
+  };
+
+  // Fallback bookings that get cancelled automatically if a preferred waitlist clears
+  const fetchWaitlistLinks = async () => {
+    try {
+      const response = await api.get('/api/waitlist-links', { params: { status: 'watching' } });
+      setWaitlistLinks(response.data || []);
+    } catch (error) {
+      console.error('Failed to fetch waitlist links:', error);
+    }
+  };
+
+  const getWaitlistLinkNote = (booking) => {
+    const asBackup = waitlistLinks.find(link => link.backup_occurrence_id === String(booking.id));
+    if (asBackup) {
+      return `Fallback: cancelled automatically if the ${asBackup.preferred_service_name} waitlist clears`;
+    }
+    const asPreferred = waitlistLinks.find(link => link.preferred_occurrence_id === String(booking.id));
+    if (asPreferred) {
+      return `If this confirms, fallback ${asPreferred.backup_service_name} is cancelled automatically`;
+    }
+    return null;
+  };
+
   const handleCancelBooking = async (occurrenceId) => {
     const confirmed = await confirm('Are you sure you want to cancel this booking?', {
       title: 'Cancel Booking',
@@ -45,7 +96,7 @@ function SignupLogs() {
 
     setActionInProgress(occurrenceId);
     try {
-      await classActions.cancelBooking(occurrenceId);
+      await classActions.cancelBooking(occurrenceId, person);
       toast.success('Booking cancelled successfully');
       await fetchBookings();
     } catch (error) {
@@ -65,7 +116,7 @@ function SignupLogs() {
 
     setActionInProgress(occurrenceId);
     try {
-      await classActions.leaveWaitlist(occurrenceId);
+      await classActions.leaveWaitlist(occurrenceId, person);
       toast.success('Left waitlist successfully');
       await fetchBookings();
     } catch (error) {
@@ -133,6 +184,28 @@ function SignupLogs() {
           </button>
         </div>
 
+        {linkedClients.length > 1 && (
+          <div className="flex flex-wrap gap-2 mb-4">
+            {linkedClients.map(client => {
+              const clientKey = client.is_self ? null : client.client_id;
+              return (
+                <button
+                  key={client.client_id}
+                  onClick={() => setPerson(clientKey)}
+                  className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center space-x-2 ${
+                    person === clientKey
+                      ? 'bg-primary text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  <User className="w-4 h-4" />
+                  <span>{client.is_self ? `${client.name} (me)` : client.name}</span>
+                </button>
+              );
+            })}
+          </div>
+        )}
+
         {bookings.length > 0 && (
           <div className="grid grid-cols-3 gap-4 mb-6">
             <div className="bg-green-50 border border-green-200 rounded-lg p-4">
@@ -230,6 +303,7 @@ function SignupLogs() {
             const isPast = new Date(booking.occurs_at) <= new Date();
             const isWaitlisted = booking.is_waited;
             const isActive = booking.is_joined && !isPast;
+            const waitlistLinkNote = !isPast && getWaitlistLinkNote(booking);
             
             return (
               <div
@@ -258,6 +332,18 @@ function SignupLogs() {
                             <span>{booking.trainer_name}</span>
                           </div>
                         )}
+                        {instructorNotices[String(booking.id)] && !isPast && (
+                          <div className="flex items-center text-sm text-yellow-800 bg-yellow-50 rounded px-2 py-1">
+                            <AlertCircle className="w-4 h-4 mr-2 flex-shrink-0" />
+                            <span>{instructorNotices[String(booking.id)]}</span>
+                          </div>
+                        )}
+                        {waitlistLinkNote && (
+                          <div className="flex items-center text-sm text-blue-800 bg-blue-50 rounded px-2 py-1">
+                            <Link2 className="w-4 h-4 mr-2 flex-shrink-0" />
+                            <span>{waitlistLinkNote}</span>
+                          </div>
+                        )}
                         {booking.location_name && (
                           <div className="flex items-center text-sm text-gray-600">
                             <MapPin className="w-4 h-4 mr-2" />
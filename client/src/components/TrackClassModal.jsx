@@ -1,41 +1,193 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { X, Calendar, Clock, User, MapPin, AlertCircle, CheckCircle } from 'lucide-react';
 import api from '../api';
 import toast from 'react-hot-toast';
+import RecurrencePicker from './RecurrencePicker';
+import PersonPicker, { useLinkedClients } from './PersonPicker';
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const toTrainer = (cls) => cls.trainerName
+  ? { id: cls.trainerId ? String(cls.trainerId) : null, name: cls.trainerName }
+  : null;
+const trainerKey = (trainer) => trainer.id || trainer.name;
+
+const SUBSTITUTE_POLICIES = [
+  { value: 'keep', label: 'Keep the booking' },
+  { value: 'notify', label: 'Keep it and flag it for review' },
+  { value: 'cancel', label: 'Cancel the booking' }
+];
+
+function TrackClassModal({ classItem, relatedClasses = [], locationOptions = [], defaultClientId = null, onClose, onSuccess }) {
+  const classDate = new Date(classItem.startTime);
+  const dayOfWeek = classDate.toLocaleDateString('en-US', { weekday: 'long' });
+  const startTime = classDate.toTimeString().substring(0, 5);
+  const classDay = classDate.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
 
-function TrackClassModal({ classItem, onClose, onSuccess }) {
   const [step, setStep] = useState('options');
   const [loading, setLoading] = useState(false);
   const [matchingClasses, setMatchingClasses] = useState([]);
+  const [recurrenceExcluded, setRecurrenceExcluded] = useState([]);
+  const primaryTrainer = toTrainer(classItem);
+  const hasCategory = Boolean(classItem.serviceCategoryId || classItem.serviceCategoryName);
+  const classLocation = classItem.locationName
+    ? { id: classItem.locationId ? String(classItem.locationId) : null, name: classItem.locationName }
+    : null;
   const [options, setOptions] = useState({
+    ruleType: 'service',
+    nameKeyword: '',
+    locations: classLocation ? [classLocation] : [],
+    daysOfWeek: [dayOfWeek],
     matchTrainer: true,
+    preferredTrainers: primaryTrainer ? [primaryTrainer] : [],
+    excludedTrainers: [],
+    substitutePolicy: 'keep',
     matchExactTime: true,
     timeTolerance: 15,
+    useTimeRange: false,
+    timeRangeStart: '',
+    timeRangeEnd: '',
     autoSignup: true,
-    signupHoursBefore: 46
+    signupHoursBefore: 46,
+    locationGroupId: '',
+    recurrence: null,
+    clientId: defaultClientId
   });
+  const linkedClients = useLinkedClients();
+  const [locationGroups, setLocationGroups] = useState([]);
 
-  const classDate = new Date(classItem.startTime);
-  const dayOfWeek = classDate.toLocaleDateString('en-US', { weekday: 'long' });
-  const startTime = classDate.toTimeString().substring(0, 5);
+  useEffect(() => {
+    api.get('/api/location-groups')
+      .then(response => setLocationGroups(response.data))
+      .catch(error => console.error('Failed to load location groups:', error));
+  }, []);
+
+  const toggleDay = (day) => {
+    const daysOfWeek = options.daysOfWeek.includes(day)
+      ? options.daysOfWeek.filter(d => d !== day)
+      : WEEKDAYS.filter(d => d === day || options.daysOfWeek.includes(d));
+    setOptions({ ...options, daysOfWeek });
+  };
+
+  // Instructors seen teaching this class in the loaded schedule
+  const instructorOptions = useMemo(() => {
+    const byKey = new Map();
+    [classItem, ...relatedClasses].forEach((cls) => {
+      const trainer = toTrainer(cls);
+      if (trainer && !byKey.has(trainerKey(trainer))) {
+        byKey.set(trainerKey(trainer), trainer);
+      }
+    });
+    return [...byKey.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }, [classItem, relatedClasses]);
+
+  const isPreferred = (trainer) => options.preferredTrainers.some(t => trainerKey(t) === trainerKey(trainer));
+  const isExcluded = (trainer) => options.excludedTrainers.some(t => trainerKey(t) === trainerKey(trainer));
+
+  // An instructor is in at most one list; picking it in one removes it from the other
+  const toggleTrainer = (list, trainer) => {
+    const key = trainerKey(trainer);
+    const otherList = list === 'preferredTrainers' ? 'excludedTrainers' : 'preferredTrainers';
+    const selected = options[list].some(t => trainerKey(t) === key);
+    setOptions({
+      ...options,
+      [list]: selected ? options[list].filter(t => trainerKey(t) !== key) : [...options[list], trainer],
+      [otherList]: options[otherList].filter(t => trainerKey(t) !== key)
+    });
+  };
+
+  const matchedInstructors = useMemo(() => {
+    const byKey = new Map();
+    matchingClasses.forEach((cls) => {
+      const trainer = toTrainer(cls);
+      if (trainer && !byKey.has(trainerKey(trainer))) {
+        byKey.set(trainerKey(trainer), trainer);
+      }
+    });
+    return [...byKey.values()];
+  }, [matchingClasses]);
+
+  const trainerLists = {
+    preferredTrainers: options.matchTrainer && options.ruleType !== 'category' ? options.preferredTrainers : [],
+    excludedTrainers: options.excludedTrainers
+  };
+  const trainersInvalid = options.ruleType !== 'category' && options.matchTrainer &&
+    primaryTrainer !== null && options.preferredTrainers.length === 0;
+
+  const timeRange = options.useTimeRange
+    ? { timeRangeStart: options.timeRangeStart || null, timeRangeEnd: options.timeRangeEnd || null }
+    : { timeRangeStart: null, timeRangeEnd: null };
+  const timeRangeInvalid = options.useTimeRange && (
+    (!options.timeRangeStart && !options.timeRangeEnd) ||
+    (options.timeRangeStart && options.timeRangeEnd && options.timeRangeStart > options.timeRangeEnd)
+  );
+
+  const describeTimeRange = () => {
+    if (options.timeRangeStart && options.timeRangeEnd) {
+      return `Match classes starting between ${options.timeRangeStart} and ${options.timeRangeEnd}`;
+    }
+    if (options.timeRangeStart) {
+      return `Match classes starting at or after ${options.timeRangeStart}`;
+    }
+    if (options.timeRangeEnd) {
+      return `Match classes starting at or before ${options.timeRangeEnd}`;
+    }
+    return 'Set a start, an end, or both';
+  };
+
+  const isCategory = options.ruleType === 'category';
+  const locationsInvalid = isCategory && !options.locationGroupId && options.locations.length === 0;
+
+  const toggleLocation = (location) => {
+    const selected = options.locations.some(l => l.name === location.name);
+    setOptions({
+      ...options,
+      locations: selected
+        ? options.locations.filter(l => l.name !== location.name)
+        : [...options.locations, location]
+    });
+  };
+
+  // Category rules match any class in the category, so the seed class's
+  // service, start time and instructor don't apply to them
+  const rulePayload = () => ({
+    ...(isCategory
+      ? {
+          ruleType: 'category',
+          serviceCategoryId: classItem.serviceCategoryId,
+          serviceCategoryName: classItem.serviceCategoryName,
+          nameKeyword: options.nameKeyword,
+          locations: options.locations,
+          startTime: null,
+          matchTrainer: false,
+          matchExactTime: false
+        }
+      : {
+          ruleType: 'service',
+          serviceId: classItem.serviceId,
+          serviceName: classItem.serviceName,
+          trainerId: classItem.trainerId,
+          trainerName: classItem.trainerName,
+          locationId: classItem.locationId,
+          locationName: classItem.locationName,
+          startTime,
+          matchTrainer: options.matchTrainer,
+          matchExactTime: options.matchExactTime
+        }),
+    ...(options.locationGroupId ? { locationGroupId: options.locationGroupId } : {}),
+    daysOfWeek: options.daysOfWeek,
+    recurrence: options.recurrence,
+    timeTolerance: options.timeTolerance,
+    ...timeRange,
+    ...trainerLists
+  });
 
   const previewMatches = async () => {
     setLoading(true);
     try {
-      const response = await api.post('/api/tracked-classes/preview', {
-        serviceId: classItem.serviceId,
-        serviceName: classItem.serviceName,
-        trainerId: classItem.trainerId,
-        trainerName: classItem.trainerName,
-        locationId: classItem.locationId,
-        locationName: classItem.locationName,
-        dayOfWeek,
-        startTime,
-        matchTrainer: options.matchTrainer,
-        matchExactTime: options.matchExactTime,
-        timeTolerance: options.timeTolerance
-      });
+      const response = await api.post('/api/tracked-classes/preview', rulePayload());
       setMatchingClasses(response.data.matchingClasses || []);
+      setRecurrenceExcluded(response.data.recurrenceExcluded || []);
       setStep('preview');
     } catch (error) {
       console.error('Failed to preview matches:', error);
@@ -49,19 +201,11 @@ function TrackClassModal({ classItem, onClose, onSuccess }) {
     setLoading(true);
     try {
       await api.post('/api/tracked-classes', {
-        serviceId: classItem.serviceId,
-        serviceName: classItem.serviceName,
-        trainerId: classItem.trainerId,
-        trainerName: classItem.trainerName,
-        locationId: classItem.locationId,
-        locationName: classItem.locationName,
-        dayOfWeek,
-        startTime,
-        matchTrainer: options.matchTrainer,
-        matchExactTime: options.matchExactTime,
-        timeTolerance: options.timeTolerance,
+        ...rulePayload(),
+        substitutePolicy: options.substitutePolicy,
         autoSignup: options.autoSignup,
-        signupHoursBefore: options.signupHoursBefore
+        signupHoursBefore: options.signupHoursBefore,
+        clientId: options.clientId
       });
       toast.success('Class added to tracking!');
       onSuccess();
@@ -94,11 +238,13 @@ function TrackClassModal({ classItem, onClose, onSuccess }) {
           {step === 'options' && (
             <div className="space-y-6">
               <div className="bg-blue-50 border border-blue-200 rounded-lg p-4">
-                <h3 className="font-semibold text-gray-900 mb-2">{classItem.serviceName}</h3>
+                <h3 className="font-semibold text-gray-900 mb-2">
+                  {isCategory ? `Any ${classItem.serviceCategoryName || 'class'} class` : classItem.serviceName}
+                </h3>
                 <div className="space-y-1 text-sm text-gray-600">
                   <div className="flex items-center">
                     <Calendar className="w-4 h-4 mr-2" />
-                    <span>{dayOfWeek} at {startTime}</span>
+                    <span>{options.daysOfWeek.join(', ') || 'No days selected'}{isCategory ? '' : ` at ${startTime}`}</span>
                   </div>
                   {classItem.trainerName && (
                     <div className="flex items-center">
@@ -108,7 +254,9 @@ function TrackClassModal({ classItem, onClose, onSuccess }) {
                   )}
                   <div className="flex items-center">
                     <MapPin className="w-4 h-4 mr-2" />
-                    <span>{classItem.locationName}</span>
+                    <span>
+                      {locationGroups.find(group => String(group.id) === String(options.locationGroupId))?.name || classItem.locationName}
+                    </span>
                   </div>
                 </div>
               </div>
@@ -120,7 +268,138 @@ function TrackClassModal({ classItem, onClose, onSuccess }) {
                 </p>
 
                 <div className="space-y-4">
+                  {hasCategory && (
+                    <div className="border rounded-lg p-4">
+                      <div className="font-medium text-gray-900 mb-2">What to track</div>
+                      <div className="space-y-2">
+                        <label className="flex items-center space-x-3">
+                          <input
+                            type="radio"
+                            checked={!isCategory}
+                            onChange={() => setOptions({ ...options, ruleType: 'service' })}
+                          />
+                          <span className="text-sm text-gray-700">This class: {classItem.serviceName}</span>
+                        </label>
+                        <label className="flex items-center space-x-3">
+                          <input
+                            type="radio"
+                            checked={isCategory}
+                            onChange={() => setOptions({ ...options, ruleType: 'category', useTimeRange: true, timeRangeStart: options.timeRangeStart || startTime })}
+                          />
+                          <span className="text-sm text-gray-700">
+                            One {classItem.serviceCategoryName || 'matching'} class per day, whichever is offered
+                          </span>
+                        </label>
+                      </div>
+
+                      {isCategory && (
+                        <div className="ml-7 mt-3 space-y-3">
+                          <div>
+                            <label className="block text-sm font-medium text-gray-700 mb-1">
+                              Class name contains (optional)
+                            </label>
+                            <input
+                              type="text"
+                              value={options.nameKeyword}
+                              onChange={(e) => setOptions({ ...options, nameKeyword: e.target.value })}
+                              placeholder="e.g. cycle"
+                              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                            />
+                          </div>
+                          {locationOptions.length > 0 && !options.locationGroupId && (
+                            <div>
+                              <div className="text-sm font-medium text-gray-700 mb-1">Locations</div>
+                              <div className="flex flex-wrap gap-2">
+                                {locationOptions.map((location) => (
+                                  <button
+                                    key={location.name}
+                                    type="button"
+                                    onClick={() => toggleLocation(location)}
+                                    className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                                      options.locations.some(l => l.name === location.name)
+                                        ? 'bg-primary text-white border-primary'
+                                        : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                                    }`}
+                                  >
+                                    {location.name}
+                                  </button>
+                                ))}
+                              </div>
+                              {locationsInvalid && (
+                                <p className="text-xs text-red-600 mt-1">Pick at least one location</p>
+                              )}
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  )}
+
+                  {locationGroups.length > 0 && (
+                    <div className="border rounded-lg p-4">
+                      <label className="block font-medium text-gray-900 mb-1">Location</label>
+                      <select
+                        value={options.locationGroupId}
+                        onChange={(e) => setOptions({ ...options, locationGroupId: e.target.value })}
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                      >
+                        <option value="">
+                          {isCategory ? 'The locations picked above' : `Only ${classItem.locationName}`}
+                        </option>
+                        {locationGroups.map((group) => (
+                          <option key={group.id} value={group.id}>
+                            {group.name} ({group.locations.map(location => location.name || location.id).join(', ')})
+                          </option>
+                        ))}
+                      </select>
+                      {options.locationGroupId && (
+                        <p className="text-xs text-gray-500 mt-1">
+                          {locationGroups.find(group => String(group.id) === String(options.locationGroupId))?.booking_order === 'first'
+                            ? 'Books the first matching class to open each day, at any location in the group'
+                            : 'Books one class a day, at the earliest-listed location in the group that has one'}
+                        </p>
+                      )}
+                    </div>
+                  )}
+
                   <div className="border rounded-lg p-4">
+                    <div className="font-medium text-gray-900">Days</div>
+                    <div className="text-sm text-gray-600 mb-3">
+                      Track this class on every selected weekday
+                    </div>
+                    <div className="flex flex-wrap gap-2">
+                      {WEEKDAYS.map((day) => (
+                        <button
+                          key={day}
+                          type="button"
+                          onClick={() => toggleDay(day)}
+                          className={`px-3 py-1.5 rounded-lg text-sm font-medium border ${
+                            options.daysOfWeek.includes(day)
+                              ? 'bg-primary text-white border-primary'
+                              : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                          }`}
+                        >
+                          {day.substring(0, 3)}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="mt-3">
+                      <div className="text-sm text-gray-600 mb-2">Repeat</div>
+                      <RecurrencePicker
+                        value={options.recurrence}
+                        anchorDate={classDay}
+                        onChange={(recurrence) => setOptions({ ...options, recurrence })}
+                      />
+                    </div>
+                  </div>
+
+                  <div className="border rounded-lg p-4">
+                    {isCategory ? (
+                      <div>
+                        <div className="font-medium text-gray-900">Instructors</div>
+                        <div className="text-sm text-gray-600">Match classes with any instructor not excluded below</div>
+                      </div>
+                    ) : (
                     <label className="flex items-start space-x-3">
                       <input
                         type="checkbox"
@@ -132,13 +411,138 @@ function TrackClassModal({ classItem, onClose, onSuccess }) {
                         <div className="font-medium text-gray-900">Match Instructor</div>
                         <div className="text-sm text-gray-600">
                           {options.matchTrainer 
-                            ? `Only match classes taught by ${classItem.trainerName || 'this instructor'}`
+                            ? `Only match classes taught by ${options.preferredTrainers.map(t => t.name).join(', ') || classItem.trainerName || 'this instructor'}`
                             : 'Match classes with any instructor'}
                         </div>
                       </div>
                     </label>
+                    )}
+
+                    {instructorOptions.length > 0 && (
+                      <div className="ml-7 mt-3 space-y-3">
+                        {options.matchTrainer && !isCategory && (
+                          <div>
+                            <div className="text-sm font-medium text-gray-700 mb-1">Preferred instructors</div>
+                            <div className="flex flex-wrap gap-2">
+                              {instructorOptions.map((trainer) => (
+                                <button
+                                  key={trainerKey(trainer)}
+                                  type="button"
+                                  onClick={() => toggleTrainer('preferredTrainers', trainer)}
+                                  className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                                    isPreferred(trainer)
+                                      ? 'bg-green-100 text-green-800 border-green-300'
+                                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                                  }`}
+                                >
+                                  {trainer.name}
+                                </button>
+                              ))}
+                            </div>
+                            {trainersInvalid && (
+                              <p className="text-xs text-red-600 mt-1">Pick at least one instructor</p>
+                            )}
+                          </div>
+                        )}
+                        <div>
+                          <div className="text-sm font-medium text-gray-700 mb-1">Never book with</div>
+                          <div className="flex flex-wrap gap-2">
+                            {instructorOptions.map((trainer) => (
+                              <button
+                                key={trainerKey(trainer)}
+                                type="button"
+                                onClick={() => toggleTrainer('excludedTrainers', trainer)}
+                                className={`px-3 py-1 rounded-full text-xs font-medium border ${
+                                  isExcluded(trainer)
+                                    ? 'bg-red-100 text-red-800 border-red-300 line-through'
+                                    : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                                }`}
+                              >
+                                {trainer.name}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      </div>
+                    )}
+                  </div>
+
+                  <div className="border rounded-lg p-4">
+                    <label className="block font-medium text-gray-900 mb-1">
+                      If the instructor changes on a booked class
+                    </label>
+                    <select
+                      value={options.substitutePolicy}
+                      onChange={(e) => setOptions({ ...options, substitutePolicy: e.target.value })}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                    >
+                      {SUBSTITUTE_POLICIES.map((policy) => (
+                        <option key={policy.value} value={policy.value}>{policy.label}</option>
+                      ))}
+                    </select>
+                    <p className="text-xs text-gray-500 mt-1">
+                      Applies when a substitute is outside the instructors above; changes are recorded in the signup log
+                    </p>
+                  </div>
+
+                  <div className="border rounded-lg p-4">
+                    <label className="flex items-start space-x-3 mb-3">
+                      <input
+                        type="checkbox"
+                        checked={options.useTimeRange}
+                        onChange={(e) => setOptions({
+                          ...options,
+                          useTimeRange: e.target.checked,
+                          timeRangeStart: options.timeRangeStart || (e.target.checked ? startTime : '')
+                        })}
+                        className="mt-1"
+                      />
+                      <div className="flex-1">
+                        <div className="font-medium text-gray-900">Match a Start-Time Window</div>
+                        <div className="text-sm text-gray-600">
+                          {options.useTimeRange
+                            ? describeTimeRange()
+                            : 'Keep matching if the class moves within a time window'}
+                        </div>
+                      </div>
+                    </label>
+
+                    {options.useTimeRange && (
+                      <div className="ml-7 flex flex-wrap gap-4">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Starts at or after
+                          </label>
+                          <input
+                            type="time"
+                            value={options.timeRangeStart}
+                            onChange={(e) => setOptions({ ...options, timeRangeStart: e.target.value })}
+                            className="w-36 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                          />
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-1">
+                            Starts at or before
+                          </label>
+                          <input
+                            type="time"
+                            value={options.timeRangeEnd}
+                            onChange={(e) => setOptions({ ...options, timeRangeEnd: e.target.value })}
+                            className="w-36 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                          />
+                        </div>
+                        {timeRangeInvalid && (
+                          <p className="w-full text-xs text-red-600">
+                            {options.timeRangeStart && options.timeRangeEnd
+                              ? 'The window start must not be later than its end'
+                              : 'Set at least one end of the window'}
+                          </p>
+                        )}
+                      </div>
+                    )}
                   </div>
 
+                  {!options.useTimeRange && !isCategory && (
                   <div className="border rounded-lg p-4">
                     <label className="flex items-start space-x-3 mb-3">
                       <input
@@ -176,10 +580,17 @@ function TrackClassModal({ classItem, onClose, onSuccess }) {
                       </div>
                     )}
                   </div>
+                  )}
                 </div>
 
                 <div className="border-t pt-4 space-y-4">
                   <h3 className="font-semibold text-gray-900">Auto-Signup Settings</h3>
+
+                  <PersonPicker
+                    clients={linkedClients}
+                    value={options.clientId}
+                    onChange={(clientId) => setOptions({ ...options, clientId })}
+                  />
                   
                   <div className="border rounded-lg p-4">
                     <label className="flex items-start space-x-3">
@@ -228,7 +639,7 @@ function TrackClassModal({ classItem, onClose, onSuccess }) {
                 </button>
                 <button
                   onClick={previewMatches}
-                  disabled={loading}
+                  disabled={loading || options.daysOfWeek.length === 0 || timeRangeInvalid || trainersInvalid || locationsInvalid}
                   className="flex-1 px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
                 >
                   {loading ? 'Loading...' : 'Preview Matches'}
@@ -253,6 +664,42 @@ function TrackClassModal({ classItem, onClose, onSuccess }) {
                 </div>
               </div>
 
+              {matchedInstructors.length > 0 && (
+                <div>
+                  <div className="text-sm font-medium text-gray-700 mb-2">Instructors in these classes</div>
+                  <div className="flex flex-wrap gap-2">
+                    {matchedInstructors.map((trainer) => (
+                      <span
+                        key={trainerKey(trainer)}
+                        className={`inline-flex items-center px-3 py-1 rounded-full text-xs font-medium ${
+                          trainerLists.preferredTrainers.some(t => trainerKey(t) === trainerKey(trainer))
+                            ? 'bg-green-100 text-green-800'
+                            : 'bg-gray-100 text-gray-700'
+                        }`}
+                      >
+                        <User className="w-3 h-3 mr-1" />
+                        {trainer.name}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {recurrenceExcluded.length > 0 && (
+                <div className="border rounded-lg p-4">
+                  <div className="text-sm font-medium text-gray-700 mb-2">
+                    Skipped by recurrence ({recurrenceExcluded.length})
+                  </div>
+                  <div className="space-y-1 text-sm text-gray-500 max-h-32 overflow-y-auto">
+                    {recurrenceExcluded.map((cls, idx) => (
+                      <div key={idx}>
+                        {cls.serviceName} · {new Date(cls.startTime).toLocaleDateString()} at {new Date(cls.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {matchingClasses.length > 0 ? (
                 <div className="space-y-3 max-h-96 overflow-y-auto">
                   {matchingClasses.map((cls, idx) => (
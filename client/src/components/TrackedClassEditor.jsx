@@ -0,0 +1,596 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import { ToggleLeft, ToggleRight, RefreshCw, Eye, X, Plus } from 'lucide-react';
+import toast from 'react-hot-toast';
+import RecurrencePicker from './RecurrencePicker';
+import PersonPicker, { useLinkedClients } from './PersonPicker';
+
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const toEditForm = (classItem) => ({
+  nameKeyword: classItem.name_keyword || '',
+  locationGroupId: classItem.location_group_id ? String(classItem.location_group_id) : '',
+  locations: classItem.location_group_id ? [] : (classItem.locations || []),
+  locationId: classItem.location_id,
+  locationName: classItem.location_name || '',
+  daysOfWeek: classItem.days_of_week || [],
+  startTime: classItem.start_time || '',
+  matchExactTime: classItem.match_exact_time === 1,
+  timeTolerance: classItem.time_tolerance || 15,
+  useTimeRange: Boolean(classItem.time_range_start || classItem.time_range_end),
+  timeRangeStart: classItem.time_range_start || '',
+  timeRangeEnd: classItem.time_range_end || '',
+  matchTrainer: classItem.match_trainer === 1,
+  preferredTrainers: classItem.preferred_trainers || [],
+  excludedTrainers: classItem.excluded_trainers || [],
+  autoSignup: classItem.auto_signup === 1,
+  signupHoursBefore: classItem.signup_hours_before,
+  substitutePolicy: classItem.substitute_policy || 'keep',
+  priority: classItem.priority ?? 1,
+  activeFrom: classItem.active_from || '',
+  activeUntil: classItem.active_until || '',
+  maxBookings: classItem.max_bookings || '',
+  recurrence: classItem.recurrence || null,
+  clientId: classItem.client_id || null
+});
+
+// Instructor names typed in by hand; matched by name like the ones picked
+// when the class was first tracked
+function TrainerListInput({ trainers, placeholder, onChange }) {
+  const [name, setName] = useState('');
+
+  const addTrainer = () => {
+    const trimmed = name.trim();
+    if (trimmed && !trainers.some(t => (t.name || '').toLowerCase() === trimmed.toLowerCase())) {
+      onChange([...trainers, { id: null, name: trimmed }]);
+    }
+    setName('');
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap gap-2">
+        {trainers.map(trainer => (
+          <span key={trainer.id || trainer.name} className="inline-flex items-center px-3 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+            {trainer.name || trainer.id}
+            <button
+              type="button"
+              onClick={() => onChange(trainers.filter(t => t !== trainer))}
+              className="ml-1 text-gray-400 hover:text-gray-600"
+            >
+              <X className="w-3 h-3" />
+            </button>
+          </span>
+        ))}
+      </div>
+      <div className="flex items-center space-x-2 mt-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') {
+              e.preventDefault();
+              addTrainer();
+            }
+          }}
+          placeholder={placeholder}
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+        />
+        <button
+          type="button"
+          onClick={addTrainer}
+          disabled={!name.trim()}
+          className="p-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+          title="Add instructor"
+        >
+          <Plus className="w-4 h-4" />
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function TrackedClassEditor({ classItem, title, onCancel, onSaved }) {
+  const [editForm, setEditForm] = useState(() => toEditForm(classItem));
+  const [locationOptions, setLocationOptions] = useState([]);
+  const [locationGroups, setLocationGroups] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [previewing, setPreviewing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const linkedClients = useLinkedClients();
+
+  const isCategory = classItem.rule_type === 'category';
+  const usesLocationSet = isCategory || (classItem.locations || []).length > 0;
+
+  useEffect(() => {
+    Promise.all([api.get('/api/locations'), api.get('/api/location-groups')])
+      .then(([locationsResponse, groupsResponse]) => {
+        setLocationOptions(locationsResponse.data);
+        setLocationGroups(groupsResponse.data);
+      })
+      .catch(error => console.error('Failed to fetch locations:', error));
+  }, []);
+
+  // Keep the rule's current locations selectable even when the YMCA list
+  // doesn't include them
+  const locationChoices = [
+    ...locationOptions,
+    ...[...editForm.locations, ...(editForm.locationName && !usesLocationSet
+      ? [{ id: editForm.locationId, name: editForm.locationName }]
+      : [])]
+      .filter(location => !locationOptions.some(l => l.name === location.name))
+  ];
+
+  // Every-N-weeks rules count from the week of the class's next occurrence
+  // unless they already have an anchor
+  const recurrenceAnchor = (classItem.next_occurrence ? new Date(classItem.next_occurrence) : new Date())
+    .toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+
+  // Any edit makes the last preview stale
+  const update = (changes) => {
+    setEditForm({ ...editForm, ...changes });
+    setPreview(null);
+  };
+
+  const toggleDay = (day) => {
+    update({
+      daysOfWeek: WEEKDAYS.filter(d => d === day ? !editForm.daysOfWeek.includes(d) : editForm.daysOfWeek.includes(d))
+    });
+  };
+
+  const toggleLocation = (location) => {
+    update({
+      locations: editForm.locations.some(l => l.name === location.name)
+        ? editForm.locations.filter(l => l.name !== location.name)
+        : [...editForm.locations, { id: location.id ? String(location.id) : null, name: location.name }]
+    });
+  };
+
+  const invalid = editForm.daysOfWeek.length === 0 ||
+    (usesLocationSet && !editForm.locationGroupId && editForm.locations.length === 0) ||
+    (editForm.useTimeRange && (
+      (!editForm.timeRangeStart && !editForm.timeRangeEnd) ||
+      (editForm.timeRangeStart && editForm.timeRangeEnd && editForm.timeRangeStart > editForm.timeRangeEnd)
+    )) ||
+    (!isCategory && !editForm.useTimeRange && !editForm.startTime);
+
+  const rulePayload = () => ({
+    nameKeyword: editForm.nameKeyword,
+    locationGroupId: editForm.locationGroupId || null,
+    locations: editForm.locationGroupId ? [] : editForm.locations,
+    locationId: editForm.locationId,
+    locationName: editForm.locationName,
+    daysOfWeek: editForm.daysOfWeek,
+    startTime: isCategory ? null : editForm.startTime,
+    matchExactTime: editForm.matchExactTime,
+    timeTolerance: editForm.timeTolerance,
+    timeRangeStart: editForm.useTimeRange ? editForm.timeRangeStart || null : null,
+    timeRangeEnd: editForm.useTimeRange ? editForm.timeRangeEnd || null : null,
+    matchTrainer: isCategory ? false : editForm.matchTrainer,
+    preferredTrainers: editForm.preferredTrainers,
+    excludedTrainers: editForm.excludedTrainers,
+    recurrence: editForm.recurrence,
+    activeFrom: editForm.activeFrom || null,
+    activeUntil: editForm.activeUntil || null
+  });
+
+  const previewChanges = async () => {
+    try {
+      setPreviewing(true);
+      const response = await api.post('/api/tracked-classes/preview', {
+        ...rulePayload(),
+        draft: true,
+        clientId: editForm.clientId,
+        trackedClassId: classItem.id,
+        ruleType: classItem.rule_type,
+        serviceId: classItem.service_id,
+        serviceCategoryId: classItem.service_category_id,
+        serviceCategoryName: classItem.service_category_name,
+        trainerId: classItem.trainer_id,
+        trainerName: classItem.trainer_name
+      });
+      setPreview({
+        matchingClasses: response.data.matchingClasses || [],
+        recurrenceExcluded: response.data.recurrenceExcluded || []
+      });
+    } catch (error) {
+      console.error('Failed to preview changes:', error);
+      toast.error('Failed to preview matches: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setPreviewing(false);
+    }
+  };
+
+  const saveEdit = async () => {
+    try {
+      setSaving(true);
+      const response = await api.put(`/api/tracked-classes/${classItem.id}`, {
+        ...rulePayload(),
+        autoSignup: editForm.autoSignup,
+        signupHoursBefore: editForm.signupHoursBefore,
+        substitutePolicy: editForm.substitutePolicy,
+        priority: editForm.priority,
+        clientId: editForm.clientId || 'self',
+        maxBookings: editForm.maxBookings === '' ? null : parseInt(editForm.maxBookings)
+      });
+      toast.success(response.data.changes?.length === 0 ? 'Nothing changed' : 'Class settings updated');
+      onSaved();
+    } catch (error) {
+      console.error('Failed to update class:', error);
+      toast.error('Failed to update class: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-lg font-semibold text-gray-900">{title}</h3>
+
+      <div className="border rounded-lg p-4 space-y-4">
+        <div className="font-medium text-gray-900">Matching</div>
+
+        {isCategory && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Class name contains
+            </label>
+            <input
+              type="text"
+              value={editForm.nameKeyword}
+              onChange={(e) => update({ nameKeyword: e.target.value })}
+              placeholder="Any class in the category"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+            />
+          </div>
+        )}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Location
+          </label>
+          <select
+            value={editForm.locationGroupId}
+            onChange={(e) => update({ locationGroupId: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+          >
+            <option value="">{usesLocationSet ? 'These locations' : 'One location'}</option>
+            {locationGroups.map(group => (
+              <option key={group.id} value={String(group.id)}>Group: {group.name}</option>
+            ))}
+          </select>
+          {!editForm.locationGroupId && (usesLocationSet ? (
+            <div className="flex flex-wrap gap-2 mt-2">
+              {locationChoices.map(location => (
+                <button
+                  key={location.name}
+                  type="button"
+                  onClick={() => toggleLocation(location)}
+                  className={`px-3 py-1.5 rounded-lg text-sm font-medium border ${
+                    editForm.locations.some(l => l.name === location.name)
+                      ? 'bg-primary text-white border-primary'
+                      : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                  }`}
+                >
+                  {location.name}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <select
+              value={editForm.locationName}
+              onChange={(e) => {
+                const location = locationChoices.find(l => l.name === e.target.value);
+                update({ locationName: location.name, locationId: location.id ? String(location.id) : null });
+              }}
+              className="w-full mt-2 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+            >
+              {locationChoices.map(location => (
+                <option key={location.name} value={location.name}>{location.name}</option>
+              ))}
+            </select>
+          ))}
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Days
+          </label>
+          <div className="flex flex-wrap gap-2">
+            {WEEKDAYS.map(day => (
+              <button
+                key={day}
+                type="button"
+                onClick={() => toggleDay(day)}
+                className={`px-3 py-1.5 rounded-lg text-sm font-medium border ${
+                  editForm.daysOfWeek.includes(day)
+                    ? 'bg-primary text-white border-primary'
+                    : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                }`}
+              >
+                {day.substring(0, 3)}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="space-y-2">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={editForm.useTimeRange}
+              onChange={(e) => update({ useTimeRange: e.target.checked })}
+            />
+            <span>Match a start-time window</span>
+          </label>
+          {editForm.useTimeRange ? (
+            <div className="grid grid-cols-2 gap-3">
+              <input
+                type="time"
+                value={editForm.timeRangeStart}
+                onChange={(e) => update({ timeRangeStart: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+              <input
+                type="time"
+                value={editForm.timeRangeEnd}
+                onChange={(e) => update({ timeRangeEnd: e.target.value })}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+            </div>
+          ) : !isCategory && (
+            <div className="flex flex-wrap items-center gap-3">
+              <input
+                type="time"
+                value={editForm.startTime}
+                onChange={(e) => update({ startTime: e.target.value })}
+                className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={editForm.matchExactTime}
+                  onChange={(e) => update({ matchExactTime: e.target.checked })}
+                />
+                <span>Exact time</span>
+              </label>
+              {!editForm.matchExactTime && (
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <span>within ±</span>
+                  <input
+                    type="number"
+                    value={editForm.timeTolerance}
+                    onChange={(e) => update({ timeTolerance: parseInt(e.target.value) || '' })}
+                    className="w-20 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                    min="1"
+                    max="180"
+                  />
+                  <span>minutes</span>
+                </label>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="space-y-2">
+          {!isCategory && (
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={editForm.matchTrainer}
+                onChange={(e) => update({ matchTrainer: e.target.checked })}
+              />
+              <span>Only these instructors</span>
+            </label>
+          )}
+          {!isCategory && editForm.matchTrainer && (
+            <TrainerListInput
+              trainers={editForm.preferredTrainers}
+              placeholder={classItem.trainer_name || 'Instructor name'}
+              onChange={(preferredTrainers) => update({ preferredTrainers })}
+            />
+          )}
+          <div className="text-sm text-gray-700">Never book with</div>
+          <TrainerListInput
+            trainers={editForm.excludedTrainers}
+            placeholder="Instructor name"
+            onChange={(excludedTrainers) => update({ excludedTrainers })}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <PersonPicker
+          clients={linkedClients}
+          value={editForm.clientId}
+          onChange={(clientId) => update({ clientId })}
+        />
+
+        <div className="flex items-center justify-between">
+          <label className="text-sm font-medium text-gray-700">Auto Signup</label>
+          <button
+            onClick={() => update({ autoSignup: !editForm.autoSignup })}
+            className={`flex items-center space-x-2 px-4 py-2 rounded-lg ${
+              editForm.autoSignup
+                ? 'bg-green-100 text-green-800'
+                : 'bg-gray-100 text-gray-600'
+            }`}
+          >
+            {editForm.autoSignup ? (
+              <>
+                <ToggleRight className="w-5 h-5" />
+                <span>Enabled</span>
+              </>
+            ) : (
+              <>
+                <ToggleLeft className="w-5 h-5" />
+                <span>Disabled</span>
+              </>
+            )}
+          </button>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Sign up (hours before class)
+          </label>
+          <input
+            type="number"
+            value={editForm.signupHoursBefore}
+            onChange={(e) => update({ signupHoursBefore: parseInt(e.target.value) })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+            min="1"
+            max="168"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            The system will attempt signup this many hours before the class starts
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            If the instructor changes on a booked class
+          </label>
+          <select
+            value={editForm.substitutePolicy}
+            onChange={(e) => update({ substitutePolicy: e.target.value })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+          >
+            <option value="keep">Keep the booking</option>
+            <option value="notify">Keep it and flag it for review</option>
+            <option value="cancel">Cancel the booking</option>
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Priority
+          </label>
+          <select
+            value={editForm.priority}
+            onChange={(e) => update({ priority: parseInt(e.target.value) })}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+          >
+            <option value={2}>High</option>
+            <option value={1}>Normal</option>
+            <option value={0}>Low</option>
+          </select>
+          <p className="text-xs text-gray-500 mt-1">
+            With the "prefer higher priority" conflict policy, a higher-priority class replaces a clashing booking
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-3">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Active from
+            </label>
+            <input
+              type="date"
+              value={editForm.activeFrom}
+              onChange={(e) => update({ activeFrom: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">
+              Active until
+            </label>
+            <input
+              type="date"
+              value={editForm.activeUntil}
+              min={editForm.activeFrom || undefined}
+              onChange={(e) => update({ activeUntil: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Repeat
+          </label>
+          <RecurrencePicker
+            value={editForm.recurrence}
+            anchorDate={recurrenceAnchor}
+            onChange={(recurrence) => update({ recurrence })}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">
+            Book only the next
+          </label>
+          <div className="flex items-center space-x-2">
+            <input
+              type="number"
+              value={editForm.maxBookings}
+              onChange={(e) => update({ maxBookings: e.target.value })}
+              placeholder="No limit"
+              className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              min="1"
+              max="100"
+            />
+            <span className="text-sm text-gray-600">occurrences</span>
+          </div>
+          <p className="text-xs text-gray-500 mt-1">
+            Leave dates and the count empty to track this class indefinitely. Finished rules are archived and stop auto-signing up
+          </p>
+        </div>
+      </div>
+
+      {preview && (
+        <div className="border rounded-lg p-4 bg-gray-50">
+          <div className="text-sm font-medium text-gray-900">
+            {preview.matchingClasses.length} upcoming {preview.matchingClasses.length === 1 ? 'class matches' : 'classes match'} these settings
+          </div>
+          {preview.recurrenceExcluded.length > 0 && (
+            <div className="text-xs text-gray-500 mt-1">
+              {preview.recurrenceExcluded.length} more fall on weeks the repeat setting skips
+            </div>
+          )}
+          {preview.matchingClasses.length > 0 && (
+            <div className="mt-2 space-y-1 max-h-48 overflow-y-auto">
+              {preview.matchingClasses.map(cls => (
+                <div key={cls.id} className="text-sm text-gray-600">
+                  {new Date(cls.startTime).toLocaleDateString([], { weekday: 'short', month: 'short', day: 'numeric' })}
+                  {' '}at {new Date(cls.startTime).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+                  {' · '}{cls.serviceName}
+                  {cls.trainerName && ` · ${cls.trainerName}`}
+                  {' · '}{cls.locationName}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="flex space-x-2">
+        <button
+          onClick={previewChanges}
+          disabled={previewing || invalid}
+          className="flex-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50 flex items-center justify-center space-x-2"
+        >
+          {previewing ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Eye className="w-4 h-4" />}
+          <span>Preview Matches</span>
+        </button>
+        <button
+          onClick={saveEdit}
+          disabled={saving || invalid}
+          className="flex-1 px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+        >
+          Save
+        </button>
+        <button
+          onClick={onCancel}
+          className="flex-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TrackedClassEditor;
@@ -0,0 +1,72 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import { X, RefreshCw, History } from 'lucide-react';
+
+const SOURCE_LABELS = {
+  edit: 'Edited',
+  'auto-refresh': 'Updated to match the YMCA schedule'
+};
+
+function TrackedClassHistory({ trackedClassId, title, onClose }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    api.get(`/api/tracked-classes/${trackedClassId}/history`)
+      .then(response => setEntries(response.data))
+      .catch(error => console.error('Failed to fetch tracked class history:', error))
+      .finally(() => setLoading(false));
+  }, [trackedClassId]);
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[80vh] flex flex-col">
+        <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h3 className="text-xl font-semibold text-gray-900">Edit History</h3>
+            <p className="text-sm text-gray-500 mt-1">{title}</p>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="flex-1 overflow-y-auto p-6">
+          {loading ? (
+            <div className="text-center py-12">
+              <RefreshCw className="w-8 h-8 text-primary animate-spin mx-auto" />
+            </div>
+          ) : entries.length === 0 ? (
+            <div className="text-center py-12">
+              <History className="w-12 h-12 text-gray-400 mx-auto mb-3" />
+              <p className="text-gray-500">This class hasn't been changed since it was tracked</p>
+            </div>
+          ) : (
+            <div className="space-y-4">
+              {entries.map(entry => (
+                <div key={entry.id} className="border border-gray-200 rounded-lg p-4">
+                  <div className="flex items-center justify-between mb-2">
+                    <span className="text-sm font-medium text-gray-900">{SOURCE_LABELS[entry.source] || entry.source}</span>
+                    <span className="text-xs text-gray-500">{new Date(`${entry.created_at}Z`).toLocaleString()}</span>
+                  </div>
+                  <div className="space-y-1">
+                    {entry.changes.map(change => (
+                      <div key={change.field} className="text-sm text-gray-600">
+                        <span className="font-medium text-gray-700">{change.label}:</span>{' '}
+                        <span className="line-through text-gray-400">{change.from ?? 'none'}</span>
+                        {' → '}
+                        <span>{change.to ?? 'none'}</span>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TrackedClassHistory;
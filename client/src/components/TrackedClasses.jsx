@@ -1,55 +1,82 @@
 import React, { useState, useEffect } from 'react';
 import api from '../api';
 import * as classActions from '../services/classActions';
-import { Calendar, Clock, MapPin, User, Trash2, Settings, RefreshCw, ToggleLeft, ToggleRight, Eye, BookOpen, X, UserX, ListOrdered } from 'lucide-react';
+import { Calendar, Clock, MapPin, User, Trash2, Settings, RefreshCw, ToggleLeft, ToggleRight, Eye, BookOpen, X, UserX, ListOrdered, AlertTriangle, CalendarX, CalendarClock, Archive, History, Users } from 'lucide-react';
 import toast from 'react-hot-toast';
 import { useConfirm } from './ConfirmDialog';
+import FallbackChains from './FallbackChains';
+import BlackoutDates, { formatBlackoutRange } from './BlackoutDates';
+import TrackedClassEditor from './TrackedClassEditor';
+import TrackedClassHistory from './TrackedClassHistory';
+import { describeRecurrence } from './RecurrencePicker';
 
 function TrackedClasses() {
   const { confirm } = useConfirm();
   const [classes, setClasses] = useState([]);
   const [loading, setLoading] = useState(false);
   const [editingId, setEditingId] = useState(null);
-  const [editForm, setEditForm] = useState({ autoSignup: false, signupHoursBefore: 46 });
   const [previewingId, setPreviewingId] = useState(null);
   const [previewClasses, setPreviewClasses] = useState([]);
   const [previewDiagnostics, setPreviewDiagnostics] = useState(null);
   const [previewLoading, setPreviewLoading] = useState(false);
   const [bookingClass, setBookingClass] = useState(null);
+  const [historyClass, setHistoryClass] = useState(null);
+  const [fallbackChains, setFallbackChains] = useState([]);
+  const [blackouts, setBlackouts] = useState([]);
 
   useEffect(() => {
     fetchTrackedClasses();
+    fetchFallbackChains();
+    fetchBlackouts();
   }, []);
 
-  const fetchTrackedClasses = async () => {
-    setLoading(true);
+  const fetchFallbackChains = async () => {
     try {
-      const response = await api.get('/api/tracked-classes');
-      setClasses(response.data);
+      const response = await api.get('/api/fallback-chains');
+      setFallbackChains(response.data);
     } catch (error) {
-      console.error('Failed to fetch tracked classes:', error);
-    } finally {
-      setLoading(false);
+      console.error('Failed to fetch fallback chains:', error);
     }
   };
 
-  const startEdit = (classItem) => {
-    setEditingId(classItem.id);
-    setEditForm({
-      autoSignup: classItem.auto_signup === 1,
-      signupHoursBefore: classItem.signup_hours_before
-    });
+  const fetchBlackouts = async () => {
+    try {
+      const response = await api.get('/api/blackouts');
+      setBlackouts(response.data);
+    } catch (error) {
+      console.error('Failed to fetch blackout dates:', error);
+    }
   };
 
-  const saveEdit = async (id) => {
+  const getBlackouts = (classItem) => blackouts.filter(blackout =>
+    blackout.tracked_class_id === null || blackout.tracked_class_id === classItem.id
+  );
+
+  const skipNextOccurrence = async (classItem) => {
     try {
-      await api.put(`/api/tracked-classes/${id}`, editForm);
-      setEditingId(null);
-      fetchTrackedClasses();
-      toast.success('Class settings updated');
+      const response = await api.post(`/api/tracked-classes/${classItem.id}/skip-next`);
+      fetchBlackouts();
+      toast.success(`Skipping ${getRuleTitle(classItem)} on ${response.data.date}`);
     } catch (error) {
-      console.error('Failed to update class:', error);
-      toast.error('Failed to update class: ' + (error.response?.data?.error || error.message));
+      console.error('Failed to skip next occurrence:', error);
+      toast.error('Failed to skip next occurrence: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  const getChainPosition = (classItem) => {
+    const chain = fallbackChains.find(c => c.tracked_class_ids.includes(classItem.id));
+    return chain ? { chain, position: chain.tracked_class_ids.indexOf(classItem.id) } : null;
+  };
+
+  const fetchTrackedClasses = async () => {
+    setLoading(true);
+    try {
+      const response = await api.get('/api/tracked-classes');
+      setClasses(response.data);
+    } catch (error) {
+      console.error('Failed to fetch tracked classes:', error);
+    } finally {
+      setLoading(false);
     }
   };
 
@@ -63,6 +90,8 @@ function TrackedClasses() {
     try {
       await api.delete(`/api/tracked-classes/${id}`);
       fetchTrackedClasses();
+      fetchFallbackChains();
+      fetchBlackouts();
       toast.success('Class removed from tracking');
     } catch (error) {
       console.error('Failed to delete class:', error);
@@ -92,16 +121,29 @@ function TrackedClasses() {
     try {
       const requestData = {
         trackedClassId: classItem.id,
+        ruleType: classItem.rule_type,
         serviceId: classItem.service_id,
+        serviceName: classItem.service_name,
+        serviceCategoryId: classItem.service_category_id,
+        serviceCategoryName: classItem.service_category_name,
+        nameKeyword: classItem.name_keyword,
+        locations: classItem.locations,
+        locationGroupId: classItem.location_group_id,
         trainerId: classItem.trainer_id,
         trainerName: classItem.trainer_name,
         locationId: classItem.location_id,
         locationName: classItem.location_name,
         dayOfWeek: classItem.day_of_week,
+        daysOfWeek: classItem.days_of_week,
         startTime: classItem.start_time,
         matchTrainer: classItem.match_trainer === 1,
         matchExactTime: classItem.match_exact_time === 1,
-        timeTolerance: classItem.time_tolerance || 15
+        timeTolerance: classItem.time_tolerance || 15,
+        timeRangeStart: classItem.time_range_start,
+        timeRangeEnd: classItem.time_range_end,
+        preferredTrainers: classItem.preferred_trainers,
+        excludedTrainers: classItem.excluded_trainers,
+        recurrence: classItem.recurrence
       };
       console.log('Preview request data:', requestData);
       console.log('Full classItem:', classItem);
@@ -128,6 +170,9 @@ function TrackedClasses() {
     }
   };
 
+  // Classes in a preview are booked for the person the tracked class is for
+  const getPreviewClientId = () => classes.find(c => c.id === previewingId)?.client_id || null;
+
   const bookClass = async (occurrenceId, serviceName) => {
     const confirmed = await confirm(`Sign up for ${serviceName}?`, {
       title: 'Confirm Signup',
@@ -138,7 +183,7 @@ function TrackedClasses() {
     setBookingClass(occurrenceId);
     try {
       const occurrence = previewClasses.find(c => c.id === occurrenceId);
-      await classActions.signupForClass(occurrenceId, occurrence?.lock_version);
+      await classActions.signupForClass(occurrenceId, occurrence?.lock_version, getPreviewClientId());
       toast.success('Successfully signed up for class!');
       const updatedClassItem = classes.find(c => c.id === previewingId);
       if (updatedClassItem) {
@@ -161,7 +206,7 @@ function TrackedClasses() {
 
     setBookingClass(occurrenceId);
     try {
-      await classActions.cancelBooking(occurrenceId);
+      await classActions.cancelBooking(occurrenceId, getPreviewClientId());
       toast.success('Successfully cancelled class!');
       const updatedClassItem = classes.find(c => c.id === previewingId);
       if (updatedClassItem) {
@@ -184,7 +229,7 @@ function TrackedClasses() {
 
     setBookingClass(occurrenceId);
     try {
-      await classActions.joinWaitlist(occurrenceId);
+      await classActions.joinWaitlist(occurrenceId, getPreviewClientId());
       toast.success('Successfully joined the waitlist!');
       const updatedClassItem = classes.find(c => c.id === previewingId);
       if (updatedClassItem) {
@@ -207,7 +252,7 @@ function TrackedClasses() {
 
     setBookingClass(occurrenceId);
     try {
-      await classActions.leaveWaitlist(occurrenceId);
+      await classActions.leaveWaitlist(occurrenceId, getPreviewClientId());
       toast.success('Successfully left the waitlist!');
       const updatedClassItem = classes.find(c => c.id === previewingId);
       if (updatedClassItem) {
@@ -234,6 +279,19 @@ function TrackedClasses() {
     return colors[day] || 'bg-gray-100 text-gray-800';
   };
 
+  const formatActiveRange = (classItem) => {
+    if (classItem.active_from && classItem.active_until) {
+      return `${classItem.active_from} – ${classItem.active_until}`;
+    }
+    return classItem.active_from ? `from ${classItem.active_from}` : `until ${classItem.active_until}`;
+  };
+
+  const getRuleTitle = (classItem) => (
+    classItem.rule_type === 'category'
+      ? `Any ${classItem.service_category_name || classItem.service_name} class`
+      : classItem.service_name
+  );
+
   return (
     <div className="space-y-6">
       <div className="bg-white rounded-lg shadow p-6">
@@ -255,6 +313,24 @@ function TrackedClasses() {
         </div>
       </div>
 
+      {!loading && classes.length > 1 && (
+        <FallbackChains
+          chains={fallbackChains}
+          trackedClasses={classes}
+          getRuleTitle={getRuleTitle}
+          onChange={fetchFallbackChains}
+        />
+      )}
+
+      {!loading && classes.length > 0 && (
+        <BlackoutDates
+          blackouts={blackouts}
+          trackedClasses={classes}
+          getRuleTitle={getRuleTitle}
+          onChange={fetchBlackouts}
+        />
+      )}
+
       {loading ? (
         <div className="text-center py-12">
           <RefreshCw className="w-8 h-8 text-primary animate-spin mx-auto" />
@@ -263,85 +339,76 @@ function TrackedClasses() {
       ) : (
         <div className="grid grid-cols-1 gap-4">
           {[...classes].sort((a, b) => {
+            // Archived rules go last
+            if (Boolean(a.archived_at) !== Boolean(b.archived_at)) {
+              return a.archived_at ? 1 : -1;
+            }
             const dateA = a.next_occurrence ? new Date(a.next_occurrence) : new Date(8640000000000000);
             const dateB = b.next_occurrence ? new Date(b.next_occurrence) : new Date(8640000000000000);
             return dateA - dateB;
           }).map((classItem) => (
-            <div key={classItem.id} className="bg-white rounded-lg shadow hover:shadow-lg transition-shadow p-6">
+            <div key={classItem.id} className={`bg-white rounded-lg shadow hover:shadow-lg transition-shadow p-6 ${classItem.archived_at && editingId !== classItem.id ? 'opacity-75' : ''}`}>
               {editingId === classItem.id ? (
-                <div className="space-y-4">
-                  <h3 className="text-lg font-semibold text-gray-900">{classItem.service_name}</h3>
-                  
-                  <div className="space-y-3">
-                    <div className="flex items-center justify-between">
-                      <label className="text-sm font-medium text-gray-700">Auto Signup</label>
-                      <button
-                        onClick={() => setEditForm({ ...editForm, autoSignup: !editForm.autoSignup })}
-                        className={`flex items-center space-x-2 px-4 py-2 rounded-lg ${
-                          editForm.autoSignup
-                            ? 'bg-green-100 text-green-800'
-                            : 'bg-gray-100 text-gray-600'
-                        }`}
-                      >
-                        {editForm.autoSignup ? (
-                          <>
-                            <ToggleRight className="w-5 h-5" />
-                            <span>Enabled</span>
-                          </>
-                        ) : (
-                          <>
-                            <ToggleLeft className="w-5 h-5" />
-                            <span>Disabled</span>
-                          </>
-                        )}
-                      </button>
-                    </div>
-
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-1">
-                        Sign up (hours before class)
-                      </label>
-                      <input
-                        type="number"
-                        value={editForm.signupHoursBefore}
-                        onChange={(e) => setEditForm({ ...editForm, signupHoursBefore: parseInt(e.target.value) })}
-                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
-                        min="1"
-                        max="168"
-                      />
-                      <p className="text-xs text-gray-500 mt-1">
-                        The system will attempt signup this many hours before the class starts
-                      </p>
-                    </div>
-                  </div>
-
-                  <div className="flex space-x-2">
-                    <button
-                      onClick={() => saveEdit(classItem.id)}
-                      className="flex-1 px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700"
-                    >
-                      Save
-                    </button>
-                    <button
-                      onClick={() => setEditingId(null)}
-                      className="flex-1 px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
-                    >
-                      Cancel
-                    </button>
-                  </div>
-                </div>
+                <TrackedClassEditor
+                  classItem={classItem}
+                  title={getRuleTitle(classItem)}
+                  onCancel={() => setEditingId(null)}
+                  onSaved={() => {
+                    setEditingId(null);
+                    fetchTrackedClasses();
+                  }}
+                />
               ) : (
                 <>
                   <div className="flex items-start justify-between mb-4">
                     <div className="flex-1">
-                      <h3 className="text-lg font-semibold text-gray-900 mb-2">{classItem.service_name}</h3>
+                      <h3 className="text-lg font-semibold text-gray-900 mb-2">{getRuleTitle(classItem)}</h3>
                       <div className="flex flex-wrap gap-2 mb-3">
-                        {classItem.day_of_week && (
-                          <span className={`px-2 py-1 text-xs font-medium rounded ${getDayOfWeekColor(classItem.day_of_week)}`}>
-                            {classItem.day_of_week}
+                        {classItem.archived_at && (
+                          <span className="px-2 py-1 bg-gray-200 text-gray-700 text-xs font-medium rounded flex items-center">
+                            <Archive className="w-3 h-3 mr-1" />
+                            Archived
+                          </span>
+                        )}
+                        {getChainPosition(classItem) && (
+                          <span className="px-2 py-1 bg-indigo-100 text-indigo-800 text-xs font-medium rounded">
+                            {getChainPosition(classItem).position === 0
+                              ? `First choice in "${getChainPosition(classItem).chain.name}"`
+                              : `Fallback #${getChainPosition(classItem).position} in "${getChainPosition(classItem).chain.name}"`}
+                          </span>
+                        )}
+                        {classItem.rule_type === 'category' && classItem.name_keyword && (
+                          <span className="px-2 py-1 bg-purple-100 text-purple-800 text-xs font-medium rounded">
+                            name contains "{classItem.name_keyword}"
+                          </span>
+                        )}
+                        {(classItem.days_of_week || []).map((day) => (
+                          <span key={day} className={`px-2 py-1 text-xs font-medium rounded ${getDayOfWeekColor(day)}`}>
+                            {day}
+                          </span>
+                        ))}
+                        {classItem.client_id && (
+                          <span className="px-2 py-1 bg-pink-100 text-pink-800 text-xs font-medium rounded flex items-center">
+                            <Users className="w-3 h-3 mr-1" />
+                            For {classItem.client_name || 'family member'}
+                          </span>
+                        )}
+                        {classItem.recurrence && (
+                          <span className="px-2 py-1 bg-sky-100 text-sky-800 text-xs font-medium rounded">
+                            {describeRecurrence(classItem.recurrence)}
+                          </span>
+                        )}
+                        {(classItem.active_from || classItem.active_until) && (
+                          <span className="px-2 py-1 bg-teal-100 text-teal-800 text-xs font-medium rounded">
+                            {formatActiveRange(classItem)}
+                          </span>
+                        )}
+                        {classItem.max_bookings && (
+                          <span className="px-2 py-1 bg-teal-100 text-teal-800 text-xs font-medium rounded">
+                            {classItem.bookings_made || 0} of {classItem.max_bookings} booked
                           </span>
                         )}
-                        {classItem.auto_signup === 1 ? (
+                        {classItem.archived_at ? null : classItem.auto_signup === 1 ? (
                           <span className="px-2 py-1 bg-green-100 text-green-800 text-xs font-medium rounded">
                             Auto-signup enabled
                           </span>
@@ -350,6 +417,13 @@ function TrackedClasses() {
                             Manual only
                           </span>
                         )}
+                        {classItem.priority !== undefined && classItem.priority !== 1 && (
+                          <span className={`px-2 py-1 text-xs font-medium rounded ${
+                            classItem.priority === 2 ? 'bg-orange-100 text-orange-800' : 'bg-gray-100 text-gray-600'
+                          }`}>
+                            {classItem.priority === 2 ? 'High priority' : 'Low priority'}
+                          </span>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -366,9 +440,28 @@ function TrackedClasses() {
                         )}
                       </div>
                     )}
+                    {(classItem.preferred_trainers?.length > 0 || classItem.excluded_trainers?.length > 0) && (
+                      <div className="flex flex-wrap items-center gap-1 text-xs">
+                        {(classItem.preferred_trainers || []).map((trainer) => (
+                          <span key={`preferred-${trainer.id || trainer.name}`} className="px-2 py-0.5 bg-green-100 text-green-800 rounded-full">
+                            {trainer.name || trainer.id}
+                          </span>
+                        ))}
+                        {(classItem.excluded_trainers || []).map((trainer) => (
+                          <span key={`excluded-${trainer.id || trainer.name}`} className="px-2 py-0.5 bg-red-100 text-red-800 rounded-full line-through">
+                            {trainer.name || trainer.id}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                     <div className="flex items-center text-sm text-gray-600">
                       <MapPin className="w-4 h-4 mr-2" />
-                      <span>{classItem.location_name}</span>
+                      <span>{classItem.location_group_name || classItem.location_name}</span>
+                      {classItem.location_group_name && (
+                        <span className="ml-2 text-xs text-gray-500">
+                          {classItem.locations.map(location => location.name || location.id).join(classItem.location_group_order === 'preferred' ? ' → ' : ', ')}
+                        </span>
+                      )}
                     </div>
                     {classItem.start_time && (
                       <div className="flex items-center text-sm text-gray-600">
@@ -376,7 +469,15 @@ function TrackedClasses() {
                         <span>
                           {new Date(`2000-01-01T${classItem.start_time}`).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
                         </span>
-                        {classItem.match_exact_time === 0 && classItem.time_tolerance && (
+                        {(classItem.time_range_start || classItem.time_range_end) ? (
+                          <span className="ml-2 px-2 py-0.5 bg-yellow-100 text-yellow-800 text-xs rounded">
+                            {classItem.time_range_start && classItem.time_range_end
+                              ? `starts ${classItem.time_range_start}–${classItem.time_range_end}`
+                              : classItem.time_range_start
+                                ? `starts after ${classItem.time_range_start}`
+                                : `starts before ${classItem.time_range_end}`}
+                          </span>
+                        ) : classItem.match_exact_time === 0 && classItem.time_tolerance && (
                           <span className="ml-2 px-2 py-0.5 bg-yellow-100 text-yellow-800 text-xs rounded">
                             ±{classItem.time_tolerance}min
                           </span>
@@ -393,6 +494,31 @@ function TrackedClasses() {
                     </div>
                   )}
 
+                  {classItem.archived_at && (
+                    <div className="bg-gray-50 border border-gray-200 rounded-lg p-3 mb-4">
+                      <p className="flex items-center text-sm text-gray-700">
+                        <Archive className="w-4 h-4 mr-2 flex-shrink-0" />
+                        <span>
+                          {classItem.archive_reason || 'Finished'}. Change its dates or booking limit to use it again.
+                        </span>
+                      </p>
+                    </div>
+                  )}
+
+                  {getBlackouts(classItem).length > 0 && (
+                    <div className="bg-amber-50 border border-amber-200 rounded-lg p-3 mb-4 space-y-1">
+                      {getBlackouts(classItem).map(blackout => (
+                        <p key={blackout.id} className="flex items-center text-sm text-amber-800">
+                          <CalendarX className="w-4 h-4 mr-2 flex-shrink-0" />
+                          <span>
+                            {blackout.tracked_class_id === null ? 'Paused' : 'Skipping'} {formatBlackoutRange(blackout)}
+                            {blackout.reason && ` (${blackout.reason})`}
+                          </span>
+                        </p>
+                      ))}
+                    </div>
+                  )}
+
                   <div className="space-y-2 sm:space-y-0 sm:flex sm:items-center sm:space-x-2">
                     <div className="flex w-full gap-2 sm:w-auto sm:flex-1">
                       <button
@@ -402,30 +528,46 @@ function TrackedClasses() {
                         <Eye className="w-4 h-4" />
                         <span>Preview</span>
                       </button>
+                      {!classItem.archived_at && (
+                        <button
+                          onClick={() => toggleAutoSignup(classItem)}
+                          className={`flex-1 px-4 py-2 rounded-lg flex items-center justify-center space-x-2 ${
+                            classItem.auto_signup === 1
+                              ? 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200'
+                              : 'bg-green-100 text-green-800 hover:bg-green-200'
+                          }`}
+                        >
+                          {classItem.auto_signup === 1 ? (
+                            <>
+                              <ToggleLeft className="w-4 h-4" />
+                              <span>Disable Auto</span>
+                            </>
+                          ) : (
+                            <>
+                              <ToggleRight className="w-4 h-4" />
+                              <span>Enable Auto</span>
+                            </>
+                          )}
+                        </button>
+                      )}
+                    </div>
+                    <div className="flex w-full gap-2 sm:w-auto">
                       <button
-                        onClick={() => toggleAutoSignup(classItem)}
-                        className={`flex-1 px-4 py-2 rounded-lg flex items-center justify-center space-x-2 ${
-                          classItem.auto_signup === 1
-                            ? 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200'
-                            : 'bg-green-100 text-green-800 hover:bg-green-200'
-                        }`}
+                        onClick={() => skipNextOccurrence(classItem)}
+                        className="flex-1 sm:flex-none px-4 py-2 bg-amber-100 text-amber-800 rounded-lg hover:bg-amber-200 flex items-center justify-center"
+                        title="Skip the next occurrence"
                       >
-                        {classItem.auto_signup === 1 ? (
-                          <>
-                            <ToggleLeft className="w-4 h-4" />
-                            <span>Disable Auto</span>
-                          </>
-                        ) : (
-                          <>
-                            <ToggleRight className="w-4 h-4" />
-                            <span>Enable Auto</span>
-                          </>
-                        )}
+                        <CalendarX className="w-4 h-4" />
                       </button>
-                    </div>
-                    <div className="flex w-full gap-2 sm:w-auto">
                       <button
-                        onClick={() => startEdit(classItem)}
+                        onClick={() => setHistoryClass(classItem)}
+                        className="flex-1 sm:flex-none px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 flex items-center justify-center"
+                        title="Edit history"
+                      >
+                        <History className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => setEditingId(classItem.id)}
                         className="flex-1 sm:flex-none px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 flex items-center justify-center"
                       >
                         <Settings className="w-4 h-4" />
@@ -489,7 +631,11 @@ function TrackedClasses() {
                 <div className="text-center py-12">
                   <Calendar className="w-12 h-12 text-gray-400 mx-auto mb-3" />
                   <p className="text-gray-500">No matching classes found</p>
-                  {previewDiagnostics?.exactBookedMatches > 0 ? (
+                  {previewDiagnostics?.recurrence?.excluded > 0 ? (
+                    <p className="text-sm text-gray-400 mt-1">
+                      {previewDiagnostics.recurrence.excluded} upcoming classes match, but all fall on weeks skipped by "{previewDiagnostics.recurrence.description}".
+                    </p>
+                  ) : previewDiagnostics?.exactBookedMatches > 0 ? (
                     <p className="text-sm text-gray-400 mt-1">
                       An exact match exists in your bookings, but the schedule response still did not include a previewable occurrence.
                     </p>
@@ -505,6 +651,19 @@ function TrackedClasses() {
                 </div>
               ) : (
                   <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  {previewDiagnostics?.busyMatches > 0 && (
+                    <div className="md:col-span-2 bg-amber-50 border border-amber-200 rounded-lg p-3 flex items-center text-sm text-amber-800">
+                      <CalendarClock className="w-4 h-4 mr-2 flex-shrink-0" />
+                      <span>
+                        {previewDiagnostics.busyMatches} of these overlap busy time on your calendars and won't be auto-booked
+                      </span>
+                    </div>
+                  )}
+                  {previewDiagnostics?.recurrence?.excluded > 0 && (
+                    <div className="md:col-span-2 bg-sky-50 border border-sky-200 rounded-lg p-3 text-sm text-sky-800">
+                      {previewDiagnostics.recurrence.excluded} more matching classes fall on weeks skipped by "{previewDiagnostics.recurrence.description}"
+                    </div>
+                  )}
                   {previewClasses.map((cls) => {
                     const startTime = new Date(cls.startTime);
                     const endTime = cls.endTime ? new Date(cls.endTime) : null;
@@ -575,6 +734,24 @@ function TrackedClasses() {
                           )}
                         </div>
 
+                        {cls.busy && (
+                          <div className="mb-2 flex items-start text-xs text-amber-700">
+                            <CalendarClock className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+                            <span>{cls.busy.message}</span>
+                          </div>
+                        )}
+
+                        {cls.conflicts?.length > 0 && (
+                          <div className="mb-3 space-y-1">
+                            {cls.conflicts.map(conflict => (
+                              <div key={`${conflict.source}-${conflict.occurrenceId}`} className="flex items-start text-xs text-orange-700">
+                                <AlertTriangle className="w-3 h-3 mr-1 mt-0.5 flex-shrink-0" />
+                                <span>{conflict.message}{conflict.source === 'tracked' ? ' (tracked class)' : ''}</span>
+                              </div>
+                            ))}
+                          </div>
+                        )}
+
                         {cls.isJoined ? (
                           <button
                             onClick={() => cancelClass(cls.id, cls.serviceName)}
@@ -665,6 +842,14 @@ function TrackedClasses() {
           </div>
         </div>
       )}
+
+      {historyClass && (
+        <TrackedClassHistory
+          trackedClassId={historyClass.id}
+          title={getRuleTitle(historyClass)}
+          onClose={() => setHistoryClass(null)}
+        />
+      )}
     </div>
   );
 }
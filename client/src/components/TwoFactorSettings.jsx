@@ -0,0 +1,211 @@
+import React, { useState, useEffect } from 'react';
+import api from '../api';
+import { ShieldCheck, Copy, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// Two-factor login for the current user. Any role can turn it on for itself.
+function TwoFactorSettings() {
+  const [status, setStatus] = useState(null);
+  const [enrollment, setEnrollment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [code, setCode] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    fetchStatus();
+  }, []);
+
+  const fetchStatus = async () => {
+    try {
+      const response = await api.get('/api/auth/2fa');
+      setStatus(response.data);
+    } catch (error) {
+      console.error('Failed to fetch two-factor status:', error);
+    }
+  };
+
+  const runAction = async (action, failureMessage) => {
+    try {
+      setBusy(true);
+      await action();
+    } catch (error) {
+      console.error(`${failureMessage}:`, error);
+      toast.error(`${failureMessage}: ` + (error.response?.data?.error || error.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startSetup = () => runAction(async () => {
+    const response = await api.post('/api/auth/2fa/setup');
+    setEnrollment(response.data);
+    setRecoveryCodes(null);
+    setCode('');
+  }, 'Failed to start setup');
+
+  const confirmSetup = () => runAction(async () => {
+    const response = await api.post('/api/auth/2fa/enable', { code });
+    setEnrollment(null);
+    setRecoveryCodes(response.data.recoveryCodes);
+    setCode('');
+    toast.success('Two-factor authentication is on');
+    fetchStatus();
+  }, 'Failed to turn on two-factor');
+
+  const disable = () => runAction(async () => {
+    await api.post('/api/auth/2fa/disable', { code });
+    setRecoveryCodes(null);
+    setCode('');
+    toast.success('Two-factor authentication is off');
+    fetchStatus();
+  }, 'Failed to turn off two-factor');
+
+  const regenerateCodes = () => runAction(async () => {
+    const response = await api.post('/api/auth/2fa/recovery-codes', { code });
+    setRecoveryCodes(response.data.recoveryCodes);
+    setCode('');
+    toast.success('New recovery codes created');
+    fetchStatus();
+  }, 'Failed to create recovery codes');
+
+  const copyRecoveryCodes = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join('\n'));
+      toast.success('Recovery codes copied');
+    } catch (error) {
+      toast.error('Copy failed; select the codes and copy them manually');
+    }
+  };
+
+  const codeInput = (
+    <input
+      id="twoFactorSettingsCode"
+      type="text"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+      placeholder="123456"
+      className="w-full md:w-40 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent tracking-widest"
+      autoComplete="one-time-code"
+    />
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-6 border-b border-gray-200">
+        <div className="flex items-center space-x-2">
+          <ShieldCheck className="w-5 h-5 text-gray-700" />
+          <h3 className="text-lg font-semibold text-gray-900">Two-Factor Authentication</h3>
+        </div>
+        <p className="text-sm text-gray-500 mt-1">
+          Ask for a code from an authenticator app, as well as your password, when you log in
+        </p>
+      </div>
+      <div className="p-6 space-y-4">
+        {recoveryCodes && (
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 space-y-3">
+            <p className="text-sm text-yellow-800">
+              Save these recovery codes somewhere safe. Each one logs you in once if you lose your device. They won't be shown again.
+            </p>
+            <div className="grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+              {recoveryCodes.map(recoveryCode => (
+                <span key={recoveryCode}>{recoveryCode}</span>
+              ))}
+            </div>
+            <div className="flex space-x-2">
+              <button
+                onClick={copyRecoveryCodes}
+                className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm flex items-center space-x-1"
+              >
+                <Copy className="w-4 h-4" />
+                <span>Copy</span>
+              </button>
+              <button
+                onClick={() => setRecoveryCodes(null)}
+                className="px-3 py-1.5 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 text-sm"
+              >
+                I've saved them
+              </button>
+            </div>
+          </div>
+        )}
+
+        {status?.enabled ? (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-700">
+              <span className="font-medium text-green-700">On.</span>{' '}
+              {status.recoveryCodesLeft} recovery {status.recoveryCodesLeft === 1 ? 'code' : 'codes'} left.
+            </p>
+            <div>
+              <label htmlFor="twoFactorSettingsCode" className="block text-sm font-medium text-gray-700 mb-2">
+                Current code (or a recovery code)
+              </label>
+              <div className="flex flex-col md:flex-row gap-2">
+                {codeInput}
+                <button
+                  onClick={regenerateCodes}
+                  disabled={busy || !code.trim()}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  New Recovery Codes
+                </button>
+                <button
+                  onClick={disable}
+                  disabled={busy || !code.trim()}
+                  className="px-4 py-2 border border-red-300 text-red-600 rounded-lg hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  Turn Off
+                </button>
+              </div>
+            </div>
+          </div>
+        ) : enrollment ? (
+          <div className="space-y-4">
+            <p className="text-sm text-gray-700">
+              Scan this QR code with an authenticator app, then enter the code it shows.
+            </p>
+            <img src={enrollment.qrCode} alt="Two-factor QR code" className="w-48 h-48 border border-gray-200 rounded-lg" />
+            <p className="text-xs text-gray-500">
+              Can't scan it? Enter this key instead: <span className="font-mono text-gray-900 break-all">{enrollment.secret}</span>
+            </p>
+            <div>
+              <label htmlFor="twoFactorSettingsCode" className="block text-sm font-medium text-gray-700 mb-2">
+                Code from the app
+              </label>
+              <div className="flex flex-col md:flex-row gap-2">
+                {codeInput}
+                <button
+                  onClick={confirmSetup}
+                  disabled={busy || !code.trim()}
+                  className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+                >
+                  {busy && <RefreshCw className="w-4 h-4 animate-spin" />}
+                  <span>Turn On</span>
+                </button>
+                <button
+                  onClick={() => setEnrollment(null)}
+                  className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        ) : (
+          <div className="flex items-center justify-between">
+            <p className="text-sm text-gray-700">Off</p>
+            <button
+              onClick={startSetup}
+              disabled={busy || !status}
+              className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+            >
+              <ShieldCheck className="w-4 h-4" />
+              <span>Set Up</span>
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default TwoFactorSettings;
@@ -0,0 +1,194 @@
+import React, { useState } from 'react';
+import api from '../api';
+import { Users, Plus, Save, Trash2, Pencil, RefreshCw } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { useConfirm } from './ConfirmDialog';
+
+const EMPTY_ACCOUNT_FORM = { name: '', email: '', password: '' };
+
+// Every YMCA membership this instance books for. Tracked classes, bookings and
+// history belong to one account; the header switcher picks which is shown.
+function YmcaAccounts({ accounts, currentAccountId, onChange }) {
+  const { confirm } = useConfirm();
+  const [form, setForm] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  const startEdit = (account) => {
+    setEditingId(account.id);
+    setForm({ name: account.name, email: account.ymca_email || '', password: '' });
+  };
+
+  const closeForm = () => {
+    setEditingId(null);
+    setForm(null);
+  };
+
+  const saveAccount = async () => {
+    try {
+      setSaving(true);
+      if (editingId) {
+        await api.put(`/api/accounts/${editingId}`, {
+          name: form.name,
+          email: form.email || undefined,
+          password: form.password || undefined
+        });
+        toast.success(`Updated "${form.name}"`);
+      } else {
+        await api.post('/api/accounts', form);
+        toast.success(`Added "${form.name || form.email}"`);
+      }
+      closeForm();
+      onChange();
+    } catch (error) {
+      console.error('Failed to save YMCA account:', error);
+      toast.error('Failed to save account: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteAccount = async (account) => {
+    const confirmed = await confirm(`Remove "${account.name}"? Its fallback chains, blackout dates, spot watches, waitlist upgrades, booking history and scheduler activity are removed too.`, {
+      title: 'Remove YMCA Account',
+      confirmText: 'Remove'
+    });
+    if (!confirmed) return;
+
+    try {
+      await api.delete(`/api/accounts/${account.id}`);
+      onChange();
+    } catch (error) {
+      console.error('Failed to delete YMCA account:', error);
+      toast.error('Failed to remove account: ' + (error.response?.data?.error || error.message));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="p-6 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <div className="flex items-center space-x-2">
+            <Users className="w-5 h-5 text-gray-700" />
+            <h3 className="text-lg font-semibold text-gray-900">YMCA Accounts</h3>
+          </div>
+          <p className="text-sm text-gray-500 mt-1">
+            Book for more than one membership, e.g. a partner's. Switch between them in the header.
+          </p>
+        </div>
+        {!form && (
+          <button
+            onClick={() => setForm(EMPTY_ACCOUNT_FORM)}
+            className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 flex items-center space-x-2"
+          >
+            <Plus className="w-4 h-4" />
+            <span>Add Account</span>
+          </button>
+        )}
+      </div>
+      <div className="p-6 space-y-3">
+        {accounts.length === 0 && !form && (
+          <p className="text-sm text-gray-500">No accounts yet. Save credentials below to add the first one.</p>
+        )}
+
+        {accounts.map(account => (
+          <div key={account.id} className="p-3 rounded-lg border border-gray-200 flex items-center justify-between">
+            <div className="min-w-0">
+              <div className="font-medium text-gray-900">
+                {account.name}
+                {account.id === currentAccountId && (
+                  <span className="ml-2 text-xs font-normal text-primary">Showing</span>
+                )}
+              </div>
+              <div className="text-xs text-gray-500 truncate">
+                {account.ymca_email || 'Credentials from the environment'} · {account.connected ? 'Connected' : 'Not connected'}
+              </div>
+            </div>
+            <div className="flex items-center space-x-1">
+              <button
+                onClick={() => startEdit(account)}
+                className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-50 rounded-lg"
+                title="Edit account"
+              >
+                <Pencil className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => deleteAccount(account)}
+                className="p-2 text-red-500 hover:text-red-700 hover:bg-red-50 rounded-lg"
+                title="Remove account"
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+        ))}
+
+        {form && (
+          <div className="border border-gray-200 rounded-lg p-4 space-y-4">
+            <div>
+              <label htmlFor="ymcaAccountName" className="block text-sm font-medium text-gray-700 mb-2">
+                Name
+              </label>
+              <input
+                id="ymcaAccountName"
+                type="text"
+                value={form.name}
+                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                placeholder="Alex"
+                className="w-full md:w-64 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+              />
+            </div>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <label htmlFor="ymcaAccountEmail" className="block text-sm font-medium text-gray-700 mb-2">
+                  YMCA Email
+                </label>
+                <input
+                  id="ymcaAccountEmail"
+                  type="email"
+                  value={form.email}
+                  onChange={(e) => setForm({ ...form, email: e.target.value })}
+                  placeholder="their-email@example.com"
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                  autoComplete="off"
+                />
+              </div>
+              <div>
+                <label htmlFor="ymcaAccountPassword" className="block text-sm font-medium text-gray-700 mb-2">
+                  YMCA Password
+                </label>
+                <input
+                  id="ymcaAccountPassword"
+                  type="password"
+                  value={form.password}
+                  onChange={(e) => setForm({ ...form, password: e.target.value })}
+                  placeholder={editingId ? 'Leave blank to keep' : '••••••••'}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary focus:border-transparent"
+                  autoComplete="new-password"
+                />
+              </div>
+            </div>
+            <div className="flex justify-end space-x-2">
+              <button
+                onClick={closeForm}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={saveAccount}
+                disabled={saving || (editingId ? !form.name.trim() : (!form.email.trim() || !form.password))}
+                className="px-4 py-2 bg-primary text-white rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center space-x-2"
+              >
+                {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                <span>{editingId ? 'Save Account' : 'Add Account'}</span>
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default YmcaAccounts;
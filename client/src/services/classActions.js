@@ -4,14 +4,22 @@
  */
 import api from '../api';
 
+// Actions default to the account holder; a linked family member's client id
+// books, cancels or waitlists for them instead
+const clientParams = (clientId) => (clientId ? { params: { clientId } } : undefined);
+
 /**
  * Sign up for a class
  * @param {number|string} occurrenceId - The class occurrence ID
  * @param {number} [lockVersion] - Optional lock version for optimistic concurrency
+ * @param {string} [clientId] - Linked client to sign up instead of the account holder
  * @returns {Promise<Object>} API response data
  */
-export async function signupForClass(occurrenceId, lockVersion = null) {
-  const payload = lockVersion !== null ? { lock_version: lockVersion } : {};
+export async function signupForClass(occurrenceId, lockVersion = null, clientId = null) {
+  const payload = {
+    ...(lockVersion !== null && lockVersion !== undefined ? { lock_version: lockVersion } : {}),
+    ...(clientId ? { clientId } : {})
+  };
   const response = await api.post(`/api/signup/${occurrenceId}`, payload);
   return response.data;
 }
@@ -19,30 +27,33 @@ export async function signupForClass(occurrenceId, lockVersion = null) {
 /**
  * Join the waitlist for a class
  * @param {number|string} occurrenceId - The class occurrence ID
+ * @param {string} [clientId] - Linked client to waitlist instead of the account holder
  * @returns {Promise<Object>} API response data
  */
-export async function joinWaitlist(occurrenceId) {
-  const response = await api.post(`/api/waitlist/${occurrenceId}`);
+export async function joinWaitlist(occurrenceId, clientId = null) {
+  const response = await api.post(`/api/waitlist/${occurrenceId}`, clientId ? { clientId } : {});
   return response.data;
 }
 
 /**
  * Cancel a class booking (regular cancellation)
  * @param {number|string} occurrenceId - The class occurrence ID
+ * @param {string} [clientId] - Linked client whose booking to cancel
  * @returns {Promise<Object>} API response data
  */
-export async function cancelBooking(occurrenceId) {
-  const response = await api.delete(`/api/bookings/${occurrenceId}`);
+export async function cancelBooking(occurrenceId, clientId = null) {
+  const response = await api.delete(`/api/bookings/${occurrenceId}`, clientParams(clientId));
   return response.data;
 }
 
 /**
  * Leave the waitlist for a class
  * @param {number|string} occurrenceId - The class occurrence ID
+ * @param {string} [clientId] - Linked client who should leave the waitlist
  * @returns {Promise<Object>} API response data
  */
-export async function leaveWaitlist(occurrenceId) {
-  const response = await api.delete(`/api/waitlist/${occurrenceId}`);
+export async function leaveWaitlist(occurrenceId, clientId = null) {
+  const response = await api.delete(`/api/waitlist/${occurrenceId}`, clientParams(clientId));
   return response.data;
 }
 
@@ -0,0 +1,37 @@
+// Turns off two-factor authentication for a user who has lost both their
+// device and their recovery codes. Usage: npm run reset-2fa -- <username>
+const db = require('../server/database');
+
+const username = process.argv[2];
+
+if (!username) {
+  console.error('Usage: npm run reset-2fa -- <username>');
+  process.exit(1);
+}
+
+async function resetTwoFactor() {
+  const user = await db.getUserByUsername(username);
+  if (!user) {
+    console.error(`No user named "${username}"`);
+    return 1;
+  }
+  if (!user.totp_enabled && !user.totp_secret) {
+    console.log(`Two-factor authentication is already off for ${username}`);
+    return 0;
+  }
+
+  await db.clearTotp(user.id);
+  console.log(`Two-factor authentication turned off for ${username}. They can log in with just their password and set it up again in Settings.`);
+  return 0;
+}
+
+// Same wait as the server for the tables to be created
+db.initialize();
+setTimeout(() => {
+  resetTwoFactor()
+    .then(code => process.exit(code))
+    .catch(error => {
+      console.error('Failed to reset two-factor authentication:', error.message);
+      process.exit(1);
+    });
+}, 100);
@@ -34,7 +34,16 @@ function loadDefaultsFromExample() {
       defaultDaysAhead: 7,
       maxClassesPerFetch: 5000
     },
-    waitlistLimit: 5
+    waitlistLimit: 5,
+    conflicts: {
+      travelBufferMinutes: 15,
+      policy: 'skip'
+    },
+    quotas: {
+      perDay: 0,
+      perWeek: 0,
+      perCategoryPerWeek: 0
+    }
   };
 }
 
@@ -54,7 +63,16 @@ async function loadConfig() {
             defaultDaysAhead: dbSettings.defaultDaysAhead || 7,
             maxClassesPerFetch: dbSettings.maxClassesPerFetch || 5000
           },
-          waitlistLimit: dbSettings.waitlistLimit ?? 5
+          waitlistLimit: dbSettings.waitlistLimit ?? 5,
+          conflicts: {
+            travelBufferMinutes: dbSettings.travelBufferMinutes ?? 15,
+            policy: dbSettings.conflictPolicy || 'skip'
+          },
+          quotas: {
+            perDay: dbSettings.maxBookingsPerDay ?? 0,
+            perWeek: dbSettings.maxBookingsPerWeek ?? 0,
+            perCategoryPerWeek: dbSettings.maxBookingsPerCategoryWeek ?? 0
+          }
         };
         
         if (config.preferredLocations && config.preferredLocations.length > 0) {
@@ -74,7 +92,12 @@ async function loadConfig() {
           defaultSignupHoursBefore: config.scheduler.defaultSignupHoursBefore,
           defaultDaysAhead: config.classFetch.defaultDaysAhead,
           maxClassesPerFetch: config.classFetch.maxClassesPerFetch,
-          waitlistLimit: config.waitlistLimit ?? 5
+          waitlistLimit: config.waitlistLimit ?? 5,
+          travelBufferMinutes: config.conflicts?.travelBufferMinutes ?? 15,
+          conflictPolicy: config.conflicts?.policy || 'skip',
+          maxBookingsPerDay: config.quotas?.perDay ?? 0,
+          maxBookingsPerWeek: config.quotas?.perWeek ?? 0,
+          maxBookingsPerCategoryWeek: config.quotas?.perCategoryPerWeek ?? 0
         });
         logger.info('Saved default settings to database');
         
@@ -127,7 +150,12 @@ async function updateConfig(newSettings) {
     defaultSignupHoursBefore: newSettings.scheduler.defaultSignupHoursBefore,
     defaultDaysAhead: newSettings.classFetch.defaultDaysAhead,
     maxClassesPerFetch: newSettings.classFetch.maxClassesPerFetch,
-    waitlistLimit: newSettings.waitlistLimit ?? 5
+    waitlistLimit: newSettings.waitlistLimit ?? 5,
+    travelBufferMinutes: newSettings.conflicts?.travelBufferMinutes ?? 15,
+    conflictPolicy: newSettings.conflicts?.policy || 'skip',
+    maxBookingsPerDay: newSettings.quotas?.perDay ?? 0,
+    maxBookingsPerWeek: newSettings.quotas?.perWeek ?? 0,
+    maxBookingsPerCategoryWeek: newSettings.quotas?.perCategoryPerWeek ?? 0
   });
 
   await loadConfig();
@@ -34,6 +34,260 @@ function createTables() {
         time_tolerance INTEGER DEFAULT 15,
         auto_signup BOOLEAN DEFAULT 0,
         signup_hours_before INTEGER DEFAULT 46,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        days_of_week TEXT,
+        time_range_start TEXT,
+        time_range_end TEXT,
+        preferred_trainers TEXT,
+        excluded_trainers TEXT,
+        substitute_policy TEXT DEFAULT 'keep',
+        rule_type TEXT DEFAULT 'service',
+        service_category_id TEXT,
+        service_category_name TEXT,
+        name_keyword TEXT,
+        locations TEXT,
+        location_group_id INTEGER,
+        priority INTEGER DEFAULT 1,
+        active_from TEXT,
+        active_until TEXT,
+        max_bookings INTEGER,
+        bookings_made INTEGER DEFAULT 0,
+        archived_at DATETIME,
+        recurrence TEXT,
+        client_id TEXT,
+        client_name TEXT,
+        account_id INTEGER
+      )
+    `);
+
+    // Migration: Add days_of_week (JSON array of weekday names) for multi-day rules
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN days_of_week TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Migration: Add start-time window ("HH:MM", either end optional) for range matching
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN time_range_start TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN time_range_end TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Migration: Add instructor lists (JSON arrays of { id, name }) for per-rule allow/block lists
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN preferred_trainers TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN excluded_trainers TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Migration: Add substitute_policy (keep | cancel | notify) for instructor changes on booked classes
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN substitute_policy TEXT DEFAULT 'keep'`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Migration: Add category rules (any class in a service category, optionally
+    // narrowed by a name keyword) and location sets (JSON array of { id, name })
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN rule_type TEXT DEFAULT 'service'`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN service_category_id TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN service_category_name TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN name_keyword TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN locations TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Migration: Add location_group_id so a rule can target a named location group
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN location_group_id INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Migration: Add priority (0 low, 1 normal, 2 high) for resolving schedule conflicts
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN priority INTEGER DEFAULT 1`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Migration: Add an optional active date range (YYYY-MM-DD, New York days)
+    // and a "book the next N occurrences" limit; finished rules are archived
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN active_from TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN active_until TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN max_bookings INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN bookings_made INTEGER DEFAULT 0`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN archived_at DATETIME`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Migration: Add recurrence (JSON, see recurrenceService) for every-other-week
+    // and nth-weekday-of-the-month rules
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN recurrence TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Migration: Add client_id/client_name for rules that book a linked family
+    // member; NULL books the account holder
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN client_id TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN client_name TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Migration: Add the YMCA account a rule books through (see ymca_accounts)
+    db.run(`ALTER TABLE tracked_classes ADD COLUMN account_id INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Fallback chains: tracked_class_ids is a JSON array of tracked class ids
+    // in priority order; later entries are only booked when earlier ones can't be
+    db.run(`
+      CREATE TABLE IF NOT EXISTS fallback_chains (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        tracked_class_ids TEXT NOT NULL,
+        leave_waitlist BOOLEAN DEFAULT 0,
+        upgrade_waitlist BOOLEAN DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        account_id INTEGER
+      )
+    `);
+
+    // Migration: Add upgrade_waitlist so a kept waitlist can replace its fallback
+    db.run(`ALTER TABLE fallback_chains ADD COLUMN upgrade_waitlist BOOLEAN DEFAULT 1`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE fallback_chains ADD COLUMN account_id INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Waitlist links: a waitlisted preferred occurrence and the booked fallback
+    // to cancel if it confirms. status is 'watching', 'upgraded' or 'expired'
+    db.run(`
+      CREATE TABLE IF NOT EXISTS waitlist_links (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        chain_id INTEGER,
+        preferred_occurrence_id TEXT NOT NULL,
+        preferred_service_name TEXT,
+        backup_occurrence_id TEXT NOT NULL,
+        backup_service_name TEXT,
+        class_time TEXT,
+        waitlist_position INTEGER,
+        status TEXT DEFAULT 'watching',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME,
+        account_id INTEGER,
+        UNIQUE(preferred_occurrence_id, backup_occurrence_id)
+      )
+    `);
+
+    db.run(`ALTER TABLE waitlist_links ADD COLUMN account_id INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+    // The linked family member both bookings belong to; null is the account holder
+    db.run(`ALTER TABLE waitlist_links ADD COLUMN client_id TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE waitlist_links ADD COLUMN client_name TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // One-off watches on a single full occurrence; status is 'watching',
+    // 'booked', 'waitlisted', 'expired' or 'stopped'
+    db.run(`
+      CREATE TABLE IF NOT EXISTS spot_watches (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        occurrence_id TEXT NOT NULL,
+        service_name TEXT,
+        trainer_name TEXT,
+        location_name TEXT,
+        class_time TEXT NOT NULL,
+        status TEXT DEFAULT 'watching',
+        check_count INTEGER DEFAULT 0,
+        last_checked_at DATETIME,
+        result_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        resolved_at DATETIME,
+        account_id INTEGER
+      )
+    `);
+
+    db.run(`ALTER TABLE spot_watches ADD COLUMN account_id INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Date ranges (inclusive YYYY-MM-DD, New York days) when auto-signup
+    // books nothing; tracked_class_id NULL applies to every tracked class of
+    // the account
+    db.run(`
+      CREATE TABLE IF NOT EXISTS blackout_periods (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tracked_class_id INTEGER,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL,
+        reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        account_id INTEGER
+      )
+    `);
+
+    db.run(`ALTER TABLE blackout_periods ADD COLUMN account_id INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // One row per edit to a tracked class; changes is a JSON array of
+    // { field, label, from, to } display values
+    db.run(`
+      CREATE TABLE IF NOT EXISTS tracked_class_history (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        tracked_class_id INTEGER NOT NULL,
+        source TEXT DEFAULT 'edit',
+        changes TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Personal calendars (ICS URL or file path) whose busy time auto-signup
+    // avoids, each for the YMCA account whose member it belongs to
+    db.run(`
+      CREATE TABLE IF NOT EXISTS busy_calendars (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        source TEXT NOT NULL,
+        enabled BOOLEAN DEFAULT 1,
+        event_count INTEGER,
+        last_synced_at DATETIME,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        account_id INTEGER
+      )
+    `);
+
+    db.run(`ALTER TABLE busy_calendars ADD COLUMN account_id INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Named location groups: locations is a JSON array of { id, name } in
+    // preference order; booking_order is 'preferred' or 'first'
+    db.run(`
+      CREATE TABLE IF NOT EXISTS location_groups (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        locations TEXT NOT NULL,
+        booking_order TEXT DEFAULT 'preferred',
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -76,7 +330,29 @@ function createTables() {
                     time_tolerance INTEGER DEFAULT 15,
                     auto_signup BOOLEAN DEFAULT 0,
                     signup_hours_before INTEGER DEFAULT 46,
-                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    days_of_week TEXT,
+                    time_range_start TEXT,
+                    time_range_end TEXT,
+                    preferred_trainers TEXT,
+                    excluded_trainers TEXT,
+                    substitute_policy TEXT DEFAULT 'keep',
+                    rule_type TEXT DEFAULT 'service',
+                    service_category_id TEXT,
+                    service_category_name TEXT,
+                    name_keyword TEXT,
+                    locations TEXT,
+                    location_group_id INTEGER,
+                    priority INTEGER DEFAULT 1,
+                    active_from TEXT,
+                    active_until TEXT,
+                    max_bookings INTEGER,
+                    bookings_made INTEGER DEFAULT 0,
+                    archived_at DATETIME,
+                    recurrence TEXT,
+                    client_id TEXT,
+                    client_name TEXT,
+                    account_id INTEGER
                   )
                 `);
                 
@@ -128,10 +404,45 @@ function createTables() {
         class_time DATETIME,
         signup_time DATETIME DEFAULT CURRENT_TIMESTAMP,
         status TEXT,
-        error_message TEXT
+        error_message TEXT,
+        client_id TEXT,
+        client_name TEXT,
+        account_id INTEGER
+      )
+    `);
+
+    // Migration: Add the linked client a signup was made for (NULL is the
+    // account holder)
+    db.run(`ALTER TABLE signup_logs ADD COLUMN client_id TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE signup_logs ADD COLUMN client_name TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE signup_logs ADD COLUMN account_id INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    db.run(`
+      CREATE TABLE IF NOT EXISTS scheduler_runs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        started_at DATETIME NOT NULL,
+        finished_at DATETIME,
+        status TEXT NOT NULL,
+        fetch_mode TEXT,
+        classes_fetched INTEGER DEFAULT 0,
+        classes_evaluated INTEGER DEFAULT 0,
+        decisions TEXT,
+        next_booking_window TEXT,
+        error_message TEXT,
+        account_id INTEGER
       )
     `);
 
+    db.run(`ALTER TABLE scheduler_runs ADD COLUMN account_id INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+
     db.run(`
       CREATE TABLE IF NOT EXISTS class_profiles (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -171,6 +482,43 @@ function createTables() {
       )
     `);
     
+    // Each YMCA membership the app books through, with its own credentials,
+    // session and client id. Replaces the single-row credentials,
+    // session_data and client_settings tables (see migrateSingleYmcaAccount).
+    db.run(`
+      CREATE TABLE IF NOT EXISTS ymca_accounts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        ymca_email TEXT,
+        ymca_password TEXT,
+        session_cookie TEXT,
+        client_id TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Everyone linked to a YMCA account (the holder plus family members),
+    // refreshed from /users/clients/linked at login. One child can be linked
+    // to two parents' accounts, hence the per-account key.
+    db.run(`
+      CREATE TABLE IF NOT EXISTS linked_clients (
+        client_id TEXT NOT NULL,
+        name TEXT NOT NULL,
+        email TEXT,
+        image_url TEXT,
+        is_self BOOLEAN DEFAULT 0,
+        position INTEGER DEFAULT 0,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        account_id INTEGER,
+        PRIMARY KEY (account_id, client_id)
+      )
+    `);
+
+    db.run(`ALTER TABLE linked_clients ADD COLUMN account_id INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+
     db.run(`
       CREATE TABLE IF NOT EXISTS app_settings (
         id INTEGER PRIMARY KEY CHECK (id = 1),
@@ -180,6 +528,11 @@ function createTables() {
         default_days_ahead INTEGER,
         max_classes_per_fetch INTEGER,
         waitlist_limit INTEGER DEFAULT 5,
+        travel_buffer_minutes INTEGER DEFAULT 15,
+        conflict_policy TEXT DEFAULT 'skip',
+        max_bookings_per_day INTEGER DEFAULT 0,
+        max_bookings_per_week INTEGER DEFAULT 0,
+        max_bookings_per_category_week INTEGER DEFAULT 0,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
@@ -189,6 +542,25 @@ function createTables() {
       // Ignore error if column already exists
     });
 
+    // Migration: Add schedule conflict settings
+    db.run(`ALTER TABLE app_settings ADD COLUMN travel_buffer_minutes INTEGER DEFAULT 15`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE app_settings ADD COLUMN conflict_policy TEXT DEFAULT 'skip'`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // Migration: Add booking quota settings (0 = no limit)
+    db.run(`ALTER TABLE app_settings ADD COLUMN max_bookings_per_day INTEGER DEFAULT 0`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE app_settings ADD COLUMN max_bookings_per_week INTEGER DEFAULT 0`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE app_settings ADD COLUMN max_bookings_per_category_week INTEGER DEFAULT 0`, (err) => {
+      // Ignore error if column already exists
+    });
+
     // Migration: Add calendar_token column if it doesn't exist
     db.run(`ALTER TABLE system_config ADD COLUMN calendar_token TEXT`, (err) => {
       // Ignore error if column already exists
@@ -208,10 +580,58 @@ function createTables() {
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         username TEXT UNIQUE NOT NULL,
         password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'admin',
+        totp_secret TEXT,
+        totp_enabled BOOLEAN DEFAULT 0,
+        totp_last_step INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         last_login DATETIME
       )
     `);
+
+    // The user from before roles existed set the app up, so stays an admin
+    db.run(`ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'admin'`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // TOTP two-factor: the secret is saved at enrollment and only enforced
+    // once a code from it is confirmed. The last accepted time step stops a
+    // code being replayed.
+    db.run(`ALTER TABLE users ADD COLUMN totp_secret TEXT`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE users ADD COLUMN totp_enabled BOOLEAN DEFAULT 0`, (err) => {
+      // Ignore error if column already exists
+    });
+    db.run(`ALTER TABLE users ADD COLUMN totp_last_step INTEGER`, (err) => {
+      // Ignore error if column already exists
+    });
+
+    // One-time 2FA recovery codes, stored as SHA-256 hashes
+    db.run(`
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Personal API tokens, stored as SHA-256 hashes. The prefix is the start
+    // of the token, kept so a user can tell their tokens apart.
+    db.run(`
+      CREATE TABLE IF NOT EXISTS api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        scope TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        token_prefix TEXT NOT NULL,
+        last_used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
     
     db.run(`
       CREATE TABLE IF NOT EXISTS system_config (
@@ -224,20 +644,150 @@ function createTables() {
   });
 }
 
-function getAllTrackedClasses() {
+function runAsync(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+}
+
+function allAsync(sql, params = []) {
   return new Promise((resolve, reject) => {
-    db.all('SELECT * FROM tracked_classes ORDER BY day_of_week, start_time', (err, rows) => {
+    db.all(sql, params, (err, rows) => {
       if (err) reject(err);
       else resolve(rows);
     });
   });
 }
 
+const WEEKDAY_ORDER = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+/**
+ * Normalize a list of weekday names: drop unknown values and duplicates and
+ * sort Monday-first so merged and edited rules read consistently.
+ */
+function normalizeDaysOfWeek(days) {
+  if (!Array.isArray(days)) {
+    return [];
+  }
+
+  return WEEKDAY_ORDER.filter(day => days.includes(day));
+}
+
+function parseDaysOfWeek(value) {
+  if (!value) {
+    return [];
+  }
+
+  try {
+    return normalizeDaysOfWeek(JSON.parse(value));
+  } catch (error) {
+    return [];
+  }
+}
+
+// Instructor lists and location sets are both stored as JSON [{ id, name }]
+function normalizeRefList(refs) {
+  if (!Array.isArray(refs)) {
+    return [];
+  }
+
+  return refs
+    .filter(ref => ref && (ref.id || ref.name))
+    .map(ref => ({
+      id: ref.id === undefined || ref.id === null ? null : String(ref.id),
+      name: ref.name || null
+    }));
+}
+
+function parseRefList(value) {
+  if (!value) {
+    return [];
+  }
+
+  try {
+    return normalizeRefList(JSON.parse(value));
+  } catch (error) {
+    return [];
+  }
+}
+
+function serializeRefList(refs) {
+  const normalized = normalizeRefList(refs);
+  return normalized.length > 0 ? JSON.stringify(normalized) : null;
+}
+
+function parseRecurrence(value) {
+  if (!value) {
+    return null;
+  }
+
+  try {
+    const recurrence = JSON.parse(value);
+    return recurrence && typeof recurrence === 'object' ? recurrence : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Rows keep day_of_week (first day) for legacy readers; days_of_week is the
+// full set and always comes back as an array, as do the instructor lists and
+// location set. A rule that targets a location group gets the group's
+// locations (in preference order) as its location set.
+function mapTrackedClassRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  const {
+    location_group_locations: groupLocations,
+    location_group_booking_order: groupBookingOrder,
+    ...trackedRow
+  } = row;
+  const daysOfWeek = parseDaysOfWeek(row.days_of_week);
+  const hasGroup = Boolean(row.location_group_id && groupLocations);
+
+  return {
+    ...trackedRow,
+    days_of_week: daysOfWeek.length > 0 ? daysOfWeek : (row.day_of_week ? [row.day_of_week] : []),
+    preferred_trainers: parseRefList(row.preferred_trainers),
+    excluded_trainers: parseRefList(row.excluded_trainers),
+    locations: hasGroup ? parseRefList(groupLocations) : parseRefList(row.locations),
+    location_group_order: hasGroup ? (groupBookingOrder || 'preferred') : null,
+    rule_type: row.rule_type || 'service',
+    recurrence: parseRecurrence(row.recurrence)
+  };
+}
+
+const TRACKED_CLASS_SELECT = `
+  SELECT tracked_classes.*,
+    location_groups.name AS location_group_name,
+    location_groups.locations AS location_group_locations,
+    location_groups.booking_order AS location_group_booking_order
+  FROM tracked_classes
+  LEFT JOIN location_groups ON location_groups.id = tracked_classes.location_group_id
+`;
+
+// filters.accountId narrows to one YMCA account's rules
+function getAllTrackedClasses(filters = {}) {
+  const where = filters.accountId ? 'WHERE tracked_classes.account_id = ?' : '';
+  const params = filters.accountId ? [filters.accountId] : [];
+
+  return new Promise((resolve, reject) => {
+    db.all(`${TRACKED_CLASS_SELECT} ${where} ORDER BY tracked_classes.day_of_week, tracked_classes.start_time`, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(mapTrackedClassRow));
+    });
+  });
+}
+
 function getTrackedClass(id) {
   return new Promise((resolve, reject) => {
-    db.get('SELECT * FROM tracked_classes WHERE id = ?', [id], (err, row) => {
+    db.get(`${TRACKED_CLASS_SELECT} WHERE tracked_classes.id = ?`, [id], (err, row) => {
       if (err) reject(err);
-      else resolve(row || null);
+      else resolve(mapTrackedClassRow(row));
     });
   });
 }
@@ -250,10 +800,14 @@ function addTrackedClass(classData) {
 
     logger.debug('Database addTrackedClass called with:', classData);
 
+    const daysOfWeek = normalizeDaysOfWeek(
+      classData.daysOfWeek || (classData.dayOfWeek ? [classData.dayOfWeek] : [])
+    );
+
     const stmt = db.prepare(`
       INSERT INTO tracked_classes 
-      (service_id, service_name, trainer_id, trainer_name, location_id, location_name, day_of_week, start_time, match_trainer, match_exact_time, time_tolerance, auto_signup, signup_hours_before)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (service_id, service_name, trainer_id, trainer_name, location_id, location_name, day_of_week, days_of_week, start_time, match_trainer, match_exact_time, time_tolerance, time_range_start, time_range_end, preferred_trainers, excluded_trainers, substitute_policy, rule_type, service_category_id, service_category_name, name_keyword, locations, location_group_id, auto_signup, signup_hours_before, active_from, active_until, max_bookings, recurrence, client_id, client_name, account_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
@@ -263,13 +817,32 @@ function addTrackedClass(classData) {
       classData.trainerName,
       classData.locationId,
       classData.locationName,
-      classData.dayOfWeek,
+      daysOfWeek[0] || classData.dayOfWeek || null,
+      daysOfWeek.length > 0 ? JSON.stringify(daysOfWeek) : null,
       classData.startTime,
       classData.matchTrainer ? 1 : 0,
       classData.matchExactTime ? 1 : 0,
       classData.timeTolerance || 15,
+      classData.timeRangeStart || null,
+      classData.timeRangeEnd || null,
+      serializeRefList(classData.preferredTrainers),
+      serializeRefList(classData.excludedTrainers),
+      classData.substitutePolicy || 'keep',
+      classData.ruleType || 'service',
+      classData.serviceCategoryId || null,
+      classData.serviceCategoryName || null,
+      classData.nameKeyword || null,
+      serializeRefList(classData.locations),
+      classData.locationGroupId || null,
       classData.autoSignup ? 1 : 0,
-      classData.signupHoursBefore
+      classData.signupHoursBefore,
+      classData.activeFrom || null,
+      classData.activeUntil || null,
+      classData.maxBookings || null,
+      classData.recurrence ? JSON.stringify(classData.recurrence) : null,
+      classData.clientId || null,
+      classData.clientId ? (classData.clientName || null) : null,
+      classData.accountId || null
     , function(err) {
       if (err) {
         logger.error('Database insert error:', err);
@@ -290,6 +863,22 @@ function updateTrackedClass(id, updates) {
     const fields = [];
     const values = [];
 
+    if (updates.ruleType !== undefined || updates.rule_type !== undefined) {
+      fields.push('rule_type = ?');
+      values.push(updates.ruleType ?? updates.rule_type);
+    }
+    if (updates.serviceId !== undefined || updates.service_id !== undefined) {
+      fields.push('service_id = ?');
+      values.push(updates.serviceId ?? updates.service_id);
+    }
+    if (updates.serviceCategoryId !== undefined || updates.service_category_id !== undefined) {
+      fields.push('service_category_id = ?');
+      values.push((updates.serviceCategoryId ?? updates.service_category_id) || null);
+    }
+    if (updates.serviceCategoryName !== undefined || updates.service_category_name !== undefined) {
+      fields.push('service_category_name = ?');
+      values.push((updates.serviceCategoryName ?? updates.service_category_name) || null);
+    }
     if (updates.serviceName !== undefined || updates.service_name !== undefined) {
       fields.push('service_name = ?');
       values.push(updates.serviceName ?? updates.service_name);
@@ -310,9 +899,14 @@ function updateTrackedClass(id, updates) {
       fields.push('location_name = ?');
       values.push(updates.locationName ?? updates.location_name);
     }
-    if (updates.dayOfWeek !== undefined || updates.day_of_week !== undefined) {
-      fields.push('day_of_week = ?');
-      values.push(updates.dayOfWeek ?? updates.day_of_week);
+    if (updates.daysOfWeek !== undefined || updates.days_of_week !== undefined) {
+      const daysOfWeek = normalizeDaysOfWeek(updates.daysOfWeek ?? updates.days_of_week);
+      fields.push('days_of_week = ?', 'day_of_week = ?');
+      values.push(daysOfWeek.length > 0 ? JSON.stringify(daysOfWeek) : null, daysOfWeek[0] || null);
+    } else if (updates.dayOfWeek !== undefined || updates.day_of_week !== undefined) {
+      const dayOfWeek = updates.dayOfWeek ?? updates.day_of_week;
+      fields.push('day_of_week = ?', 'days_of_week = ?');
+      values.push(dayOfWeek, dayOfWeek ? JSON.stringify([dayOfWeek]) : null);
     }
     if (updates.startTime !== undefined || updates.start_time !== undefined) {
       fields.push('start_time = ?');
@@ -330,6 +924,42 @@ function updateTrackedClass(id, updates) {
       fields.push('time_tolerance = ?');
       values.push(updates.timeTolerance ?? updates.time_tolerance);
     }
+    if (updates.timeRangeStart !== undefined || updates.time_range_start !== undefined) {
+      fields.push('time_range_start = ?');
+      values.push((updates.timeRangeStart ?? updates.time_range_start) || null);
+    }
+    if (updates.timeRangeEnd !== undefined || updates.time_range_end !== undefined) {
+      fields.push('time_range_end = ?');
+      values.push((updates.timeRangeEnd ?? updates.time_range_end) || null);
+    }
+    if (updates.preferredTrainers !== undefined || updates.preferred_trainers !== undefined) {
+      fields.push('preferred_trainers = ?');
+      values.push(serializeRefList(updates.preferredTrainers ?? updates.preferred_trainers));
+    }
+    if (updates.excludedTrainers !== undefined || updates.excluded_trainers !== undefined) {
+      fields.push('excluded_trainers = ?');
+      values.push(serializeRefList(updates.excludedTrainers ?? updates.excluded_trainers));
+    }
+    if (updates.substitutePolicy !== undefined || updates.substitute_policy !== undefined) {
+      fields.push('substitute_policy = ?');
+      values.push(updates.substitutePolicy ?? updates.substitute_policy);
+    }
+    if (updates.nameKeyword !== undefined || updates.name_keyword !== undefined) {
+      fields.push('name_keyword = ?');
+      values.push((updates.nameKeyword ?? updates.name_keyword) || null);
+    }
+    if (updates.locations !== undefined) {
+      fields.push('locations = ?');
+      values.push(serializeRefList(updates.locations));
+    }
+    if (updates.locationGroupId !== undefined || updates.location_group_id !== undefined) {
+      fields.push('location_group_id = ?');
+      values.push((updates.locationGroupId ?? updates.location_group_id) || null);
+    }
+    if (updates.priority !== undefined) {
+      fields.push('priority = ?');
+      values.push(updates.priority);
+    }
     if (updates.autoSignup !== undefined) {
       fields.push('auto_signup = ?');
       values.push(updates.autoSignup ? 1 : 0);
@@ -338,6 +968,27 @@ function updateTrackedClass(id, updates) {
       fields.push('signup_hours_before = ?');
       values.push(updates.signupHoursBefore);
     }
+    if (updates.recurrence !== undefined) {
+      fields.push('recurrence = ?');
+      values.push(updates.recurrence ? JSON.stringify(updates.recurrence) : null);
+    }
+    if (updates.clientId !== undefined) {
+      fields.push('client_id = ?', 'client_name = ?');
+      values.push(updates.clientId || null, updates.clientId ? (updates.clientName || null) : null);
+    }
+    if (updates.activeFrom !== undefined) {
+      fields.push('active_from = ?');
+      values.push(updates.activeFrom || null);
+    }
+    if (updates.activeUntil !== undefined) {
+      fields.push('active_until = ?');
+      values.push(updates.activeUntil || null);
+    }
+    // A new limit counts from now, so the bookings made so far start over
+    if (updates.maxBookings !== undefined) {
+      fields.push('max_bookings = ?', 'bookings_made = 0');
+      values.push(updates.maxBookings || null);
+    }
 
     if (fields.length === 0) {
       return resolve();
@@ -354,21 +1005,540 @@ function updateTrackedClass(id, updates) {
   });
 }
 
-function deleteTrackedClass(id) {
-  return new Promise((resolve, reject) => {
-    db.run('DELETE FROM tracked_classes WHERE id = ?', [id], (err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  });
+// Rows that differ only by weekday are one logical rule split across days
+function getTrackedClassSiblingKey(row) {
+  return JSON.stringify([
+    row.service_id,
+    row.trainer_id,
+    row.trainer_name,
+    row.location_id,
+    row.location_name,
+    row.start_time,
+    row.match_trainer,
+    row.match_exact_time,
+    row.time_tolerance,
+    row.time_range_start,
+    row.time_range_end,
+    JSON.stringify(row.preferred_trainers),
+    JSON.stringify(row.excluded_trainers),
+    row.substitute_policy,
+    row.rule_type,
+    row.service_category_id,
+    row.name_keyword,
+    JSON.stringify(row.locations),
+    row.location_group_id,
+    row.priority,
+    row.auto_signup,
+    row.signup_hours_before,
+    row.active_from,
+    row.active_until,
+    row.max_bookings,
+    row.archived_at,
+    row.recurrence,
+    row.client_id,
+    row.account_id
+  ]);
 }
 
-function addSignupLog(logData) {
-  return new Promise((resolve, reject) => {
-    const stmt = db.prepare(`
-      INSERT INTO signup_logs 
-      (occurrence_id, service_name, trainer_name, location_name, class_time, status, error_message)
-      VALUES (?, ?, ?, ?, ?, ?, ?)
+/**
+ * Merge tracked_classes rows that describe the same class on different
+ * weekdays into one multi-day rule. The lowest id survives and receives the
+ * union of the weekdays; the other rows are deleted.
+ *
+ * @returns {Promise<number>} number of rows removed by merging
+ */
+async function mergeSiblingTrackedClasses() {
+  const rows = await allAsync('SELECT * FROM tracked_classes ORDER BY id');
+
+  const groups = new Map();
+  for (const row of rows.map(mapTrackedClassRow)) {
+    const key = getTrackedClassSiblingKey(row);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(row);
+  }
+
+  let removed = 0;
+  for (const [keeper, ...siblings] of groups.values()) {
+    if (siblings.length === 0) {
+      continue;
+    }
+
+    const daysOfWeek = normalizeDaysOfWeek(
+      [keeper, ...siblings].flatMap(row => row.days_of_week)
+    );
+    const siblingIds = siblings.map(row => row.id);
+
+    await runAsync(
+      'UPDATE tracked_classes SET days_of_week = ?, day_of_week = ? WHERE id = ?',
+      [JSON.stringify(daysOfWeek), daysOfWeek[0] || keeper.day_of_week, keeper.id]
+    );
+    await runAsync(
+      `DELETE FROM tracked_classes WHERE id IN (${siblingIds.map(() => '?').join(', ')})`,
+      siblingIds
+    );
+    removed += siblingIds.length;
+
+    logger.info(`Merged tracked classes ${[keeper.id, ...siblingIds].join(', ')} into multi-day rule ${keeper.id} (${daysOfWeek.join(', ')})`);
+  }
+
+  return removed;
+}
+
+// Versioned data migrations, applied once each and recorded in _schema_version.
+// Column additions stay in createTables; these reshape existing rows.
+const MIGRATIONS = [
+  { version: 1, description: 'merge sibling tracked classes into multi-day rules', run: mergeSiblingTrackedClasses },
+  { version: 2, description: 'move the YMCA credentials and session into ymca_accounts', run: migrateSingleYmcaAccount },
+  { version: 3, description: 'key linked clients by YMCA account', run: keyLinkedClientsByAccount },
+  { version: 4, description: 'give busy calendars to the first YMCA account', run: scopeBusyCalendarsToFirstAccount },
+  { version: 5, description: 'give fallback chains and blackout dates to YMCA accounts', run: scopeChainsAndBlackoutsToAccounts }
+];
+
+async function runMigrations() {
+  const rows = await allAsync('SELECT version FROM _schema_version');
+  const applied = new Set(rows.map(row => row.version));
+
+  for (const migration of MIGRATIONS) {
+    if (applied.has(migration.version)) {
+      continue;
+    }
+
+    logger.info(`Applying migration ${migration.version}: ${migration.description}`);
+    await migration.run();
+    await runAsync('INSERT INTO _schema_version (version) VALUES (?)', [migration.version]);
+  }
+}
+
+// Count a booking auto-signup made toward a "next N occurrences" limit
+async function recordTrackedClassBooking(id) {
+  await runAsync('UPDATE tracked_classes SET bookings_made = COALESCE(bookings_made, 0) + 1 WHERE id = ?', [id]);
+  return getTrackedClass(id);
+}
+
+// Archived rules stop auto-signing up but keep their settings and history
+async function archiveTrackedClass(id) {
+  await runAsync(
+    'UPDATE tracked_classes SET archived_at = CURRENT_TIMESTAMP, auto_signup = 0 WHERE id = ? AND archived_at IS NULL',
+    [id]
+  );
+}
+
+async function unarchiveTrackedClass(id) {
+  await runAsync('UPDATE tracked_classes SET archived_at = NULL WHERE id = ?', [id]);
+}
+
+function deleteTrackedClass(id) {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM tracked_classes WHERE id = ?', [id], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+const LOCATION_GROUP_BOOKING_ORDERS = ['preferred', 'first'];
+
+function mapLocationGroupRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    ...row,
+    locations: parseRefList(row.locations),
+    booking_order: row.booking_order || 'preferred'
+  };
+}
+
+function getLocationGroups() {
+  return allAsync('SELECT * FROM location_groups ORDER BY name')
+    .then(rows => rows.map(mapLocationGroupRow));
+}
+
+function getLocationGroup(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM location_groups WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(mapLocationGroupRow(row));
+    });
+  });
+}
+
+function rethrowDuplicateGroupName(err) {
+  if (err.message.includes('UNIQUE constraint')) {
+    throw new Error('A location group with that name already exists');
+  }
+  throw err;
+}
+
+async function addLocationGroup(group) {
+  const result = await runAsync(
+    'INSERT INTO location_groups (name, locations, booking_order) VALUES (?, ?, ?)',
+    [group.name, serializeRefList(group.locations), group.bookingOrder || 'preferred']
+  ).catch(rethrowDuplicateGroupName);
+  return result.lastID;
+}
+
+async function updateLocationGroup(id, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.name !== undefined) {
+    fields.push('name = ?');
+    values.push(updates.name);
+  }
+  if (updates.locations !== undefined) {
+    fields.push('locations = ?');
+    values.push(serializeRefList(updates.locations));
+  }
+  if (updates.bookingOrder !== undefined) {
+    fields.push('booking_order = ?');
+    values.push(updates.bookingOrder);
+  }
+
+  if (fields.length === 0) {
+    return;
+  }
+
+  await runAsync(`UPDATE location_groups SET ${fields.join(', ')} WHERE id = ?`, [...values, id])
+    .catch(rethrowDuplicateGroupName);
+}
+
+function deleteLocationGroup(id) {
+  return runAsync('DELETE FROM location_groups WHERE id = ?', [id]);
+}
+
+function parseIdList(value) {
+  try {
+    const ids = JSON.parse(value || '[]');
+    return Array.isArray(ids) ? ids.map(Number).filter(Number.isInteger) : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function mapFallbackChainRow(row) {
+  if (!row) {
+    return null;
+  }
+
+  return {
+    ...row,
+    tracked_class_ids: parseIdList(row.tracked_class_ids),
+    leave_waitlist: row.leave_waitlist ? 1 : 0,
+    upgrade_waitlist: row.upgrade_waitlist === 0 ? 0 : 1
+  };
+}
+
+function getFallbackChains(filters = {}) {
+  const account = filters.accountId ? ' WHERE account_id = ?' : '';
+  const params = filters.accountId ? [filters.accountId] : [];
+  return allAsync(`SELECT * FROM fallback_chains${account} ORDER BY id`, params)
+    .then(rows => rows.map(mapFallbackChainRow));
+}
+
+function getFallbackChain(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM fallback_chains WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(mapFallbackChainRow(row));
+    });
+  });
+}
+
+async function addFallbackChain(chain) {
+  const result = await runAsync(
+    'INSERT INTO fallback_chains (name, tracked_class_ids, leave_waitlist, upgrade_waitlist, account_id) VALUES (?, ?, ?, ?, ?)',
+    [chain.name, JSON.stringify(chain.trackedClassIds), chain.leaveWaitlist ? 1 : 0, chain.upgradeWaitlist === false ? 0 : 1, chain.accountId ?? null]
+  );
+  return result.lastID;
+}
+
+async function updateFallbackChain(id, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.name !== undefined) {
+    fields.push('name = ?');
+    values.push(updates.name);
+  }
+  if (updates.trackedClassIds !== undefined) {
+    fields.push('tracked_class_ids = ?');
+    values.push(JSON.stringify(updates.trackedClassIds));
+  }
+  if (updates.leaveWaitlist !== undefined) {
+    fields.push('leave_waitlist = ?');
+    values.push(updates.leaveWaitlist ? 1 : 0);
+  }
+  if (updates.upgradeWaitlist !== undefined) {
+    fields.push('upgrade_waitlist = ?');
+    values.push(updates.upgradeWaitlist ? 1 : 0);
+  }
+
+  if (fields.length === 0) {
+    return;
+  }
+
+  await runAsync(`UPDATE fallback_chains SET ${fields.join(', ')} WHERE id = ?`, [...values, id]);
+}
+
+function deleteFallbackChain(id) {
+  return runAsync('DELETE FROM fallback_chains WHERE id = ?', [id]);
+}
+
+// Drop a deleted tracked class from its chain; a chain left with a single
+// class has nothing to fall back to and is removed
+async function removeTrackedClassFromFallbackChains(trackedClassId) {
+  const chains = await getFallbackChains();
+
+  for (const chain of chains) {
+    if (!chain.tracked_class_ids.includes(Number(trackedClassId))) {
+      continue;
+    }
+
+    const remaining = chain.tracked_class_ids.filter(id => id !== Number(trackedClassId));
+    if (remaining.length < 2) {
+      await deleteFallbackChain(chain.id);
+    } else {
+      await updateFallbackChain(chain.id, { trackedClassIds: remaining });
+    }
+  }
+}
+
+function getWaitlistLinks(status, filters = {}) {
+  const conditions = [];
+  const params = [];
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (filters.accountId) {
+    conditions.push('account_id = ?');
+    params.push(filters.accountId);
+  }
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return allAsync(`SELECT * FROM waitlist_links ${where} ORDER BY class_time, id`, params);
+}
+
+// A pair is only linked once; re-linking an existing pair is a no-op
+async function addWaitlistLink(link) {
+  const result = await runAsync(
+    `INSERT OR IGNORE INTO waitlist_links
+      (chain_id, preferred_occurrence_id, preferred_service_name, backup_occurrence_id, backup_service_name, class_time, waitlist_position, account_id, client_id, client_name)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      link.chainId || null,
+      String(link.preferredOccurrenceId),
+      link.preferredServiceName || null,
+      String(link.backupOccurrenceId),
+      link.backupServiceName || null,
+      link.classTime || null,
+      link.waitlistPosition ?? null,
+      link.accountId || null,
+      link.clientId || null,
+      link.clientName || null
+    ]
+  );
+  return result.changes > 0 ? result.lastID : null;
+}
+
+async function updateWaitlistLink(id, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.waitlistPosition !== undefined) {
+    fields.push('waitlist_position = ?');
+    values.push(updates.waitlistPosition);
+  }
+  if (updates.status !== undefined) {
+    fields.push('status = ?');
+    values.push(updates.status);
+    if (updates.status !== 'watching') {
+      fields.push('resolved_at = CURRENT_TIMESTAMP');
+    }
+  }
+
+  if (fields.length === 0) {
+    return;
+  }
+
+  await runAsync(`UPDATE waitlist_links SET ${fields.join(', ')} WHERE id = ?`, [...values, id]);
+}
+
+function getSpotWatches(status, filters = {}) {
+  const account = filters.accountId ? ' AND account_id = ?' : '';
+  const params = filters.accountId ? [filters.accountId] : [];
+  return status
+    ? allAsync(`SELECT * FROM spot_watches WHERE status = ?${account} ORDER BY class_time, id`, [status, ...params])
+    : allAsync(`SELECT * FROM spot_watches WHERE 1 = 1${account} ORDER BY created_at DESC, id DESC LIMIT 100`, params);
+}
+
+function getSpotWatch(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM spot_watches WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row || null);
+    });
+  });
+}
+
+function getActiveSpotWatchForOccurrence(occurrenceId, accountId = null) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      "SELECT * FROM spot_watches WHERE occurrence_id = ? AND status = 'watching' AND COALESCE(account_id, 0) = COALESCE(?, 0)",
+      [String(occurrenceId), accountId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row || null);
+      }
+    );
+  });
+}
+
+async function addSpotWatch(watch) {
+  const result = await runAsync(
+    `INSERT INTO spot_watches (occurrence_id, service_name, trainer_name, location_name, class_time, account_id)
+      VALUES (?, ?, ?, ?, ?, ?)`,
+    [String(watch.occurrenceId), watch.serviceName || null, watch.trainerName || null, watch.locationName || null, watch.classTime, watch.accountId || null]
+  );
+  return result.lastID;
+}
+
+// Every update counts as a check; leaving 'watching' stamps resolved_at
+async function updateSpotWatch(id, updates) {
+  const fields = ['check_count = check_count + 1', 'last_checked_at = CURRENT_TIMESTAMP'];
+  const values = [];
+
+  if (updates.resultMessage !== undefined) {
+    fields.push('result_message = ?');
+    values.push(updates.resultMessage);
+  }
+  if (updates.status !== undefined) {
+    fields.push('status = ?');
+    values.push(updates.status);
+    if (updates.status !== 'watching') {
+      fields.push('resolved_at = CURRENT_TIMESTAMP');
+    }
+  }
+
+  await runAsync(`UPDATE spot_watches SET ${fields.join(', ')} WHERE id = ?`, [...values, id]);
+}
+
+function stopSpotWatch(id) {
+  return runAsync(
+    "UPDATE spot_watches SET status = 'stopped', resolved_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'watching'",
+    [id]
+  );
+}
+
+// Periods that haven't ended yet (all of them without `today`), soonest
+// first; `filters.accountId` limits them to one YMCA account
+function getBlackoutPeriods(today, filters = {}) {
+  const conditions = [];
+  const params = [];
+  if (today) {
+    conditions.push('end_date >= ?');
+    params.push(today);
+  }
+  if (filters.accountId) {
+    conditions.push('account_id = ?');
+    params.push(filters.accountId);
+  }
+  const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+  return allAsync(`SELECT * FROM blackout_periods${where} ORDER BY start_date, id`, params);
+}
+
+async function addBlackoutPeriod(period) {
+  const result = await runAsync(
+    'INSERT INTO blackout_periods (tracked_class_id, start_date, end_date, reason, account_id) VALUES (?, ?, ?, ?, ?)',
+    [period.trackedClassId ?? null, period.startDate, period.endDate, period.reason || null, period.accountId ?? null]
+  );
+  return result.lastID;
+}
+
+function deleteBlackoutPeriod(id) {
+  return runAsync('DELETE FROM blackout_periods WHERE id = ?', [id]);
+}
+
+function deleteBlackoutPeriodsForTrackedClass(trackedClassId) {
+  return runAsync('DELETE FROM blackout_periods WHERE tracked_class_id = ?', [trackedClassId]);
+}
+
+// Newest first
+async function getTrackedClassHistory(trackedClassId) {
+  const rows = await allAsync(
+    'SELECT * FROM tracked_class_history WHERE tracked_class_id = ? ORDER BY created_at DESC, id DESC',
+    [trackedClassId]
+  );
+  return rows.map(row => ({ ...row, changes: JSON.parse(row.changes) }));
+}
+
+// Edits that changed nothing aren't recorded
+async function addTrackedClassHistory(trackedClassId, source, changes) {
+  if (!Array.isArray(changes) || changes.length === 0) {
+    return null;
+  }
+  const result = await runAsync(
+    'INSERT INTO tracked_class_history (tracked_class_id, source, changes) VALUES (?, ?, ?)',
+    [trackedClassId, source, JSON.stringify(changes)]
+  );
+  return result.lastID;
+}
+
+function deleteTrackedClassHistory(trackedClassId) {
+  return runAsync('DELETE FROM tracked_class_history WHERE tracked_class_id = ?', [trackedClassId]);
+}
+
+function getBusyCalendars(filters = {}) {
+  const account = filters.accountId ? ' WHERE account_id = ?' : '';
+  const params = filters.accountId ? [filters.accountId] : [];
+  return allAsync(`SELECT * FROM busy_calendars${account} ORDER BY name, id`, params);
+}
+
+function getBusyCalendar(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM busy_calendars WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row || null);
+    });
+  });
+}
+
+async function addBusyCalendar(calendar) {
+  const result = await runAsync(
+    'INSERT INTO busy_calendars (name, source, enabled, account_id) VALUES (?, ?, ?, ?)',
+    [calendar.name, calendar.source, calendar.enabled === false ? 0 : 1, calendar.accountId || null]
+  );
+  return result.lastID;
+}
+
+function setBusyCalendarEnabled(id, enabled) {
+  return runAsync('UPDATE busy_calendars SET enabled = ? WHERE id = ?', [enabled ? 1 : 0, id]);
+}
+
+// A successful sync records the event count and clears the last error; a
+// failed one keeps the last count
+function updateBusyCalendarSync(id, { eventCount, error }) {
+  return error
+    ? runAsync('UPDATE busy_calendars SET last_error = ? WHERE id = ?', [error, id])
+    : runAsync(
+      'UPDATE busy_calendars SET event_count = ?, last_error = NULL, last_synced_at = CURRENT_TIMESTAMP WHERE id = ?',
+      [eventCount, id]
+    );
+}
+
+function deleteBusyCalendar(id) {
+  return runAsync('DELETE FROM busy_calendars WHERE id = ?', [id]);
+}
+
+function addSignupLog(logData) {
+  return new Promise((resolve, reject) => {
+    const stmt = db.prepare(`
+      INSERT INTO signup_logs 
+      (occurrence_id, service_name, trainer_name, location_name, class_time, status, error_message, client_id, client_name, account_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `);
 
     stmt.run(
@@ -378,7 +1548,10 @@ function addSignupLog(logData) {
       logData.locationName,
       logData.classTime,
       logData.status,
-      logData.errorMessage
+      logData.errorMessage,
+      logData.clientId ? String(logData.clientId) : null,
+      logData.clientId ? (logData.clientName || null) : null,
+      logData.accountId || null
     , function(err) {
       if (err) reject(err);
       else resolve(this.lastID);
@@ -388,11 +1561,31 @@ function addSignupLog(logData) {
   });
 }
 
-function getSignupLogs(limit = 50) {
+// filters.accountId narrows to one YMCA account and filters.clientId to one
+// linked client on it; 'self' is the account holder
+function getSignupLogs(limit = 50, filters = {}) {
   return new Promise((resolve, reject) => {
+    const conditions = [];
+    const params = [];
+    if (filters.accountId) {
+      conditions.push('account_id = ?');
+      params.push(filters.accountId);
+    }
+    if (filters.status) {
+      conditions.push('status = ?');
+      params.push(filters.status);
+    }
+    if (filters.clientId === 'self') {
+      conditions.push('client_id IS NULL');
+    } else if (filters.clientId) {
+      conditions.push('client_id = ?');
+      params.push(String(filters.clientId));
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
     db.all(
-      'SELECT * FROM signup_logs ORDER BY signup_time DESC LIMIT ?',
-      [limit],
+      `SELECT * FROM signup_logs ${where} ORDER BY signup_time DESC LIMIT ?`,
+      [...params, limit],
       (err, rows) => {
         if (err) reject(err);
         else resolve(rows);
@@ -401,6 +1594,94 @@ function getSignupLogs(limit = 50) {
   });
 }
 
+const MAX_SCHEDULER_RUNS = 1000;
+
+function mapSchedulerRun(row) {
+  return {
+    id: row.id,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    status: row.status,
+    fetchMode: row.fetch_mode,
+    classesFetched: row.classes_fetched,
+    classesEvaluated: row.classes_evaluated,
+    decisions: row.decisions ? JSON.parse(row.decisions) : [],
+    nextBookingWindow: row.next_booking_window ? JSON.parse(row.next_booking_window) : null,
+    errorMessage: row.error_message,
+    accountId: row.account_id
+  };
+}
+
+function addSchedulerRun(run) {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO scheduler_runs
+       (started_at, finished_at, status, fetch_mode, classes_fetched, classes_evaluated,
+        decisions, next_booking_window, error_message, account_id)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        run.startedAt,
+        run.finishedAt,
+        run.status,
+        run.fetchMode,
+        run.classesFetched || 0,
+        run.classesEvaluated || 0,
+        JSON.stringify(run.decisions || []),
+        run.nextBookingWindow ? JSON.stringify(run.nextBookingWindow) : null,
+        run.errorMessage || null,
+        run.accountId || null
+      ],
+      function(err) {
+        if (err) return reject(err);
+        const lastID = this.lastID;
+
+        // Keep the history bounded; runs happen every few minutes
+        db.run(
+          'DELETE FROM scheduler_runs WHERE id <= ?',
+          [lastID - MAX_SCHEDULER_RUNS],
+          (pruneErr) => {
+            if (pruneErr) reject(pruneErr);
+            else resolve(lastID);
+          }
+        );
+      }
+    );
+  });
+}
+
+// filters.accountId narrows to runs for one YMCA account
+function getSchedulerRuns(limit = 50, filters = {}) {
+  const where = filters.accountId ? 'WHERE account_id = ?' : '';
+  const params = filters.accountId ? [filters.accountId] : [];
+
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM scheduler_runs ${where} ORDER BY id DESC LIMIT ?`,
+      [...params, limit],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(mapSchedulerRun));
+      }
+    );
+  });
+}
+
+function getLastFailedSchedulerRun(filters = {}) {
+  const account = filters.accountId ? ' AND account_id = ?' : '';
+  const params = filters.accountId ? [filters.accountId] : [];
+
+  return new Promise((resolve, reject) => {
+    db.get(
+      `SELECT * FROM scheduler_runs WHERE status = 'error'${account} ORDER BY id DESC LIMIT 1`,
+      params,
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? mapSchedulerRun(row) : null);
+      }
+    );
+  });
+}
+
 function addClassProfile(profile) {
   return new Promise((resolve, reject) => {
     const stmt = db.prepare(`
@@ -536,64 +1817,246 @@ function updateClassProfile(id, updates) {
   });
 }
 
-function saveSession(sessionCookie) {
-  return new Promise((resolve, reject) => {
-    db.run(
-      `INSERT OR REPLACE INTO session_data (id, session_cookie, updated_at) VALUES (1, ?, CURRENT_TIMESTAMP)`,
-      [sessionCookie],
-      (err) => {
-        if (err) reject(err);
-        else resolve();
-      }
-    );
-  });
+// Tables whose rows belong to one YMCA account
+const ACCOUNT_SCOPED_TABLES = [
+  'tracked_classes', 'signup_logs', 'linked_clients', 'waitlist_links', 'spot_watches', 'scheduler_runs',
+  'busy_calendars', 'fallback_chains', 'blackout_periods'
+];
+
+function mapYmcaAccountRow(row) {
+  return row ? { ...row, connected: Boolean(row.connected) } : null;
 }
 
-function loadSession() {
-  return new Promise((resolve, reject) => {
-    db.get('SELECT session_cookie FROM session_data WHERE id = 1', (err, row) => {
-      if (err) reject(err);
-      else resolve(row?.session_cookie || null);
-    });
-  });
+// Accounts are returned without their password or session cookie
+const YMCA_ACCOUNT_SELECT = `
+  SELECT id, name, ymca_email, client_id, created_at, updated_at,
+    session_cookie IS NOT NULL AS connected
+  FROM ymca_accounts
+`;
+
+function getYmcaAccounts() {
+  return allAsync(`${YMCA_ACCOUNT_SELECT} ORDER BY id`).then(rows => rows.map(mapYmcaAccountRow));
 }
 
-function clearSession() {
-  return new Promise((resolve, reject) => {
-    db.run('DELETE FROM session_data WHERE id = 1', (err) => {
-      if (err) reject(err);
-      else resolve();
-    });
-  });
+function getYmcaAccount(id) {
+  return allAsync(`${YMCA_ACCOUNT_SELECT} WHERE id = ?`, [id]).then(rows => mapYmcaAccountRow(rows[0]));
 }
 
-function saveClientId(clientId) {
-  return new Promise((resolve, reject) => {
-    db.run(
-      `INSERT INTO client_settings (id, client_id, updated_at)
-       VALUES (1, ?, datetime('now'))
-       ON CONFLICT(id) DO UPDATE SET
-         client_id = excluded.client_id,
-         updated_at = datetime('now')`,
-      [clientId],
-      (err) => {
-        if (err) reject(err);
-        else {
-          logger.debug(`Saved client_id ${clientId} to database`);
-          resolve();
-        }
-      }
-    );
-  });
+// Give rows saved before any account existed to an account
+async function assignUnownedRows(accountId) {
+  for (const table of ACCOUNT_SCOPED_TABLES) {
+    await runAsync(`UPDATE ${table} SET account_id = ? WHERE account_id IS NULL`, [accountId]);
+  }
 }
 
-function getClientId() {
-  return new Promise((resolve, reject) => {
-    db.get('SELECT client_id FROM client_settings WHERE id = 1', (err, row) => {
-      if (err) reject(err);
-      else resolve(row?.client_id || null);
-    });
-  });
+// The first account added also takes over anything tracked before it
+async function addYmcaAccount(account) {
+  const result = await runAsync(
+    `INSERT INTO ymca_accounts (name, ymca_email, ymca_password, updated_at)
+     VALUES (?, ?, ?, CURRENT_TIMESTAMP)`,
+    [account.name, account.email || null, account.password || null]
+  );
+
+  const [{ count }] = await allAsync('SELECT COUNT(*) AS count FROM ymca_accounts');
+  if (count === 1) {
+    await assignUnownedRows(result.lastID);
+  }
+  return result.lastID;
+}
+
+// A new email is a different membership, so its session and client id are dropped
+async function updateYmcaAccount(id, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.name !== undefined) {
+    fields.push('name = ?');
+    values.push(updates.name);
+  }
+  if (updates.email !== undefined) {
+    fields.push('ymca_email = ?', `session_cookie = CASE WHEN ymca_email IS ? THEN session_cookie ELSE NULL END`,
+      `client_id = CASE WHEN ymca_email IS ? THEN client_id ELSE NULL END`);
+    values.push(updates.email, updates.email, updates.email);
+  }
+  if (updates.password !== undefined) {
+    fields.push('ymca_password = ?');
+    values.push(updates.password);
+  }
+
+  if (fields.length === 0) {
+    return;
+  }
+
+  fields.push('updated_at = CURRENT_TIMESTAMP');
+  await runAsync(`UPDATE ymca_accounts SET ${fields.join(', ')} WHERE id = ?`, [...values, id]);
+}
+
+// Removes the account and everything scoped to it: spot watches, waitlist
+// links, booking history and scheduler runs, so nothing is left acting for a
+// membership that's gone
+async function deleteYmcaAccount(id) {
+  for (const table of ACCOUNT_SCOPED_TABLES) {
+    await runAsync(`DELETE FROM ${table} WHERE account_id = ?`, [id]);
+  }
+  await runAsync('DELETE FROM ymca_accounts WHERE id = ?', [id]);
+}
+
+// Busy calendars were shared by every account before they were scoped; they
+// most likely belong to the first account's member. Without an account yet,
+// the first one added takes them over.
+async function scopeBusyCalendarsToFirstAccount() {
+  const [firstAccount] = await getYmcaAccounts();
+  if (firstAccount) {
+    await runAsync('UPDATE busy_calendars SET account_id = ? WHERE account_id IS NULL', [firstAccount.id]);
+  }
+}
+
+// Chains and blackouts were shared before they were scoped. A chain, and a
+// blackout for one tracked class, go to that class's account. A blackout for
+// every class applied to every account, so each account gets its own copy.
+// Without an account yet, the first one added takes them over.
+async function scopeChainsAndBlackoutsToAccounts() {
+  const accounts = await getYmcaAccounts();
+  if (accounts.length === 0) {
+    return;
+  }
+
+  const trackedAccounts = new Map((await allAsync('SELECT id, account_id FROM tracked_classes'))
+    .map(row => [row.id, row.account_id]));
+  const [firstAccount, ...otherAccounts] = accounts;
+
+  for (const chain of await getFallbackChains()) {
+    if (chain.account_id === null) {
+      const accountId = trackedAccounts.get(chain.tracked_class_ids[0]) || firstAccount.id;
+      await runAsync('UPDATE fallback_chains SET account_id = ? WHERE id = ?', [accountId, chain.id]);
+    }
+  }
+
+  for (const period of await allAsync('SELECT * FROM blackout_periods WHERE account_id IS NULL')) {
+    if (period.tracked_class_id !== null) {
+      const accountId = trackedAccounts.get(period.tracked_class_id) || firstAccount.id;
+      await runAsync('UPDATE blackout_periods SET account_id = ? WHERE id = ?', [accountId, period.id]);
+      continue;
+    }
+
+    await runAsync('UPDATE blackout_periods SET account_id = ? WHERE id = ?', [firstAccount.id, period.id]);
+    for (const account of otherAccounts) {
+      await addBlackoutPeriod({
+        startDate: period.start_date,
+        endDate: period.end_date,
+        reason: period.reason,
+        accountId: account.id
+      });
+    }
+  }
+}
+
+// linked_clients was keyed by client id alone before accounts existed
+async function keyLinkedClientsByAccount() {
+  const [table] = await allAsync("SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'linked_clients'");
+  if (!table || table.sql.includes('PRIMARY KEY (account_id, client_id)')) {
+    return;
+  }
+
+  await runAsync(`
+    CREATE TABLE linked_clients_rekeyed (
+      client_id TEXT NOT NULL,
+      name TEXT NOT NULL,
+      email TEXT,
+      image_url TEXT,
+      is_self BOOLEAN DEFAULT 0,
+      position INTEGER DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      account_id INTEGER,
+      PRIMARY KEY (account_id, client_id)
+    )
+  `);
+  await runAsync(`
+    INSERT INTO linked_clients_rekeyed (client_id, name, email, image_url, is_self, position, updated_at, account_id)
+    SELECT client_id, name, email, image_url, is_self, position, updated_at, account_id FROM linked_clients
+  `);
+  await runAsync('DROP TABLE linked_clients');
+  await runAsync('ALTER TABLE linked_clients_rekeyed RENAME TO linked_clients');
+}
+
+/**
+ * Move the single-account credentials, session and client id into the first
+ * ymca_accounts row and give it every existing tracked class, signup log and
+ * watch. Installs with nothing saved yet get their account when one is added.
+ */
+async function migrateSingleYmcaAccount() {
+  const [credentials] = await allAsync('SELECT ymca_email, ymca_password FROM credentials WHERE id = 1');
+  const [session] = await allAsync('SELECT session_cookie FROM session_data WHERE id = 1');
+  const [client] = await allAsync('SELECT client_id FROM client_settings WHERE id = 1');
+  const [{ count: trackedCount }] = await allAsync('SELECT COUNT(*) AS count FROM tracked_classes');
+  const [{ count: accountCount }] = await allAsync('SELECT COUNT(*) AS count FROM ymca_accounts');
+
+  if (accountCount > 0 || (!credentials?.ymca_email && !session?.session_cookie && trackedCount === 0)) {
+    return;
+  }
+
+  const result = await runAsync(
+    `INSERT INTO ymca_accounts (name, ymca_email, ymca_password, session_cookie, client_id)
+     VALUES (?, ?, ?, ?, ?)`,
+    [
+      credentials?.ymca_email || 'YMCA account',
+      credentials?.ymca_email || null,
+      credentials?.ymca_password || null,
+      session?.session_cookie || null,
+      client?.client_id ? String(client.client_id) : null
+    ]
+  );
+  await assignUnownedRows(result.lastID);
+}
+
+function saveSession(accountId, sessionCookie) {
+  return runAsync(
+    'UPDATE ymca_accounts SET session_cookie = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [sessionCookie, accountId]
+  );
+}
+
+function loadSession(accountId) {
+  return allAsync('SELECT session_cookie FROM ymca_accounts WHERE id = ?', [accountId])
+    .then(rows => rows[0]?.session_cookie || null);
+}
+
+function clearSession(accountId) {
+  return runAsync('UPDATE ymca_accounts SET session_cookie = NULL WHERE id = ?', [accountId]);
+}
+
+async function saveClientId(accountId, clientId) {
+  await runAsync(
+    'UPDATE ymca_accounts SET client_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [clientId ? String(clientId) : null, accountId]
+  );
+  logger.debug(`Saved client_id ${clientId} for YMCA account ${accountId}`);
+}
+
+// The client id of whichever account a session cookie belongs to
+function getClientIdForSession(sessionCookie) {
+  if (!sessionCookie) {
+    return Promise.resolve(null);
+  }
+  return allAsync('SELECT client_id FROM ymca_accounts WHERE session_cookie = ?', [sessionCookie])
+    .then(rows => rows[0]?.client_id || null);
+}
+
+function getLinkedClients(accountId) {
+  return allAsync('SELECT * FROM linked_clients WHERE account_id = ? ORDER BY is_self DESC, position, name', [accountId])
+    .then(rows => rows.map(row => ({ ...row, is_self: Boolean(row.is_self) })));
+}
+
+// Replaces an account's stored list; clients is [{ id, name, email, imageUrl, isSelf }]
+async function saveLinkedClients(accountId, clients) {
+  await runAsync('DELETE FROM linked_clients WHERE account_id = ?', [accountId]);
+  for (const [position, client] of clients.entries()) {
+    await runAsync(
+      `INSERT INTO linked_clients (client_id, name, email, image_url, is_self, position, account_id, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, datetime('now'))`,
+      [String(client.id), client.name, client.email || null, client.imageUrl || null, client.isSelf ? 1 : 0, position, accountId]
+    );
+  }
 }
 
 function saveSettings(settings) {
@@ -605,15 +2068,22 @@ function saveSettings(settings) {
     db.run(
       `INSERT OR REPLACE INTO app_settings
        (id, preferred_locations, check_interval_minutes, default_signup_hours_before,
-        default_days_ahead, max_classes_per_fetch, waitlist_limit, updated_at)
-       VALUES (1, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+        default_days_ahead, max_classes_per_fetch, waitlist_limit,
+        travel_buffer_minutes, conflict_policy, max_bookings_per_day,
+        max_bookings_per_week, max_bookings_per_category_week, updated_at)
+       VALUES (1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
       [
         preferredLocations,
         settings.checkIntervalMinutes,
         settings.defaultSignupHoursBefore,
         settings.defaultDaysAhead,
         settings.maxClassesPerFetch,
-        settings.waitlistLimit ?? 5
+        settings.waitlistLimit ?? 5,
+        settings.travelBufferMinutes ?? 15,
+        settings.conflictPolicy || 'skip',
+        settings.maxBookingsPerDay ?? 0,
+        settings.maxBookingsPerWeek ?? 0,
+        settings.maxBookingsPerCategoryWeek ?? 0
       ],
       (err) => {
         if (err) reject(err);
@@ -635,7 +2105,12 @@ function loadSettings() {
           defaultSignupHoursBefore: row.default_signup_hours_before,
           defaultDaysAhead: row.default_days_ahead,
           maxClassesPerFetch: row.max_classes_per_fetch,
-          waitlistLimit: row.waitlist_limit ?? 5
+          waitlistLimit: row.waitlist_limit ?? 5,
+          travelBufferMinutes: row.travel_buffer_minutes ?? 15,
+          conflictPolicy: row.conflict_policy || 'skip',
+          maxBookingsPerDay: row.max_bookings_per_day ?? 0,
+          maxBookingsPerWeek: row.max_bookings_per_week ?? 0,
+          maxBookingsPerCategoryWeek: row.max_bookings_per_category_week ?? 0
         };
         resolve(settings);
       }
@@ -643,41 +2118,17 @@ function loadSettings() {
   });
 }
 
-function saveCredentials(credentials) {
-  return new Promise((resolve, reject) => {
-    db.run(
-      `INSERT OR REPLACE INTO credentials 
-       (id, ymca_email, ymca_password, updated_at) 
-       VALUES (1, ?, ?, CURRENT_TIMESTAMP)`,
-      [credentials.email, credentials.password],
-      (err) => {
-        if (err) reject(err);
-        else resolve();
-      }
-    );
-  });
+function saveCredentials(accountId, credentials) {
+  return updateYmcaAccount(accountId, { email: credentials.email, password: credentials.password });
 }
 
-function loadCredentials() {
-  return new Promise((resolve, reject) => {
-    db.get('SELECT ymca_email, ymca_password FROM credentials WHERE id = 1', (err, row) => {
-      if (err) reject(err);
-      else if (!row) resolve(null);
-      else resolve({
-        email: row.ymca_email,
-        password: row.ymca_password
-      });
-    });
-  });
+function loadCredentials(accountId) {
+  return allAsync('SELECT ymca_email, ymca_password FROM ymca_accounts WHERE id = ?', [accountId])
+    .then(([row]) => row ? { email: row.ymca_email, password: row.ymca_password } : null);
 }
 
-function hasCredentials() {
-  return new Promise((resolve, reject) => {
-    db.get('SELECT ymca_email FROM credentials WHERE id = 1', (err, row) => {
-      if (err) reject(err);
-      else resolve(!!row && !!row.ymca_email);
-    });
-  });
+function hasCredentials(accountId) {
+  return loadCredentials(accountId).then(credentials => !!credentials?.email);
 }
 
 function hasUsers() {
@@ -689,11 +2140,11 @@ function hasUsers() {
   });
 }
 
-function createUser(username, passwordHash) {
+function createUser(username, passwordHash, role = 'admin') {
   return new Promise((resolve, reject) => {
     db.run(
-      'INSERT INTO users (username, password_hash) VALUES (?, ?)',
-      [username, passwordHash],
+      'INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)',
+      [username, passwordHash, role],
       function(err) {
         if (err) {
           if (err.message.includes('UNIQUE constraint')) {
@@ -718,6 +2169,113 @@ function getUserByUsername(username) {
   });
 }
 
+function getUserById(id) {
+  return allAsync('SELECT * FROM users WHERE id = ?', [id]).then(rows => rows[0] || null);
+}
+
+// Users without their password hashes
+function getUsers() {
+  return allAsync('SELECT id, username, role, totp_enabled, created_at, last_login FROM users ORDER BY id');
+}
+
+async function updateUser(id, updates) {
+  const fields = [];
+  const values = [];
+
+  if (updates.role !== undefined) {
+    fields.push('role = ?');
+    values.push(updates.role);
+  }
+  if (updates.passwordHash !== undefined) {
+    fields.push('password_hash = ?');
+    values.push(updates.passwordHash);
+  }
+
+  if (fields.length === 0) {
+    return;
+  }
+
+  await runAsync(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`, [...values, id]);
+}
+
+async function deleteUser(id) {
+  await runAsync('DELETE FROM user_recovery_codes WHERE user_id = ?', [id]);
+  await runAsync('DELETE FROM api_tokens WHERE user_id = ?', [id]);
+  await runAsync('DELETE FROM users WHERE id = ?', [id]);
+}
+
+function saveTotpSecret(userId, secret) {
+  return runAsync(
+    'UPDATE users SET totp_secret = ?, totp_enabled = 0, totp_last_step = NULL WHERE id = ?',
+    [secret, userId]
+  );
+}
+
+function enableTotp(userId, lastStep) {
+  return runAsync('UPDATE users SET totp_enabled = 1, totp_last_step = ? WHERE id = ?', [lastStep, userId]);
+}
+
+function updateTotpLastStep(userId, lastStep) {
+  return runAsync('UPDATE users SET totp_last_step = ? WHERE id = ?', [lastStep, userId]);
+}
+
+async function clearTotp(userId) {
+  await runAsync('UPDATE users SET totp_secret = NULL, totp_enabled = 0, totp_last_step = NULL WHERE id = ?', [userId]);
+  await runAsync('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+}
+
+async function saveRecoveryCodes(userId, codeHashes) {
+  await runAsync('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+  for (const codeHash of codeHashes) {
+    await runAsync('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES (?, ?)', [userId, codeHash]);
+  }
+}
+
+// Marks a matching unused code as used; resolves whether there was one
+async function useRecoveryCode(userId, codeHash) {
+  const result = await runAsync(
+    `UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE id = (SELECT id FROM user_recovery_codes WHERE user_id = ? AND code_hash = ? AND used_at IS NULL LIMIT 1)`,
+    [userId, codeHash]
+  );
+  return result.changes > 0;
+}
+
+function countRecoveryCodes(userId) {
+  return allAsync('SELECT COUNT(*) AS count FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL', [userId])
+    .then(([row]) => row.count);
+}
+
+async function createApiToken(userId, { name, scope, tokenHash, tokenPrefix }) {
+  const result = await runAsync(
+    'INSERT INTO api_tokens (user_id, name, scope, token_hash, token_prefix) VALUES (?, ?, ?, ?, ?)',
+    [userId, name, scope, tokenHash, tokenPrefix]
+  );
+  return result.lastID;
+}
+
+// A user's tokens without their hashes
+function getApiTokens(userId) {
+  return allAsync(
+    'SELECT id, name, scope, token_prefix, last_used_at, created_at FROM api_tokens WHERE user_id = ? ORDER BY id',
+    [userId]
+  );
+}
+
+function getApiTokenByHash(tokenHash) {
+  return allAsync('SELECT * FROM api_tokens WHERE token_hash = ?', [tokenHash]).then(rows => rows[0] || null);
+}
+
+function touchApiToken(id) {
+  return runAsync('UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+}
+
+// Resolves whether the user had a token with that id
+async function deleteApiToken(userId, id) {
+  const result = await runAsync('DELETE FROM api_tokens WHERE id = ? AND user_id = ?', [id, userId]);
+  return result.changes > 0;
+}
+
 function updateUserLogin(userId) {
   return new Promise((resolve, reject) => {
     db.run(
@@ -783,18 +2341,67 @@ module.exports = {
   addTrackedClass,
   updateTrackedClass,
   deleteTrackedClass,
+  recordTrackedClassBooking,
+  archiveTrackedClass,
+  unarchiveTrackedClass,
+  mergeSiblingTrackedClasses,
+  runMigrations,
+  LOCATION_GROUP_BOOKING_ORDERS,
+  getLocationGroups,
+  getLocationGroup,
+  addLocationGroup,
+  updateLocationGroup,
+  deleteLocationGroup,
+  getFallbackChains,
+  getFallbackChain,
+  addFallbackChain,
+  updateFallbackChain,
+  deleteFallbackChain,
+  removeTrackedClassFromFallbackChains,
+  getWaitlistLinks,
+  addWaitlistLink,
+  updateWaitlistLink,
+  getSpotWatches,
+  getSpotWatch,
+  getActiveSpotWatchForOccurrence,
+  addSpotWatch,
+  updateSpotWatch,
+  stopSpotWatch,
+  getBlackoutPeriods,
+  addBlackoutPeriod,
+  deleteBlackoutPeriod,
+  deleteBlackoutPeriodsForTrackedClass,
+  getTrackedClassHistory,
+  addTrackedClassHistory,
+  deleteTrackedClassHistory,
+  getBusyCalendars,
+  getBusyCalendar,
+  addBusyCalendar,
+  setBusyCalendarEnabled,
+  updateBusyCalendarSync,
+  deleteBusyCalendar,
   addSignupLog,
   getSignupLogs,
+  addSchedulerRun,
+  getSchedulerRuns,
+  getLastFailedSchedulerRun,
   addClassProfile,
   getAllClassProfiles,
   getClassProfile,
   deleteClassProfile,
   updateClassProfile,
+  getYmcaAccounts,
+  getYmcaAccount,
+  addYmcaAccount,
+  updateYmcaAccount,
+  deleteYmcaAccount,
   saveSession,
   loadSession,
   clearSession,
   saveClientId,
-  getClientId,
+  getClientIdForSession,
+  getLinkedClients,
+  saveLinkedClients,
   saveSettings,
   loadSettings,
   saveCredentials,
@@ -803,6 +2410,22 @@ module.exports = {
   hasUsers,
   createUser,
   getUserByUsername,
+  getUserById,
+  getUsers,
+  updateUser,
+  deleteUser,
+  saveTotpSecret,
+  enableTotp,
+  updateTotpLastStep,
+  clearTotp,
+  saveRecoveryCodes,
+  useRecoveryCode,
+  countRecoveryCodes,
+  createApiToken,
+  getApiTokens,
+  getApiTokenByHash,
+  touchApiToken,
+  deleteApiToken,
   updateUserLogin,
   getSessionSecret,
   saveSessionSecret,
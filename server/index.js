@@ -12,10 +12,25 @@ const authService = require('./services/authService');
 const classService = require('./services/classService');
 const schedulerService = require('./services/schedulerService');
 const userAuthService = require('./services/userAuthService');
+const twoFactorService = require('./services/twoFactorService');
+const apiTokenService = require('./services/apiTokenService');
 const calendarService = require('./services/calendarService');
 const { maybeAutoRefreshTrackedClass } = require('./services/trackedClassAutoRefreshService');
+const substituteInstructorService = require('./services/substituteInstructorService');
+const waitlistUpgradeService = require('./services/waitlistUpgradeService');
+const conflictService = require('./services/conflictService');
+const quotaService = require('./services/quotaService');
+const blackoutService = require('./services/blackoutService');
+const busyCalendarService = require('./services/busyCalendarService');
+const lifecycleService = require('./services/trackedClassLifecycleService');
+const recurrenceService = require('./services/recurrenceService');
+const dayKeyService = require('./services/dayKeyService');
+const trackedClassHistoryService = require('./services/trackedClassHistoryService');
 const { createYmcaSessionManager } = require('./services/ymcaSessionService');
-const { requireAuth } = require('./middleware/auth');
+const { createBookingWindowTimer } = require('./services/bookingWindowTimerService');
+const spotWatcherService = require('./services/spotWatcherService');
+const { createSpotWatchPoller } = require('./services/spotWatchPollerService');
+const { identifyUser, requireSession, requireAuth, requireRole } = require('./middleware/auth');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -23,8 +38,12 @@ const NODE_ENV = process.env.NODE_ENV || 'production';
 
 let SESSION_SECRET = null;
 let calendarToken = null;
-let calendarCache = null;    // { occurrences: [...], generatedAt: Date }
+// '<account id>:self' or '<account id>:<linked client id>' -> { occurrences: [...], generatedAt: Date }
+const calendarCache = new Map();
 const CALENDAR_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+// Time and tries allowed for the code step of a two-factor login
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000;
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
 
 app.use(cors({
   origin: true,
@@ -32,20 +51,417 @@ app.use(cors({
 }));
 app.use(bodyParser.json());
 
-let sessionCookie = null;
+// YMCA account id -> session cookie, loaded from ymca_accounts at startup
+const sessionCookies = new Map();
 let dbReady = false;
 
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+// Tracked class requests may send a daysOfWeek array or the legacy single dayOfWeek
+function resolveDaysOfWeek(daysOfWeek, dayOfWeek) {
+  const days = daysOfWeek !== undefined && daysOfWeek !== null
+    ? daysOfWeek
+    : (dayOfWeek ? [dayOfWeek] : []);
+
+  if (!Array.isArray(days) || days.some(day => !WEEKDAYS.includes(day))) {
+    return { error: `daysOfWeek must be a list of weekday names (${WEEKDAYS.join(', ')})` };
+  }
+
+  return { days: WEEKDAYS.filter(day => days.includes(day)) };
+}
+
+const TIME_OF_DAY_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Optional start-time window: "HH:MM" bounds, either one may be left open
+function resolveTimeRange(timeRangeStart, timeRangeEnd) {
+  const start = timeRangeStart || null;
+  const end = timeRangeEnd || null;
+
+  if ((start && !TIME_OF_DAY_PATTERN.test(start)) || (end && !TIME_OF_DAY_PATTERN.test(end))) {
+    return { error: 'timeRangeStart and timeRangeEnd must be 24-hour HH:MM times' };
+  }
+
+  if (start && end && start > end) {
+    return { error: 'timeRangeStart must not be later than timeRangeEnd' };
+  }
+
+  return { start, end };
+}
+
+// Optional active date range (YYYY-MM-DD, either end open) and "book only the
+// next N occurrences" limit
+function resolveRuleLifecycle({ activeFrom, activeUntil, maxBookings }) {
+  const from = activeFrom || null;
+  const until = activeUntil || null;
+
+  if ((from && !dayKeyService.isValidDate(from)) || (until && !dayKeyService.isValidDate(until))) {
+    return { error: 'activeFrom and activeUntil must be YYYY-MM-DD dates' };
+  }
+
+  if (from && until && from > until) {
+    return { error: 'activeFrom must not be later than activeUntil' };
+  }
+
+  const limit = maxBookings === undefined || maxBookings === null || maxBookings === '' ? null : maxBookings;
+  if (limit !== null && !lifecycleService.isValidBookingLimit(limit)) {
+    return { error: `maxBookings must be a whole number from 1 to ${lifecycleService.MAX_BOOKING_LIMIT}` };
+  }
+
+  return { activeFrom: from, activeUntil: until, maxBookings: limit };
+}
+
+// Instructor lists and location sets arrive as [{ id, name }]; either field
+// identifies the entry
+function resolveRefList(refs, field, noun) {
+  if (refs === undefined || refs === null) {
+    return { refs: [] };
+  }
+
+  if (!Array.isArray(refs) || refs.some(ref => !ref || typeof ref !== 'object' || (!ref.id && !ref.name))) {
+    return { error: `${field} must be a list of ${noun} with an id or name` };
+  }
+
+  const seen = new Set();
+  return {
+    refs: refs
+      .map(ref => ({
+        id: ref.id ? String(ref.id) : null,
+        name: ref.name || null
+      }))
+      .filter((ref) => {
+        const key = ref.id || ref.name.toLowerCase();
+        if (seen.has(key)) {
+          return false;
+        }
+        seen.add(key);
+        return true;
+      })
+  };
+}
+
+// Preferred instructors only apply while instructor matching is on
+function resolveTrainerLists({ matchTrainer, preferredTrainers, excludedTrainers }) {
+  const preferred = resolveRefList(preferredTrainers, 'preferredTrainers', 'instructors');
+  if (preferred.error) {
+    return preferred;
+  }
+
+  const excluded = resolveRefList(excludedTrainers, 'excludedTrainers', 'instructors');
+  if (excluded.error) {
+    return excluded;
+  }
+
+  return {
+    preferred: matchTrainer ? preferred.refs : [],
+    excluded: excluded.refs
+  };
+}
+
+// A tracked rule targets one service, or (ruleType "category") any service in
+// a category, optionally narrowed by a keyword in the class name
+function resolveRuleScope({ ruleType, serviceId, serviceName, serviceCategoryId, serviceCategoryName, nameKeyword }) {
+  const type = ruleType || 'service';
+
+  if (type === 'service') {
+    if (!serviceId) {
+      return { error: 'serviceId is required' };
+    }
+    return { ruleType: 'service', serviceId, serviceName, serviceCategoryId: null, serviceCategoryName: null, nameKeyword: null };
+  }
+
+  if (type !== 'category') {
+    return { error: 'ruleType must be "service" or "category"' };
+  }
+
+  if (!serviceCategoryId && !serviceCategoryName) {
+    return { error: 'Category rules need serviceCategoryId or serviceCategoryName' };
+  }
+
+  const keyword = typeof nameKeyword === 'string' ? nameKeyword.trim() : '';
+  return {
+    ruleType: 'category',
+    serviceId: '',
+    serviceName: serviceCategoryName || serviceName || 'Any class',
+    serviceCategoryId: serviceCategoryId ? String(serviceCategoryId) : null,
+    serviceCategoryName: serviceCategoryName || null,
+    nameKeyword: keyword || null
+  };
+}
+
+// A rule's locations come from an explicit location set or a saved location
+// group; the group wins when both are sent
+async function resolveRuleLocations({ locations, locationGroupId }) {
+  if (locationGroupId) {
+    const group = await db.getLocationGroup(locationGroupId);
+    if (!group) {
+      return { error: `Location group ${locationGroupId} not found` };
+    }
+    return { refs: group.locations, group };
+  }
+
+  const locationSet = resolveRefList(locations, 'locations', 'locations');
+  return locationSet.error ? locationSet : { refs: locationSet.refs, group: null };
+}
+
+// The request fields that decide which classes a tracked rule matches
+const TRACKED_RULE_FIELDS = [
+  'ruleType', 'serviceId', 'serviceName', 'serviceCategoryId', 'serviceCategoryName', 'nameKeyword',
+  'locations', 'locationGroupId', 'trainerId', 'trainerName', 'locationId', 'locationName',
+  'dayOfWeek', 'daysOfWeek', 'startTime', 'matchTrainer', 'matchExactTime', 'timeTolerance',
+  'timeRangeStart', 'timeRangeEnd', 'preferredTrainers', 'excludedTrainers'
+];
+const MAX_TIME_TOLERANCE = 180;
+
+/**
+ * Validate a tracked rule's matching fields and resolve them into the values
+ * stored on the row (camelCase, as db.addTrackedClass and
+ * db.updateTrackedClass take them).
+ *
+ * @returns {Promise<{rule: Object}|{error: string}>}
+ */
+async function resolveTrackedRuleInput(input) {
+  const scope = resolveRuleScope(input);
+  if (scope.error) {
+    return scope;
+  }
+
+  const ruleLocations = await resolveRuleLocations(input);
+  if (ruleLocations.error) {
+    return ruleLocations;
+  }
+
+  const days = resolveDaysOfWeek(input.daysOfWeek, input.dayOfWeek);
+  if (days.error) {
+    return days;
+  }
+
+  const startTime = input.startTime || null;
+  if (startTime && !TIME_OF_DAY_PATTERN.test(String(startTime).slice(0, 5))) {
+    return { error: 'startTime must be a 24-hour HH:MM time' };
+  }
+
+  const timeTolerance = input.timeTolerance ? Number(input.timeTolerance) : 15;
+  if (!Number.isInteger(timeTolerance) || timeTolerance < 1 || timeTolerance > MAX_TIME_TOLERANCE) {
+    return { error: `timeTolerance must be a whole number of minutes from 1 to ${MAX_TIME_TOLERANCE}` };
+  }
+
+  const timeRange = resolveTimeRange(input.timeRangeStart, input.timeRangeEnd);
+  if (timeRange.error) {
+    return timeRange;
+  }
+
+  const matchTrainer = input.matchTrainer !== undefined ? Boolean(input.matchTrainer) : true;
+  const trainers = resolveTrainerLists({ ...input, matchTrainer });
+  if (trainers.error) {
+    return trainers;
+  }
+
+  return {
+    rule: {
+      ruleType: scope.ruleType,
+      serviceId: scope.serviceId,
+      serviceName: scope.serviceName,
+      serviceCategoryId: scope.serviceCategoryId,
+      serviceCategoryName: scope.serviceCategoryName,
+      nameKeyword: scope.nameKeyword,
+      // Group rules read their locations from the group so later edits to it apply
+      locations: ruleLocations.group ? [] : ruleLocations.refs,
+      locationGroupId: ruleLocations.group?.id || null,
+      trainerId: input.trainerId ?? null,
+      trainerName: input.trainerName ?? null,
+      locationId: ruleLocations.refs.length > 0 ? null : (input.locationId ?? null),
+      locationName: ruleLocations.group
+        ? ruleLocations.group.name
+        : ruleLocations.refs.length > 0
+          ? ruleLocations.refs.map(location => location.name || location.id).join(', ')
+          : (input.locationName || ''),
+      dayOfWeek: days.days[0] || null,
+      daysOfWeek: days.days,
+      startTime,
+      matchTrainer,
+      matchExactTime: Boolean(input.matchExactTime),
+      timeTolerance,
+      timeRangeStart: timeRange.start,
+      timeRangeEnd: timeRange.end,
+      preferredTrainers: trainers.preferred,
+      excludedTrainers: trainers.excluded
+    }
+  };
+}
+
+// A stored tracked class as the request fields resolveTrackedRuleInput takes,
+// so an edit can send only what changed
+function trackedClassToRuleInput(tracked) {
+  return {
+    ruleType: tracked.rule_type,
+    serviceId: tracked.service_id,
+    serviceName: tracked.service_name,
+    serviceCategoryId: tracked.service_category_id,
+    serviceCategoryName: tracked.service_category_name,
+    nameKeyword: tracked.name_keyword,
+    locations: tracked.location_group_id ? [] : tracked.locations,
+    locationGroupId: tracked.location_group_id,
+    trainerId: tracked.trainer_id,
+    trainerName: tracked.trainer_name,
+    locationId: tracked.location_id,
+    locationName: tracked.location_name,
+    daysOfWeek: tracked.days_of_week,
+    startTime: tracked.start_time,
+    matchTrainer: tracked.match_trainer === 1,
+    matchExactTime: tracked.match_exact_time === 1,
+    timeTolerance: tracked.time_tolerance,
+    timeRangeStart: tracked.time_range_start,
+    timeRangeEnd: tracked.time_range_end,
+    preferredTrainers: tracked.preferred_trainers,
+    excludedTrainers: tracked.excluded_trainers
+  };
+}
+
+// The linked family member a request books for. No clientId, "self" or the
+// account holder's own id all mean the account holder (client: null).
+async function resolveLinkedClient(account, clientId) {
+  if (clientId === undefined || clientId === null || clientId === '' || clientId === 'self') {
+    return { client: null };
+  }
+
+  const linkedClients = account ? await db.getLinkedClients(account.id) : [];
+  const client = linkedClients.find(linked => linked.client_id === String(clientId));
+  if (!client) {
+    return { error: `clientId ${clientId} is not linked to this YMCA account` };
+  }
+  return { client: client.is_self ? null : client };
+}
+
+// The YMCA account a request acts for: the one the X-YMCA-Account header
+// (set by the account switcher) names, else the first. Null before any
+// account is added. A header naming no account is an error rather than the
+// first account, so a stale switcher can't act on another membership.
+async function resolveYmcaAccount(accountId) {
+  const accounts = await db.getYmcaAccounts();
+  if (accountId === undefined || accountId === '') {
+    return { account: accounts[0] || null };
+  }
+
+  const account = accounts.find(candidate => String(candidate.id) === String(accountId));
+  return account ? { account } : { error: `YMCA account ${accountId} not found` };
+}
+
+// A tracked class, only when it belongs to the request's YMCA account
+async function getAccountTrackedClass(req, id) {
+  const tracked = await db.getTrackedClass(id);
+  return tracked && tracked.account_id === req.ymcaAccount?.id ? tracked : null;
+}
+
+// A busy calendar, only when it belongs to the request's YMCA account
+async function getAccountBusyCalendar(req, id) {
+  const calendar = await db.getBusyCalendar(id);
+  return calendar && calendar.account_id === req.ymcaAccount?.id ? calendar : null;
+}
+
+// The scheduler's getBusyEvents option for one account: only the calendars of
+// that membership's member keep its classes from booking
+function getAccountBusyEventsLoader(accountId) {
+  return (options = {}) => busyCalendarService.loadBusyEvents({ ...options, accountId });
+}
+
+// The request account's fallback chains
+function getAccountFallbackChains(req) {
+  return db.getFallbackChains({ accountId: req.ymcaAccount?.id ?? -1 });
+}
+
+// A blackout period, only when it belongs to the request's YMCA account
+async function getAccountBlackoutPeriod(req, id) {
+  const periods = await db.getBlackoutPeriods(null, { accountId: req.ymcaAccount?.id ?? -1 });
+  return periods.find(period => period.id === Number(id)) || null;
+}
+
+function resolveLocationGroupInput({ name, locations, bookingOrder }, { partial = false } = {}) {
+  const group = {};
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'name is required' };
+    }
+    group.name = name.trim();
+  }
+
+  if (locations !== undefined || !partial) {
+    const locationSet = resolveRefList(locations, 'locations', 'locations');
+    if (locationSet.error) {
+      return locationSet;
+    }
+    if (locationSet.refs.length === 0) {
+      return { error: 'A location group needs at least one location' };
+    }
+    group.locations = locationSet.refs;
+  }
+
+  if (bookingOrder !== undefined) {
+    if (!db.LOCATION_GROUP_BOOKING_ORDERS.includes(bookingOrder)) {
+      return { error: `bookingOrder must be one of: ${db.LOCATION_GROUP_BOOKING_ORDERS.join(', ')}` };
+    }
+    group.bookingOrder = bookingOrder;
+  }
+
+  return { group };
+}
+
+// Chains list tracked class ids in priority order; a tracked class belongs to
+// at most one chain so the scheduler knows what it falls back from
+async function resolveFallbackChainInput({ name, trackedClassIds, leaveWaitlist, upgradeWaitlist }, { chainId = null, accountId = null } = {}) {
+  const chain = {};
+
+  if (name !== undefined || chainId === null) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: 'name is required' };
+    }
+    chain.name = name.trim();
+  }
+
+  if (trackedClassIds !== undefined || chainId === null) {
+    const ids = Array.isArray(trackedClassIds) ? trackedClassIds.map(Number) : [];
+    if (ids.length < 2 || ids.some(id => !Number.isInteger(id)) || new Set(ids).size !== ids.length) {
+      return { error: 'trackedClassIds must list at least two different tracked class ids' };
+    }
+
+    // Every class in a chain books through the same YMCA account
+    const trackedClasses = await db.getAllTrackedClasses({ accountId });
+    const missing = ids.filter(id => !trackedClasses.some(tracked => tracked.id === id));
+    if (missing.length > 0) {
+      return { error: `Tracked class ${missing.join(', ')} not found` };
+    }
+
+    // and for the same member, since a fallback only replaces a class for
+    // whoever it was booked for
+    const members = new Set(ids.map(id => trackedClasses.find(tracked => tracked.id === id).client_id || null));
+    if (members.size > 1) {
+      return { error: 'Every class in a fallback chain must be booked for the same member' };
+    }
+
+    const otherChains = (await db.getFallbackChains()).filter(other => other.id !== Number(chainId));
+    const taken = ids.filter(id => otherChains.some(other => other.tracked_class_ids.includes(id)));
+    if (taken.length > 0) {
+      return { error: `Tracked class ${taken.join(', ')} is already in another fallback chain` };
+    }
+
+    chain.trackedClassIds = ids;
+  }
+
+  if (leaveWaitlist !== undefined) {
+    chain.leaveWaitlist = Boolean(leaveWaitlist);
+  }
+
+  if (upgradeWaitlist !== undefined) {
+    chain.upgradeWaitlist = Boolean(upgradeWaitlist);
+  }
+
+  return { chain };
+}
+
 async function initializeDatabase() {
   return new Promise((resolve) => {
     db.initialize();
     setTimeout(async () => {
-      sessionCookie = await db.loadSession();
-      if (sessionCookie) {
-        logger.info('Loaded saved session from database');
-      } else {
-        logger.debug('No saved session found');
-      }
-      
       // Load or generate SESSION_SECRET from database
       SESSION_SECRET = process.env.SESSION_SECRET || await db.getSessionSecret();
       if (!SESSION_SECRET) {
@@ -58,6 +474,25 @@ async function initializeDatabase() {
         logger.info('✓ Using SESSION_SECRET from environment variable');
       }
       
+      await db.runMigrations();
+
+      // YMCA credentials from the environment need an account to belong to
+      if ((await db.getYmcaAccounts()).length === 0 && process.env.YMCA_EMAIL && process.env.YMCA_PASSWORD) {
+        await db.addYmcaAccount({ name: process.env.YMCA_EMAIL });
+      }
+
+      for (const account of await db.getYmcaAccounts()) {
+        const savedSession = await db.loadSession(account.id);
+        if (savedSession) {
+          sessionCookies.set(account.id, savedSession);
+        }
+      }
+      if (sessionCookies.size > 0) {
+        logger.info(`Loaded ${sessionCookies.size} saved YMCA session(s) from database`);
+      } else {
+        logger.debug('No saved session found');
+      }
+
       // Load or generate calendar token
       calendarToken = await db.getCalendarToken();
       if (!calendarToken) {
@@ -85,15 +520,27 @@ async function startServer() {
     db,
     classService,
     logger,
-    getSessionCookie: () => sessionCookie,
-    setSessionCookie: (nextSessionCookie) => {
-      sessionCookie = nextSessionCookie;
+    getSessionCookie: (accountId) => sessionCookies.get(accountId) || null,
+    setSessionCookie: (accountId, nextSessionCookie) => {
+      if (nextSessionCookie) {
+        sessionCookies.set(accountId, nextSessionCookie);
+      } else {
+        sessionCookies.delete(accountId);
+      }
     }
   });
 
-  const maybeClearYmcaSession = async (error) => {
-    if (error.message?.includes('401') || error.response?.status === 401) {
-      await ymcaSessionManager.clearSession();
+  // The request account's YMCA session, logging in when it has none yet
+  const ensureAccountSession = (req) => {
+    if (!req.ymcaAccount) {
+      throw new Error('No YMCA account configured. Add one in Settings.');
+    }
+    return ymcaSessionManager.ensureSession(req.ymcaAccount.id);
+  };
+
+  const maybeClearYmcaSession = async (error, accountId) => {
+    if (accountId && (error.message?.includes('401') || error.response?.status === 401)) {
+      await ymcaSessionManager.clearSession(accountId);
       return true;
     }
 
@@ -122,33 +569,74 @@ async function startServer() {
   app.use(express.static('client/dist'));
   
   logger.info('Session middleware initialized');
+
+  // Only a logged-in caller gets an account, so account ids can't be probed
+  // without logging in; routes needing a login answer everyone else with 401
+  app.use('/api', async (req, res, next) => {
+    try {
+      if (!(await identifyUser(req))) {
+        req.ymcaAccount = null;
+        return next();
+      }
+
+      const { account, error } = await resolveYmcaAccount(req.get('X-YMCA-Account'));
+      if (error) {
+        return res.status(404).json({ error, unknownAccount: true });
+      }
+      req.ymcaAccount = account;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
   
   // Define routes AFTER session middleware is set up
   app.get('/health', (req, res) => {
     res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
   });
 
-  // Calendar subscription feed (public, token-authenticated)
+  // Calendar subscription feed (public, token-authenticated). The first YMCA
+  // account holder's by default; ?account=<id> picks another account and
+  // ?client=<id> a linked family member on it.
   app.get('/cal/:token.ics', async (req, res) => {
+    let account = null;
     try {
       if (req.params.token !== calendarToken) {
         return res.status(404).send('Not found');
       }
 
-      if (!sessionCookie) {
-        try {
-          await ymcaSessionManager.ensureSession();
-        } catch (loginErr) {
-          logger.error('Calendar feed: failed to login:', loginErr.message);
-          return res.status(503).send('Service unavailable');
-        }
+      const accounts = await db.getYmcaAccounts();
+      account = req.query.account
+        ? accounts.find(candidate => String(candidate.id) === String(req.query.account))
+        : accounts[0];
+      if (!account) {
+        return res.status(404).send('Not found');
+      }
+
+      const clientId = req.query.client && req.query.client !== 'self' ? String(req.query.client) : null;
+      const client = clientId
+        ? (await db.getLinkedClients(account.id)).find(linked => linked.client_id === clientId && !linked.is_self)
+        : null;
+      if (clientId && !client) {
+        return res.status(404).send('Not found');
+      }
+      const isClientEntry = (entry) => String(entry.client_id || '') === String(clientId || '');
+
+      let sessionCookie;
+      try {
+        sessionCookie = await ymcaSessionManager.ensureSession(account.id);
+      } catch (loginErr) {
+        logger.error('Calendar feed: failed to login:', loginErr.message);
+        return res.status(503).send('Service unavailable');
       }
 
       // Serve from cache if fresh
       const now = Date.now();
-      if (!calendarCache || (now - calendarCache.generatedAt) > CALENDAR_CACHE_TTL) {
-        // Refresh: fetch tracked classes and all occurrences
-        const trackedClasses = await db.getAllTrackedClasses();
+      const cacheKey = `${account.id}:${clientId || 'self'}`;
+      let cached = calendarCache.get(cacheKey);
+      if (!cached || (now - cached.generatedAt) > CALENDAR_CACHE_TTL) {
+        // Refresh: fetch this person's tracked classes and all occurrences
+        const trackedClasses = (await db.getAllTrackedClasses({ accountId: account.id })).filter(isClientEntry);
 
         const startDate = new Date().toISOString().split('T')[0];
         const endDate = new Date(now + 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
@@ -159,51 +647,63 @@ async function startServer() {
           verifyBookings: false
         });
 
-        // Match each tracked class to occurrences, dedup by occurrence id
+        // Booked/waitlisted classes from the bookings API. The schedule API
+        // sometimes omits classes that the bookings API returns, and its
+        // booking flags only describe the account holder.
+        let rawBookings = [];
+        try {
+          const bookingsResponse = await classService.getMyBookings(sessionCookie, {
+            startDate: new Date().toISOString(),
+            clientId
+          });
+          rawBookings = bookingsResponse?.data || [];
+        } catch (bookingsError) {
+          logger.warn('Failed to fetch bookings for calendar, continuing with tracked matches only:', bookingsError.message);
+        }
+
+        // Match each tracked class to occurrences, dedup by occurrence id.
+        // Matches on blacked-out days are marked skipped.
+        const blackouts = await db.getBlackoutPeriods(startDate, { accountId: account.id });
         const matchedById = new Map();
-        for (const tracked of trackedClasses) {
-          const matches = classService.matchTrackedClassToOccurrences(tracked, allOccurrences);
+        for (const tracked of trackedClasses.filter(tracked => !tracked.archived_at)) {
+          const trackedMatches = classService.matchTrackedClassToOccurrences(tracked, allOccurrences);
+          const matches = clientId
+            ? classService.applyClientBookingStatus(trackedMatches, rawBookings)
+            : trackedMatches;
           for (const cls of matches) {
             if (!matchedById.has(cls.id)) {
-              matchedById.set(cls.id, cls);
+              const blackout = blackoutService.findBlackout(blackouts, tracked.id, cls.startTime);
+              matchedById.set(cls.id, blackout
+                ? { ...cls, isSkipped: true, skipReason: blackoutService.describeBlackout(blackout) }
+                : cls);
             }
           }
         }
 
-        // Also fetch booked/waitlisted classes from the bookings API
-        // The schedule API sometimes omits classes that the bookings API returns
-        try {
-          const bookingsResponse = await classService.getMyBookings(sessionCookie, {
-            startDate: new Date().toISOString()
-          });
-          const rawBookings = bookingsResponse?.data || [];
-          for (const b of rawBookings) {
-            if (!b.is_joined && !b.is_waited) continue;
-            const id = b.id;
-            if (!matchedById.has(id)) {
-              matchedById.set(id, {
-                id,
-                serviceName: b.service_title,
-                startTime: b.occurs_at,
-                duration: b.duration_in_minutes || 60,
-                locationName: b.location_name,
-                subLocationName: b.sub_location_name || null,
-                trainerName: b.trainer_name,
-                isJoined: b.is_joined,
-                isWaited: b.is_waited,
-                positionOnWaitingList: b.position_on_waiting_list,
-              });
-              logger.debug(`Added booked class from bookings API: ${b.service_title} (${id})`);
-            }
+        for (const b of rawBookings) {
+          if (!b.is_joined && !b.is_waited) continue;
+          const id = b.id;
+          if (!matchedById.has(id)) {
+            matchedById.set(id, {
+              id,
+              serviceName: b.service_title,
+              startTime: b.occurs_at,
+              duration: b.duration_in_minutes || 60,
+              locationName: b.location_name,
+              subLocationName: b.sub_location_name || null,
+              trainerName: b.trainer_name,
+              isJoined: b.is_joined,
+              isWaited: b.is_waited,
+              positionOnWaitingList: b.position_on_waiting_list,
+            });
+            logger.debug(`Added booked class from bookings API: ${b.service_title} (${id})`);
           }
-        } catch (bookingsError) {
-          logger.warn('Failed to fetch bookings for calendar, continuing with tracked matches only:', bookingsError.message);
         }
 
-        // Detect cancelled occurrences from signup logs
-        const logs = await db.getSignupLogs(1000);
+        // Detect this person's cancelled occurrences from signup logs
+        const logs = await db.getSignupLogs(1000, { accountId: account.id });
         const cancelledIds = new Set(
-          logs.filter(l => l.status === 'cancelled').map(l => String(l.occurrence_id))
+          logs.filter(l => l.status === 'cancelled' && isClientEntry(l)).map(l => String(l.occurrence_id))
         );
 
         const occurrences = Array.from(matchedById.values()).map(cls => ({
@@ -211,17 +711,23 @@ async function startServer() {
           isCancelled: cancelledIds.has(String(cls.id)) && !cls.isJoined && !cls.isWaited
         }));
 
-        calendarCache = { occurrences, generatedAt: now };
-        logger.debug(`Calendar cache refreshed: ${occurrences.length} occurrences from ${trackedClasses.length} tracked classes`);
+        cached = { occurrences, generatedAt: now };
+        calendarCache.set(cacheKey, cached);
+        logger.debug(`Calendar cache refreshed for ${cacheKey}: ${occurrences.length} occurrences from ${trackedClasses.length} tracked classes`);
       }
 
       const appUrl = `${req.protocol}://${req.get('host')}`;
-      const icsContent = calendarService.generateCalendar(calendarCache.occurrences, appUrl);
+      const owner = client?.name || (accounts.length > 1 ? account.name : null);
+      const icsContent = calendarService.generateCalendar(cached.occurrences, appUrl, {
+        name: owner ? `YMCA Classes - ${owner}` : undefined,
+        clientId,
+        accountId: accounts.length > 1 ? account.id : null
+      });
       res.set('Content-Type', 'text/calendar; charset=utf-8');
       res.send(icsContent);
     } catch (error) {
       logger.error('Calendar feed error:', error.message);
-      await maybeClearYmcaSession(error);
+      await maybeClearYmcaSession(error, account?.id);
       res.status(500).send('Internal server error');
     }
   });
@@ -262,17 +768,152 @@ async function startServer() {
       }
       
       const user = await userAuthService.authenticateUser(username, password);
+
+      // The password alone isn't enough with two-factor on; the code is
+      // checked by /api/auth/user-login/verify
+      if (user.twoFactorEnabled) {
+        req.session.pendingTwoFactor = {
+          userId: user.id,
+          expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS,
+          attempts: 0
+        };
+        return res.json({ success: true, twoFactorRequired: true });
+      }
+
       req.session.userId = user.id;
       req.session.username = user.username;
       
       logger.info(`User logged in: ${username}`);
-      res.json({ success: true, user: { username: user.username } });
+      res.json({ success: true, user: { username: user.username, role: user.role } });
     } catch (error) {
       logger.error('User login error:', error);
       res.status(401).json({ error: error.message });
     }
   });
 
+  // Second login step: an authenticator code or an unused recovery code
+  app.post('/api/auth/user-login/verify', async (req, res) => {
+    try {
+      const pending = req.session?.pendingTwoFactor;
+      if (!pending || pending.expiresAt < Date.now() || pending.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+        delete req.session.pendingTwoFactor;
+        return res.status(401).json({ error: 'Login expired. Enter your username and password again.', restart: true });
+      }
+
+      const method = await twoFactorService.verifyLoginCode(pending.userId, req.body?.code);
+      if (!method) {
+        pending.attempts += 1;
+        return res.status(401).json({ error: 'Invalid code' });
+      }
+
+      const user = await db.getUserById(pending.userId);
+      delete req.session.pendingTwoFactor;
+      req.session.userId = user.id;
+      req.session.username = user.username;
+      await db.updateUserLogin(user.id);
+
+      logger.info(`User logged in: ${user.username} (two-factor ${method === 'recovery' ? 'recovery code' : 'code'})`);
+      res.json({
+        success: true,
+        user: { username: user.username, role: user.role },
+        recoveryCodesLeft: method === 'recovery' ? await db.countRecoveryCodes(user.id) : undefined
+      });
+    } catch (error) {
+      logger.error('Two-factor login error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Two-factor settings for the logged-in user, whatever their role
+  app.get('/api/auth/2fa', requireSession, async (req, res) => {
+    try {
+      res.json(await twoFactorService.getStatus(req.user.id));
+    } catch (error) {
+      logger.error('Get two-factor status error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/auth/2fa/setup', requireSession, async (req, res) => {
+    try {
+      res.json(await twoFactorService.beginEnrollment(req.user.id));
+    } catch (error) {
+      logger.error('Two-factor setup error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/auth/2fa/enable', requireSession, async (req, res) => {
+    try {
+      const recoveryCodes = await twoFactorService.confirmEnrollment(req.user.id, req.body?.code);
+      res.json({ success: true, recoveryCodes });
+    } catch (error) {
+      logger.error('Two-factor enable error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  // Turning 2FA off or replacing recovery codes takes a current code
+  app.post('/api/auth/2fa/disable', requireSession, async (req, res) => {
+    try {
+      if (!await twoFactorService.verifyLoginCode(req.user.id, req.body?.code)) {
+        return res.status(400).json({ error: 'Invalid code' });
+      }
+      await twoFactorService.disable(req.user.id);
+      logger.info(`Two-factor authentication disabled for ${req.user.username}`);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Two-factor disable error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/auth/2fa/recovery-codes', requireSession, async (req, res) => {
+    try {
+      if (!await twoFactorService.verifyLoginCode(req.user.id, req.body?.code)) {
+        return res.status(400).json({ error: 'Invalid code' });
+      }
+      res.json({ success: true, recoveryCodes: await twoFactorService.replaceRecoveryCodes(req.user.id) });
+    } catch (error) {
+      logger.error('Regenerate recovery codes error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Personal API tokens for the logged-in user, sent as
+  // "Authorization: Bearer <token>" by scripts and automations
+  app.get('/api/tokens', requireSession, async (req, res) => {
+    try {
+      res.json(await apiTokenService.listTokens(req.user.id));
+    } catch (error) {
+      logger.error('Get API tokens error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Read-only users can create read-only tokens, so this isn't requireAuth
+  app.post('/api/tokens', requireSession, async (req, res) => {
+    try {
+      const { name, scope } = req.body || {};
+      res.json(await apiTokenService.createToken(req.user, { name, scope }));
+    } catch (error) {
+      logger.error('Create API token error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/api/tokens/:id', requireSession, async (req, res) => {
+    try {
+      if (!await apiTokenService.revokeToken(req.user, Number(req.params.id))) {
+        return res.status(404).json({ error: 'Token not found' });
+      }
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Revoke API token error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
   app.post('/api/auth/logout', (req, res) => {
     const username = req.session?.username;
     req.session.destroy((err) => {
@@ -293,11 +934,13 @@ async function startServer() {
         return res.json({ setupRequired: true, authenticated: false });
       }
       
-      if (req.session && req.session.userId) {
+      // A user removed since logging in is logged out
+      const user = req.session?.userId ? await db.getUserById(req.session.userId) : null;
+      if (user) {
         return res.json({ 
           authenticated: true, 
           setupRequired: false,
-          user: { username: req.session.username }
+          user: { username: user.username, role: user.role }
         });
       }
       
@@ -308,16 +951,74 @@ async function startServer() {
     }
   });
 
-  app.get('/api/status', requireAuth, async (req, res) => {
+  // App users and their roles; admins only
+  app.get('/api/users', requireRole('admin'), async (req, res) => {
     try {
-      const status = { 
-        status: 'running', 
-        authenticated: !!sessionCookie,
-        timestamp: new Date().toISOString()
-      };
-      
-      if (sessionCookie) {
-        try {
+      res.json(await db.getUsers());
+    } catch (error) {
+      logger.error('Get users error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/users', requireRole('admin'), async (req, res) => {
+    try {
+      const { username, password, role } = req.body || {};
+      const id = await userAuthService.createUser(username, password, role);
+      res.json({ success: true, id });
+    } catch (error) {
+      logger.error('Create user error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.put('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+      if (!await db.getUserById(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+
+      const { role, password } = req.body || {};
+      await userAuthService.updateUser(req.params.id, {
+        role,
+        password: password || undefined
+      });
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Update user error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.delete('/api/users/:id', requireRole('admin'), async (req, res) => {
+    try {
+      if (!await db.getUserById(req.params.id)) {
+        return res.status(404).json({ error: 'User not found' });
+      }
+      if (Number(req.params.id) === req.user.id) {
+        return res.status(400).json({ error: 'You cannot delete yourself' });
+      }
+
+      await userAuthService.deleteUser(req.params.id);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Delete user error:', error);
+      res.status(400).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/status', requireAuth, async (req, res) => {
+    try {
+      const sessionCookie = req.ymcaAccount ? sessionCookies.get(req.ymcaAccount.id) : null;
+      const status = { 
+        status: 'running', 
+        authenticated: !!sessionCookie,
+        account: req.ymcaAccount,
+        timestamp: new Date().toISOString()
+      };
+      
+      if (sessionCookie) {
+        try {
           const userData = await classService.getUserProfile(sessionCookie);
           status.user = userData;
         } catch (error) {
@@ -334,7 +1035,10 @@ async function startServer() {
 
   app.post('/api/auth/login', requireAuth, async (req, res) => {
     try {
-      await ymcaSessionManager.loginAndPersistSession();
+      if (!req.ymcaAccount) {
+        return res.status(400).json({ success: false, error: 'Add a YMCA account in Settings first' });
+      }
+      await ymcaSessionManager.loginAndPersistSession(req.ymcaAccount.id);
       res.json({ success: true, authenticated: true });
     } catch (error) {
       logger.error('Login error:', error);
@@ -344,16 +1048,32 @@ async function startServer() {
 
   app.get('/api/classes', requireAuth, async (req, res) => {
     try {
-    await ymcaSessionManager.ensureSession();
+    const sessionCookie = await ensureAccountSession(req);
     
     const { startDate, endDate, locationId, limit, offset } = req.query;
-    const classes = await classService.fetchClasses(sessionCookie, { 
+
+    const linkedClient = await resolveLinkedClient(req.ymcaAccount, req.query.clientId);
+    if (linkedClient.error) {
+      return res.status(400).json({ error: linkedClient.error });
+    }
+
+    let classes = await classService.fetchClasses(sessionCookie, { 
       startDate, 
       endDate, 
       locationId,
       limit: limit ? parseInt(limit, 10) : undefined,  // OPTIMIZATION: Support pagination limit
       offset: offset ? parseInt(offset, 10) : undefined  // OPTIMIZATION: Support infinite scroll offset
     });
+
+    // Browsing for a linked family member shows their bookings, not the
+    // account holder's
+    if (linkedClient.client) {
+      const bookings = await classService.getMyBookings(sessionCookie, {
+        startDate: new Date().toISOString(),
+        clientId: linkedClient.client.client_id
+      });
+      classes = classService.applyClientBookingStatus(classes, bookings?.data || []);
+    }
     
     if (classes.length > 0) {
       logger.debug('Sample class data (first item):', {
@@ -366,7 +1086,7 @@ async function startServer() {
       });
     }
     
-    const trackedClasses = await db.getAllTrackedClasses();
+    const trackedClasses = await db.getAllTrackedClasses({ accountId: req.ymcaAccount.id });
     const resolvedTrackedClasses = [];
 
     for (const tracked of trackedClasses) {
@@ -387,18 +1107,24 @@ async function startServer() {
     res.json(classes);
   } catch (error) {
     logger.error('Fetch classes error:', error);
-    await maybeClearYmcaSession(error);
+    await maybeClearYmcaSession(error, req.ymcaAccount?.id);
     res.status(500).json({ error: error.message });
   }
 });
 
 app.get('/api/tracked-classes', requireAuth, async (req, res) => {
   try {
-    const trackedClasses = await db.getAllTrackedClasses();
-    
-    if (!sessionCookie) {
-      await ymcaSessionManager.ensureSession();
+    const now = new Date();
+    const today = dayKeyService.getDayKey(now);
+    const trackedClasses = await schedulerService.archiveFinishedTrackedClasses(
+      await db.getAllTrackedClasses({ accountId: req.ymcaAccount?.id ?? -1 }),
+      now
+    );
+    if (trackedClasses.length === 0) {
+      return res.json([]);
     }
+
+    const sessionCookie = await ensureAccountSession(req);
     
     const startDate = new Date();
     const endDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
@@ -410,6 +1136,15 @@ app.get('/api/tracked-classes', requireAuth, async (req, res) => {
     
     const classesWithNextOccurrence = [];
     for (const tracked of trackedClasses) {
+      if (tracked.archived_at) {
+        classesWithNextOccurrence.push({
+          ...tracked,
+          archive_reason: lifecycleService.getArchiveReason(tracked, today),
+          next_occurrence: null
+        });
+        continue;
+      }
+
       const resolvedTracked = await maybeAutoRefreshTrackedClass(tracked, upcomingClasses, {
         source: 'tracked classes list'
       });
@@ -423,26 +1158,63 @@ app.get('/api/tracked-classes', requireAuth, async (req, res) => {
     res.json(classesWithNextOccurrence);
   } catch (error) {
     logger.error('Get tracked classes error:', error);
-    await maybeClearYmcaSession(error);
+    await maybeClearYmcaSession(error, req.ymcaAccount?.id);
     res.status(500).json({ error: error.message });
   }
 });
 
 app.post('/api/tracked-classes/preview', requireAuth, async (req, res) => {
   try {
-    if (!sessionCookie) {
-      await ymcaSessionManager.ensureSession();
-    }
+    const sessionCookie = await ensureAccountSession(req);
     
     const {
-      trackedClassId, serviceId, trainerId, trainerName, locationId, locationName, dayOfWeek, startTime,
-      matchTrainer, matchExactTime, timeTolerance
+      trackedClassId, serviceId, trainerId, trainerName, locationId, locationName, dayOfWeek, daysOfWeek, startTime,
+      matchTrainer, matchExactTime, timeTolerance, timeRangeStart, timeRangeEnd,
+      preferredTrainers, excludedTrainers, ruleType, serviceCategoryId, serviceCategoryName, nameKeyword, locations,
+      locationGroupId, recurrence, activeFrom, activeUntil, draft, clientId
     } = req.body;
     
     logger.debug('Preview request params:', {
-      trackedClassId, serviceId, trainerId, trainerName, locationId, locationName, dayOfWeek, startTime,
-      matchTrainer, matchExactTime, timeTolerance
+      trackedClassId, serviceId, trainerId, trainerName, locationId, locationName, dayOfWeek, daysOfWeek, startTime,
+      matchTrainer, matchExactTime, timeTolerance, timeRangeStart, timeRangeEnd,
+      preferredTrainers, excludedTrainers, ruleType, serviceCategoryId, serviceCategoryName, nameKeyword, locations,
+      locationGroupId, recurrence, activeFrom, activeUntil, draft, clientId
     });
+
+    const previewScope = resolveRuleScope({ ruleType, serviceId, serviceCategoryId, serviceCategoryName, nameKeyword });
+    if (previewScope.error) {
+      return res.status(400).json({ error: previewScope.error });
+    }
+
+    const previewLocations = await resolveRuleLocations({ locations, locationGroupId });
+    if (previewLocations.error) {
+      return res.status(400).json({ error: previewLocations.error });
+    }
+
+    const previewDays = resolveDaysOfWeek(daysOfWeek, dayOfWeek);
+    if (previewDays.error) {
+      return res.status(400).json({ error: previewDays.error });
+    }
+
+    const previewTimeRange = resolveTimeRange(timeRangeStart, timeRangeEnd);
+    if (previewTimeRange.error) {
+      return res.status(400).json({ error: previewTimeRange.error });
+    }
+
+    const previewTrainers = resolveTrainerLists({ matchTrainer, preferredTrainers, excludedTrainers });
+    if (previewTrainers.error) {
+      return res.status(400).json({ error: previewTrainers.error });
+    }
+
+    const previewRecurrence = recurrenceService.normalizeRecurrence(recurrence);
+    if (previewRecurrence.error) {
+      return res.status(400).json({ error: previewRecurrence.error });
+    }
+
+    const previewLifecycle = resolveRuleLifecycle({ activeFrom, activeUntil });
+    if (previewLifecycle.error) {
+      return res.status(400).json({ error: previewLifecycle.error });
+    }
     
     const startDate = new Date();
     const endDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
@@ -471,33 +1243,53 @@ app.post('/api/tracked-classes/preview', requireAuth, async (req, res) => {
       });
     }
 
-    const currentTrackedClass = trackedClassId ? await db.getTrackedClass(trackedClassId) : null;
+    // A draft previews unsaved edits to an existing rule: the payload is the
+    // rule, and trackedClassId only keeps the rule from clashing with itself
+    const currentTrackedClass = trackedClassId && !draft ? await getAccountTrackedClass(req, trackedClassId) : null;
     const trackedLike = currentTrackedClass || {
-      service_id: serviceId,
+      rule_type: previewScope.ruleType,
+      service_id: previewScope.serviceId,
+      service_category_id: previewScope.serviceCategoryId,
+      service_category_name: previewScope.serviceCategoryName,
+      name_keyword: previewScope.nameKeyword,
+      locations: previewLocations.refs,
+      location_group_id: previewLocations.group?.id || null,
+      location_group_order: previewLocations.group?.booking_order || null,
       trainer_id: trainerId,
       trainer_name: trainerName || null,
       location_id: locationId,
       location_name: locationName,
-      day_of_week: dayOfWeek,
+      day_of_week: previewDays.days[0] || null,
+      days_of_week: previewDays.days,
       start_time: startTime,
       match_trainer: matchTrainer ? 1 : 0,
       match_exact_time: matchExactTime ? 1 : 0,
-      time_tolerance: timeTolerance
+      time_tolerance: timeTolerance,
+      time_range_start: previewTimeRange.start,
+      time_range_end: previewTimeRange.end,
+      preferred_trainers: previewTrainers.preferred,
+      excluded_trainers: previewTrainers.excluded,
+      recurrence: previewRecurrence.recurrence,
+      active_from: previewLifecycle.activeFrom,
+      active_until: previewLifecycle.activeUntil
     };
 
-    if (trackedClassId && !currentTrackedClass) {
+    if (trackedClassId && !draft && !currentTrackedClass) {
       logger.warn(`Preview request referenced missing tracked class ${trackedClassId}; falling back to client payload`);
     }
 
-    // First check: how many classes match just the serviceId
-    const serviceMatches = classes.filter(cls => String(cls.serviceId) === String(trackedLike.service_id));
-    logger.debug(`Classes matching serviceId ${trackedLike.service_id}: ${serviceMatches.length}`);
+    // First check: how many classes match just the serviceId (or category)
+    const isCategoryRule = trackedLike.rule_type === 'category';
+    const serviceMatches = classes.filter(cls => isCategoryRule
+      ? classService.buildTrackedMatchDiagnostics(trackedLike, cls).category.matches
+      : String(cls.serviceId) === String(trackedLike.service_id));
+    logger.debug(`Classes matching ${isCategoryRule ? `category ${trackedLike.service_category_name || trackedLike.service_category_id}` : `serviceId ${trackedLike.service_id}`}: ${serviceMatches.length}`);
 
     let resolvedTracked = trackedLike;
     let matchingClasses = classService.matchTrackedClassToOccurrences(trackedLike, classes);
     let trackedClassRefreshed = false;
 
-    if (matchingClasses.length === 0 && trackedClassId) {
+    if (matchingClasses.length === 0 && trackedClassId && !draft) {
       const refreshResult = await maybeAutoRefreshTrackedClass(
         { id: trackedClassId, ...trackedLike },
         classes,
@@ -508,22 +1300,82 @@ app.post('/api/tracked-classes/preview', requireAuth, async (req, res) => {
       trackedClassRefreshed = refreshResult.refreshed;
     }
 
+    // A rule for a linked family member shows their bookings on the matches
+    const previewClientId = currentTrackedClass
+      ? currentTrackedClass.client_id
+      : (await resolveLinkedClient(req.ymcaAccount, clientId)).client?.client_id;
+    if (previewClientId) {
+      const clientBookings = await classService.getMyBookings(sessionCookie, {
+        startDate: startDate.toISOString(),
+        clientId: previewClientId
+      });
+      matchingClasses = classService.applyClientBookingStatus(matchingClasses, clientBookings?.data || []);
+    }
+
     // Diagnostic only: detect exact booked matches that the schedule API omitted after enrollment.
     let exactBookedMatches = 0;
+    let joinedBookings = [];
     try {
       const bookingsResponse = await classService.getMyBookings(sessionCookie, {
         startDate: startDate.toISOString(),
         endDate: endDate.toISOString()
       });
-      const bookedOccurrences = (bookingsResponse?.data || [])
-        .filter(booking => String(booking.service_id) === String(resolvedTracked.service_id))
+      const allBookedOccurrences = (bookingsResponse?.data || [])
         .map(booking => classService.normalizeBookingOccurrence(booking, appConfig.getConfig()));
+      joinedBookings = allBookedOccurrences.filter(booking => booking.isJoined);
+      const bookedOccurrences = allBookedOccurrences
+        .filter(booking => isCategoryRule || String(booking.serviceId) === String(resolvedTracked.service_id));
       const exactBookedOccurrences = classService.matchTrackedClassToOccurrences(resolvedTracked, bookedOccurrences);
       exactBookedMatches = exactBookedOccurrences.length;
       logger.debug(`Preview diagnostics: Found ${exactBookedMatches} exact booked matches excluded from preview`);
     } catch (bookingsError) {
       logger.warn('Preview diagnostics: Failed to fetch bookings, continuing without booked-match diagnostics:', bookingsError.message);
     }
+
+    // Classes that fit every other part of the rule but fall in a week the
+    // recurrence skips
+    const recurrenceExcluded = resolvedTracked.recurrence
+      ? classService.matchTrackedClassToOccurrences({ ...resolvedTracked, recurrence: null }, classes)
+        .filter(cls => !recurrenceService.matchesRecurrence(resolvedTracked.recurrence, cls.startTime))
+      : [];
+
+    // Flag matches that clash with a booked class or with what another
+    // auto-signup tracked class is set to book
+    const conflictSettings = conflictService.normalizeConflictSettings(appConfig.getConfig()?.conflicts);
+    const otherTrackedMatches = (await db.getAllTrackedClasses({ accountId: req.ymcaAccount.id }))
+      .filter(other => other.auto_signup && String(other.id) !== String(trackedClassId))
+      .flatMap(other => classService.matchTrackedClassToOccurrences(other, classes)
+        .map(occurrence => ({ ...occurrence, trackedClassId: other.id })));
+    // Busy time on the user's own calendars keeps auto-signup away too
+    let busyEvents = [];
+    try {
+      busyEvents = await busyCalendarService.loadBusyEvents({ accountId: req.ymcaAccount.id });
+    } catch (busyError) {
+      logger.warn('Preview diagnostics: Failed to load busy calendars:', busyError.message);
+    }
+    matchingClasses = matchingClasses.map((occurrence) => {
+      if (occurrence.isJoined) {
+        return occurrence;
+      }
+      const busy = occurrence.isWaited ? null : busyCalendarService.findBusyOverlap(occurrence, busyEvents);
+      const conflicts = [
+        ...conflictService.findConflicts(occurrence, joinedBookings, conflictSettings)
+          .map(conflict => ({ ...conflict, source: 'booking' })),
+        ...conflictService.findConflicts(occurrence, otherTrackedMatches, conflictSettings)
+          .filter(conflict => !joinedBookings.some(booking => String(booking.id) === String(conflict.occurrence.id)))
+          .map(conflict => ({ ...conflict, source: 'tracked' }))
+      ];
+      return {
+        ...occurrence,
+        conflicts: conflicts.map(conflict => ({
+          occurrenceId: conflict.occurrence.id,
+          trackedClassId: conflict.occurrence.trackedClassId ?? null,
+          source: conflict.source,
+          message: conflictService.describeConflict(conflict, conflictSettings)
+        })),
+        busy: busy ? { summary: busy.summary, calendarName: busy.calendarName, message: busyCalendarService.describeBusyEvent(busy) } : null
+      };
+    });
     
     logger.debug(`Found ${matchingClasses.length} matching classes`);
     if (matchingClasses.length > 0) {
@@ -545,15 +1397,24 @@ app.post('/api/tracked-classes/preview', requireAuth, async (req, res) => {
     }
     res.json({
       matchingClasses,
+      recurrenceExcluded,
       trackedClassRefreshed,
       diagnostics: {
         serviceMatches: serviceMatches.length,
-        exactBookedMatches
+        exactBookedMatches,
+        busyMatches: matchingClasses.filter(occurrence => occurrence.busy).length,
+        recurrence: resolvedTracked.recurrence
+          ? {
+              description: recurrenceService.describeRecurrence(resolvedTracked.recurrence),
+              included: matchingClasses.length,
+              excluded: recurrenceExcluded.length
+            }
+          : null
       }
     });
   } catch (error) {
     logger.error('Preview tracked classes error:', error);
-    await maybeClearYmcaSession(error);
+    await maybeClearYmcaSession(error, req.ymcaAccount?.id);
     res.status(500).json({ error: error.message });
   }
 });
@@ -566,107 +1427,603 @@ app.post('/api/tracked-classes', requireAuth, async (req, res) => {
 
     const { 
       serviceId, serviceName, trainerId, trainerName, locationId, locationName, 
-      dayOfWeek, startTime, matchTrainer, matchExactTime, timeTolerance, 
-      autoSignup, signupHoursBefore 
+      dayOfWeek, daysOfWeek, startTime, matchTrainer, matchExactTime, timeTolerance, 
+      timeRangeStart, timeRangeEnd, preferredTrainers, excludedTrainers, substitutePolicy,
+      ruleType, serviceCategoryId, serviceCategoryName, nameKeyword, locations, locationGroupId,
+      autoSignup, signupHoursBefore, activeFrom, activeUntil, maxBookings, recurrence, clientId
     } = req.body;
     
     logger.debug('Add tracked class request:', {
       serviceId, serviceName, trainerId, trainerName, locationId, locationName,
-      dayOfWeek, startTime, matchTrainer, matchExactTime, timeTolerance,
-      autoSignup, signupHoursBefore
+      dayOfWeek, daysOfWeek, startTime, matchTrainer, matchExactTime, timeTolerance,
+      timeRangeStart, timeRangeEnd, preferredTrainers, excludedTrainers, substitutePolicy,
+      ruleType, serviceCategoryId, serviceCategoryName, nameKeyword, locations, locationGroupId,
+      autoSignup, signupHoursBefore, activeFrom, activeUntil, maxBookings, recurrence, clientId
     });
-    
+
+    const trackedRule = await resolveTrackedRuleInput(req.body);
+    if (trackedRule.error) {
+      return res.status(400).json({ error: trackedRule.error });
+    }
+
+    if (substitutePolicy !== undefined && !substituteInstructorService.SUBSTITUTE_POLICIES.includes(substitutePolicy)) {
+      return res.status(400).json({ error: `substitutePolicy must be one of: ${substituteInstructorService.SUBSTITUTE_POLICIES.join(', ')}` });
+    }
+
+    const trackedLifecycle = resolveRuleLifecycle({ activeFrom, activeUntil, maxBookings });
+    if (trackedLifecycle.error) {
+      return res.status(400).json({ error: trackedLifecycle.error });
+    }
+
+    const trackedRecurrence = recurrenceService.normalizeRecurrence(recurrence);
+    if (trackedRecurrence.error) {
+      return res.status(400).json({ error: trackedRecurrence.error });
+    }
+
+    if (!req.ymcaAccount) {
+      return res.status(400).json({ error: 'Add a YMCA account in Settings first' });
+    }
+
+    const linkedClient = await resolveLinkedClient(req.ymcaAccount, clientId);
+    if (linkedClient.error) {
+      return res.status(400).json({ error: linkedClient.error });
+    }
+
     const config = appConfig.getConfig();
     const id = await db.addTrackedClass({
-      serviceId,
-      serviceName,
-      trainerId,
-      trainerName,
-      locationId,
-      locationName,
-      dayOfWeek,
-      startTime,
-      matchTrainer: matchTrainer !== undefined ? matchTrainer : true,
-      matchExactTime: matchExactTime !== undefined ? matchExactTime : false,
-      timeTolerance: timeTolerance || 15,
+      ...trackedRule.rule,
+      substitutePolicy: substitutePolicy || 'keep',
       autoSignup: autoSignup || false,
-      signupHoursBefore: signupHoursBefore || config.scheduler.defaultSignupHoursBefore || 46
+      signupHoursBefore: signupHoursBefore || config.scheduler.defaultSignupHoursBefore || 46,
+      activeFrom: trackedLifecycle.activeFrom,
+      activeUntil: trackedLifecycle.activeUntil,
+      maxBookings: trackedLifecycle.maxBookings,
+      recurrence: trackedRecurrence.recurrence,
+      clientId: linkedClient.client?.client_id || null,
+      clientName: linkedClient.client?.name || null,
+      accountId: req.ymcaAccount.id
     });
     
     logger.info('Successfully added tracked class with ID:', id);
     res.json({ success: true, id });
   } catch (error) {
-    logger.error('Add tracked class error:', error);
-    logger.error('Error stack:', error.stack);
-    res.status(500).json({ error: error.message, stack: error.stack });
+    logger.error('Add tracked class error:', error);
+    logger.error('Error stack:', error.stack);
+    res.status(500).json({ error: error.message, stack: error.stack });
+  }
+});
+
+app.put('/api/tracked-classes/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const {
+      autoSignup, signupHoursBefore, substitutePolicy, priority, activeFrom, activeUntil, maxBookings, recurrence, clientId
+    } = req.body;
+
+    if (substitutePolicy !== undefined && !substituteInstructorService.SUBSTITUTE_POLICIES.includes(substitutePolicy)) {
+      return res.status(400).json({ error: `substitutePolicy must be one of: ${substituteInstructorService.SUBSTITUTE_POLICIES.join(', ')}` });
+    }
+
+    if (priority !== undefined && !conflictService.TRACKED_PRIORITIES.includes(priority)) {
+      return res.status(400).json({ error: `priority must be one of: ${conflictService.TRACKED_PRIORITIES.join(', ')}` });
+    }
+    
+    const current = await getAccountTrackedClass(req, id);
+    if (!current) {
+      return res.status(404).json({ error: 'Tracked class not found' });
+    }
+
+    // Matching fields the request leaves out keep their current values
+    let ruleUpdates = {};
+    const ruleEdits = TRACKED_RULE_FIELDS.filter(field => req.body[field] !== undefined);
+    if (ruleEdits.length > 0) {
+      const ruleInput = {
+        ...trackedClassToRuleInput(current),
+        ...Object.fromEntries(ruleEdits.map(field => [field, req.body[field]]))
+      };
+      // A legacy single dayOfWeek replaces the stored set of days
+      if (req.body.dayOfWeek !== undefined && req.body.daysOfWeek === undefined) {
+        ruleInput.daysOfWeek = undefined;
+      }
+      const trackedRule = await resolveTrackedRuleInput(ruleInput);
+      if (trackedRule.error) {
+        return res.status(400).json({ error: trackedRule.error });
+      }
+      ruleUpdates = trackedRule.rule;
+    }
+
+    const lifecycle = resolveRuleLifecycle({
+      activeFrom: activeFrom !== undefined ? activeFrom : current.active_from,
+      activeUntil: activeUntil !== undefined ? activeUntil : current.active_until,
+      maxBookings: maxBookings !== undefined ? maxBookings : current.max_bookings
+    });
+    if (lifecycle.error) {
+      return res.status(400).json({ error: lifecycle.error });
+    }
+
+    const trackedRecurrence = recurrenceService.normalizeRecurrence(recurrence);
+    if (trackedRecurrence.error) {
+      return res.status(400).json({ error: trackedRecurrence.error });
+    }
+
+    const linkedClient = await resolveLinkedClient(req.ymcaAccount, clientId);
+    if (linkedClient.error) {
+      return res.status(400).json({ error: linkedClient.error });
+    }
+    const newClientId = clientId !== undefined ? (linkedClient.client?.client_id || null) : (current.client_id || null);
+    if (newClientId !== (current.client_id || null)) {
+      const chain = (await db.getFallbackChains({ accountId: req.ymcaAccount.id }))
+        .find(other => other.tracked_class_ids.includes(current.id));
+      if (chain) {
+        return res.status(400).json({ error: `Remove this class from the "${chain.name}" fallback chain before booking it for someone else` });
+      }
+    }
+
+    // Saving the same limit again must not reset the bookings counted so far
+    const limitChanged = lifecycle.maxBookings !== (current.max_bookings || null);
+    const archiveReason = lifecycleService.getArchiveReason({
+      ...current,
+      active_from: lifecycle.activeFrom,
+      active_until: lifecycle.activeUntil,
+      max_bookings: lifecycle.maxBookings,
+      bookings_made: limitChanged ? 0 : current.bookings_made
+    }, dayKeyService.getDayKey(new Date()));
+    if (autoSignup && archiveReason) {
+      return res.status(400).json({ error: `This tracked class is finished (${archiveReason}); change its dates or booking limit to use it again` });
+    }
+    
+    await db.updateTrackedClass(id, {
+      ...ruleUpdates,
+      autoSignup,
+      signupHoursBefore,
+      substitutePolicy,
+      priority,
+      activeFrom: activeFrom !== undefined ? lifecycle.activeFrom : undefined,
+      activeUntil: activeUntil !== undefined ? lifecycle.activeUntil : undefined,
+      maxBookings: limitChanged ? lifecycle.maxBookings : undefined,
+      recurrence: recurrence !== undefined ? trackedRecurrence.recurrence : undefined,
+      clientId: clientId !== undefined ? (linkedClient.client?.client_id || null) : undefined,
+      clientName: linkedClient.client?.name
+    });
+    if (archiveReason && !current.archived_at) {
+      await db.archiveTrackedClass(id);
+    } else if (!archiveReason && current.archived_at) {
+      await db.unarchiveTrackedClass(id);
+    }
+
+    const changes = trackedClassHistoryService.diffTrackedClass(current, await db.getTrackedClass(id));
+    await db.addTrackedClassHistory(id, 'edit', changes);
+    calendarCache.clear();
+    res.json({ success: true, changes });
+  } catch (error) {
+    logger.error('Update tracked class error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/tracked-classes/:id/history', requireAuth, async (req, res) => {
+  try {
+    const tracked = await getAccountTrackedClass(req, req.params.id);
+    if (!tracked) {
+      return res.status(404).json({ error: 'Tracked class not found' });
+    }
+    res.json(await db.getTrackedClassHistory(tracked.id));
+  } catch (error) {
+    logger.error('Get tracked class history error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/tracked-classes/:id', requireAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!await getAccountTrackedClass(req, id)) {
+      return res.status(404).json({ error: 'Tracked class not found' });
+    }
+    await db.deleteTrackedClass(id);
+    await db.removeTrackedClassFromFallbackChains(id);
+    await db.deleteBlackoutPeriodsForTrackedClass(id);
+    await db.deleteTrackedClassHistory(id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete tracked class error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/fallback-chains', requireAuth, async (req, res) => {
+  try {
+    res.json(await getAccountFallbackChains(req));
+  } catch (error) {
+    logger.error('Get fallback chains error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/fallback-chains', requireAuth, async (req, res) => {
+  try {
+    const { chain, error } = await resolveFallbackChainInput(req.body, { accountId: req.ymcaAccount?.id ?? -1 });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const id = await db.addFallbackChain({ ...chain, accountId: req.ymcaAccount.id });
+    res.json({ success: true, id });
+  } catch (error) {
+    logger.error('Add fallback chain error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/fallback-chains/:id', requireAuth, async (req, res) => {
+  try {
+    const chains = await getAccountFallbackChains(req);
+    if (!chains.some(chain => chain.id === Number(req.params.id))) {
+      return res.status(404).json({ error: 'Fallback chain not found' });
+    }
+
+    const { chain, error } = await resolveFallbackChainInput(req.body, {
+      chainId: req.params.id,
+      accountId: req.ymcaAccount.id
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await db.updateFallbackChain(req.params.id, chain);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Update fallback chain error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/fallback-chains/:id', requireAuth, async (req, res) => {
+  try {
+    const chains = await getAccountFallbackChains(req);
+    if (!chains.some(chain => chain.id === Number(req.params.id))) {
+      return res.status(404).json({ error: 'Fallback chain not found' });
+    }
+    await db.deleteFallbackChain(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete fallback chain error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/blackouts', requireAuth, async (req, res) => {
+  try {
+    const today = dayKeyService.getDayKey(new Date());
+    res.json(await db.getBlackoutPeriods(req.query.all === 'true' ? null : today, { accountId: req.ymcaAccount?.id ?? -1 }));
+  } catch (error) {
+    logger.error('Get blackout periods error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/blackouts', requireAuth, async (req, res) => {
+  try {
+    const { startDate, endDate, reason, trackedClassId } = req.body;
+
+    if (!dayKeyService.isValidDate(startDate) || !dayKeyService.isValidDate(endDate)) {
+      return res.status(400).json({ error: 'startDate and endDate must be dates in YYYY-MM-DD format' });
+    }
+    if (endDate < startDate) {
+      return res.status(400).json({ error: 'endDate must not be before startDate' });
+    }
+    if (trackedClassId !== undefined && trackedClassId !== null && !await getAccountTrackedClass(req, trackedClassId)) {
+      return res.status(400).json({ error: `Tracked class ${trackedClassId} not found` });
+    }
+    if (!req.ymcaAccount) {
+      return res.status(400).json({ error: 'Add a YMCA account first' });
+    }
+
+    const id = await db.addBlackoutPeriod({
+      trackedClassId: trackedClassId ?? null,
+      startDate,
+      endDate,
+      reason: typeof reason === 'string' ? reason.trim() : null,
+      accountId: req.ymcaAccount.id
+    });
+    calendarCache.clear();
+    res.json({ success: true, id });
+  } catch (error) {
+    logger.error('Add blackout period error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/blackouts/:id', requireAuth, async (req, res) => {
+  try {
+    if (!await getAccountBlackoutPeriod(req, req.params.id)) {
+      return res.status(404).json({ error: 'Blackout period not found' });
+    }
+    await db.deleteBlackoutPeriod(req.params.id);
+    calendarCache.clear();
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete blackout period error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Black out the day of a tracked class's next estimated occurrence that
+// isn't blacked out already. Bookings already made are left alone.
+app.post('/api/tracked-classes/:id/skip-next', requireAuth, async (req, res) => {
+  try {
+    const tracked = await getAccountTrackedClass(req, req.params.id);
+    if (!tracked) {
+      return res.status(404).json({ error: 'Tracked class not found' });
+    }
+
+    const blackouts = await db.getBlackoutPeriods(dayKeyService.getDayKey(new Date()), { accountId: tracked.account_id });
+    let from = new Date();
+    let next = schedulerService.getNextOccurrence(tracked, from);
+    for (let i = 0; next && i < 60 && blackoutService.findBlackout(blackouts, tracked.id, next); i++) {
+      from = new Date(next.getTime() + 60 * 1000);
+      next = schedulerService.getNextOccurrence(tracked, from);
+    }
+    if (!next || blackoutService.findBlackout(blackouts, tracked.id, next)) {
+      return res.status(400).json({ error: 'Could not work out the next occurrence of this class' });
+    }
+
+    const day = dayKeyService.getDayKey(next);
+    const id = await db.addBlackoutPeriod({
+      trackedClassId: tracked.id,
+      startDate: day,
+      endDate: day,
+      reason: null,
+      accountId: tracked.account_id
+    });
+    calendarCache.clear();
+    res.json({ success: true, id, date: day });
+  } catch (error) {
+    logger.error('Skip next occurrence error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/busy-calendars', requireAuth, async (req, res) => {
+  try {
+    res.json(await db.getBusyCalendars({ accountId: req.ymcaAccount?.id ?? -1 }));
+  } catch (error) {
+    logger.error('Get busy calendars error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The calendar is read once before saving so a bad URL or path is reported
+// right away
+app.post('/api/busy-calendars', requireRole('admin'), async (req, res) => {
+  try {
+    const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+    const source = typeof req.body.source === 'string' ? req.body.source.trim() : '';
+    if (!name || !source) {
+      return res.status(400).json({ error: 'name and source are required' });
+    }
+    // Any other path is a file, which the service only reads from the
+    // calendars folder
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(source) && !/^(https?|webcal|file):\/\//i.test(source)) {
+      return res.status(400).json({ error: 'source must be an http(s) or webcal URL, or an .ics file in the calendars folder' });
+    }
+
+    let events;
+    try {
+      events = await busyCalendarService.fetchCalendarEvents(source);
+    } catch (readError) {
+      return res.status(400).json({ error: `Could not read calendar: ${readError.message}` });
+    }
+
+    if (!req.ymcaAccount) {
+      return res.status(400).json({ error: 'Add a YMCA account first' });
+    }
+
+    const id = await db.addBusyCalendar({ name, source, accountId: req.ymcaAccount.id });
+    await db.updateBusyCalendarSync(id, { eventCount: events.length, error: null });
+    res.json({ success: true, id, eventCount: events.length });
+  } catch (error) {
+    logger.error('Add busy calendar error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/busy-calendars/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!await getAccountBusyCalendar(req, req.params.id)) {
+      return res.status(404).json({ error: 'Busy calendar not found' });
+    }
+    if (typeof req.body.enabled !== 'boolean') {
+      return res.status(400).json({ error: 'enabled must be true or false' });
+    }
+
+    await db.setBusyCalendarEnabled(req.params.id, req.body.enabled);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Update busy calendar error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/busy-calendars/:id/refresh', requireRole('admin'), async (req, res) => {
+  try {
+    const calendar = await getAccountBusyCalendar(req, req.params.id);
+    if (!calendar) {
+      return res.status(404).json({ error: 'Busy calendar not found' });
+    }
+
+    try {
+      const events = await busyCalendarService.refreshBusyCalendar(calendar);
+      res.json({ success: true, eventCount: events.length });
+    } catch (readError) {
+      res.status(502).json({ error: `Could not read calendar: ${readError.message}` });
+    }
+  } catch (error) {
+    logger.error('Refresh busy calendar error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/busy-calendars/:id', requireRole('admin'), async (req, res) => {
+  try {
+    if (!await getAccountBusyCalendar(req, req.params.id)) {
+      return res.status(404).json({ error: 'Busy calendar not found' });
+    }
+
+    await db.deleteBusyCalendar(req.params.id);
+    busyCalendarService.forgetBusyCalendar(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete busy calendar error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/waitlist-links', requireAuth, async (req, res) => {
+  try {
+    res.json(await db.getWaitlistLinks(req.query.status, { accountId: req.ymcaAccount?.id ?? -1 }));
+  } catch (error) {
+    logger.error('Get waitlist links error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+let cachedLocations = null;    // { locations: [...], fetchedAt: Date }
+const LOCATIONS_CACHE_TTL = 24 * 60 * 60 * 1000; // 1 day
+
+app.get('/api/locations', requireAuth, async (req, res) => {
+  try {
+    if (cachedLocations && Date.now() - cachedLocations.fetchedAt.getTime() < LOCATIONS_CACHE_TTL) {
+      return res.json(cachedLocations.locations);
+    }
+
+    const sessionCookie = await ensureAccountSession(req);
+    const response = await classService.getLocations(sessionCookie);
+    const locations = (response?.data || [])
+      .map(location => ({ id: location.id, name: location.title || location.name }))
+      .filter(location => location.id && location.name)
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    cachedLocations = { locations, fetchedAt: new Date() };
+    res.json(locations);
+  } catch (error) {
+    logger.error('Get locations error:', error);
+    await maybeClearYmcaSession(error, req.ymcaAccount?.id);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/location-groups', requireAuth, async (req, res) => {
+  try {
+    res.json(await db.getLocationGroups());
+  } catch (error) {
+    logger.error('Get location groups error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/location-groups', requireRole('admin'), async (req, res) => {
+  try {
+    const { group, error } = resolveLocationGroupInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const id = await db.addLocationGroup(group);
+    res.json({ success: true, id });
+  } catch (error) {
+    logger.error('Add location group error:', error);
+    res.status(500).json({ error: error.message });
   }
 });
 
-app.put('/api/tracked-classes/:id', requireAuth, async (req, res) => {
+app.put('/api/location-groups/:id', requireRole('admin'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { autoSignup, signupHoursBefore } = req.body;
-    
-    await db.updateTrackedClass(id, { autoSignup, signupHoursBefore });
+    const { group, error } = resolveLocationGroupInput(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!await db.getLocationGroup(req.params.id)) {
+      return res.status(404).json({ error: 'Location group not found' });
+    }
+
+    await db.updateLocationGroup(req.params.id, group);
     res.json({ success: true });
   } catch (error) {
-    logger.error('Update tracked class error:', error);
+    logger.error('Update location group error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.delete('/api/tracked-classes/:id', requireAuth, async (req, res) => {
+app.delete('/api/location-groups/:id', requireRole('admin'), async (req, res) => {
   try {
-    const { id } = req.params;
-    await db.deleteTrackedClass(id);
+    const trackedClasses = await db.getAllTrackedClasses();
+    const inUse = trackedClasses.filter(tracked => String(tracked.location_group_id) === String(req.params.id));
+    if (inUse.length > 0) {
+      return res.status(409).json({
+        error: `Location group is used by ${inUse.length} tracked class${inUse.length !== 1 ? 'es' : ''}`
+      });
+    }
+
+    await db.deleteLocationGroup(req.params.id);
     res.json({ success: true });
   } catch (error) {
-    logger.error('Delete tracked class error:', error);
+    logger.error('Delete location group error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 app.post('/api/signup/:occurrenceId', requireAuth, async (req, res) => {
   try {
-    if (!sessionCookie) {
-      await ymcaSessionManager.ensureSession();
-    }
+    const sessionCookie = await ensureAccountSession(req);
 
     const { occurrenceId } = req.params;
     const { lock_version } = req.body;
 
-    logger.info(`Signup request for occurrence ${occurrenceId}${lock_version !== undefined ? ` with lock_version: ${lock_version}` : ' (no lock_version provided)'}`);
+    const linkedClient = await resolveLinkedClient(req.ymcaAccount, req.body.clientId);
+    if (linkedClient.error) {
+      return res.status(400).json({ error: linkedClient.error });
+    }
+    const forClient = linkedClient.client ? ` for ${linkedClient.client.name}` : '';
+
+    logger.info(`Signup request for occurrence ${occurrenceId}${forClient}${lock_version !== undefined ? ` with lock_version: ${lock_version}` : ' (no lock_version provided)'}`);
 
-    const result = await classService.signupForClass(sessionCookie, occurrenceId, lock_version);
+    const result = await classService.signupForClass(
+      sessionCookie, occurrenceId, lock_version, true, true, linkedClient.client?.client_id
+    );
     res.json({ success: true, result });
   } catch (error) {
     logger.error('Signup error:', error);
     if (error.code === 'UPSTREAM_AUTH_REJECTED') {
       return respondWithUpstreamAuthRejected(res);
     }
-    await maybeClearYmcaSession(error);
+    await maybeClearYmcaSession(error, req.ymcaAccount?.id);
     res.status(500).json({ error: error.message });
   }
 });
 
 app.post('/api/waitlist/:occurrenceId', requireAuth, async (req, res) => {
   try {
-    if (!sessionCookie) {
-      await ymcaSessionManager.ensureSession();
-    }
+    const sessionCookie = await ensureAccountSession(req);
 
     const { occurrenceId } = req.params;
 
-    logger.info(`Waitlist join request for occurrence ${occurrenceId}`);
+    const linkedClient = await resolveLinkedClient(req.ymcaAccount, req.body?.clientId);
+    if (linkedClient.error) {
+      return res.status(400).json({ error: linkedClient.error });
+    }
+
+    logger.info(`Waitlist join request for occurrence ${occurrenceId}${linkedClient.client ? ` for ${linkedClient.client.name}` : ''}`);
 
-    const result = await classService.joinWaitlist(sessionCookie, occurrenceId);
+    const result = await classService.joinWaitlist(sessionCookie, occurrenceId, null, linkedClient.client?.client_id);
     res.json({ success: true, result });
   } catch (error) {
     logger.error('Waitlist join error:', error);
     if (error.code === 'UPSTREAM_AUTH_REJECTED') {
       return respondWithUpstreamAuthRejected(res);
     }
-    await maybeClearYmcaSession(error);
+    await maybeClearYmcaSession(error, req.ymcaAccount?.id);
 
     // Return specific error messages for known error codes
     if (error.code === 'WAITLIST_FULL') {
@@ -685,35 +2042,44 @@ app.post('/api/waitlist/:occurrenceId', requireAuth, async (req, res) => {
 
 app.get('/api/my-bookings', requireAuth, async (req, res) => {
   try {
-    if (!sessionCookie) {
-      await ymcaSessionManager.ensureSession();
-    }
+    const sessionCookie = await ensureAccountSession(req);
     
     const { includeActiveOnly, startDate, endDate, locationId } = req.query;
+
+    const linkedClient = await resolveLinkedClient(req.ymcaAccount, req.query.clientId);
+    if (linkedClient.error) {
+      return res.status(400).json({ error: linkedClient.error });
+    }
+
     const filters = {
       includeActiveOnly: includeActiveOnly === 'true',
       startDate,
       endDate,
-      locationId: locationId ? parseInt(locationId) : undefined
+      locationId: locationId ? parseInt(locationId) : undefined,
+      clientId: linkedClient.client?.client_id
     };
     
     const bookings = await classService.getMyBookings(sessionCookie, filters);
     res.json(bookings);
   } catch (error) {
     logger.error('Get bookings error:', error);
-    await maybeClearYmcaSession(error);
+    await maybeClearYmcaSession(error, req.ymcaAccount?.id);
     res.status(500).json({ error: error.message });
   }
 });
 
 app.delete('/api/bookings/:occurrenceId', requireAuth, async (req, res) => {
   try {
-    if (!sessionCookie) {
-      await ymcaSessionManager.ensureSession();
-    }
+    const sessionCookie = await ensureAccountSession(req);
 
     const { occurrenceId } = req.params;
-    const result = await classService.cancelBooking(sessionCookie, occurrenceId);
+
+    const linkedClient = await resolveLinkedClient(req.ymcaAccount, req.query.clientId);
+    if (linkedClient.error) {
+      return res.status(400).json({ error: linkedClient.error });
+    }
+
+    const result = await classService.cancelBooking(sessionCookie, occurrenceId, linkedClient.client?.client_id);
 
     // Log the cancellation so the scheduler knows not to re-book this class
     await db.addSignupLog({
@@ -723,7 +2089,10 @@ app.delete('/api/bookings/:occurrenceId', requireAuth, async (req, res) => {
       locationName: null,
       classTime: null,
       status: 'cancelled',
-      errorMessage: 'User cancelled booking'
+      errorMessage: 'User cancelled booking',
+      clientId: linkedClient.client?.client_id,
+      clientName: linkedClient.client?.name,
+      accountId: req.ymcaAccount.id
     });
     logger.info(`Logged cancellation for occurrence ${occurrenceId} to prevent re-booking`);
 
@@ -733,19 +2102,23 @@ app.delete('/api/bookings/:occurrenceId', requireAuth, async (req, res) => {
     if (error.code === 'UPSTREAM_AUTH_REJECTED') {
       return respondWithUpstreamAuthRejected(res);
     }
-    await maybeClearYmcaSession(error);
+    await maybeClearYmcaSession(error, req.ymcaAccount?.id);
     res.status(500).json({ error: error.message });
   }
 });
 
 app.delete('/api/waitlist/:occurrenceId', requireAuth, async (req, res) => {
   try {
-    if (!sessionCookie) {
-      await ymcaSessionManager.ensureSession();
-    }
+    const sessionCookie = await ensureAccountSession(req);
 
     const { occurrenceId } = req.params;
-    const result = await classService.leaveWaitlist(sessionCookie, occurrenceId);
+
+    const linkedClient = await resolveLinkedClient(req.ymcaAccount, req.query.clientId);
+    if (linkedClient.error) {
+      return res.status(400).json({ error: linkedClient.error });
+    }
+
+    const result = await classService.leaveWaitlist(sessionCookie, occurrenceId, linkedClient.client?.client_id);
 
     // Log the cancellation so the scheduler knows not to re-book this class
     await db.addSignupLog({
@@ -755,7 +2128,10 @@ app.delete('/api/waitlist/:occurrenceId', requireAuth, async (req, res) => {
       locationName: null,
       classTime: null,
       status: 'cancelled',
-      errorMessage: 'User left waitlist'
+      errorMessage: 'User left waitlist',
+      clientId: linkedClient.client?.client_id,
+      clientName: linkedClient.client?.name,
+      accountId: req.ymcaAccount.id
     });
     logger.info(`Logged waitlist departure for occurrence ${occurrenceId} to prevent re-booking`);
 
@@ -765,14 +2141,48 @@ app.delete('/api/waitlist/:occurrenceId', requireAuth, async (req, res) => {
     if (error.code === 'UPSTREAM_AUTH_REJECTED') {
       return respondWithUpstreamAuthRejected(res);
     }
-    await maybeClearYmcaSession(error);
+    await maybeClearYmcaSession(error, req.ymcaAccount?.id);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Everyone bookings can be made for: the account holder first, then linked
+// family members. Saved at login; ?refresh=true reloads them from the YMCA.
+app.get('/api/linked-clients', requireAuth, async (req, res) => {
+  try {
+    if (!req.ymcaAccount) {
+      return res.json([]);
+    }
+
+    let clients = await db.getLinkedClients(req.ymcaAccount.id);
+    if (req.query.refresh === 'true' || clients.length === 0) {
+      const sessionCookie = await ensureAccountSession(req);
+      const fetched = await classService.getLinkedClients(sessionCookie);
+      if (fetched.length > 0) {
+        await db.saveLinkedClients(req.ymcaAccount.id, fetched);
+        clients = await db.getLinkedClients(req.ymcaAccount.id);
+      }
+    }
+    res.json(clients);
+  } catch (error) {
+    logger.error('Get linked clients error:', error);
+    await maybeClearYmcaSession(error, req.ymcaAccount?.id);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/api/signup-logs', requireAuth, (req, res) => {
+app.get('/api/signup-logs', requireAuth, async (req, res) => {
   try {
-    const logs = db.getSignupLogs(50);
+    const clientFilter = req.query.clientId ? await resolveLinkedClient(req.ymcaAccount, req.query.clientId) : null;
+    if (clientFilter?.error) {
+      return res.status(400).json({ error: clientFilter.error });
+    }
+
+    const logs = await db.getSignupLogs(50, {
+      accountId: req.ymcaAccount?.id ?? -1,
+      status: req.query.status,
+      clientId: clientFilter ? (clientFilter.client?.client_id || 'self') : undefined
+    });
     res.json(logs);
   } catch (error) {
     logger.error('Get signup logs error:', error);
@@ -790,16 +2200,48 @@ app.get('/api/settings', requireAuth, async (req, res) => {
   }
 });
 
-app.put('/api/settings', requireAuth, async (req, res) => {
+app.put('/api/settings', requireRole('admin'), async (req, res) => {
   try {
-    const { preferredLocations, scheduler, classFetch, waitlistLimit } = req.body;
+    const { preferredLocations, scheduler, classFetch, waitlistLimit, conflicts, quotas } = req.body;
+    // Settings left out of the request keep their saved values
+    const storedConfig = appConfig.getConfig() || {};
+
+    if (scheduler?.checkIntervalMinutes !== undefined) {
+      const checkIntervalMinutes = Number(scheduler.checkIntervalMinutes);
+      if (!Number.isInteger(checkIntervalMinutes) || checkIntervalMinutes < 1 || checkIntervalMinutes > 60) {
+        return res.status(400).json({ error: 'Check interval must be a whole number of minutes between 1 and 60' });
+      }
+    }
+
+    if (conflicts?.policy !== undefined && !conflictService.CONFLICT_POLICIES.includes(conflicts.policy)) {
+      return res.status(400).json({ error: `Conflict policy must be one of: ${conflictService.CONFLICT_POLICIES.join(', ')}` });
+    }
+
+    const storedConflicts = conflictService.normalizeConflictSettings(storedConfig.conflicts);
+    const travelBufferMinutes = Number(conflicts?.travelBufferMinutes ?? storedConflicts.travelBufferMinutes);
+    if (!Number.isInteger(travelBufferMinutes) || travelBufferMinutes < 0 || travelBufferMinutes > 180) {
+      return res.status(400).json({ error: 'Travel buffer must be a whole number of minutes between 0 and 180' });
+    }
+
+    const storedQuotas = quotaService.normalizeQuotaSettings(storedConfig.quotas);
+    const quotaLimits = {};
+    for (const key of ['perDay', 'perWeek', 'perCategoryPerWeek']) {
+      const limit = Number(quotas?.[key] ?? storedQuotas[key]);
+      if (!Number.isInteger(limit) || limit < 0 || limit > quotaService.MAX_QUOTA_LIMIT) {
+        return res.status(400).json({ error: `Booking limits must be whole numbers between 0 and ${quotaService.MAX_QUOTA_LIMIT}` });
+      }
+      quotaLimits[key] = limit;
+    }
 
     const updatedConfig = await appConfig.updateConfig({
-      preferredLocations,
-      scheduler,
-      classFetch,
-      waitlistLimit
+      preferredLocations: preferredLocations ?? storedConfig.preferredLocations,
+      scheduler: { ...storedConfig.scheduler, ...scheduler },
+      classFetch: { ...storedConfig.classFetch, ...classFetch },
+      waitlistLimit: waitlistLimit ?? storedConfig.waitlistLimit,
+      conflicts: { policy: conflicts?.policy ?? storedConflicts.policy, travelBufferMinutes },
+      quotas: quotaLimits
     });
+    scheduleSchedulerJob();
 
     res.json({ success: true, config: updatedConfig });
   } catch (error) {
@@ -810,8 +2252,10 @@ app.put('/api/settings', requireAuth, async (req, res) => {
 
 app.get('/api/credentials/status', requireAuth, async (req, res) => {
   try {
-    const hasCredentials = await db.hasCredentials();
-    const hasEnvCredentials = !!(process.env.YMCA_EMAIL && process.env.YMCA_PASSWORD);
+    const accountId = req.ymcaAccount?.id;
+    const hasCredentials = accountId ? await db.hasCredentials(accountId) : false;
+    const hasEnvCredentials = !!(process.env.YMCA_EMAIL && process.env.YMCA_PASSWORD) &&
+      (!accountId || (await db.getYmcaAccounts())[0]?.id === accountId);
     res.json({ 
       configured: hasCredentials || hasEnvCredentials,
       source: hasCredentials ? 'database' : (hasEnvCredentials ? 'environment' : 'none')
@@ -822,7 +2266,7 @@ app.get('/api/credentials/status', requireAuth, async (req, res) => {
   }
 });
 
-app.put('/api/credentials', requireAuth, async (req, res) => {
+app.put('/api/credentials', requireRole('admin'), async (req, res) => {
   try {
     const { email, password } = req.body;
     
@@ -830,9 +2274,13 @@ app.put('/api/credentials', requireAuth, async (req, res) => {
       return res.status(400).json({ error: 'Email and password are required' });
     }
     
-    await db.saveCredentials({ email, password });
-    
-    await ymcaSessionManager.clearSession();
+    // The first credentials saved create the first account
+    if (req.ymcaAccount) {
+      await db.saveCredentials(req.ymcaAccount.id, { email, password });
+      await ymcaSessionManager.clearSession(req.ymcaAccount.id);
+    } else {
+      await db.addYmcaAccount({ name: email, email, password });
+    }
     
     logger.info('Credentials updated successfully');
     res.json({ success: true });
@@ -842,11 +2290,109 @@ app.put('/api/credentials', requireAuth, async (req, res) => {
   }
 });
 
+// YMCA memberships this instance books for. Passwords and sessions never
+// leave the server.
+app.get('/api/accounts', requireAuth, async (req, res) => {
+  try {
+    res.json(await db.getYmcaAccounts());
+  } catch (error) {
+    logger.error('Get YMCA accounts error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/accounts', requireRole('admin'), async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const name = typeof req.body?.name === 'string' && req.body.name.trim() ? req.body.name.trim() : email;
+
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Email and password are required' });
+    }
+
+    const accounts = await db.getYmcaAccounts();
+    if (accounts.some(account => account.ymca_email?.toLowerCase() === String(email).toLowerCase())) {
+      return res.status(409).json({ error: 'That YMCA account has already been added' });
+    }
+
+    const id = await db.addYmcaAccount({ name, email, password });
+    logger.info(`Added YMCA account ${name}`);
+    res.json({ success: true, id });
+  } catch (error) {
+    logger.error('Add YMCA account error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/accounts/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const account = await db.getYmcaAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'YMCA account not found' });
+    }
+
+    const { name, email, password } = req.body || {};
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+      return res.status(400).json({ error: 'name must not be empty' });
+    }
+    if (email !== undefined && !email) {
+      return res.status(400).json({ error: 'email must not be empty' });
+    }
+
+    await db.updateYmcaAccount(account.id, {
+      name: name !== undefined ? name.trim() : undefined,
+      email: email || undefined,
+      password: password || undefined
+    });
+    if (email || password) {
+      await ymcaSessionManager.clearSession(account.id);
+    }
+    calendarCache.clear();
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Update YMCA account error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/accounts/:id', requireRole('admin'), async (req, res) => {
+  try {
+    const account = await db.getYmcaAccount(req.params.id);
+    if (!account) {
+      return res.status(404).json({ error: 'YMCA account not found' });
+    }
+
+    const tracked = await db.getAllTrackedClasses({ accountId: account.id });
+    if (tracked.length > 0) {
+      return res.status(409).json({
+        error: `This account still has ${tracked.length} tracked class${tracked.length !== 1 ? 'es' : ''}; delete them first`
+      });
+    }
+
+    // Stop polling before the account's watches are deleted, or every poll
+    // would try to log in to an account that no longer exists
+    const activeWatches = await db.getSpotWatches('watching', { accountId: account.id });
+    activeWatches.forEach(watch => spotWatchPoller.unwatch(watch.id));
+
+    const busyCalendars = await db.getBusyCalendars({ accountId: account.id });
+    busyCalendars.forEach(calendar => busyCalendarService.forgetBusyCalendar(calendar.id));
+
+    await ymcaSessionManager.clearSession(account.id);
+    await db.deleteYmcaAccount(account.id);
+    calendarCache.clear();
+    logger.info(`Removed YMCA account ${account.name}`);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('Delete YMCA account error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 app.get('/api/calendar-token', requireAuth, (req, res) => {
     res.json({ token: calendarToken });
   });
 
-  app.post('/api/calendar-token/regenerate', requireAuth, async (req, res) => {
+  app.post('/api/calendar-token/regenerate', requireRole('admin'), async (req, res) => {
     try {
       calendarToken = crypto.randomUUID();
       await db.saveCalendarToken(calendarToken);
@@ -860,9 +2406,7 @@ app.get('/api/calendar-token', requireAuth, (req, res) => {
 
   app.get('/api/class/:occurrenceId', requireAuth, async (req, res) => {
     try {
-      if (!sessionCookie) {
-        await ymcaSessionManager.ensureSession();
-      }
+      const sessionCookie = await ensureAccountSession(req);
 
       const { occurrenceId } = req.params;
       const details = await classService.getOccurrenceDetails(sessionCookie, occurrenceId);
@@ -928,16 +2472,14 @@ app.get('/api/calendar-token', requireAuth, (req, res) => {
       });
     } catch (error) {
       logger.error('Get class details error:', error);
-      await maybeClearYmcaSession(error);
+      await maybeClearYmcaSession(error, req.ymcaAccount?.id);
       res.status(500).json({ error: error.message });
     }
   });
 
   app.post('/api/class-profiles', requireAuth, async (req, res) => {
   try {
-    if (!sessionCookie) {
-      await ymcaSessionManager.ensureSession();
-    }
+    const sessionCookie = await ensureAccountSession(req);
     
     const { occurrenceId, options } = req.body;
     
@@ -990,9 +2532,7 @@ app.delete('/api/class-profiles/:id', requireAuth, (req, res) => {
 
 app.post('/api/auto-book/:profileId', requireAuth, async (req, res) => {
   try {
-    if (!sessionCookie) {
-      await ymcaSessionManager.ensureSession();
-    }
+    const sessionCookie = await ensureAccountSession(req);
     
     const { profileId } = req.params;
     const { startDate, endDate, tryWaitlist } = req.body;
@@ -1014,7 +2554,8 @@ app.post('/api/auto-book/:profileId', requireAuth, async (req, res) => {
         serviceName: result.class.title,
         status: 'success',
         message: 'Auto-booked via profile',
-        profileId
+        profileId,
+        accountId: req.ymcaAccount.id
       });
     }
     
@@ -1030,30 +2571,366 @@ app.post('/api/auto-book/:profileId', requireAuth, async (req, res) => {
   const schedulerOffsetSeconds = Math.floor(Math.random() * 60);
   logger.info(`Scheduler configured with ${schedulerOffsetSeconds}s random offset to reduce signup competition`);
 
-  // Setup cron schedule
-  cron.schedule('*/5 * * * *', async () => {
-    // Wait for the random offset before running
-    if (schedulerOffsetSeconds > 0) {
+  // Precision timers fire at the exact second a booking window opens. The cron
+  // below only discovers upcoming windows and acts as a safety net. The arm
+  // horizon exceeds the longest check interval so no window falls between runs.
+  const bookingWindowTimer = createBookingWindowTimer({
+    logger,
+    armHorizonMs: 90 * 60 * 1000,
+    prewarm: async (tracked) => {
+      const sessionCookie = await ymcaSessionManager.ensureSession(tracked.account_id);
+      await classService.getCSRFToken(sessionCookie, { forceRefresh: true });
+    },
+    fire: (tracked, occurrence) => withSchedulerLock(async () => {
+      const sessionCookie = await ymcaSessionManager.ensureSession(tracked.account_id);
+      await schedulerService.signupAtWindowOpen(sessionCookie, tracked, occurrence, {
+        checkIntervalMinutes: getCheckIntervalMinutes(),
+        conflicts: getConflictSettings(),
+        quotas: getQuotaSettings(),
+        getBusyEvents: getAccountBusyEventsLoader(tracked.account_id)
+      });
+    })
+  });
+
+  let schedulerJob = null;
+  let schedulerJobIntervalMinutes = null;
+
+  function getCheckIntervalMinutes() {
+    return schedulerService.normalizeCheckInterval(appConfig.getConfig()?.scheduler?.checkIntervalMinutes);
+  }
+
+  function getConflictSettings() {
+    return conflictService.normalizeConflictSettings(appConfig.getConfig()?.conflicts);
+  }
+
+  function getQuotaSettings() {
+    return quotaService.normalizeQuotaSettings(appConfig.getConfig()?.quotas);
+  }
+
+  // Scheduler runs and timed signups take turns, so a signup firing mid-run
+  // waits and then sees whatever the run booked
+  let schedulerRunInProgress = false;
+  let schedulerQueue = Promise.resolve();
+
+  function withSchedulerLock(task) {
+    const result = schedulerQueue.then(async () => {
+      schedulerRunInProgress = true;
+      try {
+        return await task();
+      } finally {
+        schedulerRunInProgress = false;
+      }
+    });
+    schedulerQueue = result.catch(() => {});
+    return result;
+  }
+
+  // Instructor swaps are rare and need a bookings fetch, so they are checked
+  // on a slower cadence than the scheduler itself
+  const SUBSTITUTE_CHECK_INTERVAL_MS = 30 * 60 * 1000;
+  let lastSubstituteCheckAt = 0;
+
+  async function checkSubstituteInstructors(sessionCookie, accountId) {
+    try {
+      await substituteInstructorService.checkBookedInstructorChanges(sessionCookie, { accountId });
+    } catch (error) {
+      logger.warn('Substitute instructor check failed:', error.message);
+    }
+  }
+
+  // Waitlists can clear at any time, so linked fallbacks are checked after every run
+  async function checkWaitlistUpgrades(sessionCookie, accountId) {
+    try {
+      await waitlistUpgradeService.checkWaitlistUpgrades(sessionCookie, { accountId });
+    } catch (error) {
+      logger.warn('Waitlist upgrade check failed:', error.message);
+    }
+  }
+
+  async function runScheduler({ useOffset = true, forceFetch = false } = {}) {
+    // Short intervals plus the random offset can overlap the previous run
+    if (schedulerRunInProgress) {
+      logger.debug('Skipping scheduler tick: previous run still in progress');
+      return null;
+    }
+    // Waited out before taking the lock so timed signups aren't held up
+    if (useOffset && schedulerOffsetSeconds > 0) {
       logger.debug(`Waiting ${schedulerOffsetSeconds}s (random offset)...`);
       await new Promise(resolve => setTimeout(resolve, schedulerOffsetSeconds * 1000));
     }
+    return withSchedulerLock(() => runSchedulerCheck({ forceFetch }));
+  }
+
+  // Environment credentials count for the first account only
+  async function hasYmcaCredentials(accountId) {
+    if (!accountId) {
+      return false;
+    }
+    const hasCredentials = await db.hasCredentials(accountId);
+    const [firstAccount] = await db.getYmcaAccounts();
+    const hasEnvCredentials = !!(process.env.YMCA_EMAIL && process.env.YMCA_PASSWORD) && firstAccount?.id === accountId;
+    return hasCredentials || hasEnvCredentials;
+  }
+
+  // Runs the check for every YMCA account with credentials, one after
+  // another, and returns each account's run keyed by account id
+  async function runSchedulerCheck({ forceFetch = false } = {}) {
     logger.debug('Running scheduler check...');
+
+    const checkSubstitutes = Date.now() - lastSubstituteCheckAt >= SUBSTITUTE_CHECK_INTERVAL_MS;
+    if (checkSubstitutes) {
+      lastSubstituteCheckAt = Date.now();
+    }
+
+    const runs = new Map();
+    for (const account of await db.getYmcaAccounts()) {
+      if (!(await hasYmcaCredentials(account.id))) {
+        logger.debug(`Skipping scheduler for ${account.name}: No YMCA credentials configured yet`);
+        continue;
+      }
+      runs.set(account.id, await runAccountSchedulerCheck(account, { forceFetch, checkSubstitutes }));
+    }
+    if (runs.size === 0) {
+      logger.debug('Skipping scheduler: No YMCA credentials configured yet');
+    }
+    return runs;
+  }
+
+  async function runAccountSchedulerCheck(account, { forceFetch, checkSubstitutes }) {
+    const startedAt = new Date().toISOString();
     try {
-      const hasCredentials = await db.hasCredentials();
-      const hasEnvCredentials = !!(process.env.YMCA_EMAIL && process.env.YMCA_PASSWORD);
-      
-      if (!hasCredentials && !hasEnvCredentials) {
-        logger.debug('Skipping scheduler: No YMCA credentials configured yet');
-        return;
+      const sessionCookie = await ymcaSessionManager.ensureSession(account.id);
+      const run = await schedulerService.checkAndSignup(sessionCookie, {
+        accountId: account.id,
+        checkIntervalMinutes: getCheckIntervalMinutes(),
+        conflicts: getConflictSettings(),
+        quotas: getQuotaSettings(),
+        getBusyEvents: getAccountBusyEventsLoader(account.id),
+        onUpcomingWindow: bookingWindowTimer.arm,
+        forceFetch
+      });
+      const completedRun = { ...run, accountId: account.id, status: 'success' };
+      await recordSchedulerRun(completedRun);
+      if (checkSubstitutes) {
+        await checkSubstituteInstructors(sessionCookie, account.id);
       }
-      
-      if (!sessionCookie) {
-        await ymcaSessionManager.ensureSession();
+      await checkWaitlistUpgrades(sessionCookie, account.id);
+      return completedRun;
+    } catch (error) {
+      logger.error(`Scheduler error for ${account.name}:`, error);
+      const failedRun = {
+        accountId: account.id,
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        status: 'error',
+        errorMessage: error.message
+      };
+      await recordSchedulerRun(failedRun);
+      await ymcaSessionManager.clearSession(account.id);
+      return failedRun;
+    }
+  }
+
+  async function recordSchedulerRun(run) {
+    try {
+      await db.addSchedulerRun(run);
+    } catch (error) {
+      logger.warn('Failed to save scheduler run history:', error.message);
+    }
+  }
+
+  // (Re)create the cron job from the saved check interval. Called at startup and
+  // whenever settings change, so a new interval applies without a restart.
+  function scheduleSchedulerJob() {
+    const intervalMinutes = getCheckIntervalMinutes();
+    if (schedulerJob && schedulerJobIntervalMinutes === intervalMinutes) {
+      return;
+    }
+
+    if (schedulerJob) {
+      schedulerJob.stop();
+    }
+
+    const cronExpression = schedulerService.buildCronExpression(intervalMinutes);
+    schedulerJob = cron.schedule(cronExpression, () => runScheduler());
+    schedulerJobIntervalMinutes = intervalMinutes;
+    logger.info(`Scheduler running every ${intervalMinutes} minute(s) (cron: ${cronExpression})`);
+  }
+
+  scheduleSchedulerJob();
+
+  // Spot watches poll one full occurrence each until a spot or waitlist slot
+  // frees up; watches saved before a restart resume here
+  const spotWatchPoller = createSpotWatchPoller({
+    logger,
+    getIntervalMs: spotWatcherService.getSpotWatchPollIntervalMs,
+    check: async (watch) => {
+      const sessionCookie = await ymcaSessionManager.ensureSession(watch.account_id);
+      return spotWatcherService.checkSpotWatch(sessionCookie, watch);
+    }
+  });
+
+  try {
+    const activeWatches = await db.getSpotWatches('watching');
+    activeWatches.forEach(watch => spotWatchPoller.watch(watch));
+    if (activeWatches.length > 0) {
+      logger.info(`Resumed ${activeWatches.length} spot watch(es)`);
+    }
+  } catch (error) {
+    logger.warn('Failed to resume spot watches:', error.message);
+  }
+
+  app.get('/api/spot-watches', requireAuth, async (req, res) => {
+    try {
+      res.json(await db.getSpotWatches(req.query.status, { accountId: req.ymcaAccount?.id ?? -1 }));
+    } catch (error) {
+      logger.error('Get spot watches error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/spot-watches', requireAuth, async (req, res) => {
+    try {
+      const { occurrenceId } = req.body || {};
+      if (!occurrenceId) {
+        return res.status(400).json({ error: 'occurrenceId is required' });
+      }
+
+      const existing = await db.getActiveSpotWatchForOccurrence(occurrenceId, req.ymcaAccount?.id);
+      if (existing) {
+        return res.json({ success: true, id: existing.id });
+      }
+
+      const sessionCookie = await ensureAccountSession(req);
+      const details = await classService.getOccurrenceDetails(sessionCookie, occurrenceId);
+      if (!details || !details.occurrence) {
+        return res.status(404).json({ error: 'Class not found' });
+      }
+
+      const occurrence = classService.normalizeBookingOccurrence(details.occurrence);
+      if (occurrence.isJoined || occurrence.isWaited) {
+        return res.status(400).json({ error: 'Already enrolled or on the waitlist for this class' });
+      }
+      if (new Date(occurrence.startTime) <= new Date()) {
+        return res.status(400).json({ error: 'Class has already started' });
+      }
+
+      const id = await db.addSpotWatch({
+        occurrenceId: occurrence.id,
+        serviceName: occurrence.serviceName,
+        trainerName: occurrence.trainerName,
+        locationName: occurrence.locationName,
+        classTime: occurrence.startTime,
+        accountId: req.ymcaAccount.id
+      });
+      spotWatchPoller.watch(await db.getSpotWatch(id));
+      logger.info(`👀 Watching ${occurrence.serviceName} at ${occurrence.startTime} for a free spot`);
+      res.json({ success: true, id });
+    } catch (error) {
+      logger.error('Add spot watch error:', error);
+      await maybeClearYmcaSession(error, req.ymcaAccount?.id);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.delete('/api/spot-watches/:id', requireAuth, async (req, res) => {
+    try {
+      const id = Number(req.params.id);
+      const watch = await db.getSpotWatch(id);
+      if (!watch || watch.account_id !== req.ymcaAccount?.id) {
+        return res.status(404).json({ error: 'Spot watch not found' });
+      }
+      await db.stopSpotWatch(id);
+      spotWatchPoller.unwatch(id);
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('Stop spot watch error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/scheduler/runs', requireAuth, async (req, res) => {
+    try {
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const runs = await db.getSchedulerRuns(limit, { accountId: req.ymcaAccount?.id ?? -1 });
+      res.json(runs);
+    } catch (error) {
+      logger.error('Get scheduler runs error:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.post('/api/scheduler/run', requireAuth, async (req, res) => {
+    try {
+      const { dryRun = false, trackedClassId = null } = req.body || {};
+
+      if (!(await hasYmcaCredentials(req.ymcaAccount?.id))) {
+        return res.status(400).json({ error: 'YMCA credentials are not configured' });
+      }
+
+      if (trackedClassId !== null && !(await getAccountTrackedClass(req, trackedClassId))) {
+        return res.status(404).json({ error: 'Tracked class not found' });
+      }
+
+      if (!dryRun) {
+        if (trackedClassId !== null) {
+          return res.status(400).json({ error: 'trackedClassId is only supported for dry runs' });
+        }
+        if (schedulerRunInProgress) {
+          return res.status(409).json({ error: 'A scheduler run is already in progress' });
+        }
+
+        // Only the selected account; the others keep to their own schedule
+        const run = await withSchedulerLock(() =>
+          runAccountSchedulerCheck(req.ymcaAccount, { forceFetch: true, checkSubstitutes: false })
+        );
+        return res.json({ run });
       }
-      await schedulerService.checkAndSignup(sessionCookie);
+
+      const sessionCookie = await ensureAccountSession(req);
+      const run = await schedulerService.checkAndSignup(sessionCookie, {
+        accountId: req.ymcaAccount.id,
+        checkIntervalMinutes: getCheckIntervalMinutes(),
+        conflicts: getConflictSettings(),
+        quotas: getQuotaSettings(),
+        getBusyEvents: getAccountBusyEventsLoader(req.ymcaAccount.id),
+        dryRun: true,
+        forceFetch: true,
+        trackedClassIds: trackedClassId !== null ? [trackedClassId] : null
+      });
+
+      res.json({ run });
+    } catch (error) {
+      logger.error('Manual scheduler run error:', error);
+      await maybeClearYmcaSession(error, req.ymcaAccount?.id);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  app.get('/api/scheduler/status', requireAuth, async (req, res) => {
+    try {
+      const checkIntervalMinutes = getCheckIntervalMinutes();
+      const accountFilter = { accountId: req.ymcaAccount?.id ?? -1 };
+      const [lastRun] = await db.getSchedulerRuns(1, accountFilter);
+      const lastFailedRun = await db.getLastFailedSchedulerRun(accountFilter);
+
+      res.json({
+        checkIntervalMinutes,
+        running: schedulerRunInProgress,
+        nextRunAt: schedulerService
+          .getNextRunTime(checkIntervalMinutes, new Date(), schedulerOffsetSeconds)
+          .toISOString(),
+        nextBookingWindow: lastRun?.nextBookingWindow || null,
+        armedTimers: bookingWindowTimer.getArmedTimers()
+          .filter(timer => timer.accountId === accountFilter.accountId),
+        lastRun: lastRun || null,
+        lastError: lastFailedRun
+          ? { at: lastFailedRun.startedAt, message: lastFailedRun.errorMessage }
+          : null
+      });
     } catch (error) {
-      logger.error('Scheduler error:', error);
-      await ymcaSessionManager.clearSession();
+      logger.error('Get scheduler status error:', error);
+      res.status(500).json({ error: error.message });
     }
   });
 }
@@ -1,15 +1,131 @@
 const logger = require('../logger');
+const db = require('../database');
+const { hasRole } = require('../services/userAuthService');
+const apiTokenService = require('../services/apiTokenService');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+// A personal API token instead of a session cookie, for scripts. The token's
+// scope caps the user's role; req.apiTokenId marks token requests.
+async function authenticateBearer(req, res, next, token) {
+  let result;
+  try {
+    result = await apiTokenService.authenticateToken(token);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!result) {
+    return res.status(401).json({ error: 'Invalid or revoked API token' });
+  }
+
+  req.user = result.user;
+  req.apiTokenId = result.tokenId;
+  next();
+}
+
+/**
+ * The logged-in user behind a request, from its API token or session, or
+ * null. Sets req.user (and req.apiTokenId for a token) without answering the
+ * request, so requireLogin doesn't look the user up again.
+ */
+async function identifyUser(req) {
+  const bearerToken = getBearerToken(req);
+  if (bearerToken) {
+    const result = await apiTokenService.authenticateToken(bearerToken);
+    if (result) {
+      req.user = result.user;
+      req.apiTokenId = result.tokenId;
+    }
+  } else if (req.session && req.session.userId) {
+    const user = await db.getUserById(req.session.userId);
+    if (user) {
+      req.user = { id: user.id, username: user.username, role: user.role };
+    }
+  }
+  return req.user || null;
+}
+
+// Any logged-in user, whatever their role. The user is re-read on every
+// request so a role change or removal applies straight away.
+async function requireLogin(req, res, next) {
+  if (req.user) {
+    return next();
+  }
+
+  const bearerToken = getBearerToken(req);
+  if (bearerToken) {
+    return authenticateBearer(req, res, next, bearerToken);
+  }
 
-function requireAuth(req, res, next) {
   if (!req.session || !req.session.userId) {
     return res.status(401).json({ 
       error: 'Authentication required',
       needsLogin: true 
     });
   }
+
+  let user;
+  try {
+    user = await db.getUserById(req.session.userId);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (!user) {
+    req.session.destroy(() => {});
+    return res.status(401).json({
+      error: 'Authentication required',
+      needsLogin: true
+    });
+  }
+
+  req.user = { id: user.id, username: user.username, role: user.role };
   next();
 }
 
+// requireLogin without API tokens, for a user's own login settings such as
+// two-factor authentication and the tokens themselves, so a leaked token
+// can't turn off 2FA or mint more tokens
+function requireSession(req, res, next) {
+  requireLogin(req, res, () => {
+    if (req.apiTokenId) {
+      return res.status(403).json({ error: 'Log in to the app to do this; API tokens can\'t' });
+    }
+    next();
+  });
+}
+
+// requireLogin, and read-only users may only make GET requests
+function requireAuth(req, res, next) {
+  requireLogin(req, res, () => {
+    if (!READ_METHODS.includes(req.method) && !hasRole(req.user, 'booker')) {
+      logger.warn(`Blocked ${req.method} ${req.path} for read-only user ${req.user.username}`);
+      return res.status(403).json({ error: 'Read-only users cannot make changes' });
+    }
+    next();
+  });
+}
+
+// requireAuth plus a minimum role, e.g. requireRole('admin')
+function requireRole(role) {
+  return [
+    requireAuth,
+    (req, res, next) => {
+      if (!hasRole(req.user, role)) {
+        logger.warn(`Blocked ${req.method} ${req.path} for ${req.user.role} user ${req.user.username}`);
+        return res.status(403).json({ error: `Only ${role} users can do this` });
+      }
+      next();
+    }
+  ];
+}
+
 function checkSetup(req, res, next) {
   if (req.path === '/api/auth/setup-status' || 
       req.path === '/api/auth/setup' ||
@@ -21,6 +137,10 @@ function checkSetup(req, res, next) {
 }
 
 module.exports = {
+  identifyUser,
+  requireLogin,
+  requireSession,
   requireAuth,
+  requireRole,
   checkSetup
 };
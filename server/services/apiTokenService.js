@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const logger = require('../logger');
+const db = require('../database');
+const { USER_ROLES, hasRole } = require('./userAuthService');
+
+// Tokens are random, so a plain SHA-256 is enough to store them. The prefix
+// makes a leaked token easy to recognise, e.g. in a secret scanner.
+const TOKEN_PREFIX = 'ymca_';
+const DISPLAYED_PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+const MAX_NAME_LENGTH = 100;
+
+function generateToken() {
+  return TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// The lower of the user's role and the token's scope, so a token never does
+// more than its owner can now, even after the owner is demoted
+function effectiveRole(userRole, scope) {
+  return USER_ROLES[Math.min(USER_ROLES.indexOf(userRole), USER_ROLES.indexOf(scope))] || null;
+}
+
+/**
+ * Create a token for a user. Scopes are the user roles, and a token can't be
+ * scoped above its owner. The token is returned only here; just its hash is
+ * stored.
+ */
+async function createToken(user, { name, scope } = {}) {
+  const trimmedName = String(name || '').trim();
+  if (!trimmedName) {
+    throw new Error('Token name is required');
+  }
+  if (trimmedName.length > MAX_NAME_LENGTH) {
+    throw new Error(`Token name must be at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (!USER_ROLES.includes(scope)) {
+    throw new Error(`Scope must be one of: ${USER_ROLES.join(', ')}`);
+  }
+  if (!hasRole(user, scope)) {
+    throw new Error(`A ${user.role} user can't create ${scope} tokens`);
+  }
+
+  const token = generateToken();
+  const id = await db.createApiToken(user.id, {
+    name: trimmedName,
+    scope,
+    tokenHash: hashToken(token),
+    tokenPrefix: token.slice(0, DISPLAYED_PREFIX_LENGTH)
+  });
+  logger.info(`API token "${trimmedName}" (${scope}) created for ${user.username}`);
+
+  return { id, name: trimmedName, scope, token };
+}
+
+/**
+ * The user a bearer token acts as, with its role limited to the token's
+ * scope, or null for an unknown or revoked token. Records the use.
+ */
+async function authenticateToken(token) {
+  if (!token || !String(token).startsWith(TOKEN_PREFIX)) {
+    return null;
+  }
+
+  const apiToken = await db.getApiTokenByHash(hashToken(token));
+  if (!apiToken) {
+    return null;
+  }
+
+  const user = await db.getUserById(apiToken.user_id);
+  if (!user) {
+    return null;
+  }
+
+  await db.touchApiToken(apiToken.id);
+  return {
+    user: { id: user.id, username: user.username, role: effectiveRole(user.role, apiToken.scope) },
+    tokenId: apiToken.id
+  };
+}
+
+function listTokens(userId) {
+  return db.getApiTokens(userId);
+}
+
+async function revokeToken(user, tokenId) {
+  const deleted = await db.deleteApiToken(user.id, tokenId);
+  if (deleted) {
+    logger.info(`API token ${tokenId} revoked by ${user.username}`);
+  }
+  return deleted;
+}
+
+module.exports = {
+  TOKEN_PREFIX,
+  hashToken,
+  effectiveRole,
+  createToken,
+  authenticateToken,
+  listTokens,
+  revokeToken
+};
@@ -1,18 +1,21 @@
 const axios = require('axios');
 const logger = require('../logger');
 const db = require('../database');
+const { mapLinkedClient } = require('./classService');
 
 const API_BASE_URL = process.env.API_BASE_URL || 'https://ymca-triangle.fisikal.com/api/web';
 const YMCA_URL = process.env.YMCA_URL || 'https://ymca-triangle.fisikal.com';
 
-async function getCredentials() {
-  const dbCreds = await db.loadCredentials();
+// Environment credentials stand in for the first account's when it has none saved
+async function getCredentials(accountId) {
+  const dbCreds = await db.loadCredentials(accountId);
   if (dbCreds && dbCreds.email && dbCreds.password) {
     logger.debug('Using credentials from database');
     return dbCreds;
   }
   
-  if (process.env.YMCA_EMAIL && process.env.YMCA_PASSWORD) {
+  const [firstAccount] = await db.getYmcaAccounts();
+  if (process.env.YMCA_EMAIL && process.env.YMCA_PASSWORD && firstAccount?.id === accountId) {
     logger.debug('Using credentials from environment variables');
     return {
       email: process.env.YMCA_EMAIL,
@@ -23,9 +26,9 @@ async function getCredentials() {
   throw new Error('No credentials configured. Please set credentials in Settings.');
 }
 
-async function loginWithAPI() {
+async function loginWithAPI(accountId) {
   try {
-    const credentials = await getCredentials();
+    const credentials = await getCredentials(accountId);
     
     // Step 1: Get CSRF token and initial cookies from main page
     const initialResponse = await axios.get(YMCA_URL);
@@ -77,7 +80,7 @@ async function loginWithAPI() {
         
         // CRITICAL: Call /users/clients/linked to establish full session state
         // This is what the browser does after login and enables lock_version in responses
-        // We also extract the client_id from this response
+        // We also extract the client_id and the linked family members from this response
         try {
           const linkedResponse = await axios.get(`${API_BASE_URL}/users/clients/linked?include_self=true&json=${encodeURIComponent(JSON.stringify({ limit: { start: 0, count: 10 } }))}`, {
             headers: {
@@ -97,8 +100,9 @@ async function loginWithAPI() {
             
             // Save to database for future use
             try {
-              await db.saveClientId(clientId);
-              logger.info('✓ Saved client_id to database');
+              await db.saveClientId(accountId, clientId);
+              await db.saveLinkedClients(accountId, clients.map(mapLinkedClient));
+              logger.info(`✓ Saved client_id and ${clients.length - 1} linked client(s) to database`);
             } catch (dbError) {
               logger.warn('Could not save client_id to database:', dbError.message);
             }
@@ -120,9 +124,10 @@ async function loginWithAPI() {
   }
 }
 
-async function login() {
+// Log in to one YMCA account; returns its session cookie
+async function login(accountId) {
   try {
-    return await loginWithAPI();
+    return await loginWithAPI(accountId);
   } catch (error) {
     logger.error('Login failed:', error);
     throw error;
@@ -0,0 +1,38 @@
+// Blackout dates are New York calendar days, like the scheduler's day keys
+const { getDayKey } = require('./dayKeyService');
+
+function appliesTo(period, trackedClassId) {
+  return period.tracked_class_id === null || period.tracked_class_id === undefined ||
+    String(period.tracked_class_id) === String(trackedClassId);
+}
+
+/**
+ * The blackout period covering a class on `startTime` for a tracked class,
+ * preferring one set on the class itself over a global one.
+ *
+ * @returns {Object|null}
+ */
+function findBlackout(periods, trackedClassId, startTime) {
+  const dayKey = getDayKey(startTime);
+  const covering = periods.filter(period =>
+    appliesTo(period, trackedClassId) && period.start_date <= dayKey && dayKey <= period.end_date
+  );
+  return covering.find(period => period.tracked_class_id !== null && period.tracked_class_id !== undefined) ||
+    covering[0] ||
+    null;
+}
+
+function describeBlackout(period) {
+  const range = period.start_date === period.end_date
+    ? period.start_date
+    : `${period.start_date} to ${period.end_date}`;
+  const scope = period.tracked_class_id === null || period.tracked_class_id === undefined
+    ? 'Auto-signup paused'
+    : 'Skipped for this class';
+  return `${scope} ${range}${period.reason ? ` (${period.reason})` : ''}`;
+}
+
+module.exports = {
+  findBlackout,
+  describeBlackout
+};
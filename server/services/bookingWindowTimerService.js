@@ -0,0 +1,138 @@
+const DEFAULT_PREWARM_LEAD_MS = 20 * 1000;
+const DEFAULT_ARM_HORIZON_MS = 20 * 60 * 1000;
+
+function getTimerKey(tracked, occurrence) {
+  return `${tracked.id}:${occurrence.id}`;
+}
+
+function createBookingWindowTimer({
+  logger,
+  prewarm,
+  fire,
+  prewarmLeadMs = DEFAULT_PREWARM_LEAD_MS,
+  armHorizonMs = DEFAULT_ARM_HORIZON_MS,
+  now = () => Date.now()
+}) {
+  const timers = new Map();
+
+  function clearTimer(key) {
+    const timer = timers.get(key);
+    if (!timer) {
+      return;
+    }
+
+    clearTimeout(timer.prewarmHandle);
+    clearTimeout(timer.fireHandle);
+    timers.delete(key);
+  }
+
+  async function runFire(key) {
+    const timer = timers.get(key);
+    if (!timer) {
+      return;
+    }
+
+    // setTimeout can wake a few ms early; never fire before the window is open.
+    const remainingMs = timer.signupTime.getTime() - now();
+    if (remainingMs > 0) {
+      timer.fireHandle = setTimeout(() => runFire(key), remainingMs);
+      return;
+    }
+
+    timers.delete(key);
+
+    try {
+      if (timer.prewarmPromise) {
+        await timer.prewarmPromise;
+      }
+      await fire(timer.tracked, timer.occurrence);
+    } catch (error) {
+      logger.error(`Precision signup for ${timer.tracked.service_name} (occurrence ${timer.occurrence.id}) failed:`, error.message);
+    }
+  }
+
+  function runPrewarm(key) {
+    const timer = timers.get(key);
+    if (!timer) {
+      return;
+    }
+
+    timer.prewarmPromise = Promise.resolve()
+      .then(() => prewarm(timer.tracked, timer.occurrence))
+      .catch((error) => {
+        logger.warn(`Prewarm before booking window for ${timer.tracked.service_name} failed:`, error.message);
+      });
+  }
+
+  /**
+   * Arm a one-shot timer that fires exactly when an occurrence's booking window
+   * opens. The session is prewarmed shortly before so the signup request itself
+   * is the only round-trip on the critical path.
+   *
+   * Windows further out than the arm horizon are ignored; the regular scheduler
+   * run will arm them once they come into range.
+   *
+   * @returns {boolean} true when a timer is armed for this occurrence
+   */
+  function arm({ tracked, occurrence, signupTime }) {
+    const key = getTimerKey(tracked, occurrence);
+    const delayMs = signupTime.getTime() - now();
+
+    if (delayMs <= 0 || delayMs > armHorizonMs) {
+      clearTimer(key);
+      return false;
+    }
+
+    const existing = timers.get(key);
+    if (existing && existing.signupTime.getTime() === signupTime.getTime()) {
+      existing.tracked = tracked;
+      existing.occurrence = occurrence;
+      return true;
+    }
+
+    clearTimer(key);
+
+    const timer = {
+      tracked,
+      occurrence,
+      signupTime,
+      prewarmPromise: null,
+      prewarmHandle: null,
+      fireHandle: null
+    };
+    timers.set(key, timer);
+
+    const prewarmDelayMs = Math.max(0, delayMs - prewarmLeadMs);
+    timer.prewarmHandle = setTimeout(() => runPrewarm(key), prewarmDelayMs);
+    timer.fireHandle = setTimeout(() => runFire(key), delayMs);
+
+    logger.info(`⏱️  Armed booking window timer for ${tracked.service_name} at ${signupTime.toLocaleString()} (in ${Math.round(delayMs / 1000)}s)`);
+    return true;
+  }
+
+  function disarmAll() {
+    for (const key of Array.from(timers.keys())) {
+      clearTimer(key);
+    }
+  }
+
+  function getArmedTimers() {
+    return Array.from(timers.values()).map((timer) => ({
+      trackedClassId: timer.tracked.id,
+      accountId: timer.tracked.account_id || null,
+      serviceName: timer.tracked.service_name,
+      occurrenceId: timer.occurrence.id,
+      signupTime: timer.signupTime.toISOString()
+    }));
+  }
+
+  return {
+    arm,
+    disarmAll,
+    getArmedTimers
+  };
+}
+
+module.exports = {
+  createBookingWindowTimer
+};
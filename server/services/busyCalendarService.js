@@ -0,0 +1,574 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const logger = require('../logger');
+const db = require('../database');
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+// Floating times and all-day events are read in the app's time zone
+const DEFAULT_TIME_ZONE = 'America/New_York';
+const CALENDAR_CACHE_TTL_MS = 15 * MINUTE_MS;
+const FETCH_TIMEOUT_MS = 15 * 1000;
+// Far more than years of a busy personal calendar
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+// .ics files on the server are only read from here, so a calendar source
+// can't be used to read other files
+const CALENDAR_DIR = path.resolve(process.env.BUSY_CALENDAR_DIR || path.join(__dirname, '..', '..', 'data', 'calendars'));
+// Guards against runaway rules; counted from the first step near the range
+const MAX_RECURRENCE_STEPS = 5000;
+// Intervals are expanded this far ahead when a calendar is read, which covers
+// loadBusyEvents' default 31 days for as long as the copy is cached
+const EXPANDED_DAYS = 45;
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DEFAULT_CLASS_MINUTES = 60;
+
+// calendar id -> { source, fetchedAt, events, expanded: { rangeStart, rangeEnd, intervals } }
+const calendarCache = new Map();
+// time zone -> Intl.DateTimeFormat; building one is far slower than using it
+const offsetFormatters = new Map();
+
+function unfoldLines(text) {
+  return String(text).replace(/\r\n/g, '\n').replace(/\n[ \t]/g, '').split('\n');
+}
+
+function unescapeText(value) {
+  return value
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([,;\\])/g, '$1');
+}
+
+// "DTSTART;TZID=America/New_York:20300107T090000" -> { name, params, value }
+function parseProperty(line) {
+  let inQuotes = false;
+  let colonIndex = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      colonIndex = i;
+      break;
+    }
+  }
+  if (colonIndex === -1) {
+    return null;
+  }
+
+  const [name, ...paramParts] = line.slice(0, colonIndex).split(';');
+  const params = {};
+  for (const part of paramParts) {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(colonIndex + 1) };
+}
+
+function getOffsetFormatter(timeZone) {
+  let formatter = offsetFormatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    offsetFormatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+function isKnownTimeZone(timeZone) {
+  try {
+    getOffsetFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function getTimeZoneOffsetMs(date, timeZone) {
+  const parts = getOffsetFormatter(timeZone).formatToParts(date);
+  const get = type => Number(parts.find(part => part.type === type).value);
+  const asUtc = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Wall-clock time in a zone, written as a UTC timestamp, to the real instant
+function zonedTimeToUtc(wallClockMs, timeZone) {
+  if (timeZone === 'UTC') {
+    return new Date(wallClockMs);
+  }
+  const offset = getTimeZoneOffsetMs(new Date(wallClockMs), timeZone);
+  const adjusted = getTimeZoneOffsetMs(new Date(wallClockMs - offset), timeZone);
+  return new Date(wallClockMs - adjusted);
+}
+
+/**
+ * Parse a DATE or DATE-TIME value. `wallClock` keeps the local time as a UTC
+ * timestamp so recurrences can step through local days across DST changes.
+ *
+ * @returns {{wallClock: number, timeZone: string, allDay: boolean}|null}
+ */
+function parseDateValue(value, params = {}) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour = '00', minute = '00', second = '00', utc] = match;
+  const wallClock = Date.UTC(Number(year), Number(month) - 1, Number(day), Number(hour), Number(minute), Number(second));
+  const allDay = params.VALUE === 'DATE' || match[4] === undefined;
+  let timeZone = DEFAULT_TIME_ZONE;
+  if (utc) {
+    timeZone = 'UTC';
+  } else if (params.TZID && isKnownTimeZone(params.TZID)) {
+    timeZone = params.TZID;
+  }
+
+  return { wallClock, timeZone, allDay };
+}
+
+function toInstant(dateValue) {
+  return zonedTimeToUtc(dateValue.wallClock, dateValue.timeZone);
+}
+
+// "PT1H30M", "P1D" -> milliseconds
+function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const ms = (((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * MINUTE_MS + Number(seconds) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+function parseRule(value) {
+  const rule = {};
+  for (const part of value.split(';')) {
+    const [key, ruleValue] = part.split('=');
+    if (key && ruleValue !== undefined) {
+      rule[key.toUpperCase()] = ruleValue;
+    }
+  }
+  return rule;
+}
+
+/**
+ * Parse the VEVENTs of an ICS file. Free (TRANSP:TRANSPARENT) and cancelled
+ * events are kept but flagged; expandBusyEvents leaves them out.
+ *
+ * @returns {Array<{uid, summary, start, durationMs, allDay, transparent, cancelled, rule, exdates, recurrenceId}>}
+ */
+function parseIcs(text) {
+  const events = [];
+  let current = null;
+  let depth = 0;
+
+  for (const line of unfoldLines(text)) {
+    if (!line.trim()) {
+      continue;
+    }
+    const property = parseProperty(line);
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN') {
+      if (property.value.toUpperCase() === 'VEVENT' && !current) {
+        current = { exdates: [], transparent: false, cancelled: false };
+        depth = 0;
+      } else if (current) {
+        // Nested components (VALARM) don't describe the event itself
+        depth += 1;
+      }
+      continue;
+    }
+    if (property.name === 'END') {
+      if (current && depth > 0) {
+        depth -= 1;
+      } else if (current && property.value.toUpperCase() === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+      continue;
+    }
+    if (!current || depth > 0) {
+      continue;
+    }
+
+    switch (property.name) {
+      case 'UID':
+        current.uid = property.value;
+        break;
+      case 'SUMMARY':
+        current.summary = unescapeText(property.value);
+        break;
+      case 'DTSTART':
+        current.start = parseDateValue(property.value, property.params);
+        break;
+      case 'DTEND':
+        current.end = parseDateValue(property.value, property.params);
+        break;
+      case 'DURATION':
+        current.duration = parseDuration(property.value);
+        break;
+      case 'TRANSP':
+        current.transparent = property.value.toUpperCase() === 'TRANSPARENT';
+        current.explicitlyOpaque = property.value.toUpperCase() === 'OPAQUE';
+        break;
+      case 'STATUS':
+        current.cancelled = property.value.toUpperCase() === 'CANCELLED';
+        break;
+      case 'RRULE':
+        current.rule = parseRule(property.value);
+        break;
+      case 'EXDATE':
+        for (const value of property.value.split(',')) {
+          const exdate = parseDateValue(value, property.params);
+          if (exdate) {
+            current.exdates.push(exdate);
+          }
+        }
+        break;
+      case 'RECURRENCE-ID':
+        current.recurrenceId = parseDateValue(property.value, property.params);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return events
+    .filter(event => event.start)
+    .map(event => ({
+      uid: event.uid || null,
+      summary: event.summary || 'Busy',
+      start: event.start,
+      durationMs: getEventDurationMs(event),
+      allDay: event.start.allDay,
+      // All-day events (holidays, reminders) only block time when marked busy
+      transparent: event.transparent || (event.start.allDay && !event.explicitlyOpaque),
+      cancelled: event.cancelled,
+      rule: event.rule || null,
+      exdates: event.exdates,
+      recurrenceId: event.recurrenceId || null
+    }));
+}
+
+function getEventDurationMs(event) {
+  if (event.end) {
+    return Math.max(0, event.end.wallClock - event.start.wallClock);
+  }
+  if (event.duration !== undefined && event.duration !== null) {
+    return Math.max(0, event.duration);
+  }
+  return event.start.allDay ? DAY_MS : 0;
+}
+
+function getWeekdays(rule, startDate) {
+  return rule.BYDAY
+    ? rule.BYDAY.split(',').map(code => WEEKDAY_CODES.indexOf(code.slice(-2))).filter(day => day !== -1)
+    : [startDate.getUTCDay()];
+}
+
+/**
+ * The step to start iterating at so that no occurrence on or after
+ * `skipBefore` (a wall-clock time) is missed, and how many occurrences the
+ * skipped steps held, which COUNT needs. DAILY and WEEKLY steps are a fixed
+ * length; MONTHLY and YEARLY ones only skip when there's no COUNT, as months
+ * missing the start day make their count irregular.
+ */
+function getFirstStep(event, interval, skipBefore) {
+  const { rule, start } = event;
+  if (skipBefore <= start.wallClock) {
+    return { step: 0, produced: 0 };
+  }
+
+  const startDate = new Date(start.wallClock);
+  if (rule.FREQ === 'DAILY') {
+    const step = Math.floor((skipBefore - start.wallClock) / (interval * DAY_MS));
+    return { step, produced: step };
+  }
+  if (rule.FREQ === 'WEEKLY') {
+    const timeOfDayMs = start.wallClock % DAY_MS;
+    const weekStart = start.wallClock - timeOfDayMs - ((startDate.getUTCDay() + 6) % 7) * DAY_MS;
+    const step = Math.floor((skipBefore - weekStart) / (interval * 7 * DAY_MS));
+    if (step === 0) {
+      return { step: 0, produced: 0 };
+    }
+    const days = getWeekdays(rule, startDate);
+    const firstWeek = days.filter(day => weekStart + ((day + 6) % 7) * DAY_MS + timeOfDayMs >= start.wallClock).length;
+    return { step, produced: firstWeek + (step - 1) * days.length };
+  }
+  if (rule.COUNT) {
+    return { step: 0, produced: 0 };
+  }
+
+  const skipDate = new Date(skipBefore);
+  if (rule.FREQ === 'MONTHLY') {
+    const months = (skipDate.getUTCFullYear() - startDate.getUTCFullYear()) * 12 + skipDate.getUTCMonth() - startDate.getUTCMonth();
+    return { step: Math.floor(months / interval), produced: 0 };
+  }
+  return { step: Math.floor((skipDate.getUTCFullYear() - startDate.getUTCFullYear()) / interval), produced: 0 };
+}
+
+// Wall-clock starts of a recurring event, in order, from shortly before
+// `rangeStart` until `rangeEnd`
+function* iterateRecurrences(event, rangeStart, rangeEnd) {
+  const { rule, start } = event;
+  const interval = Math.max(1, Number(rule.INTERVAL) || 1);
+  const count = rule.COUNT ? Number(rule.COUNT) : null;
+  const until = rule.UNTIL ? parseDateValue(rule.UNTIL, { TZID: start.timeZone }) : null;
+  const untilMs = until ? toInstant(until).getTime() : null;
+  const rangeEndMs = rangeEnd.getTime();
+  const startDate = new Date(start.wallClock);
+  const timeOfDayMs = start.wallClock % DAY_MS;
+
+  if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.FREQ)) {
+    // Unsupported frequency: keep the first occurrence only
+    yield start.wallClock;
+    return;
+  }
+
+  // An occurrence starting a day (the widest time zone offset) plus its
+  // length before the range can't overlap it
+  const skipBefore = rangeStart.getTime() - DAY_MS - event.durationMs;
+  const first = getFirstStep(event, interval, skipBefore);
+  const days = getWeekdays(rule, startDate);
+
+  let produced = first.produced;
+  for (let step = first.step; step < first.step + MAX_RECURRENCE_STEPS; step++) {
+    let candidates = [];
+    if (rule.FREQ === 'DAILY') {
+      candidates = [start.wallClock + step * interval * DAY_MS];
+    } else if (rule.FREQ === 'WEEKLY') {
+      // Weeks start on Monday
+      const weekStart = start.wallClock - timeOfDayMs - ((startDate.getUTCDay() + 6) % 7) * DAY_MS + step * interval * 7 * DAY_MS;
+      candidates = days
+        .map(day => weekStart + ((day + 6) % 7) * DAY_MS + timeOfDayMs)
+        .sort((a, b) => a - b);
+    } else if (rule.FREQ === 'MONTHLY') {
+      const month = new Date(Date.UTC(startDate.getUTCFullYear(), startDate.getUTCMonth() + step * interval, 1));
+      const candidate = Date.UTC(month.getUTCFullYear(), month.getUTCMonth(), startDate.getUTCDate()) + timeOfDayMs;
+      // Months without that day (the 31st) are skipped
+      if (new Date(candidate).getUTCMonth() === month.getUTCMonth()) {
+        candidates = [candidate];
+      }
+    } else {
+      const candidate = Date.UTC(startDate.getUTCFullYear() + step * interval, startDate.getUTCMonth(), startDate.getUTCDate()) + timeOfDayMs;
+      if (new Date(candidate).getUTCDate() === startDate.getUTCDate()) {
+        candidates = [candidate];
+      }
+    }
+
+    for (const candidate of candidates) {
+      if (candidate < start.wallClock) {
+        continue;
+      }
+      const instant = zonedTimeToUtc(candidate, start.timeZone).getTime();
+      if (instant > rangeEndMs || (untilMs !== null && instant > untilMs) || (count !== null && produced >= count)) {
+        return;
+      }
+      produced += 1;
+      yield candidate;
+    }
+  }
+}
+
+/**
+ * Expand parsed events into the busy intervals overlapping [rangeStart,
+ * rangeEnd]. Supports DAILY, WEEKLY (with BYDAY), MONTHLY and YEARLY rules
+ * with INTERVAL, COUNT, UNTIL, EXDATE and moved or cancelled instances
+ * (RECURRENCE-ID).
+ *
+ * @returns {Array<{summary, start: Date, end: Date}>}
+ */
+function expandBusyEvents(events, rangeStart, rangeEnd) {
+  const overrides = new Map();
+  for (const event of events) {
+    if (event.recurrenceId && event.uid) {
+      overrides.set(`${event.uid}|${toInstant(event.recurrenceId).getTime()}`, event);
+    }
+  }
+
+  const busy = [];
+  const addInterval = (event, wallClock) => {
+    if (event.cancelled || event.transparent) {
+      return;
+    }
+    const start = zonedTimeToUtc(wallClock, event.start.timeZone);
+    const end = zonedTimeToUtc(wallClock + event.durationMs, event.start.timeZone);
+    if (start < rangeEnd && end > rangeStart && end > start) {
+      busy.push({ summary: event.summary, start, end });
+    }
+  };
+
+  for (const event of events) {
+    if (event.recurrenceId) {
+      addInterval(event, event.start.wallClock);
+      continue;
+    }
+    if (!event.rule) {
+      addInterval(event, event.start.wallClock);
+      continue;
+    }
+
+    const excluded = new Set(event.exdates.map(exdate => toInstant(exdate).getTime()));
+    for (const wallClock of iterateRecurrences(event, rangeStart, rangeEnd)) {
+      const instant = zonedTimeToUtc(wallClock, event.start.timeZone).getTime();
+      if (excluded.has(instant) || (event.uid && overrides.has(`${event.uid}|${instant}`))) {
+        continue;
+      }
+      addInterval(event, wallClock);
+    }
+  }
+
+  return busy.sort((a, b) => a.start - b.start);
+}
+
+// Symlinks are followed before the check so they can't point outside
+async function resolveCalendarFile(source) {
+  const filePath = path.resolve(CALENDAR_DIR, source.replace(/^file:\/\//i, ''));
+  const outsideError = new Error(`Calendar files must be in ${CALENDAR_DIR}`);
+  if (path.relative(CALENDAR_DIR, filePath).startsWith('..')) {
+    throw outsideError;
+  }
+
+  const [realDir, realPath] = await Promise.all([
+    fs.promises.realpath(CALENDAR_DIR),
+    fs.promises.realpath(filePath)
+  ]);
+  if (path.relative(realDir, realPath).startsWith('..')) {
+    throw outsideError;
+  }
+  return realPath;
+}
+
+async function readSource(source) {
+  const trimmed = String(source).trim();
+  if (/^(https?|webcal):\/\//i.test(trimmed)) {
+    const response = await axios.get(trimmed.replace(/^webcal:\/\//i, 'https://'), {
+      timeout: FETCH_TIMEOUT_MS,
+      maxContentLength: MAX_CALENDAR_BYTES,
+      maxRedirects: 5,
+      responseType: 'text',
+      transformResponse: data => data
+    });
+    return response.data;
+  }
+
+  const filePath = await resolveCalendarFile(trimmed);
+  const { size } = await fs.promises.stat(filePath);
+  if (size > MAX_CALENDAR_BYTES) {
+    throw new Error(`Calendar file is larger than ${MAX_CALENDAR_BYTES / 1024 / 1024} MB`);
+  }
+  return fs.promises.readFile(filePath, 'utf8');
+}
+
+async function fetchCalendarEvents(source) {
+  const text = await readSource(source);
+  if (!/BEGIN:VCALENDAR/i.test(text)) {
+    throw new Error('Not an iCalendar file (no BEGIN:VCALENDAR)');
+  }
+  return parseIcs(text);
+}
+
+/**
+ * Re-read a calendar now and record the outcome. Throws when the calendar
+ * can't be read or parsed.
+ */
+async function refreshBusyCalendar(calendar) {
+  try {
+    const events = await fetchCalendarEvents(calendar.source);
+    const fetchedAt = Date.now();
+    const rangeStart = new Date(fetchedAt - DAY_MS);
+    const rangeEnd = new Date(fetchedAt + EXPANDED_DAYS * DAY_MS);
+    calendarCache.set(calendar.id, {
+      source: calendar.source,
+      fetchedAt,
+      events,
+      expanded: { rangeStart, rangeEnd, intervals: expandBusyEvents(events, rangeStart, rangeEnd) }
+    });
+    await db.updateBusyCalendarSync(calendar.id, { eventCount: events.length, error: null });
+    return events;
+  } catch (error) {
+    await db.updateBusyCalendarSync(calendar.id, { error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Busy intervals from every enabled calendar between `now` and `days` ahead.
+ * With `accountId`, only that YMCA account's calendars are used. Calendars
+ * are re-read at most every 15 minutes; one that can't be read is left out
+ * (or its last good copy used) so it never blocks bookings.
+ *
+ * @returns {Promise<Array<{summary, calendarName, start: Date, end: Date}>>}
+ */
+async function loadBusyEvents(options = {}) {
+  const { now = new Date(), days = 31, accountId = null } = options;
+  const calendars = (await db.getBusyCalendars({ accountId })).filter(calendar => calendar.enabled);
+  const rangeStart = new Date(now.getTime() - DAY_MS);
+  const rangeEnd = new Date(now.getTime() + days * DAY_MS);
+
+  const busy = [];
+  for (const calendar of calendars) {
+    let cached = calendarCache.get(calendar.id);
+    if (!cached || cached.source !== calendar.source || Date.now() - cached.fetchedAt > CALENDAR_CACHE_TTL_MS) {
+      try {
+        await refreshBusyCalendar(calendar);
+      } catch (error) {
+        logger.warn(`Busy calendar "${calendar.name}" could not be read: ${error.message}`);
+      }
+      cached = calendarCache.get(calendar.id);
+    }
+    if (!cached) {
+      continue;
+    }
+
+    const { expanded } = cached;
+    const intervals = expanded.rangeStart <= rangeStart && rangeEnd <= expanded.rangeEnd
+      ? expanded.intervals.filter(interval => interval.start < rangeEnd && interval.end > rangeStart)
+      : expandBusyEvents(cached.events, rangeStart, rangeEnd);
+    for (const interval of intervals) {
+      busy.push({ ...interval, calendarName: calendar.name });
+    }
+  }
+
+  return busy.sort((a, b) => a.start - b.start);
+}
+
+function forgetBusyCalendar(id) {
+  calendarCache.delete(Number(id));
+}
+
+// First busy interval a class overlaps, or null
+function findBusyOverlap(occurrence, busyEvents) {
+  const start = new Date(occurrence.startTime).getTime();
+  const end = occurrence.endTime
+    ? new Date(occurrence.endTime).getTime()
+    : start + (occurrence.duration || DEFAULT_CLASS_MINUTES) * MINUTE_MS;
+  return busyEvents.find(event => event.start.getTime() < end && start < event.end.getTime()) || null;
+}
+
+function describeBusyEvent(event) {
+  const format = date => date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: DEFAULT_TIME_ZONE });
+  const calendar = event.calendarName ? ` on ${event.calendarName}` : '';
+  return `Busy: ${event.summary} (${format(event.start)}–${format(event.end)})${calendar}`;
+}
+
+module.exports = {
+  parseIcs,
+  expandBusyEvents,
+  fetchCalendarEvents,
+  refreshBusyCalendar,
+  loadBusyEvents,
+  forgetBusyCalendar,
+  findBusyOverlap,
+  describeBusyEvent
+};
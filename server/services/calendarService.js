@@ -32,18 +32,26 @@ const LOCATION_ADDRESSES = {
  *
  * Each occurrence should have:
  *   - id, serviceName, startTime, duration, locationName, trainerName
- *   - isJoined, isWaited, isCancelled (booleans)
- *   - positionOnWaitingList (optional)
+ *   - isJoined, isWaited, isCancelled, isSkipped (booleans)
+ *   - positionOnWaitingList, skipReason (optional)
  *
  * Status logic:
  *   isJoined && !isWaited  → [Booked]   CONFIRMED  + cancel link
  *   isWaited               → [Waitlist]  TENTATIVE  + cancel link
  *   isCancelled            → [Cancelled] CANCELLED  no cancel link
+ *   isSkipped              → [Skipped]   CANCELLED  no cancel link (blackout)
  *   otherwise              → (no prefix) TENTATIVE  no cancel link
+ *
+ * A feed for one of several YMCA accounts passes its accountId, and a linked
+ * family member's feed their clientId; both go into the event ids and the
+ * book/cancel links.
  */
-function generateCalendar(occurrences, appUrl) {
+function generateCalendar(occurrences, appUrl, { name = 'YMCA Classes', clientId = null, accountId = null } = {}) {
+  const clientParam = (accountId ? `&account=${encodeURIComponent(accountId)}` : '') +
+    (clientId ? `&client=${encodeURIComponent(clientId)}` : '');
+  const owner = clientId || (accountId ? `a${accountId}` : null);
   const calendar = ical({
-    name: 'YMCA Classes',
+    name,
     ttl: 30 * 60 // 30 minutes
   });
 
@@ -67,6 +75,9 @@ function generateCalendar(occurrences, appUrl) {
     } else if (cls.isCancelled) {
       prefix = '[Cancelled] ';
       icalStatus = 'CANCELLED';
+    } else if (cls.isSkipped) {
+      prefix = '[Skipped] ';
+      icalStatus = 'CANCELLED';
     }
 
     const summary = `${prefix}${cls.serviceName}`;
@@ -94,16 +105,18 @@ function generateCalendar(occurrences, appUrl) {
       }
     } else if (cls.isCancelled) {
       descriptionParts.push('Status: Cancelled');
+    } else if (cls.isSkipped) {
+      descriptionParts.push(`Status: Skipped${cls.skipReason ? ` - ${cls.skipReason}` : ''}`);
     }
 
     if (showCancelLink && appUrl) {
-      descriptionParts.push(`\nCancel: ${appUrl}/?cancel=${cls.id}`);
+      descriptionParts.push(`\nCancel: ${appUrl}/?cancel=${cls.id}${clientParam}`);
     } else if (appUrl && (cls.isCancelled || (!cls.isJoined && !cls.isWaited))) {
-      descriptionParts.push(`\nBook: ${appUrl}/?book=${cls.id}`);
+      descriptionParts.push(`\nBook: ${appUrl}/?book=${cls.id}${clientParam}`);
     }
 
     calendar.createEvent({
-      id: `ymca-${cls.id}@ymca-signup`,
+      id: owner ? `ymca-${cls.id}-${owner}@ymca-signup` : `ymca-${cls.id}@ymca-signup`,
       start,
       end,
       summary,
@@ -3,14 +3,14 @@ const axios = require('axios');
 const logger = require('../logger');
 const config = require('../config');
 const db = require('../database');
+const recurrenceService = require('./recurrenceService');
 
 const API_BASE_URL = process.env.API_BASE_URL || 'https://ymca-triangle.fisikal.com/api/web';
 const YMCA_URL = process.env.YMCA_URL || 'https://ymca-triangle.fisikal.com';
 
-let cachedClientId = null;
-let cachedClientIdFingerprint = null;
-let cachedCsrfToken = null;
-let cachedCsrfFingerprint = null;
+// Keyed by session fingerprint; each YMCA account has its own session
+const cachedClientIds = new Map();
+const cachedCsrfTokens = new Map();
 const WEB_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
 function fingerprintSessionCookie(sessionCookie) {
@@ -22,10 +22,8 @@ function fingerprintSessionCookie(sessionCookie) {
 }
 
 function invalidateCachedSessionState() {
-  cachedClientId = null;
-  cachedClientIdFingerprint = null;
-  cachedCsrfToken = null;
-  cachedCsrfFingerprint = null;
+  cachedClientIds.clear();
+  cachedCsrfTokens.clear();
 }
 
 function getErrorPayload(error) {
@@ -105,16 +103,15 @@ async function getCSRFToken(sessionCookie, options = {}) {
   const { forceRefresh = false } = options;
   const sessionFingerprint = fingerprintSessionCookie(sessionCookie);
 
-  if (!forceRefresh && cachedCsrfToken && cachedCsrfFingerprint === sessionFingerprint) {
-    return cachedCsrfToken;
+  if (!forceRefresh && cachedCsrfTokens.has(sessionFingerprint)) {
+    return cachedCsrfTokens.get(sessionFingerprint);
   }
 
   if (!sessionCookie) {
     return null;
   }
 
-  cachedCsrfToken = null;
-  cachedCsrfFingerprint = sessionFingerprint;
+  cachedCsrfTokens.delete(sessionFingerprint);
 
   try {
     const response = await axios.get(YMCA_URL, {
@@ -126,9 +123,8 @@ async function getCSRFToken(sessionCookie, options = {}) {
     
     const csrfMatch = response.data.match(/<meta name="csrf-token" content="([^"]+)"/);
     if (csrfMatch) {
-      cachedCsrfToken = csrfMatch[1];
-      cachedCsrfFingerprint = sessionFingerprint;
-      return cachedCsrfToken;
+      cachedCsrfTokens.set(sessionFingerprint, csrfMatch[1]);
+      return csrfMatch[1];
     }
     return null;
   } catch (error) {
@@ -153,18 +149,17 @@ function buildApiHeaders(sessionCookie, csrfToken, extraHeaders = {}) {
 async function getUserClientId(sessionCookie) {
   const sessionFingerprint = fingerprintSessionCookie(sessionCookie);
 
-  if (cachedClientId && cachedClientIdFingerprint === sessionFingerprint) {
-    return cachedClientId;
+  if (cachedClientIds.has(sessionFingerprint)) {
+    return cachedClientIds.get(sessionFingerprint);
   }
   
-  // Get from database (auto-populated during login)
+  // Get from the session's account (auto-populated during login)
   try {
-    const dbClientId = await db.getClientId();
+    const dbClientId = await db.getClientIdForSession(sessionCookie);
     if (dbClientId) {
-      cachedClientId = dbClientId;
-      cachedClientIdFingerprint = sessionFingerprint;
-      logger.info(`Using auto-detected client_id: ${cachedClientId}`);
-      return cachedClientId;
+      cachedClientIds.set(sessionFingerprint, dbClientId);
+      logger.info(`Using auto-detected client_id: ${dbClientId}`);
+      return dbClientId;
     }
   } catch (error) {
     logger.warn('Could not read client_id from database:', error.message);
@@ -177,6 +172,50 @@ async function getUserClientId(sessionCookie) {
   return null;
 }
 
+// Sets canSignup/canJoinWaitlist from a class's isJoined/isWaited, fullness
+// and booking window
+function applySignupEligibility(cls, now, waitlistLimit) {
+  const classStartTime = new Date(cls.startTime);
+  const restrictHours = cls.restrictToBookInAdvanceHours || 0;
+  const bookingWindowOpen = restrictHours === 0 ||
+    (classStartTime.getTime() - now.getTime()) <= (restrictHours * 60 * 60 * 1000);
+
+  cls.canSignup = !cls.isJoined &&
+                 !cls.fullGroup &&
+                 bookingWindowOpen &&
+                 now < classStartTime &&
+                 (cls.status === 'Scheduled' || cls.status === 'Rescheduled');
+
+  // Check if waitlist has room (totalOnWaitingList < waitlistLimit)
+  const waitlistHasRoom = (cls.totalOnWaitingList || 0) < waitlistLimit;
+  cls.canJoinWaitlist = !cls.isJoined &&
+                       !cls.isWaited &&
+                       cls.fullGroup &&
+                       cls.waitingListEnabled &&
+                       waitlistHasRoom &&
+                       bookingWindowOpen &&
+                       now < classStartTime &&
+                       (cls.status === 'Scheduled' || cls.status === 'Rescheduled');
+}
+
+/**
+ * Copies of `classes` with isJoined/isWaited (and so canSignup and
+ * canJoinWaitlist) taken from another person's bookings, as returned by
+ * getMyBookings for a linked client. The schedule's own flags describe the
+ * account holder.
+ */
+function applyClientBookingStatus(classes, bookings, now = new Date()) {
+  const waitlistLimit = config.getConfig().waitlistLimit ?? 5;
+  const joined = new Set(bookings.filter(b => b.is_joined).map(b => String(b.id)));
+  const waited = new Set(bookings.filter(b => b.is_waited).map(b => String(b.id)));
+
+  return classes.map(cls => {
+    const copy = { ...cls, isJoined: joined.has(String(cls.id)), isWaited: waited.has(String(cls.id)) };
+    applySignupEligibility(copy, now, waitlistLimit);
+    return copy;
+  });
+}
+
 async function enrichClassesWithBookingStatus(sessionCookie, classes, clientId) {
   if (!classes || classes.length === 0) {
     return classes;
@@ -190,29 +229,7 @@ async function enrichClassesWithBookingStatus(sessionCookie, classes, clientId)
     logger.debug('No client ID available, using is_joined flags from occurrences API');
     const now = new Date();
 
-    classes.forEach(cls => {
-      const classStartTime = new Date(cls.startTime);
-      const restrictHours = cls.restrictToBookInAdvanceHours || 0;
-      const bookingWindowOpen = restrictHours === 0 ||
-        (classStartTime.getTime() - now.getTime()) <= (restrictHours * 60 * 60 * 1000);
-
-      cls.canSignup = !cls.isJoined &&
-                     !cls.fullGroup &&
-                     bookingWindowOpen &&
-                     now < classStartTime &&
-                     (cls.status === 'Scheduled' || cls.status === 'Rescheduled');
-
-      // Check if waitlist has room (totalOnWaitingList < waitlistLimit)
-      const waitlistHasRoom = (cls.totalOnWaitingList || 0) < waitlistLimit;
-      cls.canJoinWaitlist = !cls.isJoined &&
-                           !cls.isWaited &&
-                           cls.fullGroup &&
-                           cls.waitingListEnabled &&
-                           waitlistHasRoom &&
-                           bookingWindowOpen &&
-                           now < classStartTime &&
-                           (cls.status === 'Scheduled' || cls.status === 'Rescheduled');
-    });
+    classes.forEach(cls => applySignupEligibility(cls, now, waitlistLimit));
 
     const joinedCount = classes.filter(c => c.isJoined).length;
     logger.debug(`Classes with isJoined=true: ${joinedCount} out of ${classes.length}`);
@@ -283,28 +300,7 @@ async function enrichClassesWithBookingStatus(sessionCookie, classes, clientId)
 
       cls.isJoined = actuallyEnrolled;
       cls.isWaited = actuallyWaitlisted;
-
-      const classStartTime = new Date(cls.startTime);
-      const restrictHours = cls.restrictToBookInAdvanceHours || 0;
-      const bookingWindowOpen = restrictHours === 0 ||
-        (classStartTime.getTime() - now.getTime()) <= (restrictHours * 60 * 60 * 1000);
-
-      cls.canSignup = !cls.isJoined &&
-                     !cls.fullGroup &&
-                     bookingWindowOpen &&
-                     now < classStartTime &&
-                     (cls.status === 'Scheduled' || cls.status === 'Rescheduled');
-
-      // Check if waitlist has room (totalOnWaitingList < waitlistLimit)
-      const waitlistHasRoom = (cls.totalOnWaitingList || 0) < waitlistLimit;
-      cls.canJoinWaitlist = !cls.isJoined &&
-                           !cls.isWaited &&
-                           cls.fullGroup &&
-                           cls.waitingListEnabled &&
-                           waitlistHasRoom &&
-                           bookingWindowOpen &&
-                           now < classStartTime &&
-                           (cls.status === 'Scheduled' || cls.status === 'Rescheduled');
+      applySignupEligibility(cls, now, waitlistLimit);
     });
 
     const joinedCount = classes.filter(c => c.isJoined).length;
@@ -547,7 +543,13 @@ async function getOccurrenceDetails(sessionCookie, occurrenceId) {
   }
 }
 
-async function signupForClass(sessionCookie, occurrenceId, lockVersion = null, tryWaitlist = true, waitingListEnabled = true) {
+// Actions for a linked family member name them with client_id; without one
+// YMCA books the account holder
+function withClient(payload, clientId) {
+  return clientId ? { ...payload, client_id: clientId } : payload;
+}
+
+async function signupForClass(sessionCookie, occurrenceId, lockVersion = null, tryWaitlist = true, waitingListEnabled = true, clientId = null) {
   try {
     // Try to get lock_version if not provided, but don't fail if we can't get it
     if (lockVersion === null || lockVersion === undefined) {
@@ -566,7 +568,7 @@ async function signupForClass(sessionCookie, occurrenceId, lockVersion = null, t
       logger.debug(`Using provided lock_version: ${lockVersion}`);
     }
     
-    const payload = (lockVersion !== null && lockVersion !== undefined) ? { lock_version: lockVersion } : {};
+    const payload = withClient((lockVersion !== null && lockVersion !== undefined) ? { lock_version: lockVersion } : {}, clientId);
     const response = await withCsrfRefreshRetry(
       sessionCookie,
       'signup',
@@ -622,7 +624,7 @@ async function signupForClass(sessionCookie, occurrenceId, lockVersion = null, t
       if (tryWaitlist && waitingListEnabled) {
         logger.info('Class full, trying waitlist...');
         try {
-          return await joinWaitlist(sessionCookie, occurrenceId, lockVersion);
+          return await joinWaitlist(sessionCookie, occurrenceId, lockVersion, clientId);
         } catch (waitlistError) {
           // If waitlist fails with 404, might mean already enrolled or waitlist disabled
           if (waitlistError.response?.status === 404) {
@@ -644,7 +646,7 @@ async function signupForClass(sessionCookie, occurrenceId, lockVersion = null, t
   }
 }
 
-async function joinWaitlist(sessionCookie, occurrenceId, lockVersion = null) {
+async function joinWaitlist(sessionCookie, occurrenceId, lockVersion = null, clientId = null) {
   try {
     const sendWaitlistRequest = async (payload, forceRefresh = false) => {
       const csrfToken = await getCSRFToken(sessionCookie, { forceRefresh });
@@ -669,9 +671,9 @@ async function joinWaitlist(sessionCookie, occurrenceId, lockVersion = null) {
       );
     };
 
-    const initialPayload = (lockVersion !== null && lockVersion !== undefined)
+    const initialPayload = withClient((lockVersion !== null && lockVersion !== undefined)
       ? { lock_version: lockVersion }
-      : {};
+      : {}, clientId);
 
     // YMCA uses PUT for waitlist, not POST
     const response = await withCsrfRefreshRetry(
@@ -700,7 +702,7 @@ async function joinWaitlist(sessionCookie, occurrenceId, lockVersion = null) {
       if (lockVersion !== null && lockVersion !== undefined) {
         logger.warn('⚠️  Waitlist request rejected with lock_version, retrying without lock_version');
         try {
-          const retryResponse = await sendWaitlistRequest({});
+          const retryResponse = await sendWaitlistRequest(withClient({}, clientId));
           logger.info('✓ Successfully joined waitlist (retry without lock_version)');
           return { ...retryResponse.data, waitlisted: true };
         } catch (retryError) {
@@ -749,6 +751,10 @@ async function getMyBookings(sessionCookie, filters = {}) {
       filterObj.filter.push({ by: 'location_id', with: [filters.locationId] });
     }
 
+    if (filters.clientId) {
+      filterObj.filter.push({ by: 'client_id', with: [filters.clientId] });
+    }
+
     const jsonParam = encodeURIComponent(JSON.stringify(filterObj));
     const url = `${API_BASE_URL}/schedule/occurrences/bookings?json=${jsonParam}`;
     
@@ -763,7 +769,7 @@ async function getMyBookings(sessionCookie, filters = {}) {
   }
 }
 
-async function cancelBooking(sessionCookie, occurrenceId) {
+async function cancelBooking(sessionCookie, occurrenceId, clientId = null) {
   try {
     logger.info(`Attempting to cancel occurrence ${occurrenceId}...`);
     logger.debug(`Session cookie: ${sessionCookie.substring(0, 50)}...`);
@@ -780,7 +786,7 @@ async function cancelBooking(sessionCookie, occurrenceId) {
         }
 
         const formData = new URLSearchParams();
-        formData.append('json', JSON.stringify({}));
+        formData.append('json', JSON.stringify(withClient({}, clientId)));
 
         logger.debug(`Making DELETE request to: ${API_BASE_URL}/schedule/occurrences/${occurrenceId}/cancel`);
 
@@ -828,7 +834,7 @@ async function cancelBooking(sessionCookie, occurrenceId) {
   }
 }
 
-async function leaveWaitlist(sessionCookie, occurrenceId) {
+async function leaveWaitlist(sessionCookie, occurrenceId, clientId = null) {
   try {
     logger.info(`Attempting to leave waitlist for occurrence ${occurrenceId}...`);
 
@@ -843,7 +849,7 @@ async function leaveWaitlist(sessionCookie, occurrenceId) {
         }
 
         const formData = new URLSearchParams();
-        formData.append('json', JSON.stringify({}));
+        formData.append('json', JSON.stringify(withClient({}, clientId)));
 
         logger.debug(`Making DELETE request to: ${API_BASE_URL}/schedule/occurrences/${occurrenceId}/leave`);
 
@@ -1156,33 +1162,51 @@ async function autoBookClass(sessionCookie, profile, options = {}) {
   }
 }
 
+/**
+ * Map a /users/clients/linked entry. The API returns title (full name),
+ * description (email) and image_url; with include_self=true the account
+ * holder comes first.
+ */
+function mapLinkedClient(client, index = 0) {
+  const fullName = (client.title || '').trim();
+  const nameParts = fullName.split(/\s+/);
+
+  return {
+    id: client.id,
+    name: fullName || `Client ${client.id}`,
+    firstName: nameParts[0] || 'User',
+    lastName: nameParts.slice(1).join(' ') || '',
+    email: client.description || '',
+    imageUrl: client.image_url || null,
+    isSelf: index === 0
+  };
+}
+
+// Everyone on the account: the holder first, then linked family members
+async function getLinkedClients(sessionCookie) {
+  const response = await axios.get(`${API_BASE_URL}/users/clients/linked?include_self=true&json=${encodeURIComponent(JSON.stringify({ limit: { start: 0, count: 10 } }))}`, {
+    headers: {
+      'Cookie': sessionCookie,
+      'Accept': '*/*',
+      'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
+      'X-Requested-With': 'XMLHttpRequest'
+    }
+  });
+
+  const clients = response.data?.data || response.data?.clients || [];
+  return clients.map(mapLinkedClient);
+}
+
 async function getUserProfile(sessionCookie) {
   try {
-    const response = await axios.get(`${API_BASE_URL}/users/clients/linked?include_self=true&json=${encodeURIComponent(JSON.stringify({ limit: { start: 0, count: 10 } }))}`, {
-      headers: {
-        'Cookie': sessionCookie,
-        'Accept': '*/*',
-        'User-Agent': 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36',
-        'X-Requested-With': 'XMLHttpRequest'
-      }
-    });
-    
-    const clients = response.data?.data || response.data?.clients || [];
-    if (clients.length > 0) {
-      const user = clients[0];
-      
-      // API returns title (full name), description (email), image_url
-      const fullName = user.title || '';
-      const nameParts = fullName.trim().split(/\s+/);
-      const firstName = nameParts[0] || 'User';
-      const lastName = nameParts.slice(1).join(' ') || '';
-      
+    const [user] = await getLinkedClients(sessionCookie);
+    if (user) {
       return {
         id: user.id,
-        firstName,
-        lastName,
-        email: user.description || '',
-        imageUrl: user.image_url || null
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        imageUrl: user.imageUrl
       };
     }
     
@@ -1209,21 +1233,142 @@ function normalizeTimeString(value) {
   return String(value).trim().slice(0, 5);
 }
 
+function timeStringToMinutes(value) {
+  const [hour, minute] = value.split(':').map(Number);
+  return hour * 60 + minute;
+}
+
+/**
+ * Weekdays a tracked class applies to. Accepts the parsed array from the
+ * database, a raw JSON string, or falls back to the legacy single day_of_week.
+ */
+function getTrackedDays(tracked) {
+  let days = tracked.days_of_week;
+
+  if (typeof days === 'string') {
+    try {
+      days = JSON.parse(days);
+    } catch (error) {
+      days = null;
+    }
+  }
+
+  if (Array.isArray(days) && days.length > 0) {
+    return days;
+  }
+
+  return tracked.day_of_week ? [tracked.day_of_week] : [];
+}
+
+/**
+ * [{ id, name }] list stored on a tracked class: preferred_trainers,
+ * excluded_trainers or the locations set. Accepts the parsed array or raw JSON.
+ */
+function getRefList(value) {
+  let refs = value;
+
+  if (typeof refs === 'string') {
+    try {
+      refs = JSON.parse(refs);
+    } catch (error) {
+      refs = null;
+    }
+  }
+
+  if (!Array.isArray(refs)) {
+    return [];
+  }
+
+  return refs.filter(ref => ref && (ref.id || ref.name));
+}
+
+// Same rule as the single tracked location: a known name wins over the id
+function locationMatchesClass(location, cls) {
+  const locationName = normalizeComparableText(location.name);
+  if (locationName) {
+    return locationName === normalizeComparableText(cls.locationName);
+  }
+
+  return Boolean(location.id && cls.locationId && String(cls.locationId) === String(location.id));
+}
+
+function trainerMatchesClass(trainer, cls) {
+  const trainerName = normalizeComparableText(trainer.name);
+  const classTrainerName = normalizeComparableText(cls.trainerName);
+  const idMatch = trainer.id && cls.trainerId && String(cls.trainerId) === String(trainer.id);
+  const nameMatch = trainerName && classTrainerName && trainerName === classTrainerName;
+
+  return Boolean(idMatch || nameMatch);
+}
+
+function isCategoryRule(tracked) {
+  return tracked.rule_type === 'category';
+}
+
 function buildTrackedMatchDiagnostics(tracked, cls, options = {}) {
   const { ignoreLocation = false } = options;
-  const diagnostics = {
-    serviceId: {
+  const diagnostics = {};
+
+  if (isCategoryRule(tracked)) {
+    const categoryIdMatch = tracked.service_category_id && cls.serviceCategoryId !== undefined && cls.serviceCategoryId !== null &&
+      String(cls.serviceCategoryId) === String(tracked.service_category_id);
+    const trackedCategoryName = normalizeComparableText(tracked.service_category_name);
+    const categoryNameMatch = !tracked.service_category_id && trackedCategoryName &&
+      trackedCategoryName === normalizeComparableText(cls.serviceCategoryName);
+
+    diagnostics.category = {
+      trackedId: tracked.service_category_id,
+      actualId: cls.serviceCategoryId,
+      trackedName: tracked.service_category_name,
+      actualName: cls.serviceCategoryName,
+      matches: Boolean(categoryIdMatch || categoryNameMatch)
+    };
+
+    if (!diagnostics.category.matches) {
+      return diagnostics;
+    }
+
+    const keyword = normalizeComparableText(tracked.name_keyword);
+    if (keyword) {
+      diagnostics.keyword = {
+        tracked: tracked.name_keyword,
+        actual: cls.serviceName,
+        matches: (normalizeComparableText(cls.serviceName) || '').includes(keyword)
+      };
+
+      if (!diagnostics.keyword.matches) {
+        return diagnostics;
+      }
+    }
+  } else {
+    diagnostics.serviceId = {
       tracked: tracked.service_id,
       actual: cls.serviceId,
       matches: String(cls.serviceId) === String(tracked.service_id)
-    }
-  };
+    };
 
-  if (!diagnostics.serviceId.matches) {
-    return diagnostics;
+    if (!diagnostics.serviceId.matches) {
+      return diagnostics;
+    }
   }
 
-  if (tracked.location_id || tracked.location_name) {
+  const locationSet = getRefList(tracked.locations);
+
+  if (locationSet.length > 0) {
+    const matchedLocation = locationSet.find(location => locationMatchesClass(location, cls));
+
+    diagnostics.location = {
+      trackedSet: locationSet,
+      actualId: cls.locationId,
+      actualName: cls.locationName,
+      matchedLocation: matchedLocation || null,
+      matches: Boolean(matchedLocation)
+    };
+
+    if (!diagnostics.location.matches && !ignoreLocation) {
+      return diagnostics;
+    }
+  } else if (tracked.location_id || tracked.location_name) {
     const trackedLocationName = normalizeComparableText(tracked.location_name);
     const classLocationName = normalizeComparableText(cls.locationName);
     const locationNameMatch = trackedLocationName && classLocationName &&
@@ -1246,31 +1391,70 @@ function buildTrackedMatchDiagnostics(tracked, cls, options = {}) {
   }
 
   const classDate = new Date(cls.startTime);
+
+  // Optional active date range, in New York calendar days
+  if (tracked.active_from || tracked.active_until) {
+    const classDay = classDate.toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+    diagnostics.activeDates = {
+      from: tracked.active_from || null,
+      until: tracked.active_until || null,
+      actual: classDay,
+      matches: (!tracked.active_from || classDay >= tracked.active_from) &&
+        (!tracked.active_until || classDay <= tracked.active_until)
+    };
+
+    if (!diagnostics.activeDates.matches) {
+      return diagnostics;
+    }
+  }
+
   const classDayOfWeek = classDate.toLocaleDateString('en-US', { weekday: 'long', timeZone: 'America/New_York' });
+  const trackedDays = getTrackedDays(tracked);
   diagnostics.dayOfWeek = {
-    tracked: tracked.day_of_week,
+    tracked: trackedDays,
     actual: classDayOfWeek,
-    matches: classDayOfWeek === tracked.day_of_week
+    matches: trackedDays.includes(classDayOfWeek)
   };
 
   if (!diagnostics.dayOfWeek.matches) {
     return diagnostics;
   }
 
-  if (tracked.match_trainer === 1) {
-    const trackedTrainerName = normalizeComparableText(tracked.trainer_name);
-    const classTrainerName = normalizeComparableText(cls.trainerName);
-    const trainerIdMatch = tracked.trainer_id && cls.trainerId &&
-      String(cls.trainerId) === String(tracked.trainer_id);
-    const trainerNameMatch = trackedTrainerName && classTrainerName &&
-      trackedTrainerName === classTrainerName;
+  if (tracked.recurrence) {
+    diagnostics.recurrence = {
+      rule: recurrenceService.describeRecurrence(tracked.recurrence),
+      actual: classDate.toLocaleDateString('en-CA', { timeZone: 'America/New_York' }),
+      matches: recurrenceService.matchesRecurrence(tracked.recurrence, cls.startTime)
+    };
+
+    if (!diagnostics.recurrence.matches) {
+      return diagnostics;
+    }
+  }
+
+  const preferredTrainers = getRefList(tracked.preferred_trainers);
+  const excludedTrainers = getRefList(tracked.excluded_trainers);
+  // Without an explicit list, match_trainer means "only the tracked instructor"
+  const allowedTrainers = preferredTrainers.length > 0
+    ? preferredTrainers
+    : tracked.match_trainer === 1
+      ? [{ id: tracked.trainer_id ?? null, name: tracked.trainer_name ?? null }]
+      : [];
+
+  if (allowedTrainers.length > 0 || excludedTrainers.length > 0) {
+    const excludedMatch = excludedTrainers.find(trainer => trainerMatchesClass(trainer, cls));
+    const allowedMatch = allowedTrainers.find(trainer => trainerMatchesClass(trainer, cls));
 
     diagnostics.trainer = {
       trackedId: tracked.trainer_id,
       actualId: cls.trainerId,
       trackedName: tracked.trainer_name,
       actualName: cls.trainerName,
-      matches: Boolean(trainerIdMatch || trainerNameMatch)
+      preferred: preferredTrainers,
+      excluded: excludedTrainers,
+      matchedList: excludedMatch ? 'excluded' : allowedMatch && preferredTrainers.length > 0 ? 'preferred' : null,
+      matchedTrainer: excludedMatch || allowedMatch || null,
+      matches: !excludedMatch && (allowedTrainers.length === 0 || Boolean(allowedMatch))
     };
 
     if (!diagnostics.trainer.matches) {
@@ -1287,6 +1471,25 @@ function buildTrackedMatchDiagnostics(tracked, cls, options = {}) {
     })
   );
   const trackedTime = normalizeTimeString(tracked.start_time);
+  const rangeStart = normalizeTimeString(tracked.time_range_start);
+  const rangeEnd = normalizeTimeString(tracked.time_range_end);
+
+  // A start-time window, when set, replaces exact/tolerance matching
+  if (rangeStart || rangeEnd) {
+    const classMinutes = timeStringToMinutes(classTime);
+    const afterStart = !rangeStart || classMinutes >= timeStringToMinutes(rangeStart);
+    const beforeEnd = !rangeEnd || classMinutes <= timeStringToMinutes(rangeEnd);
+
+    diagnostics.time = {
+      mode: 'range',
+      rangeStart,
+      rangeEnd,
+      actual: classTime,
+      matches: Boolean(classTime) && afterStart && beforeEnd
+    };
+
+    return diagnostics;
+  }
 
   if (tracked.match_exact_time === 1) {
     diagnostics.time = {
@@ -1300,11 +1503,7 @@ function buildTrackedMatchDiagnostics(tracked, cls, options = {}) {
   }
 
   if (tracked.time_tolerance !== undefined && tracked.time_tolerance !== null && trackedTime && classTime) {
-    const [targetHour, targetMin] = trackedTime.split(':').map(Number);
-    const targetMinutes = targetHour * 60 + targetMin;
-    const [classHour, classMin] = classTime.split(':').map(Number);
-    const classMinutes = classHour * 60 + classMin;
-    const diff = Math.abs(classMinutes - targetMinutes);
+    const diff = Math.abs(timeStringToMinutes(classTime) - timeStringToMinutes(trackedTime));
 
     diagnostics.time = {
       mode: 'tolerance',
@@ -1334,6 +1533,8 @@ function matchTrackedClassToOccurrences(tracked, occurrences) {
   return matching;
 }
 
+// Only the class name and location are refreshed. A different instructor on
+// the schedule may be a substitute, which the rule's substitute policy handles
 function buildTrackedClassRefreshUpdates(tracked, cls) {
   const updates = {};
 
@@ -1355,22 +1556,6 @@ function buildTrackedClassRefreshUpdates(tracked, cls) {
     updates.location_id = classLocationId;
   }
 
-  if (tracked.match_trainer === 1) {
-    if (cls.trainerName && normalizeComparableText(cls.trainerName) !== normalizeComparableText(tracked.trainer_name)) {
-      updates.trainer_name = cls.trainerName;
-    }
-
-    const trackedTrainerId = tracked.trainer_id === null || tracked.trainer_id === undefined
-      ? null
-      : String(tracked.trainer_id);
-    const classTrainerId = cls.trainerId === null || cls.trainerId === undefined
-      ? null
-      : String(cls.trainerId);
-    if (trackedTrainerId !== classTrainerId) {
-      updates.trainer_id = classTrainerId;
-    }
-  }
-
   return updates;
 }
 
@@ -1393,9 +1578,7 @@ function planTrackedClassAutoRefresh(tracked, occurrences) {
     const refreshSignature = JSON.stringify({
       service_name: updates.service_name ?? tracked.service_name ?? null,
       location_id: updates.location_id ?? tracked.location_id ?? null,
-      location_name: updates.location_name ?? tracked.location_name ?? null,
-      trainer_id: updates.trainer_id ?? tracked.trainer_id ?? null,
-      trainer_name: updates.trainer_name ?? tracked.trainer_name ?? null
+      location_name: updates.location_name ?? tracked.location_name ?? null
     });
 
     if (!refreshPlans.has(refreshSignature)) {
@@ -1442,6 +1625,8 @@ function normalizeBookingOccurrence(booking, appConfig = config.getConfig()) {
     id: booking.id,
     serviceId: booking.service_id || booking.service?.id,
     serviceName: booking.service_title || booking.service?.name,
+    serviceCategoryId: booking.service_category_id,
+    serviceCategoryName: booking.service_category_name,
     trainerId: booking.trainer_id || booking.trainer?.id,
     trainerName: booking.trainer_name || booking.trainer?.name,
     locationId: booking.location_id || booking.location?.id,
@@ -1483,6 +1668,9 @@ module.exports = {
   enrichClassesWithBookingStatus,
   getUserClientId,
   getUserProfile,
+  getLinkedClients,
+  mapLinkedClient,
+  applyClientBookingStatus,
   getCSRFToken,
   getOccurrenceDetails,
   signupForClass,
@@ -1498,6 +1686,7 @@ module.exports = {
   autoBookClass,
   matchTrackedClassToOccurrences,
   buildTrackedMatchDiagnostics,
+  getTrackedDays,
   planTrackedClassAutoRefresh,
   normalizeBookingOccurrence,
   fingerprintSessionCookie,
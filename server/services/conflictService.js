@@ -0,0 +1,102 @@
+const classService = require('./classService');
+
+const CONFLICT_POLICIES = ['skip', 'priority', 'allow'];
+// Tracked class priorities: 0 low, 1 normal, 2 high
+const TRACKED_PRIORITIES = [0, 1, 2];
+const DEFAULT_TRAVEL_BUFFER_MINUTES = 15;
+// Occurrences without a duration or end time are assumed to run this long
+const DEFAULT_CLASS_MINUTES = 60;
+const MINUTE_MS = 60 * 1000;
+
+function normalizeConflictPolicy(policy) {
+  return CONFLICT_POLICIES.includes(policy) ? policy : 'skip';
+}
+
+function normalizeTravelBufferMinutes(minutes) {
+  const value = Number(minutes);
+  return Number.isInteger(value) && value >= 0 && value <= 180 ? value : DEFAULT_TRAVEL_BUFFER_MINUTES;
+}
+
+function normalizeConflictSettings(conflicts = {}) {
+  return {
+    policy: normalizeConflictPolicy(conflicts?.policy),
+    travelBufferMinutes: normalizeTravelBufferMinutes(conflicts?.travelBufferMinutes)
+  };
+}
+
+function getOccurrenceSpan(occurrence) {
+  const start = new Date(occurrence.startTime).getTime();
+  const end = occurrence.endTime
+    ? new Date(occurrence.endTime).getTime()
+    : start + (occurrence.duration || DEFAULT_CLASS_MINUTES) * MINUTE_MS;
+  return { start, end };
+}
+
+// Ids win when both sides have one; names are the fallback, as in matching
+function isSameLocation(a, b) {
+  if (a.locationId && b.locationId) {
+    return String(a.locationId) === String(b.locationId);
+  }
+  return String(a.locationName || '').trim().toLowerCase() === String(b.locationName || '').trim().toLowerCase();
+}
+
+/**
+ * Occurrences in `others` that clash with `occurrence`: they overlap in time,
+ * or, at a different location, leave less than the travel buffer between the
+ * end of one and the start of the other.
+ *
+ * @returns {Array<{occurrence, overlaps: boolean}>}
+ */
+function findConflicts(occurrence, others, { travelBufferMinutes = DEFAULT_TRAVEL_BUFFER_MINUTES } = {}) {
+  const span = getOccurrenceSpan(occurrence);
+
+  return others
+    .filter(other => String(other.id) !== String(occurrence.id))
+    .map((other) => {
+      const otherSpan = getOccurrenceSpan(other);
+      const bufferMs = isSameLocation(occurrence, other) ? 0 : travelBufferMinutes * MINUTE_MS;
+      const overlaps = span.start < otherSpan.end && otherSpan.start < span.end;
+      const tooClose = span.start < otherSpan.end + bufferMs && otherSpan.start < span.end + bufferMs;
+      return tooClose ? { occurrence: other, overlaps } : null;
+    })
+    .filter(Boolean);
+}
+
+function formatClassTime(occurrence) {
+  return new Date(occurrence.startTime).toLocaleTimeString('en-US', {
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'America/New_York'
+  });
+}
+
+function describeConflict(conflict, { travelBufferMinutes = DEFAULT_TRAVEL_BUFFER_MINUTES } = {}) {
+  const other = conflict.occurrence;
+  const label = `${other.serviceName} at ${other.locationName} (${formatClassTime(other)})`;
+  return conflict.overlaps
+    ? `Overlaps ${label}`
+    : `Less than ${travelBufferMinutes} min to travel to or from ${label}`;
+}
+
+// Tracked class an occurrence was booked for, judged on every matching rule
+function findTrackedClassForOccurrence(trackedClasses, occurrence) {
+  return trackedClasses.find((tracked) => {
+    const diagnostics = classService.buildTrackedMatchDiagnostics(tracked, occurrence);
+    return Object.values(diagnostics).every(detail => detail.matches !== false);
+  }) || null;
+}
+
+function getTrackedPriority(tracked) {
+  return TRACKED_PRIORITIES.includes(tracked?.priority) ? tracked.priority : 1;
+}
+
+module.exports = {
+  CONFLICT_POLICIES,
+  TRACKED_PRIORITIES,
+  DEFAULT_TRAVEL_BUFFER_MINUTES,
+  normalizeConflictSettings,
+  findConflicts,
+  describeConflict,
+  findTrackedClassForOccurrence,
+  getTrackedPriority
+};
@@ -0,0 +1,36 @@
+// Classes, quotas and blackouts all count days on the YMCA's calendar, so
+// every day and week key is a New York date in YYYY-MM-DD form
+const TIME_ZONE = 'America/New_York';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function isValidDate(value) {
+  if (typeof value !== 'string' || !DATE_PATTERN.test(value)) {
+    return false;
+  }
+  const date = new Date(`${value}T00:00:00Z`);
+  return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function getDayKey(startTime) {
+  return new Date(startTime).toLocaleDateString('en-CA', { timeZone: TIME_ZONE });
+}
+
+// Midnight UTC on the Monday of the week containing a YYYY-MM-DD day
+function getWeekStart(dayKey) {
+  const day = new Date(`${dayKey}T00:00:00Z`);
+  const daysSinceMonday = (day.getUTCDay() + 6) % 7;
+  return day.getTime() - daysSinceMonday * DAY_MS;
+}
+
+// Weeks run Monday to Sunday and are keyed by their Monday
+function getWeekKey(startTime) {
+  return new Date(getWeekStart(getDayKey(startTime))).toISOString().slice(0, 10);
+}
+
+module.exports = {
+  isValidDate,
+  getDayKey,
+  getWeekStart,
+  getWeekKey
+};
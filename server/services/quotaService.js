@@ -0,0 +1,78 @@
+const { getDayKey, getWeekKey } = require('./dayKeyService');
+
+// 0 means no limit
+const MAX_QUOTA_LIMIT = 50;
+
+function normalizeQuotaLimit(limit) {
+  const value = Number(limit);
+  return Number.isInteger(value) && value >= 0 && value <= MAX_QUOTA_LIMIT ? value : 0;
+}
+
+function normalizeQuotaSettings(quotas = {}) {
+  return {
+    perDay: normalizeQuotaLimit(quotas?.perDay),
+    perWeek: normalizeQuotaLimit(quotas?.perWeek),
+    perCategoryPerWeek: normalizeQuotaLimit(quotas?.perCategoryPerWeek)
+  };
+}
+
+function hasQuotas(settings) {
+  return settings.perDay > 0 || settings.perWeek > 0 || settings.perCategoryPerWeek > 0;
+}
+
+function getCategoryKey(occurrence) {
+  if (occurrence.serviceCategoryId !== undefined && occurrence.serviceCategoryId !== null && occurrence.serviceCategoryId !== '') {
+    return `id:${occurrence.serviceCategoryId}`;
+  }
+  const name = String(occurrence.serviceCategoryName || '').trim().toLowerCase();
+  return name ? `name:${name}` : null;
+}
+
+/**
+ * Check whether booking `occurrence` would go over a quota. `booked` holds
+ * the classes already booked; `reserved` counts slots held back for
+ * higher-priority tracked classes whose booking windows haven't opened yet.
+ *
+ * @returns {string|null} Why the booking is over quota, or null if it fits
+ */
+function findQuotaBreach(occurrence, booked, settings, reserved = {}) {
+  const others = booked.filter(other => String(other.id) !== String(occurrence.id));
+  const dayKey = getDayKey(occurrence.startTime);
+  const weekKey = getWeekKey(occurrence.startTime);
+  const categoryKey = getCategoryKey(occurrence);
+  const heldBack = count => (count > 0 ? `, ${count} held for higher-priority classes` : '');
+
+  if (settings.perDay > 0) {
+    const used = others.filter(other => getDayKey(other.startTime) === dayKey).length;
+    if (used + (reserved.day || 0) >= settings.perDay) {
+      return `Daily limit of ${settings.perDay} reached on ${dayKey} (${used} booked${heldBack(reserved.day)})`;
+    }
+  }
+
+  if (settings.perWeek > 0) {
+    const used = others.filter(other => getWeekKey(other.startTime) === weekKey).length;
+    if (used + (reserved.week || 0) >= settings.perWeek) {
+      return `Weekly limit of ${settings.perWeek} reached for the week of ${weekKey} (${used} booked${heldBack(reserved.week)})`;
+    }
+  }
+
+  if (settings.perCategoryPerWeek > 0 && categoryKey) {
+    const used = others.filter(other =>
+      getWeekKey(other.startTime) === weekKey && getCategoryKey(other) === categoryKey
+    ).length;
+    if (used + (reserved.category || 0) >= settings.perCategoryPerWeek) {
+      const category = occurrence.serviceCategoryName || 'this category';
+      return `Weekly limit of ${settings.perCategoryPerWeek} ${category} classes reached for the week of ${weekKey} (${used} booked${heldBack(reserved.category)})`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  MAX_QUOTA_LIMIT,
+  normalizeQuotaSettings,
+  hasQuotas,
+  getCategoryKey,
+  findQuotaBreach
+};
@@ -0,0 +1,107 @@
+const dayKeyService = require('./dayKeyService');
+
+// Recurrence narrows a tracked class's weekdays, RRULE-style:
+//   { frequency: 'weekly', interval: 2, anchorDate: 'YYYY-MM-DD' } - every
+//     other week, counting from the week containing anchorDate
+//   { frequency: 'monthly', weeksOfMonth: [1, -1] } - the first and last of
+//     each selected weekday in the month
+// A rule without one matches every week.
+const RECURRENCE_FREQUENCIES = ['weekly', 'monthly'];
+const MAX_WEEK_INTERVAL = 8;
+const WEEKS_OF_MONTH = [1, 2, 3, 4, 5, -1];
+const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+const ORDINALS = { 1: '1st', 2: '2nd', 3: '3rd', 4: '4th', 5: '5th', '-1': 'last' };
+
+/**
+ * Validate a recurrence from a request. Every-week rules (no recurrence, or
+ * weekly with interval 1) come back as null.
+ *
+ * @returns {{recurrence: Object|null}|{error: string}}
+ */
+function normalizeRecurrence(value) {
+  if (value === undefined || value === null || value === '') {
+    return { recurrence: null };
+  }
+
+  if (typeof value !== 'object' || !RECURRENCE_FREQUENCIES.includes(value.frequency)) {
+    return { error: `recurrence.frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}` };
+  }
+
+  if (value.frequency === 'weekly') {
+    const interval = Number(value.interval);
+    if (!Number.isInteger(interval) || interval < 1 || interval > MAX_WEEK_INTERVAL) {
+      return { error: `recurrence.interval must be a whole number of weeks from 1 to ${MAX_WEEK_INTERVAL}` };
+    }
+    if (interval === 1) {
+      return { recurrence: null };
+    }
+    if (!dayKeyService.isValidDate(value.anchorDate)) {
+      return { error: 'recurrence.anchorDate must be a YYYY-MM-DD date in a week the class runs' };
+    }
+    return { recurrence: { frequency: 'weekly', interval, anchorDate: value.anchorDate } };
+  }
+
+  const weeks = Array.isArray(value.weeksOfMonth) ? value.weeksOfMonth.map(Number) : [];
+  if (weeks.length === 0 || weeks.some(week => !WEEKS_OF_MONTH.includes(week))) {
+    return { error: `recurrence.weeksOfMonth must list weeks from ${WEEKS_OF_MONTH.join(', ')} (-1 is the last)` };
+  }
+  return {
+    recurrence: {
+      frequency: 'monthly',
+      weeksOfMonth: WEEKS_OF_MONTH.filter(week => weeks.includes(week))
+    }
+  };
+}
+
+/**
+ * Whether a class starting at `startTime` falls on a week the recurrence
+ * includes. Days are New York calendar days; the weekday itself is matched
+ * separately by the tracked class's days_of_week.
+ */
+function matchesRecurrence(recurrence, startTime) {
+  if (!recurrence) {
+    return true;
+  }
+
+  const dayKey = dayKeyService.getDayKey(startTime);
+
+  if (recurrence.frequency === 'weekly') {
+    const weeks = Math.round((dayKeyService.getWeekStart(dayKey) - dayKeyService.getWeekStart(recurrence.anchorDate)) / WEEK_MS);
+    return ((weeks % recurrence.interval) + recurrence.interval) % recurrence.interval === 0;
+  }
+
+  if (recurrence.frequency === 'monthly') {
+    const [year, month, dayOfMonth] = dayKey.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const weekOfMonth = Math.ceil(dayOfMonth / 7);
+    return recurrence.weeksOfMonth.some(week =>
+      week === -1 ? dayOfMonth + 7 > daysInMonth : week === weekOfMonth
+    );
+  }
+
+  return true;
+}
+
+function describeRecurrence(recurrence) {
+  if (!recurrence) {
+    return 'Every week';
+  }
+  if (recurrence.frequency === 'weekly') {
+    const every = recurrence.interval === 2 ? 'Every other week' : `Every ${recurrence.interval} weeks`;
+    return `${every} from the week of ${recurrence.anchorDate}`;
+  }
+  const weeks = recurrence.weeksOfMonth.map(week => ORDINALS[week]);
+  const list = weeks.length > 1
+    ? `${weeks.slice(0, -1).join(', ')} and ${weeks[weeks.length - 1]}`
+    : weeks[0];
+  return `The ${list} of the month`;
+}
+
+module.exports = {
+  RECURRENCE_FREQUENCIES,
+  MAX_WEEK_INTERVAL,
+  WEEKS_OF_MONTH,
+  normalizeRecurrence,
+  matchesRecurrence,
+  describeRecurrence
+};
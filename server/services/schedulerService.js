@@ -2,10 +2,57 @@ const logger = require('../logger');
 const classService = require('./classService');
 const db = require('../database');
 const { maybeAutoRefreshTrackedClass } = require('./trackedClassAutoRefreshService');
+const conflictService = require('./conflictService');
+const quotaService = require('./quotaService');
+const blackoutService = require('./blackoutService');
+const busyCalendarService = require('./busyCalendarService');
+const lifecycleService = require('./trackedClassLifecycleService');
+const recurrenceService = require('./recurrenceService');
+const dayKeyService = require('./dayKeyService');
 
-let cachedClasses = [];
-let lastFetchTime = null;
+// Fetched schedules carry each account's own joined/waitlisted flags, so
+// every account keeps its own copy: account id -> { classes, fetchedAt }
+const classCache = new Map();
 const CACHE_DURATION_MS = 10 * 60 * 1000;
+const DEFAULT_CHECK_INTERVAL_MINUTES = 5;
+const MIN_FETCH_LOOKAHEAD_MINUTES = 15;
+
+/**
+ * Build the node-cron expression for the configured check interval.
+ * Intervals that don't divide an hour evenly still restart at the top of the
+ * hour (e.g. every 7 minutes runs at :00, :07, ... :56, :00).
+ */
+function buildCronExpression(checkIntervalMinutes) {
+  const interval = normalizeCheckInterval(checkIntervalMinutes);
+  if (interval >= 60) {
+    return '0 * * * *';
+  }
+  return `*/${interval} * * * *`;
+}
+
+/**
+ * Next time the cron from buildCronExpression fires after `from`, plus the
+ * random offset the runner waits before each check.
+ */
+function getNextRunTime(checkIntervalMinutes, from = new Date(), offsetSeconds = 0) {
+  const interval = normalizeCheckInterval(checkIntervalMinutes);
+  const next = new Date(from);
+  next.setSeconds(0, 0);
+
+  do {
+    next.setMinutes(next.getMinutes() + 1);
+  } while (next.getMinutes() % interval !== 0);
+
+  return new Date(next.getTime() + offsetSeconds * 1000);
+}
+
+function normalizeCheckInterval(checkIntervalMinutes) {
+  const interval = Number.parseInt(checkIntervalMinutes, 10);
+  if (!Number.isFinite(interval) || interval < 1) {
+    return DEFAULT_CHECK_INTERVAL_MINUTES;
+  }
+  return Math.min(interval, 60);
+}
 
 /**
  * Fetch fresh lock_version for a specific class right before signup.
@@ -45,7 +92,7 @@ async function getFreshLockVersion(sessionCookie, classToSignup) {
 /**
  * Check for classes that need signup and attempt to book them.
  * This function implements a retry mechanism: any class within its booking window
- * will be retried on every scheduler run (every 5 minutes) until either:
+ * will be retried on every scheduler run (every `checkIntervalMinutes`) until either:
  * 1. Signup succeeds, or
  * 2. The class time passes
  * 
@@ -53,37 +100,147 @@ async function getFreshLockVersion(sessionCookie, classToSignup) {
  * the class will still be booked once the computer wakes up and the scheduler runs.
  * 
  * WAITLIST MONITORING: If a class is full and the waitlist is also full, the app
- * will continuously retry every 5 minutes until either:
+ * will continuously retry on every scheduler run until either:
  * - A spot opens on the waitlist and signup succeeds
  * - The class time passes
  * This handles scenarios where classes are added early or within the signup window.
  * 
  * OPTIMIZATION: Only fetches from API when necessary:
- * - When a booking window is approaching within 15 minutes
+ * - When a booking window is approaching within the fetch lookahead (15 minutes,
+ *   or longer for check intervals that would otherwise skip past the window)
  * - When cache is stale (>10 minutes old)
  * - When we're in an active booking window and need fresh data
+ *
+ * PRECISION TIMERS: When a matching class's window has not opened yet, the
+ * optional `onUpcomingWindow` callback receives `{ tracked, occurrence, signupTime }`
+ * so a dedicated timer can fire the signup at the exact second. This run then
+ * only acts as a safety net for windows the timer missed.
+ *
+ * Returns a run summary (fetch mode, classes evaluated, one decision per
+ * tracked class/occurrence, next booking window) for the run history.
+ *
+ * FALLBACK CHAINS: Tracked classes in a fallback chain are evaluated in chain
+ * order. A later class is only booked on a day when every class ahead of it
+ * is unavailable (full, waitlisted or cancelled), never while one is booked or
+ * still waiting for its window. With the chain's `leave_waitlist` set, booking
+ * a fallback also leaves the waitlists of the classes it replaced; otherwise,
+ * with `upgrade_waitlist` set, each kept waitlist is linked to the fallback so
+ * the waitlist upgrade check can cancel the fallback if the waitlist clears.
+ *
+ * CONFLICTS: Before booking, the occurrence is checked against classes already
+ * booked (and booked earlier in this run) for overlaps or too little travel
+ * time between locations. `conflicts.policy` decides: 'skip' records a
+ * `conflict` decision, 'priority' books over lower-priority tracked classes
+ * and cancels them once the new booking succeeds, 'allow' books regardless.
+ *
+ * BLACKOUTS: Classes on a day covered by a global blackout period, or one set
+ * on their tracked class, get a `blackout` decision and are never booked or
+ * armed; in a fallback chain the next class may book in their place.
+ *
+ * BUSY TIME: With a `getBusyEvents` loader, classes that overlap an event on
+ * the user's own calendars get a `busy` decision and are skipped like
+ * blacked-out days. A loader that fails skips the check, not the booking.
+ *
+ * RECURRENCE: A tracked class's `recurrence` (every N weeks, or chosen weeks
+ * of the month) is part of matching, so skipped weeks never match, and
+ * getNextOccurrence estimates only the weeks it includes.
+ *
+ * DATE RANGES AND LIMITS: Classes outside a tracked class's `active_from` /
+ * `active_until` days never match it. A tracked class limited to the next
+ * `max_bookings` occurrences claims one per class waiting for its window or
+ * booked, gives the rest a `limit_reached` decision, and counts each booking
+ * it makes. Rules whose range has ended or whose limit is used up are
+ * archived (auto-signup off) at the start of each run.
+ *
+ * QUOTAS: `quotas` caps bookings per day, per week and per category per week,
+ * counted from current bookings. Tracked classes are tried in priority order,
+ * and slots are held back for higher-priority tracked classes whose booking
+ * windows open later in the same day or week; a booking over quota records a
+ * `quota` decision.
+ *
+ * ACCOUNTS: With `accountId`, only that YMCA account's tracked classes and
+ * signup logs are considered, and everything logged is recorded against it;
+ * `sessionCookie` must be that account's session.
+ *
+ * DRY RUN: With `dryRun: true` the same decision path is walked but nothing is
+ * booked, logged, armed or auto-refreshed; occurrences that would be booked get
+ * a `would_attempt` decision instead. `trackedClassIds` limits the run to those
+ * tracked classes (auto-signup need not be enabled), and `forceFetch` bypasses
+ * the fetch optimization so an on-demand run always sees fresh data.
  */
-async function checkAndSignup(sessionCookie) {
+async function checkAndSignup(sessionCookie, options = {}) {
+  const {
+    onUpcomingWindow = null,
+    dryRun = false,
+    trackedClassIds = null,
+    forceFetch = false,
+    accountId = null
+  } = options;
+  const run = {
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    fetchMode: 'skipped',
+    classesFetched: 0,
+    classesEvaluated: 0,
+    decisions: [],
+    nextBookingWindow: null
+  };
+
+  const recordDecision = (tracked, occurrence, decision, detail, signupTime = null) => {
+    run.decisions.push({
+      trackedClassId: tracked.id ?? null,
+      serviceName: occurrence?.serviceName || tracked.service_name,
+      occurrenceId: occurrence?.id ?? null,
+      classTime: occurrence?.startTime ?? null,
+      signupTime: signupTime ? signupTime.toISOString() : null,
+      decision,
+      detail
+    });
+  };
+
+  const noteBookingWindow = (tracked, signupTime, estimated) => {
+    if (!run.nextBookingWindow || signupTime < new Date(run.nextBookingWindow.signupTime)) {
+      run.nextBookingWindow = {
+        trackedClassId: tracked.id ?? null,
+        serviceName: tracked.service_name,
+        signupTime: signupTime.toISOString(),
+        estimated
+      };
+    }
+  };
+
+  const finishRun = () => {
+    run.finishedAt = new Date().toISOString();
+    return run;
+  };
+  const checkIntervalMinutes = normalizeCheckInterval(options.checkIntervalMinutes);
+  // The next run must still land before the window opens, so look at least one
+  // full interval ahead.
+  const fetchLookaheadMinutes = Math.max(MIN_FETCH_LOOKAHEAD_MINUTES, checkIntervalMinutes + 10);
+
   try {
-    const trackedClasses = await db.getAllTrackedClasses();
-    const autoSignupClasses = trackedClasses.filter(c => c.auto_signup);
+    const now = new Date();
+    const trackedClasses = await archiveFinishedTrackedClasses(await db.getAllTrackedClasses({ accountId }), now, { dryRun });
+    const autoSignupClasses = trackedClassIds
+      ? trackedClasses.filter(c => !c.archived_at && trackedClassIds.some(id => String(id) === String(c.id)))
+      : trackedClasses.filter(c => c.auto_signup);
 
     if (autoSignupClasses.length === 0) {
       logger.debug('No auto-signup classes tracked. Skipping scheduler run.');
-      return;
+      return finishRun();
     }
 
-    const now = new Date();
     
-    // Calculate if we need to fetch: check if any booking window is within 15 minutes
+    // Calculate if we need to fetch: check if any booking window is within the lookahead
     let needsFetch = false;
     let inActiveBookingWindow = false;
     
     for (const tracked of autoSignupClasses) {
-      const logs = await db.getSignupLogs(1000);
-      const successfulSignup = logs.find(log => 
+      const logs = await db.getSignupLogs(1000, { accountId });
+      const successfulSignup = tracked.service_id && logs.find(log => 
         log.occurrence_id && String(log.occurrence_id).includes(tracked.service_id) &&
-        log.status === 'success'
+        log.status === 'success' && isClientLog(log, tracked.client_id)
       );
       
       if (successfulSignup) continue;
@@ -97,9 +254,13 @@ async function checkAndSignup(sessionCookie) {
         const signupWindowHours = Math.min(userPreferredHours, 48); // Conservative estimate
         const hoursUntilWindow = hoursUntilClass - signupWindowHours;
         const minutesUntilWindow = hoursUntilWindow * 60;
+
+        if (hoursUntilWindow > 0) {
+          noteBookingWindow(tracked, new Date(now.getTime() + hoursUntilWindow * 60 * 60 * 1000), true);
+        }
         
-        // Check if we're within 15 minutes of a booking window or already in it
-        if (minutesUntilWindow <= 15) {
+        // Check if we're within the lookahead of a booking window or already in it
+        if (minutesUntilWindow <= fetchLookaheadMinutes) {
           needsFetch = true;
           if (hoursUntilWindow <= 0) {
             inActiveBookingWindow = true;
@@ -109,12 +270,13 @@ async function checkAndSignup(sessionCookie) {
     }
     
     // Check cache validity
-    const cacheAge = lastFetchTime ? (now.getTime() - lastFetchTime.getTime()) : Infinity;
+    const cached = classCache.get(accountId);
+    const cacheAge = cached ? (now.getTime() - cached.fetchedAt.getTime()) : Infinity;
     const cacheStale = cacheAge > CACHE_DURATION_MS;
     
-    if (!needsFetch && !cacheStale) {
-      logger.debug(`Scheduler: No booking windows approaching. Skipping API fetch. Next check in 5 minutes.`);
-      return;
+    if (!needsFetch && !cacheStale && !forceFetch) {
+      logger.debug(`Scheduler: No booking windows approaching. Skipping API fetch. Next check in ${checkIntervalMinutes} minutes.`);
+      return finishRun();
     }
     
     if (cacheStale && needsFetch) {
@@ -133,16 +295,22 @@ async function checkAndSignup(sessionCookie) {
     let fetchEndDate = null;
     
     // Only fetch if cache is stale or we're in/near a booking window
-    if (cacheStale || inActiveBookingWindow) {
+    if (cacheStale || inActiveBookingWindow || forceFetch) {
       const endDate = new Date();
       endDate.setDate(endDate.getDate() + 7);
       fetchEndDate = endDate.toISOString();
       
       // OPTIMIZATION: Extract unique service IDs and trainer IDs from tracked classes
       // This dramatically reduces API payload by only fetching relevant classes
-      const serviceIds = [...new Set(autoSignupClasses.map(c => c.service_id).filter(Boolean))];
+      // Category rules can match any service, so they need the unfiltered schedule
+      const hasCategoryRule = autoSignupClasses.some(c => c.rule_type === 'category');
+      const serviceIds = hasCategoryRule
+        ? []
+        : [...new Set(autoSignupClasses.map(c => c.service_id).filter(Boolean))];
 
-      logger.debug(`Fetching classes for ${serviceIds.length} services (trainer matching stays local)`);
+      logger.debug(hasCategoryRule
+        ? 'Fetching all services for category rules (matching stays local)'
+        : `Fetching classes for ${serviceIds.length} services (trainer matching stays local)`);
 
       // Skip enrollment verification during regular checks - only verify when actually attempting signup
       allClasses = await classService.fetchClasses(sessionCookie, {
@@ -152,17 +320,175 @@ async function checkAndSignup(sessionCookie) {
         verifyBookings: false // Skip expensive enrollment verification call
       });
       
-      cachedClasses = allClasses;
-      lastFetchTime = now;
+      classCache.set(accountId, { classes: allClasses, fetchedAt: now });
+      run.fetchMode = 'fetched';
       logger.info(`✅ Optimized fetch: Retrieved ${allClasses.length} classes (filtered by ${serviceIds.length} services)`);
     } else {
-      allClasses = cachedClasses;
+      allClasses = cached.classes;
+      run.fetchMode = 'cached';
       logger.debug(`Using ${allClasses.length} cached classes`);
     }
+    run.classesFetched = allClasses.length;
 
-    for (const tracked of autoSignupClasses) {
+    // Precise windows are known from here on; drop the estimates
+    run.nextBookingWindow = null;
+
+    // Fallback chain members run in priority order so each fallback can see
+    // how the classes ahead of it fared that day
+    const chainLinks = getChainLinks(await db.getFallbackChains({ accountId }));
+    const blackouts = await db.getBlackoutPeriods(getClassDayKey({ startTime: now }), { accountId });
+    let busyEvents = null;
+    const getBusyEvents = async () => {
+      if (!busyEvents) {
+        busyEvents = await loadBusyEvents(options.getBusyEvents, now);
+      }
+      return busyEvents;
+    };
+    const chainDays = new Map();
+    const getChainDay = (link, dayKey) => chainDays.get(`${link.chain.id}|${dayKey}`);
+
+    const noteChainOutcome = (tracked, occurrence, state, { waitlisted = false } = {}) => {
+      const link = chainLinks.get(Number(tracked.id));
+      if (!link) {
+        return;
+      }
+
+      const key = `${link.chain.id}|${getClassDayKey(occurrence)}`;
+      const chainDay = chainDays.get(key) || { state, occurrence, waitlisted: [] };
+      if (CHAIN_STATE_RANK[state] > CHAIN_STATE_RANK[chainDay.state]) {
+        chainDay.state = state;
+        chainDay.occurrence = occurrence;
+      }
+      if (waitlisted) {
+        chainDay.waitlisted.push({ tracked, occurrence, position: link.position });
+      }
+      chainDays.set(key, chainDay);
+    };
+
+    // Once a fallback holds a spot, either give up the waitlists of the
+    // higher-priority classes it replaced or link them to the fallback so it
+    // is cancelled if one of them confirms
+    const settleChainWaitlists = async (tracked, occurrence) => {
+      const link = chainLinks.get(Number(tracked.id));
+      if (dryRun || !link || link.position === 0) {
+        return;
+      }
+
+      const chainDay = getChainDay(link, getClassDayKey(occurrence));
+      const replaced = chainDay.waitlisted.filter(entry => entry.position < link.position);
+
+      if (!link.chain.leave_waitlist) {
+        if (link.chain.upgrade_waitlist) {
+          await linkChainWaitlists(link.chain, replaced, occurrence, accountId, getTrackedClient(tracked));
+        }
+        return;
+      }
+
+      chainDay.waitlisted = chainDay.waitlisted.filter(entry => !replaced.includes(entry));
+
+      for (const entry of replaced) {
+        const message = `Left waitlist after booking fallback ${occurrence.serviceName} at ${occurrence.locationName}`;
+        try {
+          await classService.leaveWaitlist(sessionCookie, entry.occurrence.id, entry.tracked.client_id);
+          // Logged as cancelled so the scheduler won't rejoin this waitlist
+          await db.addSignupLog({
+            occurrenceId: entry.occurrence.id,
+            serviceName: entry.occurrence.serviceName,
+            trainerName: entry.occurrence.trainerName,
+            locationName: entry.occurrence.locationName,
+            classTime: entry.occurrence.startTime,
+            status: 'cancelled',
+            errorMessage: message,
+            clientId: entry.tracked.client_id,
+            clientName: entry.tracked.client_name,
+            accountId
+          });
+          logger.info(`  🔗 ${message} (was waitlisted for ${entry.occurrence.serviceName})`);
+          recordDecision(entry.tracked, entry.occurrence, 'left_waitlist', message);
+        } catch (error) {
+          logger.warn(`  ⚠️  Could not leave waitlist for ${entry.occurrence.serviceName}: ${error.message}`);
+        }
+      }
+    };
+
+    // The account holder's booked classes a new booking could clash with or
+    // count against a quota, loaded on the first booking attempt; classes
+    // booked during this run are added as they go. Rules booking a linked
+    // family member skip conflicts, quotas and busy calendars, which describe
+    // the account holder's own schedule.
+    const conflictSettings = conflictService.normalizeConflictSettings(options.conflicts);
+    const quotaSettings = quotaService.normalizeQuotaSettings(options.quotas);
+    let bookedOccurrences = null;
+    const bookedByTracked = new Map();
+    const getBookedOccurrences = async () => {
+      if (!bookedOccurrences) {
+        bookedOccurrences = await loadBookedOccurrences(sessionCookie, now);
+      }
+      return bookedOccurrences;
+    };
+    const getConflictPlan = async (tracked, occurrence) => {
+      if (conflictSettings.policy === 'allow' || tracked.client_id) {
+        return null;
+      }
+      return planConflicts(tracked, occurrence, await getBookedOccurrences(), {
+        settings: conflictSettings,
+        trackedClasses: trackedClasses.filter(other => !other.client_id),
+        bookedByTracked
+      });
+    };
+    const getQuotaBreach = async (tracked, occurrence, replacing) => {
+      if (!quotaService.hasQuotas(quotaSettings) || tracked.client_id) {
+        return null;
+      }
+      const booked = (await getBookedOccurrences())
+        .filter(booking => !replacing.some(conflict => conflict.occurrence === booking));
+      return quotaService.findQuotaBreach(occurrence, booked, quotaSettings, countReservedSlots(tracked, occurrence, {
+        trackedClasses: autoSignupClasses.filter(other => !other.client_id),
+        booked,
+        now
+      }));
+    };
+    const noteBooked = (tracked, occurrence) => {
+      if (tracked.client_id) {
+        return;
+      }
+      if (bookedOccurrences) {
+        bookedOccurrences.push(occurrence);
+      }
+      bookedByTracked.set(String(occurrence.id), tracked);
+    };
+
+    // A linked client's bookings, loaded once per person; the schedule's
+    // isJoined/isWaited flags only describe the account holder. A failed
+    // lookup leaves YMCA to reject a duplicate booking.
+    const clientBookings = new Map();
+    const getClientBookings = async (clientId) => {
+      if (!clientBookings.has(clientId)) {
+        try {
+          const response = await classService.getMyBookings(sessionCookie, {
+            startDate: now.toISOString(),
+            clientId
+          });
+          clientBookings.set(clientId, response?.data || []);
+        } catch (error) {
+          logger.warn(`  ⚠️  Could not load bookings for linked client ${clientId}: ${error.message}`);
+          clientBookings.set(clientId, []);
+        }
+      }
+      return clientBookings.get(clientId);
+    };
+
+    // Chains go in their own order; otherwise higher priorities book first so
+    // they win when a quota is tight
+    const orderedClasses = [...autoSignupClasses].sort((a, b) =>
+      (chainLinks.get(Number(a.id))?.position || 0) - (chainLinks.get(Number(b.id))?.position || 0) ||
+      conflictService.getTrackedPriority(b) - conflictService.getTrackedPriority(a)
+    );
+
+    for (const tracked of orderedClasses) {
       let resolvedTracked = await maybeAutoRefreshTrackedClass(tracked, allClasses, {
-        source: 'scheduler'
+        source: 'scheduler',
+        persist: !dryRun
       });
 
       if (resolvedTracked.matches.length === 0) {
@@ -177,7 +503,8 @@ async function checkAndSignup(sessionCookie) {
         }
 
         resolvedTracked = await maybeAutoRefreshTrackedClass(tracked, broadFallbackClasses, {
-          source: 'scheduler broad fallback'
+          source: 'scheduler broad fallback',
+          persist: !dryRun
         });
       }
 
@@ -185,15 +512,111 @@ async function checkAndSignup(sessionCookie) {
 
       logger.info(`\n📋 Checking tracked class: ${activeTracked.service_name}`);
       logger.debug(`   Service ID: ${activeTracked.service_id}, Trainer: ${activeTracked.trainer_name || 'any'}, Location: ${activeTracked.location_name}`);
-      logger.debug(`   Day: ${activeTracked.day_of_week}, Time: ${activeTracked.start_time}`);
+      logger.debug(`   Days: ${(activeTracked.days_of_week || [activeTracked.day_of_week]).join(', ')}, Time: ${activeTracked.start_time}`);
       logger.debug(`   Match settings: trainer=${activeTracked.match_trainer}, exactTime=${activeTracked.match_exact_time}, tolerance=${activeTracked.time_tolerance}min`);
       
-      const matchingClasses = resolvedTracked.matches;
+      const matchingClasses = activeTracked.client_id
+        ? classService.applyClientBookingStatus(resolvedTracked.matches, await getClientBookings(activeTracked.client_id), now)
+        : resolvedTracked.matches;
+
+      if (matchingClasses.length === 0) {
+        recordDecision(activeTracked, null, 'no_match', 'No upcoming class matches this tracking rule');
+      }
+
+      // Category rules and rules spanning several locations book one class per
+      // day: whichever matching class comes first, skipping the rest once that
+      // day is taken. Location groups in preferred order instead hold out for
+      // their earliest-listed location that still has a class that day.
+      const onePerDay = isOnePerDayRule(activeTracked);
+      const preferredOrder = onePerDay && activeTracked.location_group_order === 'preferred';
+      const candidates = preferredOrder
+        ? orderByLocationPreference(activeTracked.locations, matchingClasses)
+        : matchingClasses;
+      const takenDays = new Map();
+      const armedDays = new Set();
+      const pendingDays = new Map();
+      // Occurrences a "next N" rule can still claim this run
+      let unclaimedBookings = lifecycleService.getRemainingBookings(activeTracked);
+      if (onePerDay) {
+        const signupLogs = await db.getSignupLogs(1000, { accountId });
+        for (const cls of matchingClasses) {
+          const signedUp = signupLogs.some(log =>
+            String(log.occurrence_id) === String(cls.id) && log.status === 'success' &&
+            isClientLog(log, activeTracked.client_id)
+          );
+          if ((cls.isJoined || cls.isWaited || signedUp) && !takenDays.has(getClassDayKey(cls))) {
+            takenDays.set(getClassDayKey(cls), cls);
+          }
+        }
+      }
 
-      for (const classToSignup of matchingClasses) {
+      for (const classToSignup of candidates) {
         const classTime = new Date(classToSignup.startTime);
         const hoursUntilClass = (classTime.getTime() - now.getTime()) / (60 * 60 * 1000);
+        const dayKey = getClassDayKey(classToSignup);
+        run.classesEvaluated += 1;
+
+        if (onePerDay && takenDays.has(dayKey) && takenDays.get(dayKey).id !== classToSignup.id) {
+          const taken = takenDays.get(dayKey);
+          logger.debug(`  ⏭️  Skipping: ${taken.serviceName} is already booked for this rule on ${dayKey}`);
+          recordDecision(activeTracked, classToSignup, 'day_booked', `${taken.serviceName} already booked for this rule on ${dayKey}`);
+          continue;
+        }
+
+        if (preferredOrder && pendingDays.has(dayKey)) {
+          const pending = pendingDays.get(dayKey);
+          logger.debug(`  ⏭️  Skipping: holding ${dayKey} for ${pending.locationName}, earlier in the group's order`);
+          recordDecision(activeTracked, classToSignup, 'preferred_pending', `Holding for ${pending.serviceName} at ${pending.locationName}, earlier in the group's order`);
+          continue;
+        }
+
+        // A fallback is only booked on days when every class ahead of it in
+        // its chain turned out to be unavailable
+        const chainLink = chainLinks.get(Number(activeTracked.id));
+        if (chainLink && chainLink.position > 0) {
+          const chainDay = getChainDay(chainLink, dayKey);
+          const chainName = chainLink.chain.name;
+          if (!chainDay) {
+            recordDecision(activeTracked, classToSignup, 'fallback_idle', `Fallback in "${chainName}"; no higher-priority class to replace on ${dayKey}`);
+            continue;
+          }
+          if (chainDay.state === 'booked') {
+            recordDecision(activeTracked, classToSignup, 'chain_booked', `${chainDay.occurrence.serviceName} already booked in "${chainName}" on ${dayKey}`);
+            continue;
+          }
+          if (chainDay.state === 'pending') {
+            recordDecision(activeTracked, classToSignup, 'chain_pending', `Waiting to see if ${chainDay.occurrence.serviceName} in "${chainName}" can be booked`);
+            continue;
+          }
+        }
         
+        if (unclaimedBookings === 0 && !classToSignup.isJoined && !classToSignup.isWaited) {
+          const detail = `Limited to the next ${activeTracked.max_bookings} occurrence(s); all are booked or waiting`;
+          logger.debug(`  ⏭️  Skipping: ${detail}`);
+          recordDecision(activeTracked, classToSignup, 'limit_reached', detail);
+          continue;
+        }
+
+        // Classes already booked or waitlisted fall through to the usual checks
+        const blackout = blackoutService.findBlackout(blackouts, activeTracked.id, classToSignup.startTime);
+        if (blackout && !classToSignup.isJoined && !classToSignup.isWaited) {
+          const detail = blackoutService.describeBlackout(blackout);
+          logger.debug(`  ⏭️  Skipping: ${detail}`);
+          recordDecision(activeTracked, classToSignup, 'blackout', detail);
+          noteChainOutcome(activeTracked, classToSignup, 'unavailable');
+          continue;
+        }
+
+        const busy = !classToSignup.isJoined && !classToSignup.isWaited && !activeTracked.client_id &&
+          busyCalendarService.findBusyOverlap(classToSignup, await getBusyEvents());
+        if (busy) {
+          const detail = busyCalendarService.describeBusyEvent(busy);
+          logger.debug(`  ⏭️  Skipping: ${detail}`);
+          recordDecision(activeTracked, classToSignup, 'busy', detail);
+          noteChainOutcome(activeTracked, classToSignup, 'unavailable');
+          continue;
+        }
+
         logger.debug(`\nEvaluating class: ${classToSignup.serviceName} at ${classTime.toISOString()}`);
         logger.debug(`  Hours until class: ${hoursUntilClass.toFixed(2)}`);
         logger.debug(`  canSignup: ${classToSignup.canSignup}`);
@@ -202,21 +625,12 @@ async function checkAndSignup(sessionCookie) {
         logger.debug(`  fullGroup: ${classToSignup.fullGroup}`);
         logger.debug(`  waitingListEnabled: ${classToSignup.waitingListEnabled}`);
 
-        // User preference for when to sign up
-        const userPreferredHours = activeTracked.signup_hours_before || 46;
-        
-        // YMCA restriction - can't book earlier than this window
-        // If 0 or undefined, there's no restriction (can book anytime)
-        const ymcaRestrictionHours = classToSignup.restrictToBookInAdvanceHours || 0;
-        
-        // Effective signup time: user's preference, but not earlier than YMCA allows
-        // If no YMCA restriction (0), use user preference
-        // Otherwise use minimum of user preference and YMCA restriction
-        const signupHoursBefore = ymcaRestrictionHours > 0 
-          ? Math.min(userPreferredHours, ymcaRestrictionHours)
-          : userPreferredHours;
-        
-        const signupTime = new Date(classTime.getTime() - (signupHoursBefore * 60 * 60 * 1000));
+        const {
+          userPreferredHours,
+          ymcaRestrictionHours,
+          signupHoursBefore,
+          signupTime
+        } = getSignupWindow(activeTracked, classToSignup);
         const hoursUntilSignupWindow = (signupTime.getTime() - now.getTime()) / (60 * 60 * 1000);
 
         logger.debug(`  userPreferredHours: ${userPreferredHours}`);
@@ -229,23 +643,44 @@ async function checkAndSignup(sessionCookie) {
 
         if (now < signupTime) {
           logger.debug(`  ⏰ Waiting: Signup window opens in ${hoursUntilSignupWindow.toFixed(2)} hours`);
+          recordDecision(activeTracked, classToSignup, 'waiting', `Waiting ${hoursUntilSignupWindow.toFixed(1)} hours for booking window`, signupTime);
+          noteBookingWindow(activeTracked, signupTime, false);
+          noteChainOutcome(activeTracked, classToSignup, 'pending');
+          if (unclaimedBookings !== null) {
+            unclaimedBookings -= 1;
+          }
+          if (preferredOrder) {
+            pendingDays.set(dayKey, classToSignup);
+          }
+          // Only the day's first candidate gets a timer; later ones are left to
+          // the next run in case the first one can't be booked
+          if (onUpcomingWindow && !dryRun && !(onePerDay && armedDays.has(dayKey))) {
+            armedDays.add(dayKey);
+            onUpcomingWindow({ tracked: activeTracked, occurrence: classToSignup, signupTime });
+          }
           continue;
         }
 
         if (now >= classTime) {
           logger.debug(`  ⏱️  Skipping: Class has already started/passed`);
+          recordDecision(activeTracked, classToSignup, 'class_started', 'Class has already started');
           continue;
         }
 
         // Skip if already enrolled (from YMCA API)
         if (classToSignup.isJoined) {
           logger.debug(`  ⏭️  Skipping: Already enrolled in this class (from YMCA API)`);
+          recordDecision(activeTracked, classToSignup, 'already_joined', 'Already enrolled');
+          noteChainOutcome(activeTracked, classToSignup, 'booked');
+          await settleChainWaitlists(activeTracked, classToSignup);
           continue;
         }
 
         // Skip if already on waitlist (from YMCA API)
         if (classToSignup.isWaited) {
           logger.debug(`  ⏭️  Skipping: Already on waitlist for this class (from YMCA API)`);
+          recordDecision(activeTracked, classToSignup, 'already_waitlisted', 'Already on waitlist');
+          noteChainOutcome(activeTracked, classToSignup, 'unavailable', { waitlisted: true });
           continue;
         }
 
@@ -256,37 +691,46 @@ async function checkAndSignup(sessionCookie) {
             ? 'waitlist not enabled'
             : 'waitlist is full';
           logger.debug(`  ⏭️  Skipping: Class is full and ${reason}`);
+          recordDecision(activeTracked, classToSignup, 'full', `Class is full and ${reason}`);
+          noteChainOutcome(activeTracked, classToSignup, 'unavailable');
           continue;
         }
 
-        const existingLog = await db.getSignupLogs(1000);
+        const existingLog = await db.getSignupLogs(1000, { accountId });
 
         // Check if we've already successfully signed up for this occurrence
         // Once we've signed up, we should NEVER re-book, even if the user cancels externally
         // Use String() comparison to handle type mismatches (DB stores as TEXT, API may return number)
         const successfulSignup = existingLog.find(log =>
           String(log.occurrence_id) === String(classToSignup.id) &&
+          isClientLog(log, activeTracked.client_id) &&
           log.status === 'success'
         );
 
         if (successfulSignup) {
           logger.debug(`  ⏭️  Skipping: Already signed up for this occurrence (won't re-book even if cancelled)`);
+          recordDecision(activeTracked, classToSignup, 'already_booked', 'Already signed up by this app');
+          noteChainOutcome(activeTracked, classToSignup, 'booked');
           continue;
         }
 
         // Also skip if user explicitly cancelled through our app
         const cancelledSignup = existingLog.find(log =>
           String(log.occurrence_id) === String(classToSignup.id) &&
+          isClientLog(log, activeTracked.client_id) &&
           log.status === 'cancelled'
         );
 
         if (cancelledSignup) {
           logger.debug(`  ⏭️  Skipping: User cancelled this occurrence`);
+          recordDecision(activeTracked, classToSignup, 'user_cancelled', 'Cancelled through this app; not re-booking');
+          noteChainOutcome(activeTracked, classToSignup, 'unavailable');
           continue;
         }
 
         const failedAttempts = existingLog.filter(log =>
           String(log.occurrence_id) === String(classToSignup.id) &&
+          isClientLog(log, activeTracked.client_id) &&
           log.status === 'failed'
         );
 
@@ -299,142 +743,83 @@ async function checkAndSignup(sessionCookie) {
           logger.debug(`     Retrying since class is still within booking window...`);
         }
 
-        if (!classToSignup.canSignup) {
-          logger.warn(`  ⚠️  WARNING: In booking window but canSignup is false - attempting anyway`);
+        const conflictPlan = await getConflictPlan(activeTracked, classToSignup);
+        if (conflictPlan && conflictPlan.blocked) {
+          logger.info(`  ⏭️  Skipping: ${conflictPlan.message}`);
+          recordDecision(activeTracked, classToSignup, 'conflict', conflictPlan.message);
+          noteChainOutcome(activeTracked, classToSignup, 'unavailable');
+          continue;
         }
+        const replacing = conflictPlan ? conflictPlan.replace : [];
 
-        logger.info(`  ✅ ATTEMPTING TO BOOK: ${classToSignup.serviceName} at ${classTime}`);
-
-        // Fetch fresh lock_version right before signup to minimize race conditions
-        const freshLockVersion = await getFreshLockVersion(sessionCookie, classToSignup);
+        const quotaBreach = await getQuotaBreach(activeTracked, classToSignup, replacing);
+        if (quotaBreach) {
+          logger.info(`  ⏭️  Skipping: ${quotaBreach}`);
+          recordDecision(activeTracked, classToSignup, 'quota', quotaBreach);
+          noteChainOutcome(activeTracked, classToSignup, 'unavailable');
+          continue;
+        }
 
-        try {
-          const result = await classService.signupForClass(
-            sessionCookie,
-            classToSignup.id,
-            freshLockVersion,
-            true, // tryWaitlist
-            classToSignup.waitingListEnabled
-          );
-          
-          const statusMessage = result.waitlisted ? 'Joined waitlist' : 'Successfully signed up';
-          
-          await db.addSignupLog({
-            occurrenceId: classToSignup.id,
-            serviceName: classToSignup.serviceName,
-            trainerName: classToSignup.trainerName,
-            locationName: classToSignup.locationName,
-            classTime: classToSignup.startTime,
-            status: 'success',
-            errorMessage: result.waitlisted ? 'Joined waitlist' : null
-          });
+        if (!classToSignup.canSignup) {
+          logger.warn(`  ⚠️  WARNING: In booking window but canSignup is false - attempting anyway`);
+        }
 
-          logger.info(`  ✓ ${statusMessage}: ${classToSignup.serviceName}`);
-        } catch (error) {
-          // Handle already enrolled case - mark as success to prevent retries
-          if (error.code === 'ALREADY_ENROLLED') {
-            logger.info(`  ℹ️  Already enrolled: ${classToSignup.serviceName}`);
-            await db.addSignupLog({
-              occurrenceId: classToSignup.id,
-              serviceName: classToSignup.serviceName,
-              trainerName: classToSignup.trainerName,
-              locationName: classToSignup.locationName,
-              classTime: classToSignup.startTime,
-              status: 'success',
-              errorMessage: 'Already enrolled'
-            });
-            continue;
+        if (dryRun) {
+          const joinsWaitlist = classToSignup.fullGroup && !classToSignup.canSignup;
+          const action = joinsWaitlist ? 'join the waitlist' : 'sign up';
+          const retryNote = failedAttempts.length > 0 ? ` (retry after ${failedAttempts.length} failed attempt(s))` : '';
+          const replaceNote = replacing.length > 0 && !joinsWaitlist
+            ? ` and cancel ${replacing.map(conflict => conflict.occurrence.serviceName).join(', ')}`
+            : '';
+          logger.info(`  🧪 DRY RUN: Would ${action} for ${classToSignup.serviceName} at ${classTime}`);
+          recordDecision(activeTracked, classToSignup, 'would_attempt', `Would ${action} now${replaceNote}${retryNote}`, signupTime);
+          if (onePerDay) {
+            takenDays.set(dayKey, classToSignup);
           }
-          
-          // Handle already on waitlist - mark as success
-          if (error.code === 'ALREADY_ON_WAITLIST') {
-            logger.info(`  ℹ️  Already on waitlist: ${classToSignup.serviceName}`);
-            await db.addSignupLog({
-              occurrenceId: classToSignup.id,
-              serviceName: classToSignup.serviceName,
-              trainerName: classToSignup.trainerName,
-              locationName: classToSignup.locationName,
-              classTime: classToSignup.startTime,
-              status: 'success',
-              errorMessage: 'Already on waitlist'
-            });
-            continue;
-          }
-          
-          // Handle waitlist full - RETRY every scheduler run (every 5 minutes)
-          if (error.code === 'WAITLIST_FULL') {
-            const lastAttemptTime = failedAttempts.length > 0 
-              ? new Date(failedAttempts[failedAttempts.length - 1].timestamp)
-              : null;
-            const minutesSinceLastAttempt = lastAttemptTime 
-              ? (now - lastAttemptTime) / (60 * 1000) 
-              : Infinity;
-            
-            logger.warn(`  ⚠️  Waitlist is full - will retry in 5 minutes (attempt #${failedAttempts.length + 1})`);
-            
-            // Only log if it's been at least 4 minutes since last log (to avoid spam)
-            if (minutesSinceLastAttempt >= 4 || failedAttempts.length === 0) {
-              await db.addSignupLog({
-                occurrenceId: classToSignup.id,
-                serviceName: classToSignup.serviceName,
-                trainerName: classToSignup.trainerName,
-                locationName: classToSignup.locationName,
-                classTime: classToSignup.startTime,
-                status: 'failed',
-                errorMessage: 'Waitlist full - will retry'
-              });
+          if (!joinsWaitlist) {
+            noteBooked(activeTracked, classToSignup);
+            if (unclaimedBookings !== null) {
+              unclaimedBookings -= 1;
             }
-            continue;
-          }
-          
-          // Handle waitlist not available/enabled - log but don't retry
-          if (error.code === 'WAITLIST_NOT_AVAILABLE' || error.code === 'WAITLIST_NOT_ENABLED') {
-            const message = error.code === 'WAITLIST_NOT_ENABLED' 
-              ? 'Class full, waitlist not enabled'
-              : 'Class full, waitlist not available';
-            logger.warn(`  ⚠️  ${message}: ${classToSignup.serviceName}`);
-            await db.addSignupLog({
-              occurrenceId: classToSignup.id,
-              serviceName: classToSignup.serviceName,
-              trainerName: classToSignup.trainerName,
-              locationName: classToSignup.locationName,
-              classTime: classToSignup.startTime,
-              status: 'failed',
-              errorMessage: message
-            });
-            continue;
           }
+          noteChainOutcome(activeTracked, classToSignup, joinsWaitlist ? 'unavailable' : 'booked', { waitlisted: joinsWaitlist });
+          continue;
+        }
 
-          if (error.code === 'UPSTREAM_AUTH_REJECTED') {
-            const message = 'YMCA rejected signup after CSRF/session refresh';
-            logger.error(`  ✗ Upstream session/authenticity failure for: ${classToSignup.serviceName}`);
-
-            await db.addSignupLog({
-              occurrenceId: classToSignup.id,
-              serviceName: classToSignup.serviceName,
-              trainerName: classToSignup.trainerName,
-              locationName: classToSignup.locationName,
-              classTime: classToSignup.startTime,
-              status: 'failed',
-              errorMessage: message
-            });
-            continue;
+        logger.info(`  ✅ ATTEMPTING TO BOOK: ${classToSignup.serviceName} at ${classTime}`);
+        const outcome = await attemptSignup(sessionCookie, classToSignup, {
+          now,
+          failedAttempts,
+          checkIntervalMinutes,
+          client: getTrackedClient(activeTracked),
+          accountId
+        });
+        recordDecision(activeTracked, classToSignup, 'attempted', outcome.message);
+        if (onePerDay && outcome.status === 'success') {
+          takenDays.set(dayKey, classToSignup);
+        }
+        if (outcome.status === 'success' && !outcome.waitlisted) {
+          noteBooked(activeTracked, classToSignup);
+          if (unclaimedBookings !== null) {
+            unclaimedBookings -= 1;
+            await countRuleBooking(activeTracked, now);
           }
-          
-          logger.error(`  ✗ Failed to sign up for: ${classToSignup.serviceName}`, error.message);
-          
-          await db.addSignupLog({
-            occurrenceId: classToSignup.id,
-            serviceName: classToSignup.serviceName,
-            trainerName: classToSignup.trainerName,
-            locationName: classToSignup.locationName,
-            classTime: classToSignup.startTime,
-            status: 'failed',
-            errorMessage: error.message
-          });
+          for (const conflict of replacing) {
+            const replaced = await cancelReplacedBooking(sessionCookie, conflict, classToSignup, accountId);
+            if (replaced) {
+              bookedOccurrences = bookedOccurrences.filter(booked => booked !== conflict.occurrence);
+              recordDecision(conflict.owner, conflict.occurrence, 'conflict_replaced', replaced);
+            }
+          }
+          noteChainOutcome(activeTracked, classToSignup, 'booked');
+          await settleChainWaitlists(activeTracked, classToSignup);
+        } else {
+          noteChainOutcome(activeTracked, classToSignup, 'unavailable', { waitlisted: outcome.status === 'success' });
         }
       }
     }
+
+    return finishRun();
   } catch (error) {
     logger.error('Scheduler check error:', error);
     throw error;
@@ -442,11 +827,688 @@ async function checkAndSignup(sessionCookie) {
 }
 
 /**
- * Estimate the next occurrence of a tracked class based on day of week and time.
+ * Archive tracked classes whose date range has ended or whose booking limit
+ * is used up, so they stop auto-signing up. Dry runs only pretend to.
+ *
+ * @returns {Promise<Array>} Every tracked class, with the archived ones marked
+ */
+async function archiveFinishedTrackedClasses(trackedClasses, now, { dryRun = false } = {}) {
+  const today = dayKeyService.getDayKey(now);
+  const results = [];
+
+  for (const tracked of trackedClasses) {
+    const reason = !tracked.archived_at && lifecycleService.getArchiveReason(tracked, today);
+    if (!reason) {
+      results.push(tracked);
+      continue;
+    }
+
+    if (!dryRun) {
+      await db.archiveTrackedClass(tracked.id);
+      logger.info(`🗄️  Archived tracked class ${tracked.service_name}: ${reason}`);
+    }
+    results.push({ ...tracked, auto_signup: 0, archived_at: now.toISOString() });
+  }
+
+  return results;
+}
+
+// Count a booking toward a "next N occurrences" limit, archiving the rule
+// once the limit is used up
+async function countRuleBooking(tracked, now) {
+  if (!tracked.id || !tracked.max_bookings) {
+    return;
+  }
+
+  const updated = await db.recordTrackedClassBooking(tracked.id);
+  const reason = updated && lifecycleService.getArchiveReason(updated, dayKeyService.getDayKey(now));
+  if (reason) {
+    await db.archiveTrackedClass(tracked.id);
+    logger.info(`🗄️  Archived tracked class ${tracked.service_name}: ${reason}`);
+  }
+}
+
+async function loadBusyEvents(getBusyEvents, now) {
+  if (!getBusyEvents) {
+    return [];
+  }
+  try {
+    return await getBusyEvents({ now });
+  } catch (error) {
+    logger.warn(`  ⚠️  Could not load busy calendars: ${error.message}`);
+    return [];
+  }
+}
+
+const BOOKING_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+const BOOKING_LOOKAHEAD_MS = 14 * 24 * 60 * 60 * 1000;
+
+// Classes already booked (not just waitlisted), from a week back so weekly
+// quotas count classes already attended. A failed lookup skips the conflict
+// and quota checks rather than the booking.
+async function loadBookedOccurrences(sessionCookie, now) {
+  try {
+    const response = await classService.getMyBookings(sessionCookie, {
+      startDate: new Date(now.getTime() - BOOKING_LOOKBACK_MS).toISOString(),
+      endDate: new Date(now.getTime() + BOOKING_LOOKAHEAD_MS).toISOString()
+    });
+    return (response?.data || [])
+      .map(booking => classService.normalizeBookingOccurrence(booking))
+      .filter(booking => booking.isJoined);
+  } catch (error) {
+    logger.warn(`  ⚠️  Could not load bookings for the conflict and quota checks: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * Decide what to do when booking `occurrence` would clash with a booked class.
+ * 'skip' blocks on any conflict. 'priority' books anyway when every clashing
+ * class belongs to a lower-priority tracked class, returning those in
+ * `replace` to cancel once the new booking succeeds; manual bookings and
+ * equal or higher priorities still block.
+ */
+function planConflicts(tracked, occurrence, booked, { settings, trackedClasses, bookedByTracked }) {
+  const conflicts = conflictService.findConflicts(occurrence, booked, settings);
+  if (conflicts.length === 0) {
+    return { blocked: false, replace: [] };
+  }
+
+  const message = `Conflicts with booked class: ${conflicts
+    .map(conflict => conflictService.describeConflict(conflict, settings))
+    .join('; ')}`;
+
+  if (settings.policy === 'priority') {
+    const priority = conflictService.getTrackedPriority(tracked);
+    const owned = conflicts.map(conflict => ({
+      ...conflict,
+      owner: bookedByTracked.get(String(conflict.occurrence.id)) ||
+        conflictService.findTrackedClassForOccurrence(trackedClasses, conflict.occurrence)
+    }));
+    const outranked = owned.every(conflict =>
+      conflict.owner &&
+      String(conflict.owner.id) !== String(tracked.id) &&
+      conflictService.getTrackedPriority(conflict.owner) < priority
+    );
+    if (outranked) {
+      return { blocked: false, replace: owned };
+    }
+    return { blocked: true, replace: [], message: `${message} (not a lower-priority tracked class)` };
+  }
+
+  return { blocked: true, replace: [], message };
+}
+
+// Estimated occurrences of a tracked class from `now` through `until`
+function estimateOccurrences(tracked, now, until) {
+  const estimates = [];
+  let from = now;
+  let next = getNextOccurrence(tracked, from);
+  while (next && next <= until && estimates.length < 21) {
+    estimates.push(next);
+    from = new Date(next.getTime() + 60 * 1000);
+    next = getNextOccurrence(tracked, from);
+  }
+  return estimates;
+}
+
+/**
+ * Quota slots to hold back for tracked classes that outrank `tracked`: each
+ * estimated occurrence in the same day or week whose booking window hasn't
+ * opened yet, unless a booking on that day already matches the class.
+ * Windows that are already open are settled by run order instead.
+ *
+ * @returns {{day: number, week: number, category: number}}
+ */
+function countReservedSlots(tracked, occurrence, { trackedClasses, booked, now }) {
+  const reserved = { day: 0, week: 0, category: 0 };
+  const priority = conflictService.getTrackedPriority(tracked);
+  const dayKey = dayKeyService.getDayKey(occurrence.startTime);
+  const weekKey = dayKeyService.getWeekKey(occurrence.startTime);
+  const categoryKey = quotaService.getCategoryKey(occurrence);
+  const until = new Date(new Date(occurrence.startTime).getTime() + 7 * 24 * 60 * 60 * 1000);
+
+  for (const other of trackedClasses) {
+    if (String(other.id) === String(tracked.id) || conflictService.getTrackedPriority(other) <= priority) {
+      continue;
+    }
+
+    const sameCategory = Boolean(categoryKey) && categoryKey === quotaService.getCategoryKey({
+      serviceCategoryId: other.service_category_id,
+      serviceCategoryName: other.service_category_name
+    });
+
+    for (const estimate of estimateOccurrences(other, now, until)) {
+      const windowOpens = getSignupWindow(other, { startTime: estimate }).signupTime;
+      const estimateDay = dayKeyService.getDayKey(estimate);
+      if (windowOpens <= now || dayKeyService.getWeekKey(estimate) !== weekKey) {
+        continue;
+      }
+      const alreadyBooked = booked.some(booking =>
+        dayKeyService.getDayKey(booking.startTime) === estimateDay &&
+        conflictService.findTrackedClassForOccurrence([other], booking)
+      );
+      if (alreadyBooked) {
+        continue;
+      }
+
+      reserved.week += 1;
+      if (estimateDay === dayKey) {
+        reserved.day += 1;
+      }
+      if (sameCategory) {
+        reserved.category += 1;
+      }
+    }
+  }
+
+  return reserved;
+}
+
+// The replaced booking is cancelled for whoever its tracked class books for
+async function cancelReplacedBooking(sessionCookie, conflict, replacement, accountId = null) {
+  const booking = conflict.occurrence;
+  const client = getTrackedClient(conflict.owner);
+  const message = `Cancelled for higher-priority ${replacement.serviceName} at ${replacement.locationName}`;
+  try {
+    await classService.cancelBooking(sessionCookie, booking.id, client?.id);
+    // Logged as cancelled so the scheduler won't book this occurrence again
+    await db.addSignupLog({
+      occurrenceId: booking.id,
+      serviceName: booking.serviceName,
+      trainerName: booking.trainerName,
+      locationName: booking.locationName,
+      classTime: booking.startTime,
+      status: 'cancelled',
+      errorMessage: message,
+      ...(client ? { clientId: client.id, clientName: client.name } : {}),
+      accountId
+    });
+    logger.info(`  🔀 ${message} (was booked for ${booking.serviceName})`);
+    return message;
+  } catch (error) {
+    logger.warn(`  ⚠️  Could not cancel conflicting ${booking.serviceName}: ${error.message}`);
+    return null;
+  }
+}
+
+// Chain day states, strongest first wins: a booked class settles the day, a
+// class still waiting for its window holds it, otherwise fallbacks may book
+const CHAIN_STATE_RANK = { unavailable: 1, pending: 2, booked: 3 };
+
+// Remember which booked fallback each kept waitlist would replace, so the
+// waitlist upgrade check can cancel it once the preferred class confirms.
+// `client` is the family member both bookings are for, null for the holder.
+async function linkChainWaitlists(chain, waitlistedEntries, backup, accountId = null, client = null) {
+  for (const entry of waitlistedEntries) {
+    try {
+      const linkId = await db.addWaitlistLink({
+        chainId: chain.id,
+        preferredOccurrenceId: entry.occurrence.id,
+        preferredServiceName: entry.occurrence.serviceName,
+        backupOccurrenceId: backup.id,
+        backupServiceName: backup.serviceName,
+        classTime: entry.occurrence.startTime,
+        waitlistPosition: entry.occurrence.positionOnWaitingList ?? null,
+        accountId,
+        clientId: client?.id,
+        clientName: client?.name
+      });
+      if (linkId) {
+        logger.info(`  🔗 Watching waitlist for ${entry.occurrence.serviceName}; ${backup.serviceName} will be cancelled if it confirms`);
+      }
+    } catch (error) {
+      logger.warn(`  ⚠️  Could not link waitlist for ${entry.occurrence.serviceName}: ${error.message}`);
+    }
+  }
+}
+
+// Tracked class id -> { chain, position } for every fallback chain member
+function getChainLinks(chains) {
+  const links = new Map();
+  for (const chain of chains) {
+    chain.tracked_class_ids.forEach((trackedClassId, position) => {
+      if (!links.has(trackedClassId)) {
+        links.set(trackedClassId, { chain, position });
+      }
+    });
+  }
+  return links;
+}
+
+// Signup logs belong to the person they were made for; a null client_id is
+// the account holder
+function isClientLog(log, clientId) {
+  return String(log.client_id || '') === String(clientId || '');
+}
+
+// The linked family member a tracked class books for, or null for the account holder
+function getTrackedClient(tracked) {
+  return tracked.client_id ? { id: tracked.client_id, name: tracked.client_name } : null;
+}
+
+function isOnePerDayRule(tracked) {
+  return tracked.rule_type === 'category' ||
+    (Array.isArray(tracked.locations) && tracked.locations.length > 1);
+}
+
+// Success logs that only put the person on a waitlist
+function isWaitlistLog(log) {
+  return log.error_message === 'Joined waitlist' || log.error_message === 'Already on waitlist';
+}
+
+// Calendar day of a class at the YMCA, used to keep category and multi-location
+// rules to one booking a day
+function getClassDayKey(cls) {
+  return dayKeyService.getDayKey(cls.startTime);
+}
+
+// Position of a class's location in a rule's location list; names win over ids
+// the same way they do in matching
+function getLocationRank(locations, cls) {
+  const rank = locations.findIndex((location) => {
+    if (location.name && cls.locationName) {
+      return location.name.trim().toLowerCase() === cls.locationName.trim().toLowerCase();
+    }
+    return Boolean(location.id) && String(location.id) === String(cls.locationId);
+  });
+  return rank === -1 ? locations.length : rank;
+}
+
+// Classes grouped by day, each day's classes in the rule's location order
+function orderByLocationPreference(locations, classes) {
+  return [...classes].sort((a, b) =>
+    getClassDayKey(a).localeCompare(getClassDayKey(b)) ||
+    getLocationRank(locations, a) - getLocationRank(locations, b) ||
+    new Date(a.startTime) - new Date(b.startTime)
+  );
+}
+
+/**
+ * Work out when auto-signup may start for an occurrence: the user's preferred
+ * lead time, but never earlier than YMCA's own book-in-advance restriction.
+ */
+function getSignupWindow(tracked, classToSignup) {
+  const classTime = new Date(classToSignup.startTime);
+
+  // User preference for when to sign up
+  const userPreferredHours = tracked.signup_hours_before || 46;
+
+  // YMCA restriction - can't book earlier than this window
+  // If 0 or undefined, there's no restriction (can book anytime)
+  const ymcaRestrictionHours = classToSignup.restrictToBookInAdvanceHours || 0;
+
+  // Effective signup time: user's preference, but not earlier than YMCA allows
+  // If no YMCA restriction (0), use user preference
+  // Otherwise use minimum of user preference and YMCA restriction
+  const signupHoursBefore = ymcaRestrictionHours > 0
+    ? Math.min(userPreferredHours, ymcaRestrictionHours)
+    : userPreferredHours;
+
+  return {
+    classTime,
+    userPreferredHours,
+    ymcaRestrictionHours,
+    signupHoursBefore,
+    signupTime: new Date(classTime.getTime() - (signupHoursBefore * 60 * 60 * 1000))
+  };
+}
+
+/**
+ * Book a single occurrence that is inside its signup window and record the
+ * outcome in the signup log. Shared by the scheduler loop and the precision
+ * booking-window timer so both follow the same retry/logging rules.
+ *
+ * @returns {Promise<{status: 'success'|'failed', message: string}>}
+ */
+async function attemptSignup(sessionCookie, classToSignup, {
+  now = new Date(),
+  failedAttempts = [],
+  checkIntervalMinutes = DEFAULT_CHECK_INTERVAL_MINUTES,
+  client = null,
+  accountId = null
+} = {}) {
+  // Who the booking is for, recorded on every log entry
+  const ownerLog = {
+    accountId,
+    ...(client ? { clientId: client.id, clientName: client.name } : {})
+  };
+
+  // Fetch fresh lock_version right before signup to minimize race conditions
+  const freshLockVersion = await getFreshLockVersion(sessionCookie, classToSignup);
+
+  try {
+    const result = await classService.signupForClass(
+      sessionCookie,
+      classToSignup.id,
+      freshLockVersion,
+      true, // tryWaitlist
+      classToSignup.waitingListEnabled,
+      client?.id
+    );
+    
+    const statusMessage = result.waitlisted ? 'Joined waitlist' : 'Successfully signed up';
+    
+    await db.addSignupLog({
+      occurrenceId: classToSignup.id,
+      serviceName: classToSignup.serviceName,
+      trainerName: classToSignup.trainerName,
+      locationName: classToSignup.locationName,
+      classTime: classToSignup.startTime,
+      ...ownerLog,
+      status: 'success',
+      errorMessage: result.waitlisted ? 'Joined waitlist' : null
+    });
+
+    logger.info(`  ✓ ${statusMessage}: ${classToSignup.serviceName}`);
+    return { status: 'success', message: statusMessage, waitlisted: Boolean(result.waitlisted) };
+  } catch (error) {
+    // Handle already enrolled case - mark as success to prevent retries
+    if (error.code === 'ALREADY_ENROLLED') {
+      logger.info(`  ℹ️  Already enrolled: ${classToSignup.serviceName}`);
+      await db.addSignupLog({
+        occurrenceId: classToSignup.id,
+        serviceName: classToSignup.serviceName,
+        trainerName: classToSignup.trainerName,
+        locationName: classToSignup.locationName,
+        classTime: classToSignup.startTime,
+        ...ownerLog,
+        status: 'success',
+        errorMessage: 'Already enrolled'
+      });
+      return { status: 'success', message: 'Already enrolled' };
+    }
+    
+    // Handle already on waitlist - mark as success
+    if (error.code === 'ALREADY_ON_WAITLIST') {
+      logger.info(`  ℹ️  Already on waitlist: ${classToSignup.serviceName}`);
+      await db.addSignupLog({
+        occurrenceId: classToSignup.id,
+        serviceName: classToSignup.serviceName,
+        trainerName: classToSignup.trainerName,
+        locationName: classToSignup.locationName,
+        classTime: classToSignup.startTime,
+        ...ownerLog,
+        status: 'success',
+        errorMessage: 'Already on waitlist'
+      });
+      return { status: 'success', message: 'Already on waitlist', waitlisted: true };
+    }
+    
+    // Handle waitlist full - RETRY every scheduler run
+    if (error.code === 'WAITLIST_FULL') {
+      const lastAttemptTime = failedAttempts.length > 0 
+        ? new Date(failedAttempts[failedAttempts.length - 1].timestamp)
+        : null;
+      const minutesSinceLastAttempt = lastAttemptTime 
+        ? (now - lastAttemptTime) / (60 * 1000) 
+        : Infinity;
+      
+      logger.warn(`  ⚠️  Waitlist is full - will retry in ${checkIntervalMinutes} minutes (attempt #${failedAttempts.length + 1})`);
+      
+      // Log at most once per scheduler run; the 80% margin absorbs cron jitter
+      // and the random start offset (e.g. 4 minutes for a 5 minute interval)
+      if (minutesSinceLastAttempt >= checkIntervalMinutes * 0.8 || failedAttempts.length === 0) {
+        await db.addSignupLog({
+          occurrenceId: classToSignup.id,
+          serviceName: classToSignup.serviceName,
+          trainerName: classToSignup.trainerName,
+          locationName: classToSignup.locationName,
+          classTime: classToSignup.startTime,
+          ...ownerLog,
+          status: 'failed',
+          errorMessage: 'Waitlist full - will retry'
+        });
+      }
+      return { status: 'failed', message: 'Waitlist full - will retry' };
+    }
+    
+    // Handle waitlist not available/enabled - log but don't retry
+    if (error.code === 'WAITLIST_NOT_AVAILABLE' || error.code === 'WAITLIST_NOT_ENABLED') {
+      const message = error.code === 'WAITLIST_NOT_ENABLED' 
+        ? 'Class full, waitlist not enabled'
+        : 'Class full, waitlist not available';
+      logger.warn(`  ⚠️  ${message}: ${classToSignup.serviceName}`);
+      await db.addSignupLog({
+        occurrenceId: classToSignup.id,
+        serviceName: classToSignup.serviceName,
+        trainerName: classToSignup.trainerName,
+        locationName: classToSignup.locationName,
+        classTime: classToSignup.startTime,
+        ...ownerLog,
+        status: 'failed',
+        errorMessage: message
+      });
+      return { status: 'failed', message };
+    }
+
+    if (error.code === 'UPSTREAM_AUTH_REJECTED') {
+      const message = 'YMCA rejected signup after CSRF/session refresh';
+      logger.error(`  ✗ Upstream session/authenticity failure for: ${classToSignup.serviceName}`);
+
+      await db.addSignupLog({
+        occurrenceId: classToSignup.id,
+        serviceName: classToSignup.serviceName,
+        trainerName: classToSignup.trainerName,
+        locationName: classToSignup.locationName,
+        classTime: classToSignup.startTime,
+        ...ownerLog,
+        status: 'failed',
+        errorMessage: message
+      });
+      return { status: 'failed', message };
+    }
+    
+    logger.error(`  ✗ Failed to sign up for: ${classToSignup.serviceName}`, error.message);
+    
+    await db.addSignupLog({
+      occurrenceId: classToSignup.id,
+      serviceName: classToSignup.serviceName,
+      trainerName: classToSignup.trainerName,
+      locationName: classToSignup.locationName,
+      classTime: classToSignup.startTime,
+      ...ownerLog,
+      status: 'failed',
+      errorMessage: error.message
+    });
+    return { status: 'failed', message: error.message };
+  }
+}
+
+/**
+ * Why a timed signup should no longer go ahead because something else was
+ * booked that day since the timer was armed: another class of the same
+ * one-per-day rule, or another class in its fallback chain. Other classes are
+ * looked up in the schedule cached by the run that armed the timer.
+ *
+ * @returns {Promise<string|null>}
+ */
+async function findSameDayBooking(tracked, classToSignup, signupLogs, accountId) {
+  const dayKey = getClassDayKey(classToSignup);
+  const cached = classCache.get(accountId);
+  const dayClasses = (cached ? cached.classes : [])
+    .filter(cls => getClassDayKey(cls) === dayKey && String(cls.id) !== String(classToSignup.id));
+  const findLog = (rule, cls) => signupLogs.find(log =>
+    String(log.occurrence_id) === String(cls.id) &&
+    isClientLog(log, rule.client_id) &&
+    log.status === 'success'
+  );
+
+  if (isOnePerDayRule(tracked)) {
+    const taken = classService.matchTrackedClassToOccurrences(tracked, dayClasses).find(cls =>
+      (!tracked.client_id && (cls.isJoined || cls.isWaited)) || findLog(tracked, cls)
+    );
+    if (taken) {
+      return `${taken.serviceName} already booked for this rule on ${dayKey}`;
+    }
+  }
+
+  const link = getChainLinks(await db.getFallbackChains({ accountId })).get(Number(tracked.id));
+  if (link) {
+    const siblings = (await db.getAllTrackedClasses({ accountId })).filter(other =>
+      link.chain.tracked_class_ids.includes(Number(other.id)) && String(other.id) !== String(tracked.id)
+    );
+    for (const sibling of siblings) {
+      const booked = classService.matchTrackedClassToOccurrences(sibling, dayClasses).find(cls => {
+        const log = findLog(sibling, cls);
+        return (!sibling.client_id && cls.isJoined) || (log && !isWaitlistLog(log));
+      });
+      if (booked) {
+        return `${booked.serviceName} already booked in "${link.chain.name}" on ${dayKey}`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fire a signup for an occurrence whose booking window has just opened.
+ * Called by the precision timer, so it re-loads the tracked class and re-runs
+ * the rule match and the scheduler's guards instead of trusting the state
+ * captured when the timer was armed. The caller must not let it overlap a
+ * scheduler run for the same account. `sessionCookie` must belong to the
+ * tracked class's YMCA account.
+ */
+async function signupAtWindowOpen(sessionCookie, tracked, classToSignup, options = {}) {
+  const checkIntervalMinutes = normalizeCheckInterval(options.checkIntervalMinutes);
+  const now = new Date();
+
+  const currentTracked = tracked.id ? await db.getTrackedClass(tracked.id) : tracked;
+  if (!currentTracked || !currentTracked.auto_signup) {
+    logger.info(`⏱️  Skipping timed signup for ${classToSignup.serviceName}: tracked class removed or auto-signup disabled`);
+    return;
+  }
+
+  // The rule may have been edited or used up its limit since the timer was armed
+  const archiveReason = lifecycleService.getArchiveReason(currentTracked, dayKeyService.getDayKey(now));
+  if (archiveReason) {
+    logger.info(`⏱️  Skipping timed signup for ${classToSignup.serviceName}: ${archiveReason}`);
+    return;
+  }
+  if (classService.matchTrackedClassToOccurrences(currentTracked, [classToSignup]).length === 0) {
+    logger.info(`⏱️  Skipping timed signup for ${classToSignup.serviceName}: no longer matches its tracking rule`);
+    return;
+  }
+
+  if (now >= new Date(classToSignup.startTime)) {
+    logger.debug(`⏱️  Skipping timed signup for ${classToSignup.serviceName}: class has already started`);
+    return;
+  }
+
+  const accountId = currentTracked.account_id || null;
+  const blackouts = await db.getBlackoutPeriods(getClassDayKey(classToSignup), { accountId });
+  const blackout = blackoutService.findBlackout(blackouts, currentTracked.id, classToSignup.startTime);
+  if (blackout) {
+    logger.info(`⏱️  Skipping timed signup for ${classToSignup.serviceName}: ${blackoutService.describeBlackout(blackout)}`);
+    return;
+  }
+
+  const busy = !currentTracked.client_id &&
+    busyCalendarService.findBusyOverlap(classToSignup, await loadBusyEvents(options.getBusyEvents, now));
+  if (busy) {
+    logger.info(`⏱️  Skipping timed signup for ${classToSignup.serviceName}: ${busyCalendarService.describeBusyEvent(busy)}`);
+    return;
+  }
+
+  const existingLog = await db.getSignupLogs(1000, { accountId });
+  const alreadyHandled = existingLog.find(log =>
+    String(log.occurrence_id) === String(classToSignup.id) &&
+    isClientLog(log, currentTracked.client_id) &&
+    (log.status === 'success' || log.status === 'cancelled')
+  );
+
+  if (alreadyHandled) {
+    logger.debug(`⏱️  Skipping timed signup for ${classToSignup.serviceName}: occurrence already ${alreadyHandled.status}`);
+    return;
+  }
+
+  const sameDayBooking = await findSameDayBooking(currentTracked, classToSignup, existingLog, accountId);
+  if (sameDayBooking) {
+    logger.info(`⏱️  Skipping timed signup for ${classToSignup.serviceName}: ${sameDayBooking}`);
+    return;
+  }
+
+  const failedAttempts = existingLog.filter(log =>
+    String(log.occurrence_id) === String(classToSignup.id) &&
+    isClientLog(log, currentTracked.client_id) &&
+    log.status === 'failed'
+  );
+
+  const conflictSettings = conflictService.normalizeConflictSettings(options.conflicts);
+  const quotaSettings = quotaService.normalizeQuotaSettings(options.quotas);
+  let replacing = [];
+  const holderSchedule = !currentTracked.client_id;
+  if (holderSchedule && (conflictSettings.policy !== 'allow' || quotaService.hasQuotas(quotaSettings))) {
+    const booked = await loadBookedOccurrences(sessionCookie, now);
+    const trackedClasses = (await db.getAllTrackedClasses({ accountId })).filter(other => !other.client_id);
+
+    if (conflictSettings.policy !== 'allow') {
+      const plan = planConflicts(currentTracked, classToSignup, booked, {
+        settings: conflictSettings,
+        trackedClasses,
+        bookedByTracked: new Map()
+      });
+      if (plan.blocked) {
+        logger.info(`⏱️  Skipping timed signup for ${classToSignup.serviceName}: ${plan.message}`);
+        return;
+      }
+      replacing = plan.replace;
+    }
+
+    if (quotaService.hasQuotas(quotaSettings)) {
+      const remaining = booked.filter(booking => !replacing.some(conflict => conflict.occurrence === booking));
+      const breach = quotaService.findQuotaBreach(classToSignup, remaining, quotaSettings, countReservedSlots(currentTracked, classToSignup, {
+        trackedClasses: trackedClasses.filter(other => other.auto_signup),
+        booked: remaining,
+        now
+      }));
+      if (breach) {
+        logger.info(`⏱️  Skipping timed signup for ${classToSignup.serviceName}: ${breach}`);
+        return;
+      }
+    }
+  }
+
+  logger.info(`⏱️  Booking window open: ${classToSignup.serviceName} at ${new Date(classToSignup.startTime)}`);
+  const outcome = await attemptSignup(sessionCookie, classToSignup, {
+    now,
+    failedAttempts,
+    checkIntervalMinutes,
+    client: getTrackedClient(currentTracked),
+    accountId
+  });
+  if (outcome.status === 'success' && !outcome.waitlisted) {
+    await countRuleBooking(currentTracked, now);
+    for (const conflict of replacing) {
+      await cancelReplacedBooking(sessionCookie, conflict, classToSignup, accountId);
+    }
+  }
+}
+
+/**
+ * Estimate the next occurrence of a tracked class based on its weekdays, time
+ * and recurrence (every other week, nth weekday of the month).
  * This is a rough estimate used to determine if we should fetch from the API.
  */
 function getNextOccurrence(tracked, fromDate) {
-  if (!tracked.day_of_week || !tracked.start_time) {
+  let next = getNextWeekdayOccurrence(tracked, fromDate);
+  // A monthly rule can skip several weeks; a year of candidates is plenty
+  for (let step = 0; next && step < 370 && !recurrenceService.matchesRecurrence(tracked.recurrence, next); step++) {
+    next = getNextWeekdayOccurrence(tracked, new Date(next.getTime() + 60 * 1000));
+  }
+  return next && recurrenceService.matchesRecurrence(tracked.recurrence, next) ? next : null;
+}
+
+function getNextWeekdayOccurrence(tracked, fromDate) {
+  const days = Array.isArray(tracked.days_of_week) && tracked.days_of_week.length > 0
+    ? tracked.days_of_week
+    : [tracked.day_of_week];
+
+  // Rules without a start time (category rules, open-ended windows) estimate
+  // from the start of their time window
+  const anchorTime = tracked.start_time || tracked.time_range_start || tracked.time_range_end;
+  if (!days[0] || !anchorTime) {
     return null;
   }
   
@@ -455,27 +1517,42 @@ function getNextOccurrence(tracked, fromDate) {
     'Thursday': 4, 'Friday': 5, 'Saturday': 6
   };
   
-  const targetDay = dayMap[tracked.day_of_week];
-  if (targetDay === undefined) return null;
-  
-  const [hours, minutes] = tracked.start_time.split(':').map(Number);
+  const [hours, minutes] = anchorTime.split(':').map(Number);
   if (isNaN(hours) || isNaN(minutes)) return null;
   
-  // Find next occurrence of this day/time
-  const next = new Date(fromDate);
-  next.setHours(hours, minutes, 0, 0);
-  
-  const currentDay = next.getDay();
-  let daysUntil = targetDay - currentDay;
-  
-  if (daysUntil < 0 || (daysUntil === 0 && next <= fromDate)) {
-    daysUntil += 7;
+  let earliest = null;
+  for (const day of days) {
+    const targetDay = dayMap[day];
+    if (targetDay === undefined) continue;
+
+    // Find next occurrence of this day/time
+    const next = new Date(fromDate);
+    next.setHours(hours, minutes, 0, 0);
+    
+    const currentDay = next.getDay();
+    let daysUntil = targetDay - currentDay;
+    
+    if (daysUntil < 0 || (daysUntil === 0 && next <= fromDate)) {
+      daysUntil += 7;
+    }
+    
+    next.setDate(next.getDate() + daysUntil);
+    if (!earliest || next < earliest) {
+      earliest = next;
+    }
   }
-  
-  next.setDate(next.getDate() + daysUntil);
-  return next;
+
+  return earliest;
 }
 
 module.exports = {
-  checkAndSignup
+  checkAndSignup,
+  signupAtWindowOpen,
+  archiveFinishedTrackedClasses,
+  getSignupWindow,
+  getNextOccurrence,
+  buildCronExpression,
+  getNextRunTime,
+  normalizeCheckInterval,
+  DEFAULT_CHECK_INTERVAL_MINUTES
 };
@@ -0,0 +1,83 @@
+function createSpotWatchPoller({
+  logger,
+  check,
+  getIntervalMs,
+  now = () => Date.now()
+}) {
+  const polls = new Map();
+
+  function schedule(poll) {
+    const delayMs = getIntervalMs(poll.watch.class_time, new Date(now()));
+    poll.handle = setTimeout(() => runCheck(poll.watch.id), delayMs);
+  }
+
+  async function runCheck(id) {
+    const poll = polls.get(id);
+    if (!poll) {
+      return;
+    }
+
+    let result = null;
+    try {
+      result = await check(poll.watch);
+    } catch (error) {
+      logger.warn(`Spot watch check for ${poll.watch.service_name} (occurrence ${poll.watch.occurrence_id}) failed:`, error.message);
+    }
+
+    // Stopped while the check was in flight
+    if (polls.get(id) !== poll) {
+      return;
+    }
+
+    if (result && result.status !== 'watching') {
+      polls.delete(id);
+      return;
+    }
+
+    schedule(poll);
+  }
+
+  /**
+   * Start polling a watch. Each check is scheduled from the class time, so the
+   * interval shrinks on its own as the class approaches. Polling ends when a
+   * check returns a status other than 'watching' or the watch is stopped.
+   */
+  function watch(spotWatch) {
+    unwatch(spotWatch.id);
+
+    const poll = { watch: spotWatch, handle: null };
+    polls.set(spotWatch.id, poll);
+    schedule(poll);
+  }
+
+  function unwatch(id) {
+    const poll = polls.get(id);
+    if (!poll) {
+      return;
+    }
+
+    clearTimeout(poll.handle);
+    polls.delete(id);
+  }
+
+  function unwatchAll() {
+    for (const id of Array.from(polls.keys())) {
+      unwatch(id);
+    }
+  }
+
+  function getWatchedIds() {
+    return Array.from(polls.keys());
+  }
+
+  return {
+    watch,
+    unwatch,
+    unwatchAll,
+    getWatchedIds
+  };
+}
+
+module.exports = {
+  createSpotWatchPoller
+};
@@ -0,0 +1,120 @@
+const logger = require('../logger');
+const db = require('../database');
+const classService = require('./classService');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Poll faster as the class approaches: spots freed by late cancellations go
+// quickly. Anything further out than the last step uses the default interval.
+const SPOT_WATCH_POLL_STEPS = [
+  { withinMs: 2 * HOUR_MS, intervalMs: MINUTE_MS },
+  { withinMs: 12 * HOUR_MS, intervalMs: 3 * MINUTE_MS },
+  { withinMs: 48 * HOUR_MS, intervalMs: 10 * MINUTE_MS }
+];
+const DEFAULT_SPOT_WATCH_POLL_MS = 30 * MINUTE_MS;
+
+function getSpotWatchPollIntervalMs(classTime, now = new Date()) {
+  const untilClassMs = new Date(classTime).getTime() - now.getTime();
+  const step = SPOT_WATCH_POLL_STEPS.find(candidate => untilClassMs <= candidate.withinMs);
+  return step ? step.intervalMs : DEFAULT_SPOT_WATCH_POLL_MS;
+}
+
+function isBookableStatus(occurrence) {
+  return occurrence.status === 'Scheduled' || occurrence.status === 'Rescheduled';
+}
+
+async function resolveWatch(watch, status, message) {
+  await db.updateSpotWatch(watch.id, { status, resultMessage: message });
+  return { status, message };
+}
+
+async function keepWatching(watch, message) {
+  await db.updateSpotWatch(watch.id, { resultMessage: message });
+  return { status: 'watching', message };
+}
+
+async function logWatchSignup(watch, occurrence, message) {
+  await db.addSignupLog({
+    occurrenceId: occurrence.id,
+    serviceName: occurrence.serviceName,
+    trainerName: occurrence.trainerName,
+    locationName: occurrence.locationName,
+    classTime: occurrence.startTime,
+    status: 'success',
+    errorMessage: message,
+    accountId: watch.account_id
+  });
+}
+
+/**
+ * Check one watched occurrence and sign up (or join the waitlist) as soon as
+ * a spot or waitlist slot is free. Signups are written to the signup log like
+ * any other booking so the scheduler never books the occurrence twice.
+ * `sessionCookie` must belong to the watch's YMCA account.
+ *
+ * Returns the watch's new status: 'watching' keeps polling; 'booked',
+ * 'waitlisted' and 'expired' are final.
+ *
+ * @returns {Promise<{status, message}>}
+ */
+async function checkSpotWatch(sessionCookie, watch, options = {}) {
+  const { now = new Date() } = options;
+
+  if (new Date(watch.class_time) <= now) {
+    return resolveWatch(watch, 'expired', 'Class started before a spot opened');
+  }
+
+  const details = await classService.getOccurrenceDetails(sessionCookie, watch.occurrence_id);
+  if (!details || !details.occurrence) {
+    return keepWatching(watch, 'Could not load the class; will retry');
+  }
+
+  const occurrence = classService.normalizeBookingOccurrence(details.occurrence);
+
+  if (occurrence.isJoined) {
+    return resolveWatch(watch, 'booked', 'Already enrolled');
+  }
+  if (occurrence.isWaited) {
+    return resolveWatch(watch, 'waitlisted', 'Already on the waitlist');
+  }
+  if (!isBookableStatus(occurrence)) {
+    return resolveWatch(watch, 'expired', `Class is ${String(occurrence.status).toLowerCase()}`);
+  }
+  if (!occurrence.canSignup && !occurrence.canJoinWaitlist) {
+    return keepWatching(watch, occurrence.fullGroup ? 'Class and waitlist are full' : 'Booking window is not open yet');
+  }
+
+  try {
+    const result = await classService.signupForClass(
+      sessionCookie,
+      occurrence.id,
+      occurrence.lock_version,
+      true, // tryWaitlist
+      occurrence.waitingListEnabled
+    );
+    const status = result.waitlisted ? 'waitlisted' : 'booked';
+    const message = result.waitlisted ? 'Joined waitlist from spot watch' : 'Booked from spot watch';
+    await logWatchSignup(watch, occurrence, message);
+    logger.info(`👀 ${message}: ${occurrence.serviceName} at ${occurrence.startTime}`);
+    return resolveWatch(watch, status, message);
+  } catch (error) {
+    if (error.code === 'ALREADY_ENROLLED') {
+      await logWatchSignup(watch, occurrence, 'Already enrolled');
+      return resolveWatch(watch, 'booked', 'Already enrolled');
+    }
+    if (error.code === 'ALREADY_ON_WAITLIST') {
+      await logWatchSignup(watch, occurrence, 'Already on waitlist');
+      return resolveWatch(watch, 'waitlisted', 'Already on the waitlist');
+    }
+
+    // Someone else took the spot first, or a transient error; keep polling
+    logger.warn(`Spot watch signup for ${occurrence.serviceName} failed: ${error.message}`);
+    return keepWatching(watch, `Signup failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  checkSpotWatch,
+  getSpotWatchPollIntervalMs
+};
@@ -0,0 +1,198 @@
+const logger = require('../logger');
+const db = require('../database');
+const classService = require('./classService');
+
+const SUBSTITUTE_POLICIES = ['keep', 'cancel', 'notify'];
+const DEFAULT_LOOKAHEAD_DAYS = 14;
+// Log statuses that record which instructor a booking was last seen with
+const KNOWN_TRAINER_STATUSES = ['success', 'substitute_kept', 'substitute_notice'];
+
+function normalizeSubstitutePolicy(policy) {
+  return SUBSTITUTE_POLICIES.includes(policy) ? policy : 'keep';
+}
+
+// Occurrences without an instructor are logged as TBA so the change is still recorded once
+function getTrainerLabel(booking) {
+  return booking.trainerName || 'TBA';
+}
+
+function normalizeTrainerName(name) {
+  return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Tracked class a booking belongs to, judged on everything except the instructor
+function findTrackedClassForBooking(trackedClasses, booking) {
+  return trackedClasses.find((tracked) => {
+    const withoutTrainerRules = {
+      ...tracked,
+      match_trainer: 0,
+      preferred_trainers: [],
+      excluded_trainers: []
+    };
+    const diagnostics = classService.buildTrackedMatchDiagnostics(withoutTrainerRules, booking);
+    return Object.values(diagnostics).every(detail => detail.matches !== false);
+  }) || null;
+}
+
+function getLastKnownTrainerName(logs, occurrenceId) {
+  const log = logs.find(entry =>
+    String(entry.occurrence_id) === String(occurrenceId) &&
+    KNOWN_TRAINER_STATUSES.includes(entry.status) &&
+    entry.trainer_name
+  );
+  return log ? log.trainer_name : null;
+}
+
+function describeChange(previousTrainerName, booking) {
+  return previousTrainerName
+    ? `Instructor changed from ${previousTrainerName} to ${getTrainerLabel(booking)}`
+    : `Instructor is now ${getTrainerLabel(booking)}, outside this rule's instructors`;
+}
+
+async function logSubstituteEvent(tracked, booking, status, message) {
+  await db.addSignupLog({
+    occurrenceId: booking.id,
+    serviceName: booking.serviceName,
+    trainerName: getTrainerLabel(booking),
+    locationName: booking.locationName,
+    classTime: booking.startTime,
+    status,
+    errorMessage: message,
+    clientId: tracked.client_id,
+    clientName: tracked.client_name,
+    accountId: tracked.account_id
+  });
+}
+
+async function applySubstitutePolicy(sessionCookie, tracked, booking, change) {
+  const policy = normalizeSubstitutePolicy(tracked.substitute_policy);
+
+  if (policy === 'cancel') {
+    try {
+      if (booking.isWaited && !booking.isJoined) {
+        await classService.leaveWaitlist(sessionCookie, booking.id, tracked.client_id);
+      } else {
+        await classService.cancelBooking(sessionCookie, booking.id, tracked.client_id);
+      }
+      // Logged as cancelled so the scheduler won't book this occurrence again
+      await logSubstituteEvent(tracked, booking, 'cancelled', `${change}; booking cancelled`);
+      return { action: 'cancelled', message: `${change}; booking cancelled` };
+    } catch (error) {
+      const message = `${change}; cancellation failed: ${error.message}`;
+      await logSubstituteEvent(tracked, booking, 'substitute_notice', message);
+      return { action: 'notified', message };
+    }
+  }
+
+  if (policy === 'notify') {
+    const message = `${change}; review this booking`;
+    await logSubstituteEvent(tracked, booking, 'substitute_notice', message);
+    return { action: 'notified', message };
+  }
+
+  const message = `${change}; kept booking`;
+  await logSubstituteEvent(tracked, booking, 'substitute_kept', message);
+  return { action: 'kept', message };
+}
+
+/**
+ * Look for instructor changes on upcoming booked (or waitlisted) occurrences
+ * of tracked classes and apply each tracked class's substitute policy.
+ *
+ * A change is detected against the instructor recorded in the signup log when
+ * the class was booked; bookings made outside this app fall back to the
+ * tracked class's instructor rules. Each change is handled once, because the
+ * event logged here becomes the new known instructor. With `accountId`, only
+ * that YMCA account's tracked classes and log are used. Each person's bookings
+ * (the account holder's and every linked family member's with tracked
+ * classes) are only compared with the tracked classes booking for them.
+ *
+ * @returns {Promise<Array<{occurrenceId, trackedClassId, serviceName, previousTrainerName, trainerName, action, message}>>}
+ */
+async function checkBookedInstructorChanges(sessionCookie, options = {}) {
+  const { now = new Date(), lookaheadDays = DEFAULT_LOOKAHEAD_DAYS, accountId = null } = options;
+
+  const trackedClasses = await db.getAllTrackedClasses({ accountId });
+  if (trackedClasses.length === 0) {
+    return [];
+  }
+
+  // Tracked classes per person, keyed by client id ('' for the account holder)
+  const trackedByClient = new Map();
+  for (const tracked of trackedClasses) {
+    const key = tracked.client_id || '';
+    trackedByClient.set(key, [...(trackedByClient.get(key) || []), tracked]);
+  }
+
+  const endDate = new Date(now.getTime() + lookaheadDays * 24 * 60 * 60 * 1000);
+  const logs = await db.getSignupLogs(1000, { accountId });
+  const events = [];
+
+  for (const [clientId, clientTrackedClasses] of trackedByClient) {
+    const response = await classService.getMyBookings(sessionCookie, {
+      startDate: now.toISOString(),
+      endDate: endDate.toISOString(),
+      clientId: clientId || undefined
+    });
+    const bookings = (response?.data || [])
+      .map(booking => classService.normalizeBookingOccurrence(booking))
+      .filter(booking => (booking.isJoined || booking.isWaited) && new Date(booking.startTime) > now);
+    const clientLogs = logs.filter(log => String(log.client_id || '') === clientId);
+
+    events.push(...await checkClientBookings(sessionCookie, clientTrackedClasses, bookings, clientLogs));
+  }
+
+  return events;
+}
+
+// One person's bookings against the tracked classes that book for them
+async function checkClientBookings(sessionCookie, trackedClasses, bookings, logs) {
+  const events = [];
+
+  for (const booking of bookings) {
+    const tracked = findTrackedClassForBooking(trackedClasses, booking);
+    if (!tracked) {
+      continue;
+    }
+
+    const trainerDiagnostics = classService.buildTrackedMatchDiagnostics(tracked, booking).trainer;
+    const stillAllowed = !trainerDiagnostics || trainerDiagnostics.matches !== false;
+    const previousTrainerName = getLastKnownTrainerName(logs, booking.id);
+
+    const changed = previousTrainerName
+      ? normalizeTrainerName(previousTrainerName) !== normalizeTrainerName(getTrainerLabel(booking))
+      : !stillAllowed;
+    if (!changed) {
+      continue;
+    }
+
+    const change = describeChange(previousTrainerName, booking);
+    let result;
+
+    if (stillAllowed) {
+      // A swap to another acceptable instructor never needs the policy
+      result = { action: 'kept', message: `${change} (still an allowed instructor); kept booking` };
+      await logSubstituteEvent(tracked, booking, 'substitute_kept', result.message);
+    } else {
+      result = await applySubstitutePolicy(sessionCookie, tracked, booking, change);
+    }
+
+    logger.info(`🔁 ${booking.serviceName} on ${booking.startTime}: ${result.message}`);
+    events.push({
+      occurrenceId: booking.id,
+      trackedClassId: tracked.id,
+      serviceName: booking.serviceName,
+      previousTrainerName,
+      trainerName: booking.trainerName || null,
+      action: result.action,
+      message: result.message
+    });
+  }
+
+  return events;
+}
+
+module.exports = {
+  checkBookedInstructorChanges,
+  SUBSTITUTE_POLICIES
+};
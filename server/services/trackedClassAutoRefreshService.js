@@ -1,6 +1,7 @@
 const logger = require('../logger');
 const db = require('../database');
 const classService = require('./classService');
+const trackedClassHistoryService = require('./trackedClassHistoryService');
 
 function summarizeTrackedClassRefresh(updates) {
   return Object.entries(updates)
@@ -9,10 +10,15 @@ function summarizeTrackedClassRefresh(updates) {
 }
 
 async function maybeAutoRefreshTrackedClass(tracked, occurrences, options = {}) {
-  const { source = 'unknown' } = options;
+  const { source = 'unknown', persist = true } = options;
   const matches = classService.matchTrackedClassToOccurrences(tracked, occurrences);
 
-  if (matches.length > 0 || !tracked.id) {
+  // Category rules and location sets describe a choice of classes, so there is
+  // no single schedule entry to refresh them from
+  const refreshable = tracked.rule_type !== 'category' &&
+    !(Array.isArray(tracked.locations) && tracked.locations.length > 0);
+
+  if (matches.length > 0 || !tracked.id || !refreshable) {
     return {
       tracked,
       matches,
@@ -29,16 +35,23 @@ async function maybeAutoRefreshTrackedClass(tracked, occurrences, options = {})
     };
   }
 
-  await db.updateTrackedClass(tracked.id, refreshPlan.updates);
-
   const refreshedTracked = {
     ...tracked,
     ...refreshPlan.updates
   };
+
+  if (persist) {
+    await db.updateTrackedClass(tracked.id, refreshPlan.updates);
+    await db.addTrackedClassHistory(
+      tracked.id,
+      'auto-refresh',
+      trackedClassHistoryService.diffTrackedClass(tracked, refreshedTracked)
+    );
+  }
   const refreshedMatches = classService.matchTrackedClassToOccurrences(refreshedTracked, occurrences);
 
   logger.info(
-    `Auto-refreshed tracked class ${tracked.id} from ${source}: ${summarizeTrackedClassRefresh(refreshPlan.updates)}`
+    `${persist ? 'Auto-refreshed' : 'Would auto-refresh'} tracked class ${tracked.id} from ${source}: ${summarizeTrackedClassRefresh(refreshPlan.updates)}`
   );
 
   return {
@@ -0,0 +1,77 @@
+const recurrenceService = require('./recurrenceService');
+
+// Tracked class fields an edit history records, with the label shown for each
+const HISTORY_FIELDS = [
+  { field: 'client_name', label: 'Books for', type: 'client' },
+  { field: 'rule_type', label: 'Rule type' },
+  { field: 'service_name', label: 'Class' },
+  { field: 'service_category_name', label: 'Category' },
+  { field: 'name_keyword', label: 'Name contains' },
+  { field: 'location_name', label: 'Location' },
+  { field: 'days_of_week', label: 'Days' },
+  { field: 'start_time', label: 'Start time' },
+  { field: 'match_exact_time', label: 'Exact time', type: 'flag' },
+  { field: 'time_tolerance', label: 'Time tolerance (minutes)' },
+  { field: 'time_range_start', label: 'Window start' },
+  { field: 'time_range_end', label: 'Window end' },
+  { field: 'recurrence', label: 'Repeat', type: 'recurrence' },
+  { field: 'trainer_name', label: 'Instructor' },
+  { field: 'match_trainer', label: 'Match instructor', type: 'flag' },
+  { field: 'preferred_trainers', label: 'Preferred instructors', type: 'refs' },
+  { field: 'excluded_trainers', label: 'Never book with', type: 'refs' },
+  { field: 'substitute_policy', label: 'If the instructor changes' },
+  { field: 'priority', label: 'Priority', type: 'priority' },
+  { field: 'auto_signup', label: 'Auto-signup', type: 'flag' },
+  { field: 'signup_hours_before', label: 'Signup hours before' },
+  { field: 'active_from', label: 'Active from' },
+  { field: 'active_until', label: 'Active until' },
+  { field: 'max_bookings', label: 'Booking limit' }
+];
+
+const PRIORITY_LABELS = { 0: 'Low', 1: 'Normal', 2: 'High' };
+
+// Display form of a stored value; null when the field is empty
+function formatHistoryValue(type, value) {
+  if (type === 'client') {
+    return value || 'Account holder';
+  }
+  if (type === 'priority') {
+    return value === undefined || value === null ? null : (PRIORITY_LABELS[value] || String(value));
+  }
+  if (type === 'flag') {
+    return value === undefined || value === null ? null : (value === true || Number(value) === 1 ? 'On' : 'Off');
+  }
+  if (type === 'refs') {
+    const names = (Array.isArray(value) ? value : []).map(ref => ref.name || ref.id);
+    return names.length > 0 ? names.join(', ') : null;
+  }
+  if (type === 'recurrence') {
+    return value ? recurrenceService.describeRecurrence(value) : null;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : null;
+  }
+  return value === undefined || value === null || value === '' ? null : String(value);
+}
+
+/**
+ * The fields that differ between two versions of a tracked class row, as
+ * `{ field, label, from, to }` with display values.
+ *
+ * @returns {Array<Object>}
+ */
+function diffTrackedClass(before, after) {
+  return HISTORY_FIELDS
+    .map(({ field, label, type }) => ({
+      field,
+      label,
+      from: formatHistoryValue(type, before[field]),
+      to: formatHistoryValue(type, after[field])
+    }))
+    .filter(change => change.from !== change.to);
+}
+
+module.exports = {
+  HISTORY_FIELDS,
+  diffTrackedClass
+};
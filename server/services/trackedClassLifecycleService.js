@@ -0,0 +1,39 @@
+const MAX_BOOKING_LIMIT = 100;
+
+function isValidBookingLimit(value) {
+  return Number.isInteger(value) && value >= 1 && value <= MAX_BOOKING_LIMIT;
+}
+
+// Bookings left on a "next N occurrences" rule, or null when it has no limit
+function getRemainingBookings(tracked) {
+  if (!tracked.max_bookings) {
+    return null;
+  }
+  return Math.max(0, tracked.max_bookings - (tracked.bookings_made || 0));
+}
+
+/**
+ * Why a tracked class is finished as of `today` (a New York YYYY-MM-DD day):
+ * its date range has ended or it has booked all the occurrences it was
+ * limited to.
+ *
+ * @returns {string|null}
+ */
+function getArchiveReason(tracked, today) {
+  if (tracked.active_until && tracked.active_until < today) {
+    return `Ended ${tracked.active_until}`;
+  }
+  if (getRemainingBookings(tracked) === 0) {
+    return tracked.max_bookings === 1
+      ? 'Booked its one occurrence'
+      : `Booked all ${tracked.max_bookings} occurrences`;
+  }
+  return null;
+}
+
+module.exports = {
+  MAX_BOOKING_LIMIT,
+  isValidBookingLimit,
+  getRemainingBookings,
+  getArchiveReason
+};
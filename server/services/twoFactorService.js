@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const logger = require('../logger');
+const db = require('../database');
+
+// RFC 6238 TOTP as authenticator apps expect it: SHA-1, 6 digits, 30 second
+// steps. One step either side is accepted for clock drift.
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1;
+const TOTP_ISSUER = 'YMCA Auto-Signup';
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function getTimeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+function generateTotp(secret, step = getTimeStep()) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % (10 ** TOTP_DIGITS);
+  return String(code).padStart(TOTP_DIGITS, '0');
+}
+
+/**
+ * The time step a code matches within the drift window, or null. Steps at or
+ * before `lastUsedStep` are refused so a code can't be replayed.
+ *
+ * @returns {number|null}
+ */
+function verifyTotp(secret, code, { now = Date.now(), lastUsedStep = null } = {}) {
+  const clean = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(clean)) {
+    return null;
+  }
+
+  const current = getTimeStep(now);
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    if (lastUsedStep !== null && step <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(clean))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function buildOtpAuthUrl(secret, username) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Recovery codes are random, so a plain SHA-256 is enough to store them
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  return Array.from({ length: count }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+}
+
+async function replaceRecoveryCodes(userId) {
+  const codes = generateRecoveryCodes();
+  await db.saveRecoveryCodes(userId, codes.map(hashRecoveryCode));
+  return codes;
+}
+
+/**
+ * Start enrollment: a new secret is saved but not enforced until a code from
+ * it is confirmed. Returns what the authenticator app needs.
+ */
+async function beginEnrollment(userId) {
+  const user = await db.getUserById(userId);
+  if (user.totp_enabled) {
+    throw new Error('Two-factor authentication is already on');
+  }
+
+  const secret = generateSecret();
+  await db.saveTotpSecret(user.id, secret);
+  const otpauthUrl = buildOtpAuthUrl(secret, user.username);
+
+  return {
+    secret,
+    otpauthUrl,
+    qrCode: await QRCode.toDataURL(otpauthUrl)
+  };
+}
+
+// Turns 2FA on once the app shows a matching code; returns the recovery codes
+async function confirmEnrollment(userId, code) {
+  const user = await db.getUserById(userId);
+  if (!user?.totp_secret) {
+    throw new Error('Start two-factor setup first');
+  }
+  if (user.totp_enabled) {
+    throw new Error('Two-factor authentication is already on');
+  }
+
+  const step = verifyTotp(user.totp_secret, code);
+  if (step === null) {
+    throw new Error('That code is not valid. Check the time on your device and try again.');
+  }
+
+  await db.enableTotp(userId, step);
+  logger.info(`Two-factor authentication enabled for ${user.username}`);
+  return replaceRecoveryCodes(userId);
+}
+
+/**
+ * Check a login code: an authenticator code, or else an unused recovery code,
+ * which is used up.
+ *
+ * @returns {Promise<'totp'|'recovery'|null>}
+ */
+async function verifyLoginCode(userId, code) {
+  const user = await db.getUserById(userId);
+  if (!user?.totp_enabled) {
+    return null;
+  }
+
+  const step = verifyTotp(user.totp_secret, code, { lastUsedStep: user.totp_last_step });
+  if (step !== null) {
+    await db.updateTotpLastStep(userId, step);
+    return 'totp';
+  }
+
+  if (normalizeRecoveryCode(code).length > 0 && await db.useRecoveryCode(userId, hashRecoveryCode(code))) {
+    logger.warn(`Recovery code used to log in as ${user.username}`);
+    return 'recovery';
+  }
+
+  return null;
+}
+
+async function getStatus(userId) {
+  const user = await db.getUserById(userId);
+  return {
+    enabled: !!user?.totp_enabled,
+    recoveryCodesLeft: user?.totp_enabled ? await db.countRecoveryCodes(userId) : 0
+  };
+}
+
+async function disable(userId) {
+  await db.clearTotp(userId);
+}
+
+module.exports = {
+  RECOVERY_CODE_COUNT,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpAuthUrl,
+  hashRecoveryCode,
+  generateRecoveryCodes,
+  replaceRecoveryCodes,
+  beginEnrollment,
+  confirmEnrollment,
+  verifyLoginCode,
+  getStatus,
+  disable
+};
@@ -4,27 +4,109 @@ const db = require('../database');
 
 const SALT_ROUNDS = 10;
 
-async function setupFirstUser(username, password) {
-  const hasUsers = await db.hasUsers();
-  if (hasUsers) {
-    throw new Error('Users already exist. Cannot run setup again.');
-  }
-  
+// Each role can do everything the ones before it can:
+//   read-only - see classes, bookings, tracked classes and history
+//   booker    - also book, cancel and manage tracked classes
+//   admin     - also change settings, YMCA accounts and app users
+const USER_ROLES = ['read-only', 'booker', 'admin'];
+
+function hasRole(user, role) {
+  return !!user && USER_ROLES.indexOf(user.role) >= USER_ROLES.indexOf(role);
+}
+
+function validateUsername(username) {
   if (!username || username.length < 3) {
     throw new Error('Username must be at least 3 characters long');
   }
-  
+}
+
+function validatePassword(password) {
   if (!password || password.length < 8) {
     throw new Error('Password must be at least 8 characters long');
   }
+}
+
+function validateRole(role) {
+  if (!USER_ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${USER_ROLES.join(', ')}`);
+  }
+}
+
+async function setupFirstUser(username, password) {
+  const hasUsers = await db.hasUsers();
+  if (hasUsers) {
+    throw new Error('Users already exist. Cannot run setup again.');
+  }
+  
+  validateUsername(username);
+  validatePassword(password);
   
   const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
-  const userId = await db.createUser(username, passwordHash);
+  const userId = await db.createUser(username, passwordHash, 'admin');
   logger.info(`First user created: ${username} (ID: ${userId})`);
   
   return userId;
 }
 
+// Users after the first are added by an admin
+async function createUser(username, password, role) {
+  validateUsername(username);
+  validatePassword(password);
+  validateRole(role);
+
+  const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+  const userId = await db.createUser(username, passwordHash, role);
+  logger.info(`User created: ${username} as ${role} (ID: ${userId})`);
+
+  return userId;
+}
+
+// The app always keeps at least one admin, or nobody could manage it
+async function assertAdminRemains(userId) {
+  const users = await db.getUsers();
+  const otherAdmins = users.filter(user => user.role === 'admin' && user.id !== Number(userId));
+  if (otherAdmins.length === 0) {
+    throw new Error('There must be at least one admin');
+  }
+}
+
+async function updateUser(userId, { role, password } = {}) {
+  const user = await db.getUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (role !== undefined) {
+    validateRole(role);
+    if (user.role === 'admin' && role !== 'admin') {
+      await assertAdminRemains(user.id);
+    }
+  }
+  if (password !== undefined) {
+    validatePassword(password);
+  }
+
+  await db.updateUser(user.id, {
+    role,
+    passwordHash: password !== undefined ? await bcrypt.hash(password, SALT_ROUNDS) : undefined
+  });
+  logger.info(`User updated: ${user.username}${role !== undefined ? ` (${role})` : ''}`);
+}
+
+async function deleteUser(userId) {
+  const user = await db.getUserById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.role === 'admin') {
+    await assertAdminRemains(user.id);
+  }
+
+  await db.deleteUser(user.id);
+  logger.info(`User deleted: ${user.username}`);
+}
+
 async function authenticateUser(username, password) {
   const user = await db.getUserByUsername(username);
   
@@ -38,12 +120,17 @@ async function authenticateUser(username, password) {
     throw new Error('Invalid username or password');
   }
   
-  await db.updateUserLogin(user.id);
+  // With two-factor on, the login only counts once the code checks out
+  if (!user.totp_enabled) {
+    await db.updateUserLogin(user.id);
+  }
   logger.info(`User authenticated: ${username}`);
   
   return {
     id: user.id,
     username: user.username,
+    role: user.role,
+    twoFactorEnabled: !!user.totp_enabled,
     lastLogin: user.last_login
   };
 }
@@ -54,7 +141,12 @@ async function isSetupRequired() {
 }
 
 module.exports = {
+  USER_ROLES,
+  hasRole,
   setupFirstUser,
+  createUser,
+  updateUser,
+  deleteUser,
   authenticateUser,
   isSetupRequired
 };
@@ -0,0 +1,144 @@
+const logger = require('../logger');
+const db = require('../database');
+const classService = require('./classService');
+
+const BOOKING_LOOKUP_PADDING_MS = 24 * 60 * 60 * 1000;
+
+async function logUpgradeEvent(link, booking, status, message) {
+  await db.addSignupLog({
+    occurrenceId: booking.id,
+    serviceName: booking.serviceName,
+    trainerName: booking.trainerName,
+    locationName: booking.locationName,
+    classTime: booking.startTime,
+    status,
+    errorMessage: message,
+    accountId: link.account_id,
+    clientId: link.client_id,
+    clientName: link.client_name
+  });
+}
+
+async function resolveLink(link, status) {
+  await db.updateWaitlistLink(link.id, { status });
+}
+
+/**
+ * Follow the waitlists linked to a booked fallback by the scheduler. When a
+ * preferred class flips from waitlisted to joined, the fallback booking is
+ * cancelled and both changes are written to the signup log; the cancellation
+ * is logged as cancelled so the scheduler won't book the fallback again.
+ *
+ * A link expires once its class has started, the preferred class is no
+ * longer on the waitlist, or the fallback is no longer booked. A failed
+ * cancellation keeps the link so the next check retries it. With `accountId`,
+ * only that YMCA account's links are checked. Links for a linked family
+ * member are checked against that person's bookings.
+ *
+ * @returns {Promise<Array<{linkId, preferredOccurrenceId, backupOccurrenceId, action, message}>>}
+ */
+async function checkWaitlistUpgrades(sessionCookie, options = {}) {
+  const { now = new Date(), accountId = null } = options;
+
+  const links = await db.getWaitlistLinks('watching', { accountId });
+  if (links.length === 0) {
+    return [];
+  }
+
+  const events = [];
+  const record = (link, action, message) => {
+    events.push({
+      linkId: link.id,
+      preferredOccurrenceId: link.preferred_occurrence_id,
+      backupOccurrenceId: link.backup_occurrence_id,
+      action,
+      message
+    });
+  };
+
+  const upcoming = [];
+  for (const link of links) {
+    if (link.class_time && new Date(link.class_time) <= now) {
+      await resolveLink(link, 'expired');
+      record(link, 'expired', `${link.preferred_service_name} started while still waitlisted`);
+    } else {
+      upcoming.push(link);
+    }
+  }
+
+  if (upcoming.length === 0) {
+    return events;
+  }
+
+  const lastClassTime = Math.max(...upcoming.map(link => new Date(link.class_time || now).getTime()));
+  // Each person's bookings, keyed by client id ('' for the account holder)
+  const bookingsByClient = new Map();
+  const getClientBookings = async (clientId) => {
+    const key = clientId || '';
+    if (!bookingsByClient.has(key)) {
+      const response = await classService.getMyBookings(sessionCookie, {
+        startDate: now.toISOString(),
+        endDate: new Date(lastClassTime + BOOKING_LOOKUP_PADDING_MS).toISOString(),
+        clientId: clientId || undefined
+      });
+      bookingsByClient.set(key, new Map(
+        (response?.data || [])
+          .map(booking => classService.normalizeBookingOccurrence(booking))
+          .map(booking => [String(booking.id), booking])
+      ));
+    }
+    return bookingsByClient.get(key);
+  };
+
+  for (const link of upcoming) {
+    const bookingsById = await getClientBookings(link.client_id);
+    const preferred = bookingsById.get(String(link.preferred_occurrence_id));
+    const backup = bookingsById.get(String(link.backup_occurrence_id));
+    const backupBooked = Boolean(backup && backup.isJoined);
+
+    if (preferred && preferred.isJoined) {
+      if (backupBooked) {
+        const message = `${preferred.serviceName} confirmed from the waitlist; cancelled fallback ${backup.serviceName}`;
+        try {
+          await classService.cancelBooking(sessionCookie, backup.id, link.client_id);
+        } catch (error) {
+          logger.warn(`⚠️  Could not cancel fallback ${backup.serviceName} after ${preferred.serviceName} confirmed: ${error.message}`);
+          record(link, 'cancel_failed', error.message);
+          continue;
+        }
+        await logUpgradeEvent(link, backup, 'cancelled', message);
+        await logUpgradeEvent(link, preferred, 'success', `Confirmed from the waitlist; cancelled fallback ${backup.serviceName}`);
+        logger.info(`⬆️  ${message}`);
+        record(link, 'upgraded', message);
+      } else {
+        await logUpgradeEvent(link, preferred, 'success', 'Confirmed from the waitlist');
+        record(link, 'upgraded', `${preferred.serviceName} confirmed from the waitlist; fallback was no longer booked`);
+      }
+      await resolveLink(link, 'upgraded');
+      continue;
+    }
+
+    if (!preferred || !preferred.isWaited) {
+      await resolveLink(link, 'expired');
+      record(link, 'expired', `No longer on the waitlist for ${link.preferred_service_name}`);
+      continue;
+    }
+
+    if (!backupBooked) {
+      await resolveLink(link, 'expired');
+      record(link, 'expired', `Fallback ${link.backup_service_name} is no longer booked`);
+      continue;
+    }
+
+    const position = preferred.positionOnWaitingList ?? null;
+    if (position !== link.waitlist_position) {
+      await db.updateWaitlistLink(link.id, { waitlistPosition: position });
+    }
+  }
+
+  return events;
+}
+
+module.exports = {
+  checkWaitlistUpgrades
+};
@@ -1,31 +1,33 @@
+// Sessions are per YMCA account; getSessionCookie/setSessionCookie read and
+// write the in-memory cookie for an account id
 function createYmcaSessionManager({ authService, db, classService, logger, getSessionCookie, setSessionCookie }) {
-  async function persistSession(sessionCookie) {
-    setSessionCookie(sessionCookie);
+  async function persistSession(accountId, sessionCookie) {
+    setSessionCookie(accountId, sessionCookie);
     classService.invalidateCachedSessionState();
-    await db.saveSession(sessionCookie);
-    logger.info('Session saved to database');
+    await db.saveSession(accountId, sessionCookie);
+    logger.info(`Session saved to database for YMCA account ${accountId}`);
     return sessionCookie;
   }
 
-  async function clearSession() {
-    setSessionCookie(null);
+  async function clearSession(accountId) {
+    setSessionCookie(accountId, null);
     classService.invalidateCachedSessionState();
-    await db.clearSession();
-    logger.info('Session cleared from database');
+    await db.clearSession(accountId);
+    logger.info(`Session cleared from database for YMCA account ${accountId}`);
   }
 
-  async function loginAndPersistSession() {
-    const sessionCookie = await authService.login();
-    return persistSession(sessionCookie);
+  async function loginAndPersistSession(accountId) {
+    const sessionCookie = await authService.login(accountId);
+    return persistSession(accountId, sessionCookie);
   }
 
-  async function ensureSession() {
-    const sessionCookie = getSessionCookie();
+  async function ensureSession(accountId) {
+    const sessionCookie = getSessionCookie(accountId);
     if (sessionCookie) {
       return sessionCookie;
     }
 
-    return loginAndPersistSession();
+    return loginAndPersistSession(accountId);
   }
 
   return {
@@ -0,0 +1,97 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const apiTokenServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/apiTokenService.js';
+const userAuthServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/userAuthService.js';
+
+function loadApiTokenService(dbMock) {
+  delete require.cache[require.resolve(apiTokenServicePath)];
+  delete require.cache[require.resolve(userAuthServicePath)];
+
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request === '../logger') {
+      return { info() {}, warn() {}, error() {}, debug() {} };
+    }
+    if (request === '../database') {
+      return dbMock;
+    }
+
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  try {
+    return require(apiTokenServicePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function createTokensDb(users) {
+  const tokens = [];
+  return {
+    tokens,
+    getUserById: async (id) => users.find(user => user.id === id) || null,
+    createApiToken: async (userId, token) => {
+      tokens.push({ id: tokens.length + 1, user_id: userId, ...token, last_used_at: null });
+      return tokens.length;
+    },
+    getApiTokenByHash: async (tokenHash) => tokens.find(token => token.tokenHash === tokenHash) || null,
+    touchApiToken: async (id) => {
+      tokens.find(token => token.id === id).last_used_at = 'now';
+    },
+    deleteApiToken: async (userId, id) => {
+      const index = tokens.findIndex(token => token.id === id && token.user_id === userId);
+      if (index === -1) return false;
+      tokens.splice(index, 1);
+      return true;
+    }
+  };
+}
+
+test('createToken stores only a hash and refuses scopes above the user', async () => {
+  const booker = { id: 1, username: 'helper', role: 'booker' };
+  const db = createTokensDb([booker]);
+  const apiTokenService = loadApiTokenService(db);
+
+  await assert.rejects(apiTokenService.createToken(booker, { name: 'HA', scope: 'admin' }), /can't create admin tokens/);
+  await assert.rejects(apiTokenService.createToken(booker, { name: ' ', scope: 'booker' }), /name is required/);
+
+  const created = await apiTokenService.createToken(booker, { name: 'Home Assistant', scope: 'booker' });
+  assert.match(created.token, /^ymca_/);
+  assert.equal(db.tokens.length, 1);
+  assert.equal(db.tokens[0].tokenHash, apiTokenService.hashToken(created.token));
+  assert.ok(!JSON.stringify(db.tokens).includes(created.token));
+  assert.ok(created.token.startsWith(db.tokens[0].tokenPrefix));
+});
+
+test('authenticateToken caps the role at the token scope and records the use', async () => {
+  const admin = { id: 1, username: 'owner', role: 'admin' };
+  const db = createTokensDb([admin]);
+  const apiTokenService = loadApiTokenService(db);
+
+  const { token } = await apiTokenService.createToken(admin, { name: 'Shortcut', scope: 'read-only' });
+  const result = await apiTokenService.authenticateToken(token);
+
+  assert.deepEqual(result.user, { id: 1, username: 'owner', role: 'read-only' });
+  assert.equal(db.tokens[0].last_used_at, 'now');
+  assert.equal(await apiTokenService.authenticateToken(`${token}x`), null);
+  assert.equal(await apiTokenService.authenticateToken('not-a-token'), null);
+
+  // A demoted owner's admin token drops to the owner's new role
+  assert.equal(apiTokenService.effectiveRole('booker', 'admin'), 'booker');
+});
+
+test('revoked tokens stop working and only their owner can revoke them', async () => {
+  const owner = { id: 1, username: 'owner', role: 'admin' };
+  const helper = { id: 2, username: 'helper', role: 'booker' };
+  const db = createTokensDb([owner, helper]);
+  const apiTokenService = loadApiTokenService(db);
+
+  const created = await apiTokenService.createToken(owner, { name: 'Cron', scope: 'booker' });
+
+  assert.equal(await apiTokenService.revokeToken(helper, created.id), false);
+  assert.equal(await apiTokenService.revokeToken(owner, created.id), true);
+  assert.equal(await apiTokenService.authenticateToken(created.token), null);
+});
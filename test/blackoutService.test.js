@@ -0,0 +1,25 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const blackoutService = require('/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/blackoutService.js');
+
+const vacation = { id: 1, tracked_class_id: null, start_date: '2030-07-01', end_date: '2030-07-08', reason: 'Beach' };
+const skippedDay = { id: 2, tracked_class_id: 5, start_date: '2030-07-03', end_date: '2030-07-03', reason: 'Skipped' };
+
+test('findBlackout matches New York days inclusively and prefers class-specific periods', () => {
+  const periods = [vacation, skippedDay];
+
+  // 11pm on June 30 in New York is already July 1 in UTC
+  assert.equal(blackoutService.findBlackout(periods, 5, '2030-07-01T03:00:00Z'), null);
+  assert.equal(blackoutService.findBlackout(periods, 5, '2030-07-01T14:00:00Z'), vacation);
+  assert.equal(blackoutService.findBlackout(periods, 5, '2030-07-03T14:00:00Z'), skippedDay);
+  assert.equal(blackoutService.findBlackout(periods, 9, '2030-07-03T14:00:00Z'), vacation);
+  assert.equal(blackoutService.findBlackout(periods, 5, '2030-07-09T03:00:00Z'), vacation);
+  assert.equal(blackoutService.findBlackout(periods, 5, '2030-07-09T14:00:00Z'), null);
+  assert.equal(blackoutService.findBlackout([skippedDay], 9, '2030-07-03T14:00:00Z'), null);
+});
+
+test('describeBlackout names the scope and range', () => {
+  assert.equal(blackoutService.describeBlackout(vacation), 'Auto-signup paused 2030-07-01 to 2030-07-08 (Beach)');
+  assert.equal(blackoutService.describeBlackout(skippedDay), 'Skipped for this class 2030-07-03 (Skipped)');
+});
@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createBookingWindowTimer } = require('/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/bookingWindowTimerService.js');
+
+function createLoggerMock() {
+  return {
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+  };
+}
+
+async function flushPromises() {
+  for (let i = 0; i < 5; i += 1) {
+    await Promise.resolve();
+  }
+}
+
+test('booking window timer prewarms ahead of the window and fires at the exact open time', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+
+  const events = [];
+  const timer = createBookingWindowTimer({
+    logger: createLoggerMock(),
+    prewarmLeadMs: 15 * 1000,
+    prewarm: async () => {
+      events.push(['prewarm', Date.now()]);
+    },
+    fire: async (tracked, occurrence) => {
+      events.push(['fire', Date.now(), tracked.id, occurrence.id]);
+    }
+  });
+
+  const armed = timer.arm({
+    tracked: { id: 7, service_name: 'Cycle' },
+    occurrence: { id: 900 },
+    signupTime: new Date(60 * 1000)
+  });
+
+  assert.equal(armed, true);
+  assert.equal(timer.getArmedTimers().length, 1);
+
+  t.mock.timers.tick(44 * 1000);
+  await flushPromises();
+  assert.deepEqual(events, []);
+
+  t.mock.timers.tick(1000);
+  await flushPromises();
+  assert.deepEqual(events, [['prewarm', 45 * 1000]]);
+
+  t.mock.timers.tick(15 * 1000);
+  await flushPromises();
+  assert.deepEqual(events, [
+    ['prewarm', 45 * 1000],
+    ['fire', 60 * 1000, 7, 900]
+  ]);
+  assert.equal(timer.getArmedTimers().length, 0);
+});
+
+test('booking window timer ignores distant windows and re-arms when the open time changes', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+
+  const fired = [];
+  const timer = createBookingWindowTimer({
+    logger: createLoggerMock(),
+    armHorizonMs: 10 * 60 * 1000,
+    prewarm: async () => {},
+    fire: async () => {
+      fired.push(Date.now());
+    }
+  });
+
+  const tracked = { id: 1, service_name: 'Yoga' };
+  const occurrence = { id: 55 };
+
+  assert.equal(timer.arm({ tracked, occurrence, signupTime: new Date(30 * 60 * 1000) }), false);
+  assert.equal(timer.getArmedTimers().length, 0);
+
+  timer.arm({ tracked, occurrence, signupTime: new Date(2 * 60 * 1000) });
+  timer.arm({ tracked, occurrence, signupTime: new Date(3 * 60 * 1000) });
+  assert.equal(timer.getArmedTimers().length, 1);
+
+  t.mock.timers.tick(2 * 60 * 1000);
+  await flushPromises();
+  assert.deepEqual(fired, []);
+
+  t.mock.timers.tick(60 * 1000);
+  await flushPromises();
+  assert.deepEqual(fired, [3 * 60 * 1000]);
+});
+
+test('booking window timer still fires when prewarm fails', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+
+  let fireCalls = 0;
+  const timer = createBookingWindowTimer({
+    logger: createLoggerMock(),
+    prewarmLeadMs: 5 * 1000,
+    prewarm: async () => {
+      throw new Error('login failed');
+    },
+    fire: async () => {
+      fireCalls += 1;
+    }
+  });
+
+  timer.arm({
+    tracked: { id: 2, service_name: 'HIIT' },
+    occurrence: { id: 77 },
+    signupTime: new Date(10 * 1000)
+  });
+
+  t.mock.timers.tick(10 * 1000);
+  await flushPromises();
+  assert.equal(fireCalls, 1);
+});
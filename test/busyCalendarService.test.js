@@ -0,0 +1,208 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const busyCalendarServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/busyCalendarService.js';
+
+function loadBusyCalendarService(dbMock = {}) {
+  delete require.cache[require.resolve(busyCalendarServicePath)];
+
+  const mocks = {
+    '../logger': { info() {}, warn() {}, error() {}, debug() {} },
+    '../database': dbMock
+  };
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (Object.prototype.hasOwnProperty.call(mocks, request)) {
+      return mocks[request];
+    }
+
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  try {
+    return require(busyCalendarServicePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+const ics = [
+  'BEGIN:VCALENDAR',
+  'VERSION:2.0',
+  'BEGIN:VEVENT',
+  'UID:standup',
+  'SUMMARY:Team\\, standup',
+  'DTSTART;TZID=America/Chicago:20300701T080000',
+  'DTEND;TZID=America/Chicago:20300701T083000',
+  'RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=6',
+  'EXDATE;TZID=America/Chicago:20300703T080000',
+  'BEGIN:VALARM',
+  'SUMMARY:Reminder',
+  'TRIGGER:-PT10M',
+  'END:VALARM',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:standup',
+  'RECURRENCE-ID;TZID=America/Chicago:20300708T080000',
+  'SUMMARY:Team standup (moved)',
+  'DTSTART;TZID=America/Chicago:20300708T100000',
+  'DURATION:PT1H',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:lunch',
+  'SUMMARY:Lunch',
+  'DTSTART:20300702T160000Z',
+  'DTEND:20300702T170000Z',
+  'TRANSP:TRANSPARENT',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:holiday',
+  'SUMMARY:Holiday',
+  'DTSTART;VALUE=DATE:20300704',
+  'END:VEVENT',
+  'BEGIN:VEVENT',
+  'UID:dentist',
+  'SUMMARY:Dentist',
+  'DTSTART:20300705T133000Z',
+  'DTEND:20300705T1430',
+  ' 00Z',
+  'END:VEVENT',
+  'END:VCALENDAR'
+].join('\r\n');
+
+test('expandBusyEvents converts time zones and applies recurrence rules, exceptions and free time', () => {
+  const busyCalendarService = loadBusyCalendarService();
+  const events = busyCalendarService.parseIcs(ics);
+  const busy = busyCalendarService.expandBusyEvents(events, new Date('2030-07-01T00:00:00Z'), new Date('2030-07-12T00:00:00Z'));
+
+  assert.deepEqual(
+    busy.map(event => [event.summary, event.start.toISOString(), event.end.toISOString()]),
+    [
+      ['Team, standup', '2030-07-01T13:00:00.000Z', '2030-07-01T13:30:00.000Z'],
+      ['Dentist', '2030-07-05T13:30:00.000Z', '2030-07-05T14:30:00.000Z'],
+      ['Team standup (moved)', '2030-07-08T15:00:00.000Z', '2030-07-08T16:00:00.000Z'],
+      ['Team, standup', '2030-07-10T13:00:00.000Z', '2030-07-10T13:30:00.000Z']
+    ]
+  );
+});
+
+test('expandBusyEvents jumps ahead through rules that started years earlier', () => {
+  const busyCalendarService = loadBusyCalendarService();
+  const events = busyCalendarService.parseIcs([
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:swim',
+    'SUMMARY:Swim',
+    'DTSTART;TZID=America/New_York:20180101T063000',
+    'DURATION:PT45M',
+    'RRULE:FREQ=DAILY;INTERVAL=2',
+    'EXDATE;TZID=America/New_York:20300703T063000',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:gym',
+    'SUMMARY:Gym',
+    'DTSTART;TZID=America/New_York:20180101T180000',
+    'DURATION:PT1H',
+    // The 1958th occurrence is Wednesday 3 July 2030
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,WE,FR;COUNT=1958',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:rent',
+    'SUMMARY:Rent',
+    'DTSTART;TZID=America/New_York:20180101T120000',
+    'DURATION:PT1H',
+    'RRULE:FREQ=MONTHLY',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n'));
+
+  const startedAt = Date.now();
+  const busy = busyCalendarService.expandBusyEvents(events, new Date('2030-07-01T00:00:00Z'), new Date('2030-07-08T00:00:00Z'));
+
+  assert.ok(Date.now() - startedAt < 250, `expansion took ${Date.now() - startedAt}ms`);
+  assert.deepEqual(
+    busy.map(event => [event.summary, event.start.toISOString()]),
+    [
+      ['Swim', '2030-07-01T10:30:00.000Z'],
+      ['Rent', '2030-07-01T16:00:00.000Z'],
+      ['Gym', '2030-07-01T22:00:00.000Z'],
+      ['Gym', '2030-07-03T22:00:00.000Z'],
+      ['Swim', '2030-07-05T10:30:00.000Z'],
+      ['Swim', '2030-07-07T10:30:00.000Z']
+    ]
+  );
+});
+
+test('findBusyOverlap checks the class span and describeBusyEvent names the calendar', () => {
+  const busyCalendarService = loadBusyCalendarService();
+  const dentist = {
+    summary: 'Dentist',
+    calendarName: 'Personal',
+    start: new Date('2030-07-05T13:30:00Z'),
+    end: new Date('2030-07-05T14:30:00Z')
+  };
+
+  assert.equal(busyCalendarService.findBusyOverlap({ startTime: '2030-07-05T12:45:00Z', duration: 45 }, [dentist]), null);
+  assert.equal(busyCalendarService.findBusyOverlap({ startTime: '2030-07-05T12:45:00Z', duration: 60 }, [dentist]), dentist);
+  assert.equal(
+    busyCalendarService.findBusyOverlap({ startTime: '2030-07-05T14:00:00Z', endTime: '2030-07-05T15:00:00Z' }, [dentist]),
+    dentist
+  );
+  assert.equal(busyCalendarService.describeBusyEvent(dentist), 'Busy: Dentist (9:30 AM–10:30 AM) on Personal');
+});
+
+// A temporary calendars folder, read when the service is next loaded
+function useCalendarDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'busy-calendars-'));
+  const previous = process.env.BUSY_CALENDAR_DIR;
+  process.env.BUSY_CALENDAR_DIR = dir;
+  t.after(() => {
+    if (previous === undefined) {
+      delete process.env.BUSY_CALENDAR_DIR;
+    } else {
+      process.env.BUSY_CALENDAR_DIR = previous;
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+  return dir;
+}
+
+test('loadBusyEvents only reads the calendars of the requested YMCA account', async (t) => {
+  const dir = useCalendarDir(t);
+  const source = path.join(dir, 'work.ics');
+  fs.writeFileSync(source, ics);
+
+  const calendars = [
+    { id: 1, name: 'Alex work', source, enabled: 1, account_id: 1 },
+    { id: 2, name: 'Sam work', source, enabled: 1, account_id: 2 }
+  ];
+  const busyCalendarService = loadBusyCalendarService({
+    getBusyCalendars: async ({ accountId }) => calendars.filter(calendar => !accountId || calendar.account_id === accountId),
+    updateBusyCalendarSync: async () => {}
+  });
+
+  const busy = await busyCalendarService.loadBusyEvents({ now: new Date('2030-07-01T00:00:00Z'), accountId: 2 });
+
+  assert.ok(busy.length > 0);
+  assert.deepEqual([...new Set(busy.map(event => event.calendarName))], ['Sam work']);
+});
+
+test('fetchCalendarEvents only reads files inside the calendars folder', async (t) => {
+  const dir = useCalendarDir(t);
+  fs.writeFileSync(path.join(dir, 'work.ics'), ics);
+  const outside = path.join(path.dirname(dir), `${path.basename(dir)}-outside.ics`);
+  fs.writeFileSync(outside, ics);
+  t.after(() => fs.rmSync(outside, { force: true }));
+  fs.symlinkSync(outside, path.join(dir, 'link.ics'));
+  const busyCalendarService = loadBusyCalendarService();
+
+  assert.ok((await busyCalendarService.fetchCalendarEvents('work.ics')).length > 0);
+  assert.ok((await busyCalendarService.fetchCalendarEvents(`file://${path.join(dir, 'work.ics')}`)).length > 0);
+  await assert.rejects(busyCalendarService.fetchCalendarEvents(outside), /Calendar files must be in/);
+  await assert.rejects(busyCalendarService.fetchCalendarEvents('../etc/passwd'), /Calendar files must be in/);
+  await assert.rejects(busyCalendarService.fetchCalendarEvents('link.ics'), /Calendar files must be in/);
+});
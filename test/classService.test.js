@@ -82,7 +82,7 @@ test('getCSRFToken reuses the token for the same session and refreshes for a new
     axiosMock,
     loggerMock: createLoggerMock(),
     configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
-    dbMock: { getClientId: async () => null }
+    dbMock: { getClientIdForSession: async () => null }
   });
 
   const first = await classService.getCSRFToken('session-a');
@@ -123,7 +123,7 @@ test('signup retries once with a refreshed CSRF token when the upstream returns
     axiosMock,
     loggerMock: createLoggerMock(),
     configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
-    dbMock: { getClientId: async () => null }
+    dbMock: { getClientIdForSession: async () => null }
   });
 
   const result = await classService.signupForClass('session-a', 123, 22);
@@ -152,7 +152,7 @@ test('signup returns UPSTREAM_AUTH_REJECTED after two HTML 422 responses and doe
     axiosMock,
     loggerMock: createLoggerMock(),
     configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
-    dbMock: { getClientId: async () => null }
+    dbMock: { getClientIdForSession: async () => null }
   });
 
   await assert.rejects(
@@ -183,7 +183,7 @@ test('signup still falls through to waitlist for a JSON 422 full-class response'
     axiosMock,
     loggerMock: createLoggerMock(),
     configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
-    dbMock: { getClientId: async () => null }
+    dbMock: { getClientIdForSession: async () => null }
   });
 
   const result = await classService.signupForClass('session-a', 789, 12);
@@ -215,7 +215,7 @@ test('cancelBooking retries once with a refreshed CSRF token after an HTML 422 r
     axiosMock,
     loggerMock: createLoggerMock(),
     configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
-    dbMock: { getClientId: async () => null }
+    dbMock: { getClientIdForSession: async () => null }
   });
 
   await classService.cancelBooking('session-a', 321);
@@ -247,7 +247,7 @@ test('leaveWaitlist retries once with a refreshed CSRF token after an HTML 422 r
     axiosMock,
     loggerMock: createLoggerMock(),
     configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
-    dbMock: { getClientId: async () => null }
+    dbMock: { getClientIdForSession: async () => null }
   });
 
   await classService.leaveWaitlist('session-a', 654);
@@ -256,6 +256,76 @@ test('leaveWaitlist retries once with a refreshed CSRF token after an HTML 422 r
   assert.deepEqual(csrfTokens, ['csrf-1', 'csrf-2']);
 });
 
+test('actions for a linked family member name them with client_id', async () => {
+  const payloads = [];
+  const readPayload = (body) => JSON.parse(new URLSearchParams(body).get('json'));
+  const axiosMock = {
+    get: async () => ({
+      data: '<meta name="csrf-token" content="csrf-token">'
+    }),
+    post: async (url, body) => {
+      payloads.push({ url, payload: readPayload(body) });
+      throw makeJson422Error('Class is full');
+    },
+    put: async (url, body) => {
+      payloads.push({ url, payload: readPayload(body) });
+      return { data: {} };
+    },
+    delete: async (url, options) => {
+      payloads.push({ url, payload: readPayload(options.data) });
+      return { data: {} };
+    }
+  };
+
+  const classService = loadClassService({
+    axiosMock,
+    loggerMock: createLoggerMock(),
+    configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
+    dbMock: { getClientIdForSession: async () => null }
+  });
+
+  await classService.signupForClass('session-a', 789, 12, true, true, '4242');
+  await classService.cancelBooking('session-a', 789, '4242');
+  await classService.leaveWaitlist('session-a', 789);
+
+  assert.deepEqual(payloads.map(({ url, payload }) => [url.split('/').pop(), payload]), [
+    ['join', { lock_version: 12, client_id: '4242' }],
+    ['wait', { lock_version: 12, client_id: '4242' }],
+    ['cancel', { client_id: '4242' }],
+    ['leave', {}]
+  ]);
+});
+
+test('applyClientBookingStatus takes booking flags from a linked client\'s bookings', async () => {
+  const classService = loadClassService({
+    axiosMock: {},
+    loggerMock: createLoggerMock(),
+    configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
+    dbMock: { getClientIdForSession: async () => null }
+  });
+
+  const startTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const base = { startTime, status: 'Scheduled', restrictToBookInAdvanceHours: 0 };
+  // The schedule's flags are the account holder's
+  const classes = [
+    { ...base, id: 1, isJoined: true, isWaited: false, fullGroup: false },
+    { ...base, id: 2, isJoined: false, isWaited: false, fullGroup: true, waitingListEnabled: true },
+    { ...base, id: 3, isJoined: false, isWaited: false, fullGroup: false }
+  ];
+
+  const result = classService.applyClientBookingStatus(classes, [
+    { id: 2, is_joined: false, is_waited: true },
+    { id: 3, is_joined: true, is_waited: false }
+  ]);
+
+  assert.deepEqual(result.map(cls => [cls.id, cls.isJoined, cls.isWaited, cls.canSignup, cls.canJoinWaitlist]), [
+    [1, false, false, true, false],
+    [2, false, true, false, false],
+    [3, true, false, false, false]
+  ]);
+  assert.equal(classes[0].isJoined, true);
+});
+
 test('fetchClasses retries without upstream service filters when the optimized query returns no rows', async () => {
   let scheduleCalls = 0;
   const requestedUrls = [];
@@ -333,7 +403,7 @@ test('fetchClasses retries without upstream service filters when the optimized q
     axiosMock,
     loggerMock: createLoggerMock(),
     configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
-    dbMock: { getClientId: async () => null }
+    dbMock: { getClientIdForSession: async () => null }
   });
 
   const classes = await classService.fetchClasses('session-a', {
@@ -357,7 +427,7 @@ test('matchTrackedClassToOccurrences prefers location name over mismatched locat
     axiosMock: {},
     loggerMock: createLoggerMock(),
     configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
-    dbMock: { getClientId: async () => null }
+    dbMock: { getClientIdForSession: async () => null }
   });
 
   const tracked = {
@@ -396,7 +466,7 @@ test('planTrackedClassAutoRefresh refreshes stale location metadata when the wee
     axiosMock: {},
     loggerMock: createLoggerMock(),
     configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
-    dbMock: { getClientId: async () => null }
+    dbMock: { getClientIdForSession: async () => null }
   });
 
   const tracked = {
@@ -452,7 +522,7 @@ test('planTrackedClassAutoRefresh refuses to refresh when the current schedule p
     axiosMock: {},
     loggerMock: createLoggerMock(),
     configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
-    dbMock: { getClientId: async () => null }
+    dbMock: { getClientIdForSession: async () => null }
   });
 
   const tracked = {
@@ -497,3 +567,352 @@ test('planTrackedClassAutoRefresh refuses to refresh when the current schedule p
 
   assert.equal(refreshPlan, null);
 });
+
+test('planTrackedClassAutoRefresh leaves the tracked instructor alone', async () => {
+  const classService = loadClassService({
+    axiosMock: {},
+    loggerMock: createLoggerMock(),
+    configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
+    dbMock: { getClientIdForSession: async () => null }
+  });
+
+  const tracked = {
+    id: 17,
+    service_id: '254',
+    service_name: 'Dance: Dance',
+    trainer_id: '250',
+    trainer_name: 'Byron J',
+    location_id: '213',
+    location_name: 'Alexander Family YMCA',
+    day_of_week: 'Monday',
+    start_time: '18:15',
+    match_trainer: 1,
+    match_exact_time: 1,
+    time_tolerance: 15
+  };
+
+  // Same instructor id under another name, e.g. a substitute on a shared login
+  const occurrences = [
+    {
+      id: 574909,
+      serviceId: 254,
+      serviceName: 'Dance: Dance',
+      trainerId: 250,
+      trainerName: 'Sub Instructor',
+      locationId: 42,
+      locationName: 'Southeast Raleigh YMCA',
+      startTime: '2026-03-09T22:15:00Z'
+    }
+  ];
+
+  const refreshPlan = classService.planTrackedClassAutoRefresh(tracked, occurrences);
+
+  assert.deepEqual(refreshPlan?.updates, {
+    location_id: '42',
+    location_name: 'Southeast Raleigh YMCA'
+  });
+});
+
+test('matchTrackedClassToOccurrences matches every weekday of a multi-day rule', async () => {
+  const classService = loadClassService({
+    axiosMock: {},
+    loggerMock: createLoggerMock(),
+    configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
+    dbMock: { getClientIdForSession: async () => null }
+  });
+
+  const tracked = {
+    service_id: '254',
+    location_name: 'Alexander Family YMCA',
+    day_of_week: 'Monday',
+    days_of_week: ['Monday', 'Wednesday'],
+    start_time: '18:15',
+    match_trainer: 0,
+    match_exact_time: 1,
+    time_tolerance: 15
+  };
+
+  const makeOccurrence = (id, startTime) => ({
+    id,
+    serviceId: 254,
+    locationName: 'Alexander Family YMCA',
+    startTime
+  });
+
+  const occurrences = [
+    makeOccurrence(1, '2026-03-02T23:15:00Z'), // Monday
+    makeOccurrence(2, '2026-03-03T23:15:00Z'), // Tuesday
+    makeOccurrence(3, '2026-03-04T23:15:00Z') // Wednesday
+  ];
+
+  const matches = classService.matchTrackedClassToOccurrences(tracked, occurrences);
+  assert.deepEqual(matches.map(match => match.id), [1, 3]);
+
+  const tuesdayDiagnostics = classService.buildTrackedMatchDiagnostics(tracked, occurrences[1]);
+  assert.deepEqual(tuesdayDiagnostics.dayOfWeek, {
+    tracked: ['Monday', 'Wednesday'],
+    actual: 'Tuesday',
+    matches: false
+  });
+
+  assert.deepEqual(classService.getTrackedDays({ day_of_week: 'Friday' }), ['Friday']);
+  assert.deepEqual(classService.getTrackedDays({ days_of_week: '["Monday","Friday"]' }), ['Monday', 'Friday']);
+});
+
+test('matchTrackedClassToOccurrences only matches days inside the active date range', async () => {
+  const classService = loadClassService({
+    axiosMock: {},
+    loggerMock: createLoggerMock(),
+    configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
+    dbMock: { getClientIdForSession: async () => null }
+  });
+
+  const tracked = {
+    service_id: '254',
+    location_name: 'Alexander Family YMCA',
+    days_of_week: ['Monday'],
+    start_time: '18:15',
+    match_trainer: 0,
+    match_exact_time: 1,
+    time_tolerance: 15,
+    active_from: '2026-03-09',
+    active_until: '2026-03-16'
+  };
+
+  const makeOccurrence = (id, startTime) => ({
+    id,
+    serviceId: 254,
+    locationName: 'Alexander Family YMCA',
+    startTime
+  });
+
+  const occurrences = [
+    makeOccurrence(1, '2026-03-02T23:15:00Z'),
+    makeOccurrence(2, '2026-03-09T22:15:00Z'),
+    makeOccurrence(3, '2026-03-16T22:15:00Z'),
+    makeOccurrence(4, '2026-03-23T22:15:00Z')
+  ];
+
+  assert.deepEqual(classService.matchTrackedClassToOccurrences(tracked, occurrences).map(match => match.id), [2, 3]);
+  assert.deepEqual(classService.buildTrackedMatchDiagnostics(tracked, occurrences[3]).activeDates, {
+    from: '2026-03-09',
+    until: '2026-03-16',
+    actual: '2026-03-23',
+    matches: false
+  });
+  assert.equal(
+    classService.buildTrackedMatchDiagnostics({ ...tracked, active_from: null, active_until: null }, occurrences[0]).activeDates,
+    undefined
+  );
+});
+
+test('matchTrackedClassToOccurrences skips weeks outside the recurrence', async () => {
+  const classService = loadClassService({
+    axiosMock: {},
+    loggerMock: createLoggerMock(),
+    configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
+    dbMock: { getClientIdForSession: async () => null }
+  });
+
+  const tracked = {
+    service_id: '254',
+    location_name: 'Alexander Family YMCA',
+    days_of_week: ['Monday'],
+    start_time: '18:15',
+    match_trainer: 0,
+    match_exact_time: 1,
+    time_tolerance: 15,
+    recurrence: { frequency: 'weekly', interval: 2, anchorDate: '2026-03-09' }
+  };
+
+  const makeOccurrence = (id, startTime) => ({
+    id,
+    serviceId: 254,
+    locationName: 'Alexander Family YMCA',
+    startTime
+  });
+
+  const occurrences = [
+    makeOccurrence(1, '2026-03-02T23:15:00Z'),
+    makeOccurrence(2, '2026-03-09T22:15:00Z'),
+    makeOccurrence(3, '2026-03-16T22:15:00Z'),
+    makeOccurrence(4, '2026-03-23T22:15:00Z')
+  ];
+
+  assert.deepEqual(classService.matchTrackedClassToOccurrences(tracked, occurrences).map(match => match.id), [2, 4]);
+  assert.deepEqual(classService.buildTrackedMatchDiagnostics(tracked, occurrences[2]).recurrence, {
+    rule: 'Every other week from the week of 2026-03-09',
+    actual: '2026-03-16',
+    matches: false
+  });
+});
+
+test('matchTrackedClassToOccurrences honors a start-time window instead of exact time', async () => {
+  const classService = loadClassService({
+    axiosMock: {},
+    loggerMock: createLoggerMock(),
+    configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
+    dbMock: { getClientIdForSession: async () => null }
+  });
+
+  const tracked = {
+    service_id: '254',
+    location_name: 'Alexander Family YMCA',
+    days_of_week: ['Monday'],
+    start_time: '18:15',
+    match_trainer: 0,
+    match_exact_time: 1,
+    time_tolerance: 15,
+    time_range_start: '17:30',
+    time_range_end: '19:00'
+  };
+
+  const makeOccurrence = (id, startTime) => ({
+    id,
+    serviceId: 254,
+    locationName: 'Alexander Family YMCA',
+    startTime
+  });
+
+  // Mondays in March 2026 (EDT from March 8)
+  const occurrences = [
+    makeOccurrence(1, '2026-03-09T21:15:00Z'), // 17:15
+    makeOccurrence(2, '2026-03-16T21:30:00Z'), // 17:30
+    makeOccurrence(3, '2026-03-23T22:45:00Z'), // 18:45
+    makeOccurrence(4, '2026-03-30T23:15:00Z') // 19:15
+  ];
+
+  const matches = classService.matchTrackedClassToOccurrences(tracked, occurrences);
+  assert.deepEqual(matches.map(match => match.id), [2, 3]);
+
+  assert.deepEqual(classService.buildTrackedMatchDiagnostics(tracked, occurrences[3]).time, {
+    mode: 'range',
+    rangeStart: '17:30',
+    rangeEnd: '19:00',
+    actual: '19:15',
+    matches: false
+  });
+
+  const beforeSeven = { ...tracked, time_range_start: null, time_range_end: '18:00' };
+  assert.deepEqual(
+    classService.matchTrackedClassToOccurrences(beforeSeven, occurrences).map(match => match.id),
+    [1, 2]
+  );
+});
+
+test('matchTrackedClassToOccurrences accepts preferred instructors and skips excluded ones', async () => {
+  const classService = loadClassService({
+    axiosMock: {},
+    loggerMock: createLoggerMock(),
+    configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
+    dbMock: { getClientIdForSession: async () => null }
+  });
+
+  const tracked = {
+    service_id: '254',
+    location_name: 'Alexander Family YMCA',
+    days_of_week: ['Monday'],
+    start_time: '18:15',
+    trainer_id: '11',
+    trainer_name: 'Alex Smith',
+    match_trainer: 1,
+    match_exact_time: 1,
+    time_tolerance: 15,
+    preferred_trainers: [{ id: '11', name: 'Alex Smith' }, { id: null, name: 'Jordan Lee' }],
+    excluded_trainers: []
+  };
+
+  const makeOccurrence = (id, trainerId, trainerName) => ({
+    id,
+    serviceId: 254,
+    locationName: 'Alexander Family YMCA',
+    trainerId,
+    trainerName,
+    startTime: '2026-03-02T23:15:00Z'
+  });
+
+  const occurrences = [
+    makeOccurrence(1, 11, 'Alex Smith'),
+    makeOccurrence(2, 12, 'Jordan  Lee'),
+    makeOccurrence(3, 13, 'Casey Kim')
+  ];
+
+  assert.deepEqual(
+    classService.matchTrackedClassToOccurrences(tracked, occurrences).map(match => match.id),
+    [1, 2]
+  );
+
+  const jordan = classService.buildTrackedMatchDiagnostics(tracked, occurrences[1]).trainer;
+  assert.equal(jordan.matchedList, 'preferred');
+  assert.deepEqual(jordan.matchedTrainer, { id: null, name: 'Jordan Lee' });
+
+  const anyButCasey = {
+    ...tracked,
+    match_trainer: 0,
+    preferred_trainers: [],
+    excluded_trainers: JSON.stringify([{ id: '13', name: 'Casey Kim' }])
+  };
+  assert.deepEqual(
+    classService.matchTrackedClassToOccurrences(anyButCasey, occurrences).map(match => match.id),
+    [1, 2]
+  );
+
+  const casey = classService.buildTrackedMatchDiagnostics(anyButCasey, occurrences[2]).trainer;
+  assert.equal(casey.matchedList, 'excluded');
+  assert.equal(casey.matches, false);
+});
+
+test('matchTrackedClassToOccurrences matches a category rule by keyword across a location set', async () => {
+  const classService = loadClassService({
+    axiosMock: {},
+    loggerMock: createLoggerMock(),
+    configMock: { getConfig: () => ({ waitlistLimit: 5 }) },
+    dbMock: { getClientIdForSession: async () => null }
+  });
+
+  const tracked = {
+    rule_type: 'category',
+    service_id: '',
+    service_category_id: '7',
+    service_category_name: 'Cycling',
+    name_keyword: 'cycle',
+    locations: [{ id: '12', name: 'Alexander Family YMCA' }, { id: null, name: 'Poyner YMCA' }],
+    days_of_week: ['Monday'],
+    start_time: null,
+    time_range_start: '17:00',
+    time_range_end: '19:00',
+    match_trainer: 0,
+    match_exact_time: 0,
+    time_tolerance: 15
+  };
+
+  const makeOccurrence = (id, overrides = {}) => ({
+    id,
+    serviceId: 254,
+    serviceName: 'Cycle 45',
+    serviceCategoryId: 7,
+    serviceCategoryName: 'Cycling',
+    locationId: 12,
+    locationName: 'Alexander Family YMCA',
+    startTime: '2026-03-02T23:15:00Z',
+    ...overrides
+  });
+
+  const occurrences = [
+    makeOccurrence(1),
+    makeOccurrence(2, { serviceId: 393, serviceName: 'Power Cycle', locationId: 40, locationName: 'Poyner YMCA' }),
+    makeOccurrence(3, { serviceName: 'Spin Stretch' }),
+    makeOccurrence(4, { serviceCategoryId: 8, serviceCategoryName: 'Strength', serviceName: 'Cycle Strength' }),
+    makeOccurrence(5, { locationId: 55, locationName: 'Lake Boone Trail YMCA' })
+  ];
+
+  assert.deepEqual(
+    classService.matchTrackedClassToOccurrences(tracked, occurrences).map(match => match.id),
+    [1, 2]
+  );
+
+  const diagnostics = classService.buildTrackedMatchDiagnostics(tracked, occurrences[2]);
+  assert.equal(diagnostics.category.matches, true);
+  assert.equal(diagnostics.keyword.matches, false);
+  assert.equal(diagnostics.serviceId, undefined);
+});
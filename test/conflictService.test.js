@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const conflictService = require('/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/conflictService.js');
+
+const at = (hour, minute) => new Date(Date.UTC(2030, 0, 7, hour, minute)).toISOString();
+
+test('findConflicts applies the travel buffer only between different locations', () => {
+  const wanted = { id: 1, serviceName: 'Spin', locationId: 36, locationName: 'Poyner YMCA', startTime: at(18, 0), duration: 45 };
+  const sameLocation = { id: 2, serviceName: 'Yoga', locationId: 36, locationName: 'Poyner YMCA', startTime: at(17, 0), duration: 50 };
+  const acrossTown = { id: 3, serviceName: 'HIIT', locationId: 40, locationName: 'Alexander YMCA', startTime: at(17, 0), duration: 50 };
+
+  assert.deepEqual(conflictService.findConflicts(wanted, [sameLocation], { travelBufferMinutes: 15 }), []);
+
+  const conflicts = conflictService.findConflicts(wanted, [acrossTown], { travelBufferMinutes: 15 });
+  assert.equal(conflicts.length, 1);
+  assert.equal(conflicts[0].overlaps, false);
+  assert.match(
+    conflictService.describeConflict(conflicts[0], { travelBufferMinutes: 15 }),
+    /^Less than 15 min to travel to or from HIIT at Alexander YMCA/
+  );
+
+  assert.deepEqual(conflictService.findConflicts(wanted, [acrossTown], { travelBufferMinutes: 5 }), []);
+});
+
+test('findConflicts reports overlaps, assuming an hour when the duration is unknown', () => {
+  const wanted = { id: 1, serviceName: 'Spin', locationName: 'Poyner YMCA', startTime: at(18, 30) };
+  const earlier = { id: 2, serviceName: 'Yoga', locationName: 'Poyner YMCA', startTime: at(18, 0) };
+  const later = { id: 3, serviceName: 'Barre', locationName: 'Poyner YMCA', startTime: at(19, 30) };
+
+  const conflicts = conflictService.findConflicts(wanted, [earlier, later, wanted], { travelBufferMinutes: 15 });
+  assert.deepEqual(conflicts.map(conflict => [conflict.occurrence.id, conflict.overlaps]), [[2, true]]);
+  assert.match(conflictService.describeConflict(conflicts[0]), /^Overlaps Yoga at Poyner YMCA/);
+});
+
+test('normalizeConflictSettings falls back to skipping with a 15 minute buffer', () => {
+  assert.deepEqual(conflictService.normalizeConflictSettings(undefined), { policy: 'skip', travelBufferMinutes: 15 });
+  assert.deepEqual(
+    conflictService.normalizeConflictSettings({ policy: 'priority', travelBufferMinutes: 0 }),
+    { policy: 'priority', travelBufferMinutes: 0 }
+  );
+  assert.deepEqual(
+    conflictService.normalizeConflictSettings({ policy: 'bogus', travelBufferMinutes: 500 }),
+    { policy: 'skip', travelBufferMinutes: 15 }
+  );
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const dayKeyService = require('/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/dayKeyService.js');
+
+// 2030-01-07 is a Monday; 17:00 UTC is noon in New York
+const onDay = (day) => new Date(Date.UTC(2030, 0, day, 17, 0)).toISOString();
+
+test('getDayKey uses the New York calendar day', () => {
+  assert.equal(dayKeyService.getDayKey(onDay(7)), '2030-01-07');
+  // 11pm on January 7 in New York is already January 8 in UTC
+  assert.equal(dayKeyService.getDayKey(new Date(Date.UTC(2030, 0, 8, 4, 0))), '2030-01-07');
+});
+
+test('getWeekKey groups Monday through Sunday in New York time', () => {
+  assert.equal(dayKeyService.getWeekKey(onDay(7)), '2030-01-07');
+  assert.equal(dayKeyService.getWeekKey(onDay(13)), '2030-01-07');
+  assert.equal(dayKeyService.getWeekKey(onDay(14)), '2030-01-14');
+  // Sunday 11pm in New York is Monday in UTC
+  assert.equal(dayKeyService.getWeekKey(new Date(Date.UTC(2030, 0, 14, 4, 0)).toISOString()), '2030-01-07');
+});
+
+test('isValidDate accepts only real YYYY-MM-DD dates', () => {
+  assert.equal(dayKeyService.isValidDate('2030-02-28'), true);
+  assert.equal(dayKeyService.isValidDate('2030-02-30'), false);
+  assert.equal(dayKeyService.isValidDate('07/01/2030'), false);
+  assert.equal(dayKeyService.isValidDate(null), false);
+});
+
+test('getWeekStart returns the Monday of a day key', () => {
+  assert.equal(dayKeyService.getWeekStart('2030-01-13'), Date.UTC(2030, 0, 7));
+  assert.equal(dayKeyService.getWeekStart('2030-01-14'), Date.UTC(2030, 0, 14));
+});
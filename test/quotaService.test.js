@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const quotaService = require('/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/quotaService.js');
+
+// 2030-01-07 is a Monday; 17:00 UTC is noon in New York
+const onDay = (day, category = 'Yoga') => ({
+  id: `${day}-${category}`,
+  startTime: new Date(Date.UTC(2030, 0, day, 17, 0)).toISOString(),
+  serviceCategoryName: category
+});
+
+test('findQuotaBreach enforces daily, weekly and per-category limits', () => {
+  const booked = [onDay(7), onDay(8, 'Cycle'), onDay(9)];
+
+  assert.equal(quotaService.findQuotaBreach(onDay(10, 'Cycle'), booked, { perDay: 1, perWeek: 0, perCategoryPerWeek: 0 }), null);
+  assert.match(
+    quotaService.findQuotaBreach({ ...onDay(7), id: 'other' }, booked, { perDay: 1, perWeek: 0, perCategoryPerWeek: 0 }),
+    /^Daily limit of 1 reached on 2030-01-07/
+  );
+  assert.match(
+    quotaService.findQuotaBreach(onDay(10, 'Cycle'), booked, { perDay: 0, perWeek: 3, perCategoryPerWeek: 0 }),
+    /^Weekly limit of 3 reached for the week of 2030-01-07 \(3 booked\)/
+  );
+  assert.match(
+    quotaService.findQuotaBreach(onDay(10), booked, { perDay: 0, perWeek: 0, perCategoryPerWeek: 2 }),
+    /^Weekly limit of 2 Yoga classes reached/
+  );
+  assert.equal(quotaService.findQuotaBreach(onDay(14), booked, { perDay: 1, perWeek: 3, perCategoryPerWeek: 2 }), null);
+});
+
+test('findQuotaBreach counts slots held for higher-priority classes', () => {
+  const settings = { perDay: 0, perWeek: 2, perCategoryPerWeek: 0 };
+
+  assert.equal(quotaService.findQuotaBreach(onDay(8), [onDay(7)], settings), null);
+  assert.match(
+    quotaService.findQuotaBreach(onDay(8), [onDay(7)], settings, { week: 1 }),
+    /\(1 booked, 1 held for higher-priority classes\)$/
+  );
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const recurrenceService = require('/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/recurrenceService.js');
+
+test('normalizeRecurrence validates rules and treats every week as no recurrence', () => {
+  assert.deepEqual(recurrenceService.normalizeRecurrence(null), { recurrence: null });
+  assert.deepEqual(
+    recurrenceService.normalizeRecurrence({ frequency: 'weekly', interval: 1, anchorDate: '2026-03-07' }),
+    { recurrence: null }
+  );
+  assert.deepEqual(
+    recurrenceService.normalizeRecurrence({ frequency: 'weekly', interval: '2', anchorDate: '2026-03-07' }),
+    { recurrence: { frequency: 'weekly', interval: 2, anchorDate: '2026-03-07' } }
+  );
+  assert.deepEqual(
+    recurrenceService.normalizeRecurrence({ frequency: 'monthly', weeksOfMonth: [-1, 1] }),
+    { recurrence: { frequency: 'monthly', weeksOfMonth: [1, -1] } }
+  );
+
+  assert.ok(recurrenceService.normalizeRecurrence({ frequency: 'daily' }).error);
+  assert.ok(recurrenceService.normalizeRecurrence({ frequency: 'weekly', interval: 9, anchorDate: '2026-03-07' }).error);
+  assert.ok(recurrenceService.normalizeRecurrence({ frequency: 'weekly', interval: 2 }).error);
+  assert.ok(recurrenceService.normalizeRecurrence({ frequency: 'monthly', weeksOfMonth: [] }).error);
+  assert.ok(recurrenceService.normalizeRecurrence({ frequency: 'monthly', weeksOfMonth: [6] }).error);
+});
+
+test('matchesRecurrence counts alternate weeks from the anchor week in New York days', () => {
+  const everyOther = { frequency: 'weekly', interval: 2, anchorDate: '2026-03-14' };
+
+  // Saturdays 9am New York
+  assert.equal(recurrenceService.matchesRecurrence(everyOther, '2026-03-07T14:00:00Z'), false);
+  assert.equal(recurrenceService.matchesRecurrence(everyOther, '2026-03-14T13:00:00Z'), true);
+  assert.equal(recurrenceService.matchesRecurrence(everyOther, '2026-03-21T13:00:00Z'), false);
+  assert.equal(recurrenceService.matchesRecurrence(everyOther, '2026-03-28T13:00:00Z'), true);
+  // Monday 9pm New York is Tuesday in UTC but still the anchor week's Monday
+  assert.equal(recurrenceService.matchesRecurrence(everyOther, '2026-03-10T01:00:00Z'), true);
+
+  assert.equal(recurrenceService.describeRecurrence(everyOther), 'Every other week from the week of 2026-03-14');
+  assert.equal(recurrenceService.matchesRecurrence(null, '2026-03-21T13:00:00Z'), true);
+});
+
+test('matchesRecurrence picks the first and last weekday of the month', () => {
+  const firstAndLast = { frequency: 'monthly', weeksOfMonth: [1, -1] };
+
+  // Saturdays in March 2026: 7, 14, 21, 28
+  assert.equal(recurrenceService.matchesRecurrence(firstAndLast, '2026-03-07T14:00:00Z'), true);
+  assert.equal(recurrenceService.matchesRecurrence(firstAndLast, '2026-03-14T13:00:00Z'), false);
+  assert.equal(recurrenceService.matchesRecurrence(firstAndLast, '2026-03-21T13:00:00Z'), false);
+  assert.equal(recurrenceService.matchesRecurrence(firstAndLast, '2026-03-28T13:00:00Z'), true);
+  // May 2026 has five Saturdays; the 30th is the last, not the 23rd
+  assert.equal(recurrenceService.matchesRecurrence(firstAndLast, '2026-05-23T13:00:00Z'), false);
+  assert.equal(recurrenceService.matchesRecurrence(firstAndLast, '2026-05-30T13:00:00Z'), true);
+
+  assert.equal(recurrenceService.describeRecurrence(firstAndLast), 'The 1st and last of the month');
+});
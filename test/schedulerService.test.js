@@ -3,9 +3,12 @@ const assert = require('node:assert/strict');
 const Module = require('node:module');
 
 const schedulerServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/schedulerService.js';
+const conflictServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/conflictService.js';
 
 function loadSchedulerService({ loggerMock, classServiceMock, dbMock, autoRefreshMock }) {
   delete require.cache[require.resolve(schedulerServicePath)];
+  // Reloaded too so it picks up the class service mock
+  delete require.cache[require.resolve(conflictServicePath)];
 
   const originalLoad = Module._load;
   Module._load = function mockLoad(request, parent, isMain) {
@@ -117,6 +120,8 @@ test('scheduler fallback fetch keeps location filtering enabled while broadening
 
   const dbMock = {
     getAllTrackedClasses: async () => [tracked],
+    getBlackoutPeriods: async () => [],
+    getFallbackChains: async () => [],
     getSignupLogs: async () => [],
     addSignupLog: async () => {}
   };
@@ -142,3 +147,1265 @@ test('scheduler fallback fetch keeps location filtering enabled while broadening
   assert.equal(broadFallbackCall.verifyBookings, false);
   assert.equal('skipLocationFilter' in broadFallbackCall, false);
 });
+
+test('buildCronExpression follows the configured check interval', () => {
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {},
+    dbMock: {},
+    autoRefreshMock: {}
+  });
+
+  assert.equal(schedulerService.buildCronExpression(5), '*/5 * * * *');
+  assert.equal(schedulerService.buildCronExpression(15), '*/15 * * * *');
+  assert.equal(schedulerService.buildCronExpression(60), '0 * * * *');
+  assert.equal(schedulerService.buildCronExpression(undefined), '*/5 * * * *');
+  assert.equal(schedulerService.buildCronExpression(0), '*/5 * * * *');
+});
+
+test('waitlist-full retries throttle signup log writes by the configured check interval', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const occurrence = {
+    id: 700001,
+    serviceId: 393,
+    serviceName: 'Cycle',
+    trainerName: 'Cody T',
+    locationName: 'Poyner YMCA',
+    startTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    canSignup: false,
+    canJoinWaitlist: true,
+    isJoined: false,
+    isWaited: false,
+    fullGroup: true,
+    waitingListEnabled: true,
+    restrictToBookInAdvanceHours: 46
+  };
+  const tracked = {
+    id: 3,
+    service_id: '393',
+    service_name: 'Cycle',
+    location_name: 'Poyner YMCA',
+    day_of_week: weekday,
+    start_time: time,
+    auto_signup: 1,
+    signup_hours_before: 46
+  };
+
+  const addedLogs = [];
+  // Last failed attempt 10 minutes ago: past the throttle for a 5 minute
+  // interval, but well inside it for a 30 minute interval.
+  const previousFailure = {
+    occurrence_id: String(occurrence.id),
+    status: 'failed',
+    timestamp: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+  };
+
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {
+      fetchClasses: async () => [occurrence],
+      signupForClass: async () => {
+        const error = new Error('Waitlist full');
+        error.code = 'WAITLIST_FULL';
+        throw error;
+      }
+    },
+    dbMock: {
+      getAllTrackedClasses: async () => [tracked],
+      getBlackoutPeriods: async () => [],
+      getFallbackChains: async () => [],
+      getSignupLogs: async () => [previousFailure],
+      addSignupLog: async (log) => {
+        addedLogs.push(log);
+      }
+    },
+    autoRefreshMock: {
+      maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+        tracked: trackedClass,
+        refreshed: false,
+        matches: classes
+      })
+    }
+  });
+
+  await schedulerService.checkAndSignup('session-a', { checkIntervalMinutes: 30 });
+  assert.equal(addedLogs.length, 0);
+
+  await schedulerService.checkAndSignup('session-a', { checkIntervalMinutes: 5 });
+  assert.equal(addedLogs.length, 1);
+  assert.equal(addedLogs[0].errorMessage, 'Waitlist full - will retry');
+});
+
+test('checkAndSignup returns a run summary with per-class decisions', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const tracked = {
+    id: 21,
+    service_id: '393',
+    service_name: 'Cycle',
+    location_name: 'Poyner YMCA',
+    day_of_week: weekday,
+    start_time: time,
+    auto_signup: 1,
+    signup_hours_before: 2
+  };
+  const baseOccurrence = {
+    serviceId: 393,
+    serviceName: 'Cycle',
+    locationName: 'Poyner YMCA',
+    canSignup: true,
+    canJoinWaitlist: false,
+    isWaited: false,
+    fullGroup: false,
+    waitingListEnabled: true,
+    restrictToBookInAdvanceHours: 46
+  };
+  const joined = {
+    ...baseOccurrence,
+    id: 800001,
+    startTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    isJoined: true
+  };
+  const later = {
+    ...baseOccurrence,
+    id: 800002,
+    startTime: new Date(Date.now() + 26 * 60 * 60 * 1000).toISOString(),
+    isJoined: false
+  };
+
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {
+      fetchClasses: async () => [joined, later],
+      signupForClass: async () => {
+        throw new Error('signup should not be attempted in this test');
+      }
+    },
+    dbMock: {
+      getAllTrackedClasses: async () => [tracked],
+      getBlackoutPeriods: async () => [],
+      getFallbackChains: async () => [],
+      getSignupLogs: async () => [],
+      addSignupLog: async () => {}
+    },
+    autoRefreshMock: {
+      maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+        tracked: trackedClass,
+        refreshed: false,
+        matches: classes
+      })
+    }
+  });
+
+  const run = await schedulerService.checkAndSignup('session-a');
+
+  assert.equal(run.fetchMode, 'fetched');
+  assert.equal(run.classesFetched, 2);
+  assert.equal(run.classesEvaluated, 2);
+  assert.ok(run.finishedAt);
+  assert.deepEqual(run.decisions.map(decision => decision.decision), ['already_joined', 'waiting']);
+  assert.equal(run.nextBookingWindow.trackedClassId, 21);
+  assert.equal(run.nextBookingWindow.estimated, false);
+  assert.equal(
+    run.nextBookingWindow.signupTime,
+    new Date(new Date(later.startTime).getTime() - 2 * 60 * 60 * 1000).toISOString()
+  );
+});
+
+test('checkAndSignup only reads the given YMCA account and keeps its fetched classes separate', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const tracked = {
+    id: 41,
+    account_id: 2,
+    service_id: '393',
+    service_name: 'Cycle',
+    location_name: 'Poyner YMCA',
+    day_of_week: weekday,
+    start_time: time,
+    auto_signup: 1,
+    signup_hours_before: 2
+  };
+  const trackedFilters = [];
+  const logFilters = [];
+  const chainFilters = [];
+  const blackoutFilters = [];
+  const fetchedWith = [];
+
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {
+      fetchClasses: async (sessionCookie) => {
+        fetchedWith.push(sessionCookie);
+        return [];
+      }
+    },
+    dbMock: {
+      getAllTrackedClasses: async (filters) => {
+        trackedFilters.push(filters);
+        return [tracked];
+      },
+      getBlackoutPeriods: async (today, filters) => {
+        blackoutFilters.push(filters);
+        return [];
+      },
+      getFallbackChains: async (filters) => {
+        chainFilters.push(filters);
+        return [];
+      },
+      getSignupLogs: async (limit, filters) => {
+        logFilters.push(filters);
+        return [];
+      },
+      addSignupLog: async () => {}
+    },
+    autoRefreshMock: {
+      maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+        tracked: trackedClass,
+        refreshed: false,
+        matches: classes
+      })
+    }
+  });
+
+  const first = await schedulerService.checkAndSignup('session-b', { accountId: 2, forceFetch: true });
+  const other = await schedulerService.checkAndSignup('session-c', { accountId: 3 });
+
+  assert.deepEqual(trackedFilters, [{ accountId: 2 }, { accountId: 3 }]);
+  assert.ok(logFilters.length > 0);
+  assert.ok(logFilters.every(filters => filters.accountId === 2 || filters.accountId === 3));
+  assert.deepEqual(chainFilters, [{ accountId: 2 }, { accountId: 3 }]);
+  assert.deepEqual(blackoutFilters, [{ accountId: 2 }, { accountId: 3 }]);
+  assert.equal(first.fetchMode, 'fetched');
+  // Account 3 has no cached schedule of its own, so it fetches with its own session
+  assert.equal(other.fetchMode, 'fetched');
+  assert.deepEqual([...new Set(fetchedWith)], ['session-b', 'session-c']);
+});
+
+test('dry run stops before signupForClass and explains what would be booked', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const tracked = {
+    id: 31,
+    service_id: '393',
+    service_name: 'Cycle',
+    location_name: 'Poyner YMCA',
+    day_of_week: weekday,
+    start_time: time,
+    auto_signup: 0,
+    signup_hours_before: 46
+  };
+  const occurrence = {
+    id: 900001,
+    serviceId: 393,
+    serviceName: 'Cycle',
+    locationName: 'Poyner YMCA',
+    startTime: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+    canSignup: true,
+    canJoinWaitlist: false,
+    isJoined: false,
+    isWaited: false,
+    fullGroup: false,
+    waitingListEnabled: true,
+    restrictToBookInAdvanceHours: 46
+  };
+
+  const refreshOptions = [];
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {
+      fetchClasses: async () => [occurrence],
+      signupForClass: async () => {
+        throw new Error('dry run must not sign up');
+      }
+    },
+    dbMock: {
+      getAllTrackedClasses: async () => [tracked, { ...tracked, id: 32 }],
+      getBlackoutPeriods: async () => [],
+      getFallbackChains: async () => [],
+      getSignupLogs: async () => [],
+      addSignupLog: async () => {
+        throw new Error('dry run must not write signup logs');
+      }
+    },
+    autoRefreshMock: {
+      maybeAutoRefreshTrackedClass: async (trackedClass, classes, options) => {
+        refreshOptions.push(options);
+        return { tracked: trackedClass, refreshed: false, matches: classes };
+      }
+    }
+  });
+
+  const run = await schedulerService.checkAndSignup('session-a', {
+    dryRun: true,
+    forceFetch: true,
+    trackedClassIds: [31],
+    onUpcomingWindow: () => {
+      throw new Error('dry run must not arm timers');
+    }
+  });
+
+  assert.equal(run.dryRun, true);
+  assert.equal(run.decisions.length, 1);
+  assert.equal(run.decisions[0].trackedClassId, 31);
+  assert.equal(run.decisions[0].decision, 'would_attempt');
+  assert.equal(run.decisions[0].detail, 'Would sign up now');
+  assert.deepEqual(refreshOptions.map(options => options.persist), [false]);
+});
+
+test('getNextOccurrence picks the earliest upcoming weekday of a multi-day rule', () => {
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {},
+    dbMock: {},
+    autoRefreshMock: {}
+  });
+
+  // Tuesday 2026-03-03 12:00 local time
+  const from = new Date(2026, 2, 3, 12, 0, 0);
+  const next = schedulerService.getNextOccurrence({
+    day_of_week: 'Monday',
+    days_of_week: ['Monday', 'Thursday'],
+    start_time: '09:30'
+  }, from);
+
+  assert.equal(next.getDay(), 4);
+  assert.equal(next.getDate(), 5);
+  assert.equal(next.getHours(), 9);
+  assert.equal(next.getMinutes(), 30);
+});
+
+test('getNextOccurrence skips weekdays the recurrence excludes', () => {
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {},
+    dbMock: {},
+    autoRefreshMock: {}
+  });
+
+  // Tuesday 2026-03-03 12:00 local time; the next Saturday is the 7th
+  const from = new Date(2026, 2, 3, 12, 0, 0);
+  const saturdays = { day_of_week: 'Saturday', days_of_week: ['Saturday'], start_time: '09:30' };
+
+  const alternate = schedulerService.getNextOccurrence({
+    ...saturdays,
+    recurrence: { frequency: 'weekly', interval: 2, anchorDate: '2026-03-14' }
+  }, from);
+  assert.equal(alternate.getMonth(), 2);
+  assert.equal(alternate.getDate(), 14);
+
+  const lastOfMonth = schedulerService.getNextOccurrence({
+    ...saturdays,
+    recurrence: { frequency: 'monthly', weeksOfMonth: [-1] }
+  }, from);
+  assert.equal(lastOfMonth.getMonth(), 2);
+  assert.equal(lastOfMonth.getDate(), 28);
+  assert.equal(lastOfMonth.getHours(), 9);
+});
+
+test('category rules book only the first matching class of each day', async () => {
+  const { weekday } = getCurrentWeekdayAndTime(10);
+  const tracked = {
+    id: 41,
+    rule_type: 'category',
+    service_id: '',
+    service_name: 'Cycling',
+    service_category_name: 'Cycling',
+    location_name: 'Poyner YMCA',
+    days_of_week: [weekday],
+    start_time: null,
+    auto_signup: 0,
+    signup_hours_before: 46
+  };
+  const makeOccurrence = (id, serviceName, minutesAhead) => ({
+    id,
+    serviceId: id,
+    serviceName,
+    locationName: 'Poyner YMCA',
+    startTime: new Date(Date.now() + minutesAhead * 60 * 1000).toISOString(),
+    canSignup: true,
+    canJoinWaitlist: false,
+    isJoined: false,
+    isWaited: false,
+    fullGroup: false,
+    waitingListEnabled: true,
+    restrictToBookInAdvanceHours: 46
+  });
+  const occurrences = [makeOccurrence(900011, 'Cycle 45', 60), makeOccurrence(900012, 'Power Cycle', 61)];
+
+  const fetchOptions = [];
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {
+      fetchClasses: async (sessionCookie, options) => {
+        fetchOptions.push(options);
+        return occurrences;
+      }
+    },
+    dbMock: {
+      getAllTrackedClasses: async () => [tracked],
+      getBlackoutPeriods: async () => [],
+      getFallbackChains: async () => [],
+      getSignupLogs: async () => []
+    },
+    autoRefreshMock: {
+      maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({ tracked: trackedClass, refreshed: false, matches: classes })
+    }
+  });
+
+  const run = await schedulerService.checkAndSignup('session-a', { dryRun: true, forceFetch: true, trackedClassIds: [41] });
+
+  assert.deepEqual(fetchOptions[0].serviceIds, []);
+  assert.deepEqual(
+    run.decisions.map(decision => [decision.occurrenceId, decision.decision]),
+    [[900011, 'would_attempt'], [900012, 'day_booked']]
+  );
+});
+
+test('location groups in preferred order hold the day for the earliest-listed location', async () => {
+  const { weekday } = getCurrentWeekdayAndTime(10);
+  const tracked = {
+    id: 51,
+    service_id: '393',
+    service_name: 'Cycle',
+    location_name: 'Downtown',
+    location_group_id: 3,
+    location_group_order: 'preferred',
+    locations: [{ id: '15', name: 'Alexander Family YMCA' }, { id: '24', name: 'Poyner YMCA' }],
+    days_of_week: [weekday],
+    start_time: null,
+    auto_signup: 0,
+    signup_hours_before: 46
+  };
+  const makeOccurrence = (id, locationName, minutesAhead, restrictToBookInAdvanceHours) => ({
+    id,
+    serviceId: 393,
+    serviceName: 'Cycle',
+    locationName,
+    startTime: new Date(Date.now() + minutesAhead * 60 * 1000).toISOString(),
+    canSignup: true,
+    canJoinWaitlist: false,
+    isJoined: false,
+    isWaited: false,
+    fullGroup: false,
+    waitingListEnabled: true,
+    restrictToBookInAdvanceHours
+  });
+
+  const runWith = async (occurrences) => {
+    const schedulerService = loadSchedulerService({
+      loggerMock: createLoggerMock(),
+      classServiceMock: { fetchClasses: async () => occurrences },
+      dbMock: {
+        getAllTrackedClasses: async () => [tracked],
+        getBlackoutPeriods: async () => [],
+        getFallbackChains: async () => [],
+        getSignupLogs: async () => []
+      },
+      autoRefreshMock: {
+        maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({ tracked: trackedClass, refreshed: false, matches: classes })
+      }
+    });
+    const run = await schedulerService.checkAndSignup('session-a', { dryRun: true, forceFetch: true, trackedClassIds: [51] });
+    return run.decisions.map(decision => [decision.occurrenceId, decision.decision]);
+  };
+
+  // Both windows open: the preferred location is booked even though it starts later
+  assert.deepEqual(
+    await runWith([makeOccurrence(900021, 'Poyner YMCA', 60, 46), makeOccurrence(900022, 'Alexander Family YMCA', 61, 46)]),
+    [[900022, 'would_attempt'], [900021, 'day_booked']]
+  );
+
+  // The preferred location's window hasn't opened yet: the other location waits for it
+  assert.deepEqual(
+    await runWith([makeOccurrence(900021, 'Poyner YMCA', 60, 46), makeOccurrence(900022, 'Alexander Family YMCA', 61, 0.5)]),
+    [[900022, 'waiting'], [900021, 'preferred_pending']]
+  );
+});
+
+test('fallback chains book the first available alternative and leave the replaced waitlist', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const makeTracked = (id, serviceId) => ({
+    id,
+    service_id: String(serviceId),
+    service_name: `Class ${serviceId}`,
+    location_name: 'Poyner YMCA',
+    days_of_week: [weekday],
+    start_time: time,
+    auto_signup: 1,
+    signup_hours_before: 46
+  });
+  const makeOccurrence = (id, serviceId, overrides = {}) => ({
+    id,
+    serviceId,
+    serviceName: `Class ${serviceId}`,
+    locationName: 'Poyner YMCA',
+    startTime: new Date(Date.now() + (60 + id % 10) * 60 * 1000).toISOString(),
+    canSignup: true,
+    canJoinWaitlist: false,
+    isJoined: false,
+    isWaited: false,
+    fullGroup: false,
+    waitingListEnabled: true,
+    restrictToBookInAdvanceHours: 46,
+    ...overrides
+  });
+
+  const primary = makeTracked(61, 501);
+  const firstFallback = makeTracked(62, 502);
+  const secondFallback = makeTracked(63, 503);
+  const occurrences = [
+    makeOccurrence(900031, 501, { canSignup: false, fullGroup: true, isWaited: true }),
+    makeOccurrence(900032, 502),
+    makeOccurrence(900033, 503)
+  ];
+
+  const signedUp = [];
+  const leftWaitlists = [];
+  const addedLogs = [];
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {
+      fetchClasses: async () => occurrences,
+      signupForClass: async (sessionCookie, occurrenceId) => {
+        signedUp.push(occurrenceId);
+        return {};
+      },
+      leaveWaitlist: async (sessionCookie, occurrenceId) => {
+        leftWaitlists.push(occurrenceId);
+      }
+    },
+    dbMock: {
+      // Listed out of order: the chain decides who goes first
+      getAllTrackedClasses: async () => [secondFallback, firstFallback, primary],
+      getBlackoutPeriods: async () => [],
+      getFallbackChains: async () => [
+        { id: 1, name: 'Evening', tracked_class_ids: [61, 62, 63], leave_waitlist: 1 }
+      ],
+      getSignupLogs: async () => [],
+      addSignupLog: async (log) => {
+        addedLogs.push(log);
+      }
+    },
+    autoRefreshMock: {
+      maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+        tracked: trackedClass,
+        refreshed: false,
+        matches: classes.filter(cls => String(cls.serviceId) === trackedClass.service_id)
+      })
+    }
+  });
+
+  const run = await schedulerService.checkAndSignup('session-a', { forceFetch: true });
+
+  assert.deepEqual(
+    run.decisions.map(decision => [decision.trackedClassId, decision.decision]),
+    [[61, 'already_waitlisted'], [62, 'attempted'], [61, 'left_waitlist'], [63, 'chain_booked']]
+  );
+  assert.deepEqual(signedUp, [900032]);
+  assert.deepEqual(leftWaitlists, [900031]);
+  assert.deepEqual(
+    addedLogs.map(log => [log.occurrenceId, log.status]),
+    [[900032, 'success'], [900031, 'cancelled']]
+  );
+});
+
+test('fallback chains that keep the waitlist link it to the booked fallback', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const makeTracked = (id, serviceId) => ({
+    id,
+    service_id: String(serviceId),
+    service_name: `Class ${serviceId}`,
+    location_name: 'Poyner YMCA',
+    days_of_week: [weekday],
+    start_time: time,
+    auto_signup: 1,
+    signup_hours_before: 46
+  });
+  const startTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const occurrences = [
+    {
+      id: 900041,
+      serviceId: 504,
+      serviceName: 'Class 504',
+      locationName: 'Poyner YMCA',
+      startTime,
+      canSignup: false,
+      isJoined: false,
+      isWaited: true,
+      positionOnWaitingList: 2,
+      fullGroup: true,
+      restrictToBookInAdvanceHours: 46
+    },
+    {
+      id: 900042,
+      serviceId: 505,
+      serviceName: 'Class 505',
+      locationName: 'Poyner YMCA',
+      startTime,
+      canSignup: true,
+      isJoined: false,
+      isWaited: false,
+      fullGroup: false,
+      restrictToBookInAdvanceHours: 46
+    }
+  ];
+
+  const links = [];
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {
+      fetchClasses: async () => occurrences,
+      signupForClass: async () => ({}),
+      leaveWaitlist: async () => {
+        throw new Error('should keep the waitlist');
+      }
+    },
+    dbMock: {
+      getAllTrackedClasses: async () => [makeTracked(71, 504), makeTracked(72, 505)],
+      getBlackoutPeriods: async () => [],
+      getFallbackChains: async () => [
+        { id: 2, name: 'Morning', tracked_class_ids: [71, 72], leave_waitlist: 0, upgrade_waitlist: 1 }
+      ],
+      getSignupLogs: async () => [],
+      addSignupLog: async () => {},
+      addWaitlistLink: async (link) => {
+        links.push(link);
+        return links.length;
+      }
+    },
+    autoRefreshMock: {
+      maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+        tracked: trackedClass,
+        refreshed: false,
+        matches: classes.filter(cls => String(cls.serviceId) === trackedClass.service_id)
+      })
+    }
+  });
+
+  const run = await schedulerService.checkAndSignup('session-a', { forceFetch: true });
+
+  assert.deepEqual(
+    run.decisions.map(decision => [decision.trackedClassId, decision.decision]),
+    [[71, 'already_waitlisted'], [72, 'attempted']]
+  );
+  assert.equal(links.length, 1);
+  assert.equal(links[0].chainId, 2);
+  assert.equal(links[0].preferredOccurrenceId, 900041);
+  assert.equal(links[0].backupOccurrenceId, 900042);
+  assert.equal(links[0].waitlistPosition, 2);
+});
+
+test('a timed fallback signup is dropped when its chain was booked after the timer was armed', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(70);
+  const primary = {
+    id: 71,
+    service_id: '601',
+    service_name: 'Class 601',
+    location_name: 'Poyner YMCA',
+    days_of_week: [weekday],
+    start_time: time,
+    auto_signup: 1,
+    signup_hours_before: 46
+  };
+  // Its window opens ten minutes from now, so the run arms a timer for it
+  const fallback = { ...primary, id: 72, service_id: '602', service_name: 'Class 602', signup_hours_before: 1 };
+  const classStart = new Date(Date.now() + 70 * 60 * 1000).toISOString();
+  const occurrences = [
+    {
+      id: 900041,
+      serviceId: 601,
+      serviceName: 'Class 601',
+      locationName: 'Poyner YMCA',
+      startTime: classStart,
+      canSignup: false,
+      canJoinWaitlist: false,
+      isJoined: false,
+      isWaited: false,
+      fullGroup: true,
+      waitingListEnabled: false,
+      restrictToBookInAdvanceHours: 46
+    },
+    {
+      id: 900042,
+      serviceId: 602,
+      serviceName: 'Class 602',
+      locationName: 'Poyner YMCA',
+      startTime: classStart,
+      canSignup: true,
+      canJoinWaitlist: false,
+      isJoined: false,
+      isWaited: false,
+      fullGroup: false,
+      waitingListEnabled: true,
+      restrictToBookInAdvanceHours: 46
+    }
+  ];
+
+  const signedUp = [];
+  const signupLogs = [];
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {
+      fetchClasses: async () => occurrences,
+      matchTrackedClassToOccurrences: (trackedClass, classes) =>
+        classes.filter(cls => String(cls.serviceId) === trackedClass.service_id),
+      signupForClass: async (sessionCookie, occurrenceId) => {
+        signedUp.push(occurrenceId);
+        return {};
+      }
+    },
+    dbMock: {
+      getAllTrackedClasses: async () => [primary, fallback],
+      getTrackedClass: async (id) => [primary, fallback].find(trackedClass => trackedClass.id === id),
+      getBlackoutPeriods: async () => [],
+      getFallbackChains: async () => [
+        { id: 1, name: 'Morning', tracked_class_ids: [71, 72], leave_waitlist: 0 }
+      ],
+      getSignupLogs: async () => signupLogs,
+      addSignupLog: async () => {}
+    },
+    autoRefreshMock: {
+      maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+        tracked: trackedClass,
+        refreshed: false,
+        matches: classes.filter(cls => String(cls.serviceId) === trackedClass.service_id)
+      })
+    }
+  });
+
+  const armed = [];
+  await schedulerService.checkAndSignup('session-a', {
+    forceFetch: true,
+    onUpcomingWindow: (timer) => armed.push(timer)
+  });
+  assert.deepEqual(armed.map(timer => timer.occurrence.id), [900042]);
+
+  // A spot in the primary class opened up and was booked before the timer fired
+  signupLogs.push({ occurrence_id: '900041', status: 'success', error_message: null, client_id: null });
+  await schedulerService.signupAtWindowOpen('session-a', armed[0].tracked, armed[0].occurrence);
+  assert.deepEqual(signedUp, []);
+
+  signupLogs.length = 0;
+  await schedulerService.signupAtWindowOpen('session-a', armed[0].tracked, armed[0].occurrence);
+  assert.deepEqual(signedUp, [900042]);
+});
+
+test('conflicting bookings are skipped or replaced according to the conflict policy', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const startTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const wanted = {
+    id: 81,
+    service_id: '601',
+    service_name: 'Class 601',
+    location_name: 'Poyner YMCA',
+    days_of_week: [weekday],
+    start_time: time,
+    auto_signup: 1,
+    signup_hours_before: 46,
+    priority: 2
+  };
+  const bookedRule = { ...wanted, id: 82, service_id: '602', service_name: 'Class 602', auto_signup: 0, priority: 0 };
+  const occurrence = {
+    id: 900051,
+    serviceId: 601,
+    serviceName: 'Class 601',
+    locationId: 36,
+    locationName: 'Poyner YMCA',
+    startTime,
+    duration: 45,
+    canSignup: true,
+    isJoined: false,
+    isWaited: false,
+    fullGroup: false,
+    restrictToBookInAdvanceHours: 46
+  };
+  // Ends 10 minutes before the wanted class, across town
+  const booking = {
+    id: 900052,
+    serviceId: 602,
+    serviceName: 'Class 602',
+    locationId: 40,
+    locationName: 'Alexander YMCA',
+    startTime: new Date(Date.now() + 5 * 60 * 1000).toISOString(),
+    duration: 45,
+    isJoined: true
+  };
+
+  const runWithPolicy = async (policy) => {
+    const signedUp = [];
+    const cancelled = [];
+    const addedLogs = [];
+    const schedulerService = loadSchedulerService({
+      loggerMock: createLoggerMock(),
+      classServiceMock: {
+        fetchClasses: async () => [occurrence],
+        getMyBookings: async () => ({ data: [booking] }),
+        normalizeBookingOccurrence: occurrenceData => occurrenceData,
+        buildTrackedMatchDiagnostics: (tracked, cls) => ({
+          serviceId: { matches: String(cls.serviceId) === String(tracked.service_id) }
+        }),
+        signupForClass: async (sessionCookie, occurrenceId) => {
+          signedUp.push(occurrenceId);
+          return {};
+        },
+        cancelBooking: async (sessionCookie, occurrenceId) => {
+          cancelled.push(occurrenceId);
+        }
+      },
+      dbMock: {
+        getAllTrackedClasses: async () => [wanted, bookedRule],
+        getBlackoutPeriods: async () => [],
+        getFallbackChains: async () => [],
+        getSignupLogs: async () => [],
+        addSignupLog: async (log) => {
+          addedLogs.push(log);
+        }
+      },
+      autoRefreshMock: {
+        maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+          tracked: trackedClass,
+          refreshed: false,
+          matches: classes.filter(cls => String(cls.serviceId) === trackedClass.service_id)
+        })
+      }
+    });
+
+    const run = await schedulerService.checkAndSignup('session-a', {
+      forceFetch: true,
+      conflicts: { policy, travelBufferMinutes: 15 }
+    });
+    return { run, signedUp, cancelled, addedLogs };
+  };
+
+  const skipped = await runWithPolicy('skip');
+  assert.deepEqual(skipped.run.decisions.map(decision => [decision.trackedClassId, decision.decision]), [[81, 'conflict']]);
+  assert.match(skipped.run.decisions[0].detail, /Less than 15 min to travel to or from Class 602 at Alexander YMCA/);
+  assert.deepEqual(skipped.signedUp, []);
+  assert.deepEqual(skipped.cancelled, []);
+
+  const replaced = await runWithPolicy('priority');
+  assert.deepEqual(
+    replaced.run.decisions.map(decision => [decision.trackedClassId, decision.decision]),
+    [[81, 'attempted'], [82, 'conflict_replaced']]
+  );
+  assert.deepEqual(replaced.signedUp, [900051]);
+  assert.deepEqual(replaced.cancelled, [900052]);
+  assert.deepEqual(
+    replaced.addedLogs.map(log => [log.occurrenceId, log.status]),
+    [[900051, 'success'], [900052, 'cancelled']]
+  );
+
+  const allowed = await runWithPolicy('allow');
+  assert.deepEqual(allowed.signedUp, [900051]);
+  assert.deepEqual(allowed.cancelled, []);
+});
+
+test('booking quotas go to higher-priority tracked classes first', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const startTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const makeTracked = (id, serviceId, overrides = {}) => ({
+    id,
+    service_id: String(serviceId),
+    service_name: `Class ${serviceId}`,
+    location_name: 'Poyner YMCA',
+    days_of_week: [weekday],
+    start_time: time,
+    auto_signup: 1,
+    signup_hours_before: 46,
+    ...overrides
+  });
+  const makeOccurrence = (id, serviceId) => ({
+    id,
+    serviceId,
+    serviceName: `Class ${serviceId}`,
+    locationName: 'Poyner YMCA',
+    startTime,
+    canSignup: true,
+    isJoined: false,
+    isWaited: false,
+    fullGroup: false,
+    restrictToBookInAdvanceHours: 46
+  });
+
+  const runWith = async (trackedClasses, occurrences, quotas) => {
+    const signedUp = [];
+    const schedulerService = loadSchedulerService({
+      loggerMock: createLoggerMock(),
+      classServiceMock: {
+        fetchClasses: async () => occurrences,
+        getMyBookings: async () => ({ data: [] }),
+        normalizeBookingOccurrence: occurrenceData => occurrenceData,
+        buildTrackedMatchDiagnostics: (tracked, cls) => ({
+          serviceId: { matches: String(cls.serviceId) === String(tracked.service_id) }
+        }),
+        signupForClass: async (sessionCookie, occurrenceId) => {
+          signedUp.push(occurrenceId);
+          return {};
+        }
+      },
+      dbMock: {
+        getAllTrackedClasses: async () => trackedClasses,
+        getBlackoutPeriods: async () => [],
+        getFallbackChains: async () => [],
+        getSignupLogs: async () => [],
+        addSignupLog: async () => {}
+      },
+      autoRefreshMock: {
+        maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+          tracked: trackedClass,
+          refreshed: false,
+          matches: classes.filter(cls => String(cls.serviceId) === trackedClass.service_id)
+        })
+      }
+    });
+
+    const run = await schedulerService.checkAndSignup('session-a', {
+      forceFetch: true,
+      conflicts: { policy: 'allow' },
+      quotas
+    });
+    return { run, signedUp };
+  };
+
+  // Both windows are open: the high-priority class takes the last slot
+  const sameRun = await runWith(
+    [makeTracked(91, 701, { priority: 0 }), makeTracked(92, 702, { priority: 2 })],
+    [makeOccurrence(900061, 701), makeOccurrence(900062, 702)],
+    { perDay: 1 }
+  );
+  assert.deepEqual(
+    sameRun.run.decisions.map(decision => [decision.trackedClassId, decision.decision]),
+    [[92, 'attempted'], [91, 'quota']]
+  );
+  assert.match(sameRun.run.decisions[1].detail, /^Daily limit of 1 reached/);
+  assert.deepEqual(sameRun.signedUp, [900062]);
+
+  // The high-priority class's window opens later, so its slot is held back
+  const later = getCurrentWeekdayAndTime(180);
+  const heldBack = await runWith(
+    [
+      makeTracked(93, 703, { priority: 0 }),
+      makeTracked(94, 704, { priority: 2, days_of_week: [later.weekday], start_time: later.time, signup_hours_before: 1 })
+    ],
+    [makeOccurrence(900063, 703)],
+    { perWeek: 1 }
+  );
+  const lowDecision = heldBack.run.decisions.find(decision => decision.trackedClassId === 93);
+  assert.equal(lowDecision.decision, 'quota');
+  assert.match(lowDecision.detail, /1 held for higher-priority classes/);
+  assert.deepEqual(heldBack.signedUp, []);
+
+  // Without its own lead time a class uses the 46-hour default, so a window
+  // that is already open holds nothing back
+  const defaultWindow = await runWith(
+    [makeTracked(95, 705, { priority: 0 }), makeTracked(96, 706, { priority: 2, signup_hours_before: null })],
+    [makeOccurrence(900065, 705)],
+    { perWeek: 1 }
+  );
+  assert.deepEqual(defaultWindow.signedUp, [900065]);
+});
+
+test('blackout periods keep classes from being booked and let a chain fallback take over', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const startTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const makeTracked = (id, serviceId) => ({
+    id,
+    service_id: String(serviceId),
+    service_name: `Class ${serviceId}`,
+    location_name: 'Poyner YMCA',
+    days_of_week: [weekday],
+    start_time: time,
+    auto_signup: 1,
+    signup_hours_before: 46
+  });
+  const makeOccurrence = (id, serviceId) => ({
+    id,
+    serviceId,
+    serviceName: `Class ${serviceId}`,
+    locationName: 'Poyner YMCA',
+    startTime,
+    canSignup: true,
+    isJoined: false,
+    isWaited: false,
+    fullGroup: false,
+    restrictToBookInAdvanceHours: 46
+  });
+  const today = new Date(startTime).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+
+  const runWith = async (blackouts) => {
+    const signedUp = [];
+    const schedulerService = loadSchedulerService({
+      loggerMock: createLoggerMock(),
+      classServiceMock: {
+        fetchClasses: async () => [makeOccurrence(900071, 801), makeOccurrence(900072, 802)],
+        signupForClass: async (sessionCookie, occurrenceId) => {
+          signedUp.push(occurrenceId);
+          return {};
+        }
+      },
+      dbMock: {
+        getAllTrackedClasses: async () => [makeTracked(101, 801), makeTracked(102, 802)],
+        getBlackoutPeriods: async () => blackouts,
+        getFallbackChains: async () => [
+          { id: 3, name: 'Lunch', tracked_class_ids: [101, 102], leave_waitlist: 0, upgrade_waitlist: 0 }
+        ],
+        getSignupLogs: async () => [],
+        addSignupLog: async () => {}
+      },
+      autoRefreshMock: {
+        maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+          tracked: trackedClass,
+          refreshed: false,
+          matches: classes.filter(cls => String(cls.serviceId) === trackedClass.service_id)
+        })
+      }
+    });
+
+    const run = await schedulerService.checkAndSignup('session-a', { forceFetch: true, conflicts: { policy: 'allow' } });
+    return { run, signedUp };
+  };
+
+  const skipped = await runWith([{ id: 1, tracked_class_id: 101, start_date: today, end_date: today, reason: 'Skipped' }]);
+  assert.deepEqual(
+    skipped.run.decisions.map(decision => [decision.trackedClassId, decision.decision]),
+    [[101, 'blackout'], [102, 'attempted']]
+  );
+  assert.deepEqual(skipped.signedUp, [900072]);
+
+  const vacation = await runWith([{ id: 2, tracked_class_id: null, start_date: today, end_date: today, reason: 'Trip' }]);
+  assert.deepEqual(
+    vacation.run.decisions.map(decision => [decision.trackedClassId, decision.decision]),
+    [[101, 'blackout'], [102, 'blackout']]
+  );
+  assert.equal(vacation.run.decisions[0].detail, `Auto-signup paused ${today} (Trip)`);
+  assert.deepEqual(vacation.signedUp, []);
+});
+
+test('classes overlapping busy calendar time are not booked', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const startTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+  const runWith = async (busyEvents) => {
+    const signedUp = [];
+    const schedulerService = loadSchedulerService({
+      loggerMock: createLoggerMock(),
+      classServiceMock: {
+        fetchClasses: async () => [{
+          id: 900081,
+          serviceId: 811,
+          serviceName: 'Class 811',
+          locationName: 'Poyner YMCA',
+          startTime,
+          duration: 45,
+          canSignup: true,
+          isJoined: false,
+          isWaited: false,
+          fullGroup: false,
+          restrictToBookInAdvanceHours: 46
+        }],
+        signupForClass: async (sessionCookie, occurrenceId) => {
+          signedUp.push(occurrenceId);
+          return {};
+        }
+      },
+      dbMock: {
+        getAllTrackedClasses: async () => [{
+          id: 111,
+          service_id: '811',
+          service_name: 'Class 811',
+          location_name: 'Poyner YMCA',
+          days_of_week: [weekday],
+          start_time: time,
+          auto_signup: 1,
+          signup_hours_before: 46
+        }],
+        getBlackoutPeriods: async () => [],
+        getFallbackChains: async () => [],
+        getSignupLogs: async () => [],
+        addSignupLog: async () => {}
+      },
+      autoRefreshMock: {
+        maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+          tracked: trackedClass,
+          refreshed: false,
+          matches: classes
+        })
+      }
+    });
+
+    const run = await schedulerService.checkAndSignup('session-a', {
+      forceFetch: true,
+      getBusyEvents: async () => busyEvents
+    });
+    return { run, signedUp };
+  };
+
+  const classStart = new Date(startTime).getTime();
+  const meeting = {
+    summary: 'Standup',
+    calendarName: 'Work',
+    start: new Date(classStart + 30 * 60 * 1000),
+    end: new Date(classStart + 60 * 60 * 1000)
+  };
+  const busy = await runWith([meeting]);
+  assert.deepEqual(busy.run.decisions.map(decision => decision.decision), ['busy']);
+  assert.match(busy.run.decisions[0].detail, /^Busy: Standup \(.+\) on Work$/);
+  assert.deepEqual(busy.signedUp, []);
+
+  // Starts right as the 45-minute class ends
+  const later = await runWith([{ ...meeting, start: new Date(classStart + 45 * 60 * 1000) }]);
+  assert.deepEqual(later.run.decisions.map(decision => decision.decision), ['attempted']);
+  assert.deepEqual(later.signedUp, [900081]);
+});
+
+test('rules limited to their next occurrences stop booking and archive themselves', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const makeOccurrence = (id, hoursAhead) => ({
+    id,
+    serviceId: 821,
+    serviceName: 'Class 821',
+    locationName: 'Poyner YMCA',
+    startTime: new Date(Date.now() + hoursAhead * 60 * 60 * 1000).toISOString(),
+    canSignup: true,
+    isJoined: false,
+    isWaited: false,
+    fullGroup: false,
+    restrictToBookInAdvanceHours: 46
+  });
+  const makeTracked = (overrides) => ({
+    id: 121,
+    service_id: '821',
+    service_name: 'Class 821',
+    location_name: 'Poyner YMCA',
+    days_of_week: [weekday],
+    start_time: time,
+    auto_signup: 1,
+    signup_hours_before: 46,
+    ...overrides
+  });
+
+  const runWith = async (tracked) => {
+    const signedUp = [];
+    const archived = [];
+    let bookingsMade = tracked.bookings_made || 0;
+    const schedulerService = loadSchedulerService({
+      loggerMock: createLoggerMock(),
+      classServiceMock: {
+        fetchClasses: async () => [makeOccurrence(900091, 1), makeOccurrence(900092, 2)],
+        signupForClass: async (sessionCookie, occurrenceId) => {
+          signedUp.push(occurrenceId);
+          return {};
+        }
+      },
+      dbMock: {
+        getAllTrackedClasses: async () => [tracked],
+        getBlackoutPeriods: async () => [],
+        getFallbackChains: async () => [],
+        getSignupLogs: async () => [],
+        addSignupLog: async () => {},
+        recordTrackedClassBooking: async () => {
+          bookingsMade += 1;
+          return { ...tracked, bookings_made: bookingsMade };
+        },
+        archiveTrackedClass: async (id) => {
+          archived.push(id);
+        }
+      },
+      autoRefreshMock: {
+        maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+          tracked: trackedClass,
+          refreshed: false,
+          matches: classes
+        })
+      }
+    });
+
+    const run = await schedulerService.checkAndSignup('session-a', { forceFetch: true, conflicts: { policy: 'allow' } });
+    return { run, signedUp, archived, bookingsMade };
+  };
+
+  const special = await runWith(makeTracked({ max_bookings: 1, bookings_made: 0 }));
+  assert.deepEqual(special.run.decisions.map(decision => decision.decision), ['attempted', 'limit_reached']);
+  assert.deepEqual(special.signedUp, [900091]);
+  assert.equal(special.bookingsMade, 1);
+  assert.deepEqual(special.archived, [121]);
+
+  const ended = await runWith(makeTracked({ active_until: '2000-01-01' }));
+  assert.deepEqual(ended.run.decisions, []);
+  assert.deepEqual(ended.signedUp, []);
+  assert.deepEqual(ended.archived, [121]);
+});
+
+test('rules for a linked family member book them even when the account holder is already in the class', async () => {
+  const { weekday, time } = getCurrentWeekdayAndTime(10);
+  const startTime = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const signups = [];
+  const logs = [];
+  const bookingQueries = [];
+
+  const schedulerService = loadSchedulerService({
+    loggerMock: createLoggerMock(),
+    classServiceMock: {
+      fetchClasses: async () => [{
+        id: 900101,
+        serviceId: 831,
+        serviceName: 'Class 831',
+        locationName: 'Poyner YMCA',
+        startTime,
+        canSignup: false,
+        isJoined: true,
+        isWaited: false,
+        fullGroup: false,
+        restrictToBookInAdvanceHours: 46
+      }],
+      getMyBookings: async (sessionCookie, filters) => {
+        bookingQueries.push(filters.clientId);
+        return { data: [] };
+      },
+      applyClientBookingStatus: (classes, bookings) => classes.map(cls => {
+        const booking = bookings.find(entry => String(entry.id) === String(cls.id));
+        const isJoined = Boolean(booking?.is_joined);
+        return { ...cls, isJoined, isWaited: false, canSignup: !isJoined };
+      }),
+      signupForClass: async (...args) => {
+        signups.push(args);
+        return {};
+      }
+    },
+    dbMock: {
+      getAllTrackedClasses: async () => [{
+        id: 131,
+        service_id: '831',
+        service_name: 'Class 831',
+        location_name: 'Poyner YMCA',
+        days_of_week: [weekday],
+        start_time: time,
+        auto_signup: 1,
+        signup_hours_before: 46,
+        client_id: '4242',
+        client_name: 'Sam'
+      }],
+      getBlackoutPeriods: async () => [],
+      getFallbackChains: async () => [],
+      // The account holder's own booking of the same class
+      getSignupLogs: async () => [{ occurrence_id: '900101', status: 'success', client_id: null }],
+      addSignupLog: async (entry) => {
+        logs.push(entry);
+      }
+    },
+    autoRefreshMock: {
+      maybeAutoRefreshTrackedClass: async (trackedClass, classes) => ({
+        tracked: trackedClass,
+        refreshed: false,
+        matches: classes
+      })
+    }
+  });
+
+  const run = await schedulerService.checkAndSignup('session-a', { forceFetch: true });
+
+  assert.deepEqual(run.decisions.map(decision => decision.decision), ['attempted']);
+  assert.deepEqual(bookingQueries, ['4242']);
+  assert.equal(signups.length, 1);
+  assert.equal(signups[0][1], 900101);
+  assert.equal(signups[0][5], '4242');
+  assert.deepEqual(logs.map(log => [log.status, log.clientId, log.clientName]), [['success', '4242', 'Sam']]);
+});
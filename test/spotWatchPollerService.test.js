@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createSpotWatchPoller } = require('/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/spotWatchPollerService.js');
+
+function createLoggerMock() {
+  return {
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+  };
+}
+
+async function flushPromises() {
+  for (let i = 0; i < 5; i += 1) {
+    await Promise.resolve();
+  }
+}
+
+test('spot watch poller rechecks on the interval until a check resolves the watch', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+
+  const checks = [];
+  const results = ['watching', 'watching', 'booked'];
+  const poller = createSpotWatchPoller({
+    logger: createLoggerMock(),
+    getIntervalMs: () => 60 * 1000,
+    check: async (watch) => {
+      checks.push([watch.id, Date.now()]);
+      return { status: results.shift() };
+    }
+  });
+
+  poller.watch({ id: 9, occurrence_id: '701', service_name: 'Spin', class_time: new Date(60 * 60 * 1000).toISOString() });
+  assert.deepEqual(poller.getWatchedIds(), [9]);
+
+  for (let i = 0; i < 4; i += 1) {
+    t.mock.timers.tick(60 * 1000);
+    await flushPromises();
+  }
+
+  assert.deepEqual(checks, [[9, 60 * 1000], [9, 120 * 1000], [9, 180 * 1000]]);
+  assert.deepEqual(poller.getWatchedIds(), []);
+});
+
+test('spot watch poller stops checking a watch once it is unwatched', async (t) => {
+  t.mock.timers.enable({ apis: ['setTimeout', 'Date'], now: 0 });
+
+  const checks = [];
+  const poller = createSpotWatchPoller({
+    logger: createLoggerMock(),
+    getIntervalMs: () => 60 * 1000,
+    check: async (watch) => {
+      checks.push(watch.id);
+      return { status: 'watching' };
+    }
+  });
+
+  poller.watch({ id: 10, class_time: new Date(60 * 60 * 1000).toISOString() });
+  t.mock.timers.tick(60 * 1000);
+  await flushPromises();
+  poller.unwatch(10);
+  t.mock.timers.tick(5 * 60 * 1000);
+  await flushPromises();
+
+  assert.deepEqual(checks, [10]);
+  assert.deepEqual(poller.getWatchedIds(), []);
+});
@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const classServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/classService.js';
+const spotWatcherServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/spotWatcherService.js';
+
+function loadWithMocks(modulePath, mocks) {
+  delete require.cache[require.resolve(modulePath)];
+
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (Object.prototype.hasOwnProperty.call(mocks, request)) {
+      return mocks[request];
+    }
+
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function createLoggerMock() {
+  return {
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+  };
+}
+
+function loadSpotWatcherService({ occurrence, signupForClass }) {
+  const loggerMock = createLoggerMock();
+  const addedLogs = [];
+  const watchUpdates = [];
+  const dbMock = {
+    getClientIdForSession: async () => null,
+    updateSpotWatch: async (id, updates) => {
+      watchUpdates.push({ id, ...updates });
+    },
+    addSignupLog: async (entry) => {
+      addedLogs.push(entry);
+    }
+  };
+
+  const realClassService = loadWithMocks(classServicePath, {
+    axios: {},
+    '../logger': loggerMock,
+    '../config': { getConfig: () => ({ waitlistLimit: 5 }) },
+    '../database': dbMock
+  });
+
+  const classServiceMock = {
+    ...realClassService,
+    getOccurrenceDetails: async () => (occurrence ? { occurrence } : null),
+    signupForClass: signupForClass || (async () => {
+      throw new Error('should not sign up');
+    })
+  };
+
+  const service = loadWithMocks(spotWatcherServicePath, {
+    '../logger': loggerMock,
+    '../database': dbMock,
+    './classService': classServiceMock
+  });
+
+  return { service, addedLogs, watchUpdates };
+}
+
+const classTime = new Date(Date.now() + 3 * 60 * 60 * 1000).toISOString();
+
+const watch = {
+  id: 5,
+  occurrence_id: '701',
+  service_name: 'Spin',
+  class_time: classTime,
+  status: 'watching'
+};
+
+function makeOccurrence(overrides = {}) {
+  return {
+    id: 701,
+    service_title: 'Spin',
+    location_name: 'Poyner YMCA',
+    occurs_at: classTime,
+    status: 'Scheduled',
+    is_joined: false,
+    is_waited: false,
+    full_group: true,
+    waiting_list_enabled: true,
+    total_on_waiting_list: 5,
+    lock_version: 3,
+    ...overrides
+  };
+}
+
+test('spot watch keeps polling while the class and its waitlist are full', async () => {
+  const { service, addedLogs, watchUpdates } = loadSpotWatcherService({ occurrence: makeOccurrence() });
+
+  const result = await service.checkSpotWatch('cookie', watch);
+
+  assert.equal(result.status, 'watching');
+  assert.deepEqual(watchUpdates, [{ id: 5, resultMessage: 'Class and waitlist are full' }]);
+  assert.deepEqual(addedLogs, []);
+});
+
+test('spot watch signs up the moment a spot frees up, or joins a waitlist with room', async () => {
+  const signups = [];
+  const opened = loadSpotWatcherService({
+    occurrence: makeOccurrence({ full_group: false }),
+    signupForClass: async (sessionCookie, occurrenceId, lockVersion) => {
+      signups.push([occurrenceId, lockVersion]);
+      return {};
+    }
+  });
+
+  const booked = await opened.service.checkSpotWatch('cookie', watch);
+  assert.equal(booked.status, 'booked');
+  assert.deepEqual(signups, [[701, 3]]);
+  assert.equal(opened.addedLogs[0].status, 'success');
+  assert.equal(opened.addedLogs[0].errorMessage, 'Booked from spot watch');
+  assert.equal(opened.watchUpdates[0].status, 'booked');
+
+  const waitlistRoom = loadSpotWatcherService({
+    occurrence: makeOccurrence({ total_on_waiting_list: 4 }),
+    signupForClass: async () => ({ waitlisted: true })
+  });
+  const waitlisted = await waitlistRoom.service.checkSpotWatch('cookie', watch);
+  assert.equal(waitlisted.status, 'waitlisted');
+  assert.equal(waitlistRoom.addedLogs[0].errorMessage, 'Joined waitlist from spot watch');
+});
+
+test('spot watch expires once the class starts and polls faster as it approaches', async () => {
+  const { service, watchUpdates } = loadSpotWatcherService({ occurrence: makeOccurrence() });
+
+  const result = await service.checkSpotWatch('cookie', watch, { now: new Date(Date.parse(classTime) + 1000) });
+  assert.equal(result.status, 'expired');
+  assert.equal(watchUpdates[0].status, 'expired');
+
+  const now = new Date('2026-03-01T12:00:00Z');
+  const inHours = hours => new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString();
+  assert.equal(service.getSpotWatchPollIntervalMs(inHours(72), now), 30 * 60 * 1000);
+  assert.equal(service.getSpotWatchPollIntervalMs(inHours(24), now), 10 * 60 * 1000);
+  assert.equal(service.getSpotWatchPollIntervalMs(inHours(6), now), 3 * 60 * 1000);
+  assert.equal(service.getSpotWatchPollIntervalMs(inHours(1), now), 60 * 1000);
+});
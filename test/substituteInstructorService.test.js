@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const classServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/classService.js';
+const substituteServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/substituteInstructorService.js';
+
+function loadWithMocks(modulePath, mocks) {
+  delete require.cache[require.resolve(modulePath)];
+
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (Object.prototype.hasOwnProperty.call(mocks, request)) {
+      return mocks[request];
+    }
+
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function createLoggerMock() {
+  return {
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+  };
+}
+
+function loadSubstituteService({ trackedClasses, bookings, logs, cancelBooking }) {
+  const loggerMock = createLoggerMock();
+  const addedLogs = [];
+  const dbMock = {
+    getClientIdForSession: async () => null,
+    getAllTrackedClasses: async () => trackedClasses,
+    getSignupLogs: async () => logs,
+    addSignupLog: async (entry) => {
+      addedLogs.push(entry);
+    }
+  };
+
+  const realClassService = loadWithMocks(classServicePath, {
+    axios: {},
+    '../logger': loggerMock,
+    '../config': { getConfig: () => ({ waitlistLimit: 5 }) },
+    '../database': dbMock
+  });
+
+  const classServiceMock = {
+    ...realClassService,
+    // bookings may be a function of the filters, to answer per client
+    getMyBookings: async (sessionCookie, filters) => ({
+      data: typeof bookings === 'function' ? bookings(filters) : bookings
+    }),
+    cancelBooking: cancelBooking || (async () => ({})),
+    leaveWaitlist: async () => ({})
+  };
+
+  const service = loadWithMocks(substituteServicePath, {
+    '../logger': loggerMock,
+    '../database': dbMock,
+    './classService': classServiceMock
+  });
+
+  return { service, addedLogs };
+}
+
+const now = new Date('2026-03-01T12:00:00Z');
+
+function makeTracked(overrides = {}) {
+  return {
+    id: 4,
+    service_id: '254',
+    location_name: 'Alexander Family YMCA',
+    days_of_week: ['Monday'],
+    start_time: '18:15',
+    trainer_id: '11',
+    trainer_name: 'Alex Smith',
+    match_trainer: 1,
+    match_exact_time: 1,
+    time_tolerance: 15,
+    preferred_trainers: [],
+    excluded_trainers: [],
+    substitute_policy: 'keep',
+    ...overrides
+  };
+}
+
+function makeBooking(trainerId, trainerName) {
+  return {
+    id: 901,
+    service_id: 254,
+    service_title: 'Cycle',
+    trainer_id: trainerId,
+    trainer_name: trainerName,
+    location_name: 'Alexander Family YMCA',
+    occurs_at: '2026-03-02T23:15:00Z',
+    is_joined: true,
+    is_waited: false
+  };
+}
+
+const bookedWithAlex = [
+  { occurrence_id: '901', status: 'success', trainer_name: 'Alex Smith' }
+];
+
+test('substitute check cancels a booking whose instructor changed when the policy is cancel', async () => {
+  const cancelled = [];
+  const { service, addedLogs } = loadSubstituteService({
+    trackedClasses: [makeTracked({ substitute_policy: 'cancel' })],
+    bookings: [makeBooking(12, 'Jordan Lee')],
+    logs: bookedWithAlex,
+    cancelBooking: async (sessionCookie, occurrenceId) => {
+      cancelled.push(occurrenceId);
+    }
+  });
+
+  const events = await service.checkBookedInstructorChanges('cookie', { now });
+
+  assert.deepEqual(cancelled, [901]);
+  assert.equal(events.length, 1);
+  assert.equal(events[0].action, 'cancelled');
+  assert.equal(events[0].previousTrainerName, 'Alex Smith');
+  assert.equal(addedLogs.length, 1);
+  assert.equal(addedLogs[0].status, 'cancelled');
+  assert.equal(addedLogs[0].trainerName, 'Jordan Lee');
+  assert.match(addedLogs[0].errorMessage, /from Alex Smith to Jordan Lee; booking cancelled/);
+});
+
+test('substitute check flags the booking for review when the policy is notify', async () => {
+  const { service, addedLogs } = loadSubstituteService({
+    trackedClasses: [makeTracked({ substitute_policy: 'notify' })],
+    bookings: [makeBooking(12, 'Jordan Lee')],
+    logs: bookedWithAlex,
+    cancelBooking: async () => {
+      throw new Error('should not cancel');
+    }
+  });
+
+  const events = await service.checkBookedInstructorChanges('cookie', { now });
+
+  assert.equal(events[0].action, 'notified');
+  assert.equal(addedLogs[0].status, 'substitute_notice');
+});
+
+test('substitute check keeps bookings when the new instructor is still preferred or nothing changed', async () => {
+  const tracked = makeTracked({
+    substitute_policy: 'cancel',
+    preferred_trainers: [{ id: '11', name: 'Alex Smith' }, { id: '12', name: 'Jordan Lee' }]
+  });
+
+  const swapped = loadSubstituteService({
+    trackedClasses: [tracked],
+    bookings: [makeBooking(12, 'Jordan Lee')],
+    logs: bookedWithAlex,
+    cancelBooking: async () => {
+      throw new Error('should not cancel');
+    }
+  });
+  const swappedEvents = await swapped.service.checkBookedInstructorChanges('cookie', { now });
+  assert.equal(swappedEvents[0].action, 'kept');
+  assert.equal(swapped.addedLogs[0].status, 'substitute_kept');
+
+  const alreadyHandled = loadSubstituteService({
+    trackedClasses: [tracked],
+    bookings: [makeBooking(12, 'Jordan Lee')],
+    logs: [
+      { occurrence_id: '901', status: 'substitute_kept', trainer_name: 'Jordan Lee' },
+      ...bookedWithAlex
+    ]
+  });
+  const repeatEvents = await alreadyHandled.service.checkBookedInstructorChanges('cookie', { now });
+  assert.deepEqual(repeatEvents, []);
+  assert.deepEqual(alreadyHandled.addedLogs, []);
+});
+
+test('substitute check compares each person\'s bookings only with their own tracked classes', async () => {
+  const cancelled = [];
+  const { service, addedLogs } = loadSubstituteService({
+    // The holder keeps substitutes; the child's rule for the same class cancels
+    trackedClasses: [
+      makeTracked({ id: 4 }),
+      makeTracked({ id: 5, substitute_policy: 'cancel', client_id: '77', client_name: 'Kid' })
+    ],
+    bookings: (filters) => [makeBooking(12, filters.clientId === '77' ? 'Jordan Lee' : 'Alex Smith')],
+    // Only the child's log knows they were booked with Alex
+    logs: [{ ...bookedWithAlex[0], client_id: '77' }],
+    cancelBooking: async (sessionCookie, occurrenceId, clientId) => {
+      cancelled.push([occurrenceId, clientId]);
+    }
+  });
+
+  const events = await service.checkBookedInstructorChanges('cookie', { now });
+
+  assert.deepEqual(events.map(event => [event.trackedClassId, event.action]), [[5, 'cancelled']]);
+  assert.deepEqual(cancelled, [[901, '77']]);
+  assert.equal(addedLogs[0].clientId, '77');
+});
@@ -31,6 +31,7 @@ function loadService({ dbMock, loggerMock, classServiceMock }) {
 
 test('maybeAutoRefreshTrackedClass persists a unique refresh plan and returns refreshed matches', async () => {
   const updatesApplied = [];
+  const historyAdded = [];
   const tracked = {
     id: 17,
     location_name: 'Alexander Family YMCA'
@@ -46,6 +47,9 @@ test('maybeAutoRefreshTrackedClass persists a unique refresh plan and returns re
     dbMock: {
       updateTrackedClass: async (id, updates) => {
         updatesApplied.push({ id, updates });
+      },
+      addTrackedClassHistory: async (id, source, changes) => {
+        historyAdded.push({ id, source, changes });
       }
     },
     loggerMock: {
@@ -74,6 +78,11 @@ test('maybeAutoRefreshTrackedClass persists a unique refresh plan and returns re
       location_id: '42'
     }
   }]);
+  assert.deepEqual(historyAdded, [{
+    id: 17,
+    source: 'auto-refresh',
+    changes: [{ field: 'location_name', label: 'Location', from: 'Alexander Family YMCA', to: 'Southeast Raleigh YMCA' }]
+  }]);
   assert.equal(result.refreshed, true);
   assert.deepEqual(result.tracked, refreshedTracked);
   assert.deepEqual(result.matches, refreshedMatches);
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const historyService = require('/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/trackedClassHistoryService.js');
+
+test('diffTrackedClass lists changed fields as display values', () => {
+  const before = {
+    service_name: 'Cycle 45',
+    days_of_week: ['Monday'],
+    start_time: '18:15',
+    match_trainer: 1,
+    match_exact_time: 1,
+    time_tolerance: 15,
+    preferred_trainers: [{ id: '7', name: 'Sarah' }],
+    excluded_trainers: [],
+    priority: 1,
+    recurrence: null
+  };
+  const after = {
+    ...before,
+    days_of_week: ['Monday', 'Wednesday'],
+    start_time: '18:30',
+    match_exact_time: 0,
+    excluded_trainers: [{ id: null, name: 'Tom' }],
+    priority: 2,
+    recurrence: { frequency: 'monthly', weeksOfMonth: [1] }
+  };
+
+  assert.deepEqual(historyService.diffTrackedClass(before, after), [
+    { field: 'days_of_week', label: 'Days', from: 'Monday', to: 'Monday, Wednesday' },
+    { field: 'start_time', label: 'Start time', from: '18:15', to: '18:30' },
+    { field: 'match_exact_time', label: 'Exact time', from: 'On', to: 'Off' },
+    { field: 'recurrence', label: 'Repeat', from: null, to: 'The 1st of the month' },
+    { field: 'excluded_trainers', label: 'Never book with', from: null, to: 'Tom' },
+    { field: 'priority', label: 'Priority', from: 'Normal', to: 'High' }
+  ]);
+});
+
+test('diffTrackedClass ignores representation-only differences', () => {
+  const before = { match_trainer: 1, auto_signup: 0, location_name: 'Poyner YMCA', name_keyword: null, time_tolerance: 15 };
+  const after = { match_trainer: true, auto_signup: false, location_name: 'Poyner YMCA', name_keyword: '', time_tolerance: '15' };
+
+  assert.deepEqual(historyService.diffTrackedClass(before, after), []);
+});
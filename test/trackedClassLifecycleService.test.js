@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const lifecycleService = require('/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/trackedClassLifecycleService.js');
+
+test('getArchiveReason finishes rules after their last day or once their limit is booked', () => {
+  const block = { active_from: '2030-09-01', active_until: '2030-10-12' };
+  assert.equal(lifecycleService.getArchiveReason(block, '2030-10-12'), null);
+  assert.equal(lifecycleService.getArchiveReason(block, '2030-10-13'), 'Ended 2030-10-12');
+
+  const special = { max_bookings: 1, bookings_made: 0 };
+  assert.equal(lifecycleService.getRemainingBookings(special), 1);
+  assert.equal(lifecycleService.getArchiveReason(special, '2030-10-13'), null);
+  assert.equal(lifecycleService.getArchiveReason({ ...special, bookings_made: 1 }, '2030-10-13'), 'Booked its one occurrence');
+  assert.equal(lifecycleService.getArchiveReason({ max_bookings: 6, bookings_made: 6 }, '2030-10-13'), 'Booked all 6 occurrences');
+
+  assert.equal(lifecycleService.getRemainingBookings({ max_bookings: null, bookings_made: 3 }), null);
+  assert.equal(lifecycleService.getArchiveReason({}, '2030-10-13'), null);
+});
+
+test('isValidBookingLimit accepts whole numbers up to the maximum', () => {
+  assert.equal(lifecycleService.isValidBookingLimit(1), true);
+  assert.equal(lifecycleService.isValidBookingLimit(lifecycleService.MAX_BOOKING_LIMIT), true);
+  assert.equal(lifecycleService.isValidBookingLimit(0), false);
+  assert.equal(lifecycleService.isValidBookingLimit(2.5), false);
+  assert.equal(lifecycleService.isValidBookingLimit('3'), false);
+});
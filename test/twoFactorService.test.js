@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const twoFactorServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/twoFactorService.js';
+
+function loadTwoFactorService(dbMock = {}) {
+  delete require.cache[require.resolve(twoFactorServicePath)];
+
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request === '../logger') {
+      return { info() {}, warn() {}, error() {}, debug() {} };
+    }
+    if (request === '../database') {
+      return dbMock;
+    }
+
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  try {
+    return require(twoFactorServicePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+// RFC 6238 test secret, "12345678901234567890" in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+test('generateTotp matches the RFC 6238 SHA-1 test vectors', () => {
+  const { base32Encode, generateTotp } = loadTwoFactorService();
+
+  assert.equal(base32Encode(Buffer.from('12345678901234567890')), RFC_SECRET);
+  // RFC vectors are 8 digits; the 6-digit code is the last six
+  assert.equal(generateTotp(RFC_SECRET, Math.floor(59 / 30)), '287082');
+  assert.equal(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30)), '081804');
+  assert.equal(generateTotp(RFC_SECRET, Math.floor(1234567890 / 30)), '005924');
+});
+
+test('verifyTotp allows one step of drift and refuses replayed steps', () => {
+  const { generateTotp, verifyTotp } = loadTwoFactorService();
+  const now = 1234567890 * 1000;
+  const step = Math.floor(1234567890 / 30);
+
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step), { now }), step);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { now }), step - 1);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), { now }), null);
+  assert.equal(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step), { now, lastUsedStep: step }), null);
+  assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { now }), null);
+});
+
+test('verifyLoginCode falls back to a recovery code and uses it up', async () => {
+  const user = { id: 1, username: 'owner', totp_enabled: 1, totp_secret: RFC_SECRET, totp_last_step: null };
+  const storedHashes = new Set();
+  const twoFactorService = loadTwoFactorService({
+    getUserById: async () => user,
+    updateTotpLastStep: async () => {},
+    useRecoveryCode: async (userId, hash) => storedHashes.delete(hash)
+  });
+
+  const [recoveryCode] = twoFactorService.generateRecoveryCodes(1);
+  storedHashes.add(twoFactorService.hashRecoveryCode(recoveryCode));
+
+  // Case and separators don't matter when typing a recovery code back in
+  assert.equal(await twoFactorService.verifyLoginCode(1, ` ${recoveryCode.toUpperCase().replace('-', ' ')} `), 'recovery');
+  assert.equal(await twoFactorService.verifyLoginCode(1, recoveryCode), null);
+});
@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const userAuthServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/userAuthService.js';
+
+function loadUserAuthService(dbMock) {
+  delete require.cache[require.resolve(userAuthServicePath)];
+
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (request === '../logger') {
+      return { info() {}, warn() {}, error() {}, debug() {} };
+    }
+    if (request === '../database') {
+      return dbMock;
+    }
+
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  try {
+    return require(userAuthServicePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function createUsersDb(users) {
+  return {
+    getUsers: async () => users,
+    getUserById: async (id) => users.find(user => user.id === Number(id)) || null,
+    createUser: async (username, passwordHash, role) => {
+      users.push({ id: users.length + 1, username, password_hash: passwordHash, role });
+      return users.length;
+    },
+    updateUser: async (id, updates) => {
+      const user = users.find(candidate => candidate.id === id);
+      if (updates.role !== undefined) {
+        user.role = updates.role;
+      }
+    },
+    deleteUser: async (id) => {
+      users.splice(users.findIndex(user => user.id === id), 1);
+    }
+  };
+}
+
+test('hasRole treats each role as including the ones below it', () => {
+  const { hasRole } = loadUserAuthService({});
+
+  assert.equal(hasRole({ role: 'admin' }, 'booker'), true);
+  assert.equal(hasRole({ role: 'booker' }, 'booker'), true);
+  assert.equal(hasRole({ role: 'booker' }, 'admin'), false);
+  assert.equal(hasRole({ role: 'read-only' }, 'booker'), false);
+  assert.equal(hasRole(null, 'read-only'), false);
+});
+
+test('createUser validates the role and stores the new user with it', async () => {
+  const users = [{ id: 1, username: 'owner', role: 'admin' }];
+  const userAuthService = loadUserAuthService(createUsersDb(users));
+
+  await assert.rejects(userAuthService.createUser('helper', 'password123', 'owner'), /Role must be one of/);
+  await assert.rejects(userAuthService.createUser('helper', 'short', 'booker'), /at least 8 characters/);
+
+  await userAuthService.createUser('helper', 'password123', 'booker');
+  assert.equal(users[1].username, 'helper');
+  assert.equal(users[1].role, 'booker');
+  assert.notEqual(users[1].password_hash, 'password123');
+});
+
+test('the last admin cannot be demoted or deleted', async () => {
+  const users = [
+    { id: 1, username: 'owner', role: 'admin' },
+    { id: 2, username: 'helper', role: 'booker' }
+  ];
+  const userAuthService = loadUserAuthService(createUsersDb(users));
+
+  await assert.rejects(userAuthService.updateUser(1, { role: 'booker' }), /at least one admin/);
+  await assert.rejects(userAuthService.deleteUser(1), /at least one admin/);
+
+  await userAuthService.updateUser(2, { role: 'admin' });
+  await userAuthService.updateUser(1, { role: 'read-only' });
+  assert.deepEqual(users.map(user => user.role), ['read-only', 'admin']);
+
+  await userAuthService.deleteUser(1);
+  assert.deepEqual(users.map(user => user.username), ['helper']);
+});
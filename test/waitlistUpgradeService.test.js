@@ -0,0 +1,177 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Module = require('node:module');
+
+const classServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/classService.js';
+const waitlistUpgradeServicePath = '/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/waitlistUpgradeService.js';
+
+function loadWithMocks(modulePath, mocks) {
+  delete require.cache[require.resolve(modulePath)];
+
+  const originalLoad = Module._load;
+  Module._load = function mockLoad(request, parent, isMain) {
+    if (Object.prototype.hasOwnProperty.call(mocks, request)) {
+      return mocks[request];
+    }
+
+    return originalLoad.call(this, request, parent, isMain);
+  };
+
+  try {
+    return require(modulePath);
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+function createLoggerMock() {
+  return {
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+  };
+}
+
+function loadWaitlistUpgradeService({ links, bookings, cancelBooking }) {
+  const loggerMock = createLoggerMock();
+  const addedLogs = [];
+  const linkUpdates = [];
+  const dbMock = {
+    getClientIdForSession: async () => null,
+    getWaitlistLinks: async () => links,
+    updateWaitlistLink: async (id, updates) => {
+      linkUpdates.push({ id, ...updates });
+    },
+    addSignupLog: async (entry) => {
+      addedLogs.push(entry);
+    }
+  };
+
+  const realClassService = loadWithMocks(classServicePath, {
+    axios: {},
+    '../logger': loggerMock,
+    '../config': { getConfig: () => ({ waitlistLimit: 5 }) },
+    '../database': dbMock
+  });
+
+  const classServiceMock = {
+    ...realClassService,
+    // bookings may be a function of the filters, to answer per client
+    getMyBookings: async (sessionCookie, filters) => ({
+      data: typeof bookings === 'function' ? bookings(filters) : bookings
+    }),
+    cancelBooking: cancelBooking || (async () => ({}))
+  };
+
+  const service = loadWithMocks(waitlistUpgradeServicePath, {
+    '../logger': loggerMock,
+    '../database': dbMock,
+    './classService': classServiceMock
+  });
+
+  return { service, addedLogs, linkUpdates };
+}
+
+const now = new Date('2026-03-01T12:00:00Z');
+
+const link = {
+  id: 3,
+  chain_id: 1,
+  preferred_occurrence_id: '801',
+  preferred_service_name: 'Spin',
+  backup_occurrence_id: '802',
+  backup_service_name: 'HIIT',
+  class_time: '2026-03-02T23:00:00.000Z',
+  waitlist_position: 2,
+  status: 'watching'
+};
+
+function makeBooking(id, title, overrides = {}) {
+  return {
+    id,
+    service_id: id,
+    service_title: title,
+    location_name: 'Poyner YMCA',
+    occurs_at: '2026-03-02T23:00:00Z',
+    is_joined: false,
+    is_waited: false,
+    ...overrides
+  };
+}
+
+test('waitlist upgrade cancels the fallback once the preferred class confirms', async () => {
+  const cancelled = [];
+  const { service, addedLogs, linkUpdates } = loadWaitlistUpgradeService({
+    links: [link],
+    bookings: [
+      makeBooking(801, 'Spin', { is_joined: true }),
+      makeBooking(802, 'HIIT', { is_joined: true })
+    ],
+    cancelBooking: async (sessionCookie, occurrenceId) => {
+      cancelled.push(occurrenceId);
+    }
+  });
+
+  const events = await service.checkWaitlistUpgrades('cookie', { now });
+
+  assert.deepEqual(cancelled, [802]);
+  assert.equal(events[0].action, 'upgraded');
+  assert.deepEqual(
+    addedLogs.map(log => [log.occurrenceId, log.status]),
+    [[802, 'cancelled'], [801, 'success']]
+  );
+  assert.match(addedLogs[0].errorMessage, /Spin confirmed from the waitlist; cancelled fallback HIIT/);
+  assert.deepEqual(linkUpdates, [{ id: 3, status: 'upgraded' }]);
+});
+
+test('waitlist upgrade keeps watching while waitlisted and expires links that no longer apply', async () => {
+  const waiting = loadWaitlistUpgradeService({
+    links: [link],
+    bookings: [
+      makeBooking(801, 'Spin', { is_waited: true, position_on_waiting_list: 1 }),
+      makeBooking(802, 'HIIT', { is_joined: true })
+    ],
+    cancelBooking: async () => {
+      throw new Error('should not cancel');
+    }
+  });
+  assert.deepEqual(await waiting.service.checkWaitlistUpgrades('cookie', { now }), []);
+  assert.deepEqual(waiting.linkUpdates, [{ id: 3, waitlistPosition: 1 }]);
+  assert.deepEqual(waiting.addedLogs, []);
+
+  const droppedBackup = loadWaitlistUpgradeService({
+    links: [link],
+    bookings: [makeBooking(801, 'Spin', { is_waited: true, position_on_waiting_list: 2 })]
+  });
+  const droppedEvents = await droppedBackup.service.checkWaitlistUpgrades('cookie', { now });
+  assert.equal(droppedEvents[0].action, 'expired');
+  assert.deepEqual(droppedBackup.linkUpdates, [{ id: 3, status: 'expired' }]);
+
+  const started = loadWaitlistUpgradeService({ links: [link], bookings: [] });
+  const startedEvents = await started.service.checkWaitlistUpgrades('cookie', {
+    now: new Date('2026-03-03T00:00:00Z')
+  });
+  assert.equal(startedEvents[0].action, 'expired');
+  assert.deepEqual(started.linkUpdates, [{ id: 3, status: 'expired' }]);
+});
+
+test('waitlist upgrade checks and cancels a family member\'s bookings for their links', async () => {
+  const cancelled = [];
+  const { service, addedLogs } = loadWaitlistUpgradeService({
+    links: [{ ...link, client_id: '77', client_name: 'Kid' }],
+    // The account holder is booked into neither class
+    bookings: (filters) => filters.clientId === '77'
+      ? [makeBooking(801, 'Spin', { is_joined: true }), makeBooking(802, 'HIIT', { is_joined: true })]
+      : [],
+    cancelBooking: async (sessionCookie, occurrenceId, clientId) => {
+      cancelled.push([occurrenceId, clientId]);
+    }
+  });
+
+  const events = await service.checkWaitlistUpgrades('cookie', { now });
+
+  assert.equal(events[0].action, 'upgraded');
+  assert.deepEqual(cancelled, [[802, '77']]);
+  assert.deepEqual(addedLogs.map(log => [log.occurrenceId, log.clientId]), [[802, '77'], [801, '77']]);
+});
@@ -4,21 +4,21 @@ const assert = require('node:assert/strict');
 const { createYmcaSessionManager } = require('/Users/willy/Developer/ymca-workspace/ymca-signup/server/services/ymcaSessionService.js');
 
 test('persistSession and clearSession always invalidate cached YMCA session state', async () => {
-  let currentSessionCookie = null;
+  const sessionCookies = new Map();
   let invalidations = 0;
   const saves = [];
-  let clears = 0;
+  const clears = [];
 
   const manager = createYmcaSessionManager({
     authService: {
       login: async () => 'fresh-cookie'
     },
     db: {
-      saveSession: async (sessionCookie) => {
-        saves.push(sessionCookie);
+      saveSession: async (accountId, sessionCookie) => {
+        saves.push([accountId, sessionCookie]);
       },
-      clearSession: async () => {
-        clears += 1;
+      clearSession: async (accountId) => {
+        clears.push(accountId);
       }
     },
     classService: {
@@ -29,32 +29,34 @@ test('persistSession and clearSession always invalidate cached YMCA session stat
     logger: {
       info() {}
     },
-    getSessionCookie: () => currentSessionCookie,
-    setSessionCookie: (nextSessionCookie) => {
-      currentSessionCookie = nextSessionCookie;
+    getSessionCookie: (accountId) => sessionCookies.get(accountId) || null,
+    setSessionCookie: (accountId, nextSessionCookie) => {
+      sessionCookies.set(accountId, nextSessionCookie);
     }
   });
 
-  await manager.persistSession('cookie-a');
-  assert.equal(currentSessionCookie, 'cookie-a');
-  assert.deepEqual(saves, ['cookie-a']);
-  assert.equal(invalidations, 1);
-
-  await manager.clearSession();
-  assert.equal(currentSessionCookie, null);
-  assert.equal(clears, 1);
+  await manager.persistSession(1, 'cookie-a');
+  await manager.persistSession(2, 'cookie-b');
+  assert.equal(sessionCookies.get(1), 'cookie-a');
+  assert.deepEqual(saves, [[1, 'cookie-a'], [2, 'cookie-b']]);
   assert.equal(invalidations, 2);
+
+  await manager.clearSession(1);
+  assert.equal(sessionCookies.get(1), null);
+  assert.equal(sessionCookies.get(2), 'cookie-b');
+  assert.deepEqual(clears, [1]);
+  assert.equal(invalidations, 3);
 });
 
-test('ensureSession reuses the current session cookie and logs in only when needed', async () => {
-  let currentSessionCookie = 'existing-cookie';
-  let loginCalls = 0;
+test('ensureSession reuses an account\'s session cookie and logs in only when needed', async () => {
+  const sessionCookies = new Map([[1, 'existing-cookie']]);
+  const logins = [];
 
   const manager = createYmcaSessionManager({
     authService: {
-      login: async () => {
-        loginCalls += 1;
-        return `fresh-cookie-${loginCalls}`;
+      login: async (accountId) => {
+        logins.push(accountId);
+        return `fresh-cookie-${accountId}`;
       }
     },
     db: {
@@ -67,19 +69,18 @@ test('ensureSession reuses the current session cookie and logs in only when need
     logger: {
       info() {}
     },
-    getSessionCookie: () => currentSessionCookie,
-    setSessionCookie: (nextSessionCookie) => {
-      currentSessionCookie = nextSessionCookie;
+    getSessionCookie: (accountId) => sessionCookies.get(accountId) || null,
+    setSessionCookie: (accountId, nextSessionCookie) => {
+      sessionCookies.set(accountId, nextSessionCookie);
     }
   });
 
-  const existing = await manager.ensureSession();
+  const existing = await manager.ensureSession(1);
   assert.equal(existing, 'existing-cookie');
-  assert.equal(loginCalls, 0);
+  assert.deepEqual(logins, []);
 
-  currentSessionCookie = null;
-  const fresh = await manager.ensureSession();
-  assert.equal(fresh, 'fresh-cookie-1');
-  assert.equal(currentSessionCookie, 'fresh-cookie-1');
-  assert.equal(loginCalls, 1);
+  const fresh = await manager.ensureSession(2);
+  assert.equal(fresh, 'fresh-cookie-2');
+  assert.equal(sessionCookies.get(2), 'fresh-cookie-2');
+  assert.deepEqual(logins, [2]);
 });